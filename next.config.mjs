@@ -6,6 +6,9 @@ const nextConfig = {
     'http://127.0.0.1:3000',
   ],
 
+  // PDFKit reads its font metrics from disk at runtime, so it must not be bundled
+  serverExternalPackages: ['pdfkit'],
+
   // Enable CORS for API routes
   async headers() {
     return [
@@ -16,7 +19,7 @@ const nextConfig = {
           { key: 'Access-Control-Allow-Credentials', value: 'true' },
           { key: 'Access-Control-Allow-Origin', value: '*' },
           { key: 'Access-Control-Allow-Methods', value: 'GET,DELETE,PATCH,POST,PUT,OPTIONS' },
-          { key: 'Access-Control-Allow-Headers', value: 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization' },
+          { key: 'Access-Control-Allow-Headers', value: 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization, X-Client-Id, If-Match' },
         ],
       },
     ];
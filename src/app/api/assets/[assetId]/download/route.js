@@ -0,0 +1,94 @@
+/**
+ * Attachment Download API Route
+ * =============================
+ *
+ * GET /api/assets/[assetId]/download - Download a file block's attachment
+ *
+ * Attachments are stored privately. A download is allowed for:
+ *   - links signed by the public page API (?expires=&sig=, see lib/signedUrl.js)
+ *   - the uploader
+ *
+ * Block content is written by users, so a block pointing at a file
+ * grants nothing. Blocks copied from another user's page get their own
+ * copy of the file instead (see services/uploadService.js).
+ *
+ * Local files are streamed from here; Cloudinary files are handed out
+ * through a short-lived signed URL.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Asset from '@/models/Asset';
+import { getCurrentUser } from '@/lib/auth';
+import { getStorage } from '@/lib/storage';
+import { verifyDownloadSignature } from '@/lib/signedUrl';
+
+// Lifetime of the Cloudinary URL a download is redirected to
+const REDIRECT_TTL_SECONDS = 60;
+
+/**
+ * Content-Disposition for a download; the plain filename is an ASCII
+ * fallback for clients without RFC 5987 support.
+ */
+function attachmentDisposition(name) {
+    const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/**
+ * Whether the signed-in user uploaded the asset.
+ */
+async function isOwner(request, asset) {
+    const payload = await getCurrentUser(request);
+    return !!payload?.userId && asset.userId.toString() === payload.userId;
+}
+
+export async function GET(request, { params }) {
+    try {
+        const { assetId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(assetId)) {
+            return NextResponse.json({ error: 'File not found' }, { status: 404 });
+        }
+
+        await connectDB();
+
+        const asset = await Asset.findOne({ _id: assetId, kind: 'file' }).lean();
+        if (!asset) {
+            return NextResponse.json({ error: 'File not found' }, { status: 404 });
+        }
+
+        const { searchParams } = new URL(request.url);
+        const signed = verifyDownloadSignature(assetId, searchParams.get('expires'), searchParams.get('sig'));
+        if (!signed && !(await isOwner(request, asset))) {
+            // Same answer as a missing file: don't reveal which IDs exist
+            return NextResponse.json({ error: 'File not found' }, { status: 404 });
+        }
+
+        const storage = getStorage(asset.driver);
+
+        if (!storage.open) {
+            return NextResponse.redirect(storage.signedUrl(asset.publicId, { expiresIn: REDIRECT_TTL_SECONDS }));
+        }
+
+        const file = await storage.open(asset.publicId);
+        if (!file) {
+            return NextResponse.json({ error: 'File not found' }, { status: 404 });
+        }
+
+        return new NextResponse(file.stream(), {
+            headers: {
+                'Content-Type': asset.contentType || file.contentType,
+                'Content-Length': String(file.size),
+                'Content-Disposition': attachmentDisposition(asset.name || 'download'),
+                'Cache-Control': 'private, no-store',
+                'X-Content-Type-Options': 'nosniff',
+                'Content-Security-Policy': "default-src 'none'; sandbox",
+            },
+        });
+    } catch (error) {
+        console.error('Download file error:', error);
+        return NextResponse.json({ error: 'Failed to download file' }, { status: 500 });
+    }
+}
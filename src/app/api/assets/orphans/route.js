@@ -0,0 +1,46 @@
+/**
+ * Orphaned Assets API Route
+ * =========================
+ *
+ * DELETE /api/assets/orphans - Delete the user's uploads that no block,
+ *                              page version or template references
+ *
+ * The same cleanup runs after trash purges; this route runs it on
+ * demand. Uploads from the last hour are kept.
+ *
+ * Requires authentication.
+ */
+
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { collectOrphanAssets } from '@/services/assetService';
+
+/**
+ * DELETE /api/assets/orphans
+ *
+ * Returns: { deleted, freedBytes }
+ */
+async function deleteOrphanAssets(request, { user }) {
+    try {
+        await connectDB();
+
+        const result = await collectOrphanAssets(user._id);
+        if (!result) {
+            return NextResponse.json(
+                { error: 'Failed to clean up assets' },
+                { status: 500 }
+            );
+        }
+
+        return NextResponse.json(result);
+    } catch (error) {
+        console.error('Delete orphan assets error:', error);
+        return NextResponse.json(
+            { error: 'Failed to clean up assets' },
+            { status: 500 }
+        );
+    }
+}
+
+export const DELETE = withAuth(deleteOrphanAssets);
@@ -0,0 +1,40 @@
+/**
+ * Assets API Route
+ * ================
+ *
+ * GET /api/assets - Storage used by the user's uploads, and the limits
+ *
+ * Requires authentication.
+ */
+
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { getStorageUsage, getUploadLimits } from '@/services/assetService';
+
+/**
+ * GET /api/assets
+ *
+ * Returns: {
+ *   usedBytes, assetCount,
+ *   maxFileBytes,   // largest single upload
+ *   quotaBytes      // total per user, 0 = unlimited
+ * }
+ */
+async function getAssetUsage(request, { user }) {
+    try {
+        await connectDB();
+
+        const usage = await getStorageUsage(user._id);
+
+        return NextResponse.json({ ...usage, ...getUploadLimits() });
+    } catch (error) {
+        console.error('Get asset usage error:', error);
+        return NextResponse.json(
+            { error: 'Failed to fetch storage usage' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getAssetUsage);
@@ -3,7 +3,7 @@
  * =======================
  * 
  * PATCH  /api/blocks/[blockId] - Update block (auto-save endpoint)
- * DELETE /api/blocks/[blockId] - Delete block
+ * DELETE /api/blocks/[blockId] - Move block to the trash
  * 
  * All routes require authentication and ownership validation.
  * 
@@ -22,6 +22,10 @@
  * 4. **No Response Body Needed**: For pure auto-save, client can
  *    ignore the response. We still return the updated block for
  *    cases where the client needs confirmation.
+ * 
+ * 5. **Conditional Writes**: Send `If-Match: "<revision>"` (or
+ *    `baseRevision` in the body) to reject the write with 409 when
+ *    the block changed since it was read.
  */
 
 import { NextResponse } from 'next/server';
@@ -30,6 +34,10 @@ import connectDB from '@/lib/db';
 import Page from '@/models/Page';
 import Block from '@/models/Block';
 import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
+import { isValidOrderKey } from '@/utils/fractionalIndex';
 
 /**
  * Helper to validate ObjectId format.
@@ -61,10 +69,12 @@ async function getOwnedBlock(blockId, userId) {
  * Body (all optional): {
  *   content?: object,
  *   type?: string,
- *   order?: number
+ *   order?: string,  // fractional order key
+ *   baseRevision?: number  // or If-Match header
  * }
  * 
  * Only provided fields are updated (partial update).
+ * A stale base revision returns 409 with the current { block }.
  */
 async function updateBlock(request, { user, params }) {
     try {
@@ -93,7 +103,15 @@ async function updateBlock(request, { user, params }) {
         const updateFields = {};
         if (body.content !== undefined) updateFields.content = body.content;
         if (body.type !== undefined) updateFields.type = body.type;
-        if (body.order !== undefined) updateFields.order = body.order;
+        if (body.order !== undefined) {
+            if (!isValidOrderKey(body.order)) {
+                return NextResponse.json(
+                    { error: 'order must be a fractional order key' },
+                    { status: 400 }
+                );
+            }
+            updateFields.order = body.order;
+        }
         if (body.backgroundColor !== undefined) updateFields.backgroundColor = body.backgroundColor;
 
         // Nothing to update
@@ -101,17 +119,32 @@ async function updateBlock(request, { user, params }) {
             return NextResponse.json({ block: existingBlock });
         }
 
-        // Perform update
-        const block = await Block.findByIdAndUpdate(
-            blockId,
-            { $set: updateFields },
+        await recordVersionBeforeWrite(existingBlock.pageId, user._id);
+
+        // Perform update (conditional on the base revision, if sent)
+        const baseRevision = getBaseRevision(request, body);
+        const block = await Block.findOneAndUpdate(
+            { _id: blockId, ...revisionFilter(baseRevision) },
+            { $set: updateFields, $inc: { revision: 1 } },
             { new: true, runValidators: true }
         );
 
-        // Update parent page's updatedAt timestamp
-        await Page.findByIdAndUpdate(
+        if (!block) {
+            const currentBlock = await Block.findById(blockId).lean();
+            return conflictResponse(
+                'This block was changed in another session.',
+                { block: currentBlock }
+            );
+        }
+
+        // Update parent page's updatedAt timestamp and revision
+        const revision = await Page.touch(existingBlock.pageId);
+        await recordPageVersion(existingBlock.pageId, 'api');
+
+        publishPageEvent(
             existingBlock.pageId,
-            { updatedAt: new Date() }
+            { type: 'block.updated', block: block.toJSON(), revision },
+            getClientId(request)
         );
 
         return NextResponse.json({ block: block.toJSON() });
@@ -132,8 +165,9 @@ async function updateBlock(request, { user, params }) {
 
 /**
  * DELETE /api/blocks/[blockId]
- * Deletes a single block.
+ * Moves a single block to the trash (restorable via /api/trash).
  * Does NOT reorder remaining blocks (client handles visual order).
+ * Honors If-Match like PATCH.
  */
 async function deleteBlock(request, { user, params }) {
     try {
@@ -157,17 +191,35 @@ async function deleteBlock(request, { user, params }) {
             );
         }
 
-        // Delete the block
-        await Block.findByIdAndDelete(blockId);
+        await recordVersionBeforeWrite(existingBlock.pageId, user._id);
+
+        // Move the block to the trash (conditional on the base revision, if sent)
+        const baseRevision = getBaseRevision(request);
+        const deleted = await Block.findOneAndUpdate(
+            { _id: blockId, ...revisionFilter(baseRevision) },
+            { $set: { deletedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!deleted) {
+            return conflictResponse(
+                'This block was changed in another session.',
+                { block: existingBlock }
+            );
+        }
+
+        // Update parent page's updatedAt timestamp and revision
+        const revision = await Page.touch(existingBlock.pageId);
+        await recordPageVersion(existingBlock.pageId, 'api');
 
-        // Update parent page's updatedAt timestamp
-        await Page.findByIdAndUpdate(
+        publishPageEvent(
             existingBlock.pageId,
-            { updatedAt: new Date() }
+            { type: 'block.deleted', blockId, revision },
+            getClientId(request)
         );
 
         return NextResponse.json({
-            message: 'Block deleted successfully',
+            message: 'Block moved to trash',
         });
     } catch (error) {
         console.error('Delete block error:', error);
@@ -5,7 +5,8 @@
  * POST /api/blocks/page - Create a page block (nested page)
  * 
  * This endpoint:
- * 1. Creates a new child page (with parentPageId set)
+ * 1. Creates a new child page (with parentPageId set), optionally from
+ *    a template (with the template's own sub-pages below it)
  * 2. Creates a page block referencing that child page
  * 
  * Why a special endpoint?
@@ -20,6 +21,9 @@ import connectDB from '@/lib/db';
 import Page from '@/models/Page';
 import Block from '@/models/Block';
 import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { getTemplate, instantiateTemplate } from '@/services/templateService';
 
 /**
  * POST /api/blocks/page
@@ -28,7 +32,8 @@ import { withAuth } from '@/lib/withAuth';
  * Body: { 
  *   parentPageId: ObjectId,  // The page where the block is being added
  *   afterBlockId?: ObjectId, // Insert after this block (optional)
- *   title?: string           // Initial title for child page
+ *   title?: string,          // Initial title for child page
+ *   templateId?: string      // Create the child page from this template
  * }
  * 
  * Returns: { block: Block, childPage: Page }
@@ -36,7 +41,7 @@ import { withAuth } from '@/lib/withAuth';
 async function createPageBlock(request, { user }) {
     try {
         const body = await request.json();
-        const { parentPageId, afterBlockId, title } = body;
+        const { parentPageId, afterBlockId, title, templateId } = body;
 
         if (!parentPageId) {
             return NextResponse.json(
@@ -60,19 +65,33 @@ async function createPageBlock(request, { user }) {
             );
         }
 
+        let template = null;
+        if (templateId) {
+            template = await getTemplate(templateId, user._id);
+            if (!template) {
+                return NextResponse.json(
+                    { error: 'Template not found' },
+                    { status: 404 }
+                );
+            }
+        }
+
+        await recordVersionBeforeWrite(parentPageId, user._id);
+
         // Create the child page
         // Important: Set parentPageId so it's excluded from sidebar
-        const childPage = await Page.create({
-            title: title || 'Untitled',
-            userId: user._id,
-            parentPageId: parentPageId,  // This marks it as a child page
-        });
+        const childPage = template
+            ? await instantiateTemplate(template, { userId: user._id, parentPageId, title })
+            : await Page.create({
+                title: title || 'Untitled',
+                userId: user._id,
+                parentPageId: parentPageId,  // This marks it as a child page
+            });
 
-        // Calculate block order
+        // Calculate block order (a key between afterBlock and its next sibling)
         let order;
         if (afterBlockId && mongoose.Types.ObjectId.isValid(afterBlockId)) {
-            const afterBlock = await Block.findById(afterBlockId);
-            order = afterBlock ? afterBlock.order + 1 : await Block.getNextOrder(parentPageId);
+            order = await Block.getOrderAfter(parentPageId, afterBlockId);
         } else {
             order = await Block.getNextOrder(parentPageId);
         }
@@ -88,8 +107,15 @@ async function createPageBlock(request, { user }) {
             },
         });
 
-        // Update parent page timestamp
-        await Page.findByIdAndUpdate(parentPageId, { updatedAt: new Date() });
+        // Update parent page timestamp and revision
+        const revision = await Page.touch(parentPageId);
+        await recordPageVersion(parentPageId, 'edit');
+
+        publishPageEvent(
+            parentPageId,
+            { type: 'block.created', block: block.toJSON(), revision },
+            getClientId(request)
+        );
 
         return NextResponse.json(
             {
@@ -14,6 +14,9 @@ import connectDB from '@/lib/db';
 import Page from '@/models/Page';
 import Block from '@/models/Block';
 import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { isValidOrderKey } from '@/utils/fractionalIndex';
 
 /**
  * POST /api/blocks
@@ -23,7 +26,7 @@ import { withAuth } from '@/lib/withAuth';
  *   pageId: string (required),
  *   type?: string (default: 'paragraph'),
  *   content?: object (default: { text: '' }),
- *   order?: number (default: append at end)
+ *   order?: string (fractional order key, default: append at end)
  * }
  * 
  * Auto-save friendly:
@@ -66,6 +69,15 @@ async function createBlock(request, { user }) {
             );
         }
 
+        if (order !== undefined && !isValidOrderKey(order)) {
+            return NextResponse.json(
+                { error: 'order must be a fractional order key' },
+                { status: 400 }
+            );
+        }
+
+        await recordVersionBeforeWrite(pageId, user._id);
+
         // Calculate order if not provided (append at end)
         const blockOrder = order ?? await Block.getNextOrder(pageId);
 
@@ -77,8 +89,15 @@ async function createBlock(request, { user }) {
             order: blockOrder,
         });
 
-        // Update page's updatedAt timestamp
-        await Page.findByIdAndUpdate(pageId, { updatedAt: new Date() });
+        // Update page's updatedAt timestamp and revision
+        const revision = await Page.touch(pageId);
+        await recordPageVersion(pageId, 'api');
+
+        publishPageEvent(
+            pageId,
+            { type: 'block.created', block: block.toJSON(), revision },
+            getClientId(request)
+        );
 
         return NextResponse.json(
             { block: block.toJSON() },
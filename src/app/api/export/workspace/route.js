@@ -0,0 +1,68 @@
+/**
+ * Workspace Backup API Route
+ * ==========================
+ *
+ * GET /api/export/workspace - Download every page, block, template and
+ *                             image reference the user owns as one JSON file
+ *
+ * The archive is streamed while it is read from the database. Its
+ * format is described in services/backupService.js; restore it with
+ * POST /api/import/workspace.
+ *
+ * Requires authentication.
+ */
+
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { workspaceBackupChunks } from '@/services/backupService';
+
+/**
+ * GET /api/export/workspace
+ *
+ * Returns: application/json file (pagelet-workspace-YYYY-MM-DD.json)
+ */
+async function exportWorkspace(request, { user }) {
+    try {
+        await connectDB();
+
+        const chunks = workspaceBackupChunks(user._id);
+        const encoder = new TextEncoder();
+
+        const stream = new ReadableStream({
+            async pull(controller) {
+                try {
+                    const { value, done } = await chunks.next();
+                    if (done) {
+                        controller.close();
+                    } else {
+                        controller.enqueue(encoder.encode(value));
+                    }
+                } catch (error) {
+                    console.error('Workspace backup stream error:', error);
+                    controller.error(error);
+                }
+            },
+            async cancel() {
+                await chunks.return();
+            },
+        });
+
+        const filename = `pagelet-workspace-${new Date().toISOString().slice(0, 10)}.json`;
+        return new NextResponse(stream, {
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Cache-Control': 'no-store',
+            },
+        });
+    } catch (error) {
+        console.error('Workspace backup error:', error);
+        return NextResponse.json(
+            { error: 'Failed to export workspace' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(exportWorkspace);
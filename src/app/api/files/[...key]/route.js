@@ -0,0 +1,51 @@
+/**
+ * Stored Files API
+ * ================
+ *
+ * GET /api/files/[...key]
+ *
+ * Serves files kept by the local storage driver (STORAGE_DRIVER=local).
+ * Keys are random and never reused, so responses can be cached for good.
+ * No authentication required, like Cloudinary URLs. Private files
+ * (attachments) are not served here; see /api/assets/[assetId]/download.
+ */
+
+import { NextResponse } from 'next/server';
+import { localDriver, isPrivateKey } from '@/lib/storage';
+
+// Stored files never change under the same key
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+export async function GET(request, { params }) {
+    try {
+        const { key } = await params;
+
+        const path = key.join('/');
+        const file = isPrivateKey(path) ? null : await localDriver.open(path);
+        if (!file) {
+            return NextResponse.json({ error: 'File not found' }, { status: 404 });
+        }
+
+        const etag = `"${file.size.toString(16)}-${file.modifiedAt.getTime().toString(16)}"`;
+        const headers = {
+            'Content-Type': file.contentType,
+            'Cache-Control': CACHE_CONTROL,
+            'ETag': etag,
+            'Last-Modified': file.modifiedAt.toUTCString(),
+            // Never let a stored file run as a page on our origin
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': "default-src 'none'; sandbox",
+        };
+
+        if (request.headers.get('if-none-match') === etag) {
+            return new NextResponse(null, { status: 304, headers });
+        }
+
+        return new NextResponse(file.stream(), {
+            headers: { ...headers, 'Content-Length': String(file.size) },
+        });
+    } catch (error) {
+        console.error('Serve file error:', error);
+        return NextResponse.json({ error: 'Failed to read file' }, { status: 500 });
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Workspace Restore API Route
+ * ===========================
+ *
+ * POST /api/import/workspace - Restore a workspace backup into this account
+ *
+ * The body is the JSON file from GET /api/export/workspace. Everything
+ * is created with new IDs next to the user's existing pages, so a
+ * backup can be restored into a fresh account, another instance, or
+ * the same account again. See services/backupService.js.
+ *
+ * Requires authentication.
+ */
+
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { validateBackup, restoreWorkspaceBackup } from '@/services/backupService';
+
+// Largest backup file accepted (bytes)
+const MAX_BACKUP_BYTES = 50 * 1024 * 1024;
+
+/**
+ * POST /api/import/workspace
+ *
+ * Body: backup document { format: 'pagelet-workspace', version, pages, blocks, templates?, images? }
+ * Returns: 201 { success, pageCount, blockCount, templateCount, imageCount, skippedBlocks, rootPages }
+ */
+async function importWorkspace(request, { user }) {
+    try {
+        if (Number(request.headers.get('content-length')) > MAX_BACKUP_BYTES) {
+            return NextResponse.json({ error: 'Backup file is too large' }, { status: 413 });
+        }
+
+        const raw = await request.text();
+        if (raw.length > MAX_BACKUP_BYTES) {
+            return NextResponse.json({ error: 'Backup file is too large' }, { status: 413 });
+        }
+
+        let archive;
+        try {
+            archive = JSON.parse(raw);
+        } catch {
+            return NextResponse.json({ error: 'Backup is not valid JSON' }, { status: 400 });
+        }
+
+        const invalid = validateBackup(archive);
+        if (invalid) {
+            return NextResponse.json({ error: invalid }, { status: 400 });
+        }
+
+        await connectDB();
+
+        const result = await restoreWorkspaceBackup(archive, user._id);
+
+        return NextResponse.json({ success: true, ...result }, { status: 201 });
+    } catch (error) {
+        console.error('Workspace restore error:', error);
+        return NextResponse.json(
+            { error: 'Failed to restore workspace' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(importWorkspace);
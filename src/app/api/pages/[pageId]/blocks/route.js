@@ -15,15 +15,26 @@ import connectDB from '@/lib/db';
 import Page from '@/models/Page';
 import Block from '@/models/Block';
 import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishBlockListChanges } from '@/lib/realtime';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { assignOrderKeys } from '@/utils/fractionalIndex';
 
 /**
  * PUT /api/pages/[pageId]/blocks
  * Syncs the entire block state for a page.
  * 
  * Body: {
- *   blocks: [{ _id, type, content, order, ... }]
+ *   blocks: [{ _id, type, content, order, ... }],
+ *   baseRevision?: number  // or If-Match header
  * }
  * 
+ * Concurrency:
+ * - With a base revision, the save only succeeds if the page revision
+ *   still matches. Otherwise 409 with { page, blocks } from the server.
+ * - The revision is claimed BEFORE writing blocks, so two concurrent
+ *   saves from the same base can never both succeed.
+ * 
  * Strategy:
  * 1. Identify blocks to UPDATE (have _id present in DB)
  * 2. Identify blocks to CREATE (no _id or _id not in DB - though usually client sends _id for optimistic UI)
@@ -33,7 +44,7 @@ import { withAuth } from '@/lib/withAuth';
  * Efficient "Sync" Strategy using bulkWrite:
  * - We receive the FULL list of blocks as they should exist.
  * - We find all existing blocks for this page.
- * - Any block in DB but NOT in request -> DELETE
+ * - Any block in DB but NOT in request -> TRASH (soft delete)
  * - Any block in request -> upsert (Update if exists, Insert if not)
  */
 async function syncPageBlocks(request, { user, params }) {
@@ -48,12 +59,39 @@ async function syncPageBlocks(request, { user, params }) {
 
         await connectDB();
 
-        // Verify user owns the page
-        const page = await Page.findOne({ _id: pageId, userId: user._id });
+        await recordVersionBeforeWrite(pageId, user._id);
+
+        // Verify ownership and claim the next revision in one atomic step
+        const baseRevision = getBaseRevision(request, body);
+        const page = await Page.findOneAndUpdate(
+            { _id: pageId, userId: user._id, ...revisionFilter(baseRevision) },
+            { $set: { updatedAt: new Date() }, $inc: { revision: 1 } },
+            { new: true }
+        );
+
         if (!page) {
-            return NextResponse.json({ error: 'Page not found' }, { status: 404 });
+            const currentPage = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+            if (!currentPage) {
+                return NextResponse.json({ error: 'Page not found' }, { status: 404 });
+            }
+
+            const currentBlocks = await Block.find({ pageId }).sort({ order: 1 }).lean();
+            return conflictResponse(
+                'This page was changed in another session. Review the latest version before saving.',
+                { page: currentPage, blocks: currentBlocks }
+            );
         }
 
+        // Snapshot current state to skip unchanged blocks and diff for other editors
+        await Block.migrateOrderKeys(pageId);
+        const previousBlocks = await Block.find({ pageId }).lean();
+        const previousMap = new Map(previousBlocks.map((b) => [b._id.toString(), b]));
+
+        // Order follows array position; blocks already in sequence keep their key
+        const orderKeys = assignOrderKeys(
+            blocks.map((block) => previousMap.get(String(block._id))?.order ?? null)
+        );
+
         // Prepare bulk operations
         const operations = [];
         const incomingBlockIds = new Set();
@@ -64,22 +102,27 @@ async function syncPageBlocks(request, { user, params }) {
                 pageId,
                 type: block.type,
                 content: block.content,
-                order: index, // Enforce order by array position
+                order: orderKeys[index], // Enforce order by array position
                 // Start generic metadata updates (like backgroundColor)
                 backgroundColor: block.backgroundColor,
             };
 
             if (block._id && mongoose.Types.ObjectId.isValid(block._id)) {
                 incomingBlockIds.add(block._id);
+
+                // Untouched blocks keep their revision (no write needed)
+                const previous = previousMap.get(block._id.toString());
+                if (previous && !hasBlockChanged(previous, blockData)) return;
+
                 operations.push({
                     updateOne: {
                         filter: { _id: block._id },
-                        update: { $set: blockData },
+                        update: { $set: { ...blockData, deletedAt: null }, $inc: { revision: 1 } },
                         upsert: true // If valid ObjectId but not found (rare), create it
                     }
                 });
             } else {
-                // New block: Generate ID explicitly so we can exclude it from deleteMany
+                // New block: Generate ID explicitly so we can exclude it from the trash step
                 const newId = new mongoose.Types.ObjectId();
                 blockData._id = newId;
 
@@ -89,27 +132,32 @@ async function syncPageBlocks(request, { user, params }) {
                     }
                 });
 
-                // Add to incoming IDs so the subsequent deleteMany doesn't remove this new block
+                // Add to incoming IDs so the subsequent trash step doesn't remove this new block
                 incomingBlockIds.add(newId);
             }
         });
 
-        // Delete blocks that are in DB but not in the incoming list (or just added)
+        // Trash blocks that are in DB but not in the incoming list (or just added).
+        // bulkWrite skips the trash filter, so only live blocks are matched.
+        const deletedAt = new Date();
         if (incomingBlockIds.size > 0) {
             operations.push({
-                deleteMany: {
+                updateMany: {
                     filter: {
                         pageId: pageId,
-                        _id: { $nin: Array.from(incomingBlockIds) }
-                    }
+                        _id: { $nin: Array.from(incomingBlockIds) },
+                        deletedAt: null
+                    },
+                    update: { $set: { deletedAt } }
                 }
             });
         } else {
             // This case should theoretically be unreachable if we create at least one block,
-            // but effectively deletes all if list is empty.
+            // but effectively trashes all if list is empty.
             operations.push({
-                deleteMany: {
-                    filter: { pageId: pageId }
+                updateMany: {
+                    filter: { pageId: pageId, deletedAt: null },
+                    update: { $set: { deletedAt } }
                 }
             });
         }
@@ -118,13 +166,15 @@ async function syncPageBlocks(request, { user, params }) {
             await Block.bulkWrite(operations);
         }
 
-        // Update page timestamp
-        await Page.findByIdAndUpdate(pageId, { updatedAt: new Date() });
+        await recordPageVersion(pageId, 'edit');
 
         // Return the fresh state
         const updatedBlocks = await Block.find({ pageId }).sort({ order: 1 }).lean();
 
-        return NextResponse.json({ blocks: updatedBlocks });
+        // Broadcast the changes to other open editors of this page
+        publishBlockListChanges(pageId, previousBlocks, updatedBlocks, getClientId(request), page.revision);
+
+        return NextResponse.json({ blocks: updatedBlocks, revision: page.revision });
 
     } catch (error) {
         console.error('Sync blocks error:', error);
@@ -132,4 +182,16 @@ async function syncPageBlocks(request, { user, params }) {
     }
 }
 
+/**
+ * Whether a stored block differs from the incoming block data.
+ */
+function hasBlockChanged(previous, blockData) {
+    return (
+        previous.type !== blockData.type ||
+        previous.order !== blockData.order ||
+        (previous.backgroundColor ?? null) !== (blockData.backgroundColor ?? null) ||
+        JSON.stringify(previous.content) !== JSON.stringify(blockData.content)
+    );
+}
+
 export const PUT = withAuth(syncPageBlocks);
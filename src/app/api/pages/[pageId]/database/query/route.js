@@ -0,0 +1,68 @@
+/**
+ * Database Query API Route
+ * ========================
+ *
+ * POST /api/pages/[pageId]/database/query - Filtered, sorted rows of a database
+ *
+ * Filtering and sorting run in MongoDB, so only the requested slice of
+ * rows is sent. Expression format: services/databaseService.js.
+ * Requires authentication and page ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { queryDatabaseRows } from '@/services/databaseService';
+
+/**
+ * POST /api/pages/[pageId]/database/query
+ *
+ * Body: {
+ *   filter?: { and: [...] } | { or: [...] } | { property, operator, value },
+ *   sorts?: [{ property, direction: 'ascending' | 'descending' }],
+ *   limit?: number,   // default 100, max 500
+ *   offset?: number
+ * }
+ *
+ * Returns: { rows: [{ _id, title, propertyValues, revision, createdAt, updatedAt }], total, hasMore }
+ */
+async function queryRows(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json().catch(() => ({}));
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const database = await Page.findOne({ _id: pageId, userId: user._id, isDatabase: true }).lean();
+        if (!database) {
+            return NextResponse.json(
+                { error: 'Database not found' },
+                { status: 404 }
+            );
+        }
+
+        const result = await queryDatabaseRows(database, body);
+        if (result.error) {
+            return NextResponse.json({ error: result.error }, { status: 400 });
+        }
+
+        return NextResponse.json(result);
+    } catch (error) {
+        console.error('Query database error:', error);
+        return NextResponse.json(
+            { error: 'Failed to query database' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(queryRows);
@@ -0,0 +1,147 @@
+/**
+ * Database API Routes
+ * ===================
+ *
+ * PUT    /api/pages/[pageId]/database - Set the property schema (turns the page into a database)
+ * DELETE /api/pages/[pageId]/database - Turn a database back into a plain page
+ *
+ * A database's child pages are its rows (see services/databaseService.js).
+ * Requires authentication and page ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
+import { updateDatabaseSchema, removeDatabase } from '@/services/databaseService';
+
+function publishSchema(request, page) {
+    publishPageEvent(
+        page._id.toString(),
+        {
+            type: 'page.updated',
+            page: {
+                _id: page._id,
+                title: page.title,
+                isDatabase: page.isDatabase,
+                propertySchema: page.propertySchema ?? [],
+            },
+            revision: page.revision,
+        },
+        getClientId(request)
+    );
+}
+
+/**
+ * PUT /api/pages/[pageId]/database
+ * Replaces the property schema. Properties and options sent with their
+ * _id keep it (and their row values); new ones get an _id. Values of
+ * removed properties, of properties that changed type and of removed
+ * options are cleared from the rows.
+ *
+ * Body: {
+ *   properties: [{ _id?, name, type, options?: [{ _id?, name, color? }] }],
+ *   baseRevision?: number
+ * }
+ *
+ * Returns: { page }, or 409 with the current { page } for a stale baseRevision
+ */
+async function updateSchema(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json().catch(() => ({}));
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const baseRevision = getBaseRevision(request, body);
+        const result = await updateDatabaseSchema(page, body.properties, revisionFilter(baseRevision));
+        if (result.error) {
+            return NextResponse.json({ error: result.error }, { status: 400 });
+        }
+        if (!result.page) {
+            const currentPage = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+            return conflictResponse(
+                'This database was changed in another session.',
+                { page: currentPage }
+            );
+        }
+
+        publishSchema(request, result.page);
+
+        return NextResponse.json({ page: result.page });
+    } catch (error) {
+        console.error('Update database schema error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((e) => e.message);
+            return NextResponse.json({ error: messages.join(', ') }, { status: 400 });
+        }
+
+        return NextResponse.json(
+            { error: 'Failed to update database' },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/pages/[pageId]/database
+ * Drops the schema. The rows stay as ordinary sub-pages, without
+ * their property values.
+ *
+ * Returns: { page }
+ */
+async function deleteDatabase(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id, isDatabase: true }).lean();
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Database not found' },
+                { status: 404 }
+            );
+        }
+
+        const updated = await removeDatabase(page);
+        publishSchema(request, updated);
+
+        return NextResponse.json({ page: updated });
+    } catch (error) {
+        console.error('Delete database error:', error);
+        return NextResponse.json(
+            { error: 'Failed to convert database' },
+            { status: 500 }
+        );
+    }
+}
+
+export const PUT = withAuth(updateSchema);
+export const DELETE = withAuth(deleteDatabase);
@@ -0,0 +1,68 @@
+/**
+ * Database Rows API Route
+ * =======================
+ *
+ * POST /api/pages/[pageId]/database/rows - Add a row to a database
+ *
+ * A row is a sub-page of the database with property values. It is not
+ * linked from the database's content by a page block; the table view
+ * lists it. Requires authentication and page ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { createDatabaseRow } from '@/services/databaseService';
+
+/**
+ * POST /api/pages/[pageId]/database/rows
+ *
+ * Body: { title?: string, values?: { [propertyId]: value } }
+ * Returns: { row: Page }
+ */
+async function createRow(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json().catch(() => ({}));
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const database = await Page.findOne({ _id: pageId, userId: user._id, isDatabase: true }).lean();
+        if (!database) {
+            return NextResponse.json(
+                { error: 'Database not found' },
+                { status: 404 }
+            );
+        }
+
+        const result = await createDatabaseRow(database, body);
+        if (result.error) {
+            return NextResponse.json({ error: result.error }, { status: 400 });
+        }
+
+        return NextResponse.json({ row: result.row }, { status: 201 });
+    } catch (error) {
+        console.error('Create database row error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((e) => e.message);
+            return NextResponse.json({ error: messages.join(', ') }, { status: 400 });
+        }
+
+        return NextResponse.json(
+            { error: 'Failed to create row' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(createRow);
@@ -0,0 +1,80 @@
+/**
+ * Duplicate Page API Route
+ * ========================
+ *
+ * POST /api/pages/[pageId]/duplicate - Deep copy of a page
+ *
+ * Copies the page, all of its blocks and every live sub-page below it.
+ * Page blocks inside the copy link to the copied sub-pages, not the
+ * originals. A duplicated child page is added to the same parent, right
+ * after the original.
+ *
+ * Requires authentication and page ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { duplicatePageTree } from '@/services/pageService';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+
+/**
+ * POST /api/pages/[pageId]/duplicate
+ *
+ * Returns: { page, pageCount, block }
+ *   page      = the copy of the page
+ *   pageCount = pages copied (the page plus its sub-pages)
+ *   block     = new page block in the parent (null for a root page)
+ */
+async function duplicatePageHandler(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        if (page.parentPageId) await recordVersionBeforeWrite(page.parentPageId, user._id);
+
+        const { page: copy, pageCount, createdBlock } = await duplicatePageTree(page);
+
+        if (createdBlock) {
+            const revision = await Page.touch(page.parentPageId);
+            await recordPageVersion(page.parentPageId, 'edit');
+            publishPageEvent(
+                page.parentPageId,
+                { type: 'block.created', block: createdBlock, revision },
+                getClientId(request)
+            );
+        }
+
+        return NextResponse.json(
+            { page: copy, pageCount, block: createdBlock },
+            { status: 201 }
+        );
+    } catch (error) {
+        console.error('Duplicate page error:', error);
+        return NextResponse.json(
+            { error: 'Failed to duplicate page' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(duplicatePageHandler);
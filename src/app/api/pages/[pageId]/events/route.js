@@ -0,0 +1,122 @@
+/**
+ * Page Events API (Server-Sent Events)
+ * ====================================
+ *
+ * GET /api/pages/[pageId]/events - Live stream of block changes for a page
+ *
+ * Requires authentication and ownership of the page.
+ *
+ * Why SSE instead of WebSocket?
+ * - Route handlers can return a streaming Response natively
+ * - Writes already go through the REST endpoints, so the channel
+ *   only needs to flow server → client
+ * - EventSource reconnects automatically and sends the auth cookie
+ *
+ * Each message is a JSON-encoded event (see lib/realtime.js):
+ *   data: {"type":"block.updated","pageId":"...","origin":"...","block":{...}}
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { subscribeToPage } from '@/lib/realtime';
+
+// Streams must never be cached or statically rendered
+export const dynamic = 'force-dynamic';
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * GET /api/pages/[pageId]/events
+ * Opens an SSE stream that forwards every event published for the page.
+ */
+async function streamPageEvents(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id })
+            .select('_id')
+            .lean();
+
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const encoder = new TextEncoder();
+        let unsubscribe = null;
+        let heartbeat = null;
+
+        const cleanup = () => {
+            if (unsubscribe) unsubscribe();
+            if (heartbeat) clearInterval(heartbeat);
+            unsubscribe = null;
+            heartbeat = null;
+        };
+
+        const stream = new ReadableStream({
+            start(controller) {
+                const write = (chunk) => {
+                    try {
+                        controller.enqueue(encoder.encode(chunk));
+                    } catch {
+                        // Stream already closed by the client
+                        cleanup();
+                    }
+                };
+
+                // Ask EventSource to reconnect quickly after a dropped connection
+                write('retry: 3000\n\n');
+
+                unsubscribe = subscribeToPage(pageId, (event) => {
+                    write(`data: ${JSON.stringify(event)}\n\n`);
+                });
+
+                heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+                request.signal.addEventListener('abort', () => {
+                    cleanup();
+                    try {
+                        controller.close();
+                    } catch {
+                        // Already closed
+                    }
+                });
+            },
+            cancel() {
+                cleanup();
+            },
+        });
+
+        return new Response(stream, {
+            headers: {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no', // Disable nginx response buffering
+            },
+        });
+    } catch (error) {
+        console.error('Page events error:', error);
+        return NextResponse.json(
+            { error: 'Failed to open event stream' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(streamPageEvents);
@@ -0,0 +1,121 @@
+/**
+ * Page Export API Route
+ * =====================
+ *
+ * GET /api/pages/[pageId]/export?format=md                  - Page as Markdown
+ * GET /api/pages/[pageId]/export?format=md&recursive=true   - Page and sub-pages as a zip
+ * GET /api/pages/[pageId]/export?format=html                - Page as a standalone HTML file
+ * GET /api/pages/[pageId]/export?format=pdf                 - Page and sub-pages as a PDF
+ *
+ * Responses are file downloads (Content-Disposition: attachment).
+ * See services/exportService.js for how blocks map to Markdown and
+ * services/htmlExportService.js and services/pdfExportService.js for
+ * the HTML and PDF layouts.
+ *
+ * Requires authentication and page ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { exportPageMarkdown, exportPageTreeZip } from '@/services/exportService';
+import { exportPageHtml } from '@/services/htmlExportService';
+import { exportPagePdf } from '@/services/pdfExportService';
+
+const EXPORT_FORMATS = ['md', 'html', 'pdf'];
+
+/**
+ * Content-Disposition header with an ASCII fallback and the UTF-8 name.
+ */
+function attachment(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * GET /api/pages/[pageId]/export
+ *
+ * Query: format=md (default) | html | pdf, recursive=true to include sub-pages (md only;
+ *        a PDF always includes sub-pages, behind a table of contents)
+ * Returns: text/markdown, text/html or application/pdf file, or application/zip when recursive
+ */
+async function exportPage(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const { searchParams, origin } = new URL(request.url);
+        const format = searchParams.get('format') || 'md';
+        const recursive = searchParams.get('recursive') === 'true';
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return NextResponse.json(
+                { error: `Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}` },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        if (format === 'html') {
+            const { filename, content } = await exportPageHtml(page, { origin });
+            return new NextResponse(content, {
+                headers: {
+                    'Content-Type': 'text/html; charset=utf-8',
+                    'Content-Disposition': attachment(filename),
+                },
+            });
+        }
+
+        if (format === 'pdf') {
+            const { filename, data } = await exportPagePdf(page, { origin });
+            return new NextResponse(data, {
+                headers: {
+                    'Content-Type': 'application/pdf',
+                    'Content-Disposition': attachment(filename),
+                },
+            });
+        }
+
+        if (recursive) {
+            const { filename, data } = await exportPageTreeZip(page, { origin });
+            return new NextResponse(data, {
+                headers: {
+                    'Content-Type': 'application/zip',
+                    'Content-Disposition': attachment(filename),
+                },
+            });
+        }
+
+        const { filename, content } = await exportPageMarkdown(page, { origin });
+        return new NextResponse(content, {
+            headers: {
+                'Content-Type': 'text/markdown; charset=utf-8',
+                'Content-Disposition': attachment(filename),
+            },
+        });
+    } catch (error) {
+        console.error('Export page error:', error);
+        return NextResponse.json(
+            { error: 'Failed to export page' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(exportPage);
@@ -0,0 +1,142 @@
+/**
+ * Markdown Import API
+ * ===================
+ *
+ * POST /api/pages/[pageId]/import/markdown
+ *
+ * Parses Markdown (an uploaded .md file or pasted text) into blocks and
+ * appends them to the page in one batch: a single insert, one revision
+ * bump and one version snapshot. See utils/markdownParser.js for the
+ * supported syntax.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import Block from '@/models/Block';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { generateNKeysBetween } from '@/utils/fractionalIndex';
+import { parseMarkdown, extractTitle, MAX_IMPORT_BLOCKS } from '@/utils/markdownParser';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+
+// Largest Markdown document accepted (characters)
+const MAX_MARKDOWN_LENGTH = 1_000_000;
+
+/**
+ * POST /api/pages/[pageId]/import/markdown
+ *
+ * Body: {
+ *   markdown: string,
+ *   filename?: string   // Used as the page title when there is no `# Title`
+ * }
+ *
+ * An "Untitled" page takes its title from a leading `# Title` line (which
+ * is then not imported as a block) or from the file name.
+ *
+ * Returns: { success, importedCount, blocks, updatedTitle, revision }
+ */
+async function importMarkdown(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json().catch(() => ({}));
+        const { markdown, filename } = body;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json({ error: 'Invalid page ID' }, { status: 400 });
+        }
+        if (typeof markdown !== 'string' || !markdown.trim()) {
+            return NextResponse.json({ error: 'Markdown content is required' }, { status: 400 });
+        }
+        if (markdown.length > MAX_MARKDOWN_LENGTH) {
+            return NextResponse.json({ error: 'Markdown document is too large' }, { status: 413 });
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id });
+        if (!page) {
+            return NextResponse.json({ error: 'Page not found' }, { status: 404 });
+        }
+
+        let blocks = parseMarkdown(markdown);
+
+        // Name an untitled page after the document
+        let updatedTitle = null;
+        if (!page.title || page.title.trim() === 'Untitled') {
+            const extracted = extractTitle(blocks);
+            const fileTitle = typeof filename === 'string'
+                ? filename.replace(/\.(md|markdown|txt)$/i, '').trim()
+                : '';
+
+            if (extracted.title) {
+                updatedTitle = extracted.title.slice(0, 200);
+                blocks = extracted.blocks;
+            } else if (fileTitle) {
+                updatedTitle = fileTitle.slice(0, 200);
+            }
+        }
+
+        if (blocks.length === 0 && !updatedTitle) {
+            return NextResponse.json({ error: 'Nothing to import' }, { status: 400 });
+        }
+        if (blocks.length > MAX_IMPORT_BLOCKS) {
+            return NextResponse.json(
+                { error: `Documents with more than ${MAX_IMPORT_BLOCKS} blocks cannot be imported` },
+                { status: 400 }
+            );
+        }
+
+        await recordVersionBeforeWrite(pageId, user._id);
+
+        // Order keys after the last block of the page
+        let inserted = [];
+        if (blocks.length > 0) {
+            const firstOrder = await Block.getNextOrder(pageId);
+            const orderKeys = [firstOrder, ...generateNKeysBetween(firstOrder, null, blocks.length - 1)];
+
+            const docs = await Block.insertMany(blocks.map((block, index) => ({
+                pageId,
+                type: block.type,
+                content: block.content,
+                order: orderKeys[index],
+            })));
+            inserted = docs.map((doc) => doc.toObject());
+        }
+
+        if (updatedTitle) {
+            await Page.updateOne({ _id: pageId }, { $set: { title: updatedTitle } });
+        }
+
+        const revision = await Page.touch(pageId);
+        await recordPageVersion(pageId, 'import');
+
+        const origin = getClientId(request);
+        inserted.forEach((block) => {
+            publishPageEvent(pageId, { type: 'block.created', block, revision }, origin);
+        });
+        if (updatedTitle) {
+            publishPageEvent(pageId, { type: 'page.updated', page: { _id: pageId, title: updatedTitle } }, origin);
+        }
+
+        return NextResponse.json({
+            success: true,
+            importedCount: inserted.length,
+            blocks: inserted,
+            updatedTitle,
+            revision,
+        });
+    } catch (error) {
+        console.error('Markdown import error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((e) => e.message);
+            return NextResponse.json({ error: messages.join(', ') }, { status: 400 });
+        }
+
+        return NextResponse.json({ error: 'Failed to import Markdown' }, { status: 500 });
+    }
+}
+
+export const POST = withAuth(importMarkdown);
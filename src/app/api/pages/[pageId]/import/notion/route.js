@@ -0,0 +1,93 @@
+/**
+ * Notion Import API Route
+ * =======================
+ *
+ * POST /api/pages/[pageId]/import/notion
+ *
+ * Imports a Notion "Markdown & CSV" export zip as sub-pages of the page.
+ * The Notion page hierarchy is rebuilt below it, images are re-uploaded,
+ * and the response includes a per-page report of anything that could
+ * not be converted. See services/notionImportService.js.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { readNotionZip, importNotionExport, MAX_NOTION_ZIP_BYTES } from '@/services/notionImportService';
+
+/**
+ * POST /api/pages/[pageId]/import/notion
+ *
+ * Body: multipart/form-data with `file` (the export .zip)
+ *
+ * Returns: {
+ *   success, pageCount, blockCount, imageCount,
+ *   blocks,     // page blocks added to this page (top-level Notion pages)
+ *   revision,
+ *   report: [{ pageId, title, path, issues: string[] }]
+ * }
+ */
+async function importNotion(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json({ error: 'Invalid page ID' }, { status: 400 });
+        }
+
+        const formData = await request.formData().catch(() => null);
+        const file = formData?.get('file');
+        if (!file || typeof file === 'string') {
+            return NextResponse.json({ error: 'No file provided' }, { status: 400 });
+        }
+        if (file.size > MAX_NOTION_ZIP_BYTES) {
+            return NextResponse.json({ error: 'Export file is too large' }, { status: 413 });
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id }).select('_id').lean();
+        if (!page) {
+            return NextResponse.json({ error: 'Page not found' }, { status: 404 });
+        }
+
+        const { files, error: zipError } = readNotionZip(new Uint8Array(await file.arrayBuffer()));
+        if (zipError) {
+            return NextResponse.json({ error: zipError }, { status: 400 });
+        }
+
+        await recordVersionBeforeWrite(pageId, user._id);
+
+        const result = await importNotionExport(files, { userId: user._id, parentPageId: page._id });
+        if (result.error) {
+            return NextResponse.json({ error: result.error }, { status: 400 });
+        }
+
+        const revision = await Page.touch(pageId);
+        await recordPageVersion(pageId, 'import');
+
+        const origin = getClientId(request);
+        result.createdBlocks.forEach((block) => {
+            publishPageEvent(pageId, { type: 'block.created', block, revision }, origin);
+        });
+
+        return NextResponse.json({
+            success: true,
+            pageCount: result.pageCount,
+            blockCount: result.blockCount,
+            imageCount: result.imageCount,
+            blocks: result.createdBlocks,
+            revision,
+            report: result.report,
+        }, { status: 201 });
+    } catch (error) {
+        console.error('Notion import error:', error);
+        return NextResponse.json({ error: 'Failed to import Notion export' }, { status: 500 });
+    }
+}
+
+export const POST = withAuth(importNotion);
@@ -5,6 +5,19 @@
  * POST /api/pages/[pageId]/import
  * 
  * Imports up to 50 blocks from a public page into the current authenticated user's page.
+ *
+ * With `recursive: true` the whole public tree is copied instead: all
+ * blocks of the source page, plus its public sub-pages (recreated as
+ * sub-pages of this page, with page links rewritten). See
+ * services/publicImportService.js.
+ *
+ * Body: { sourcePageId, recursive?: boolean, dryRun?: boolean }
+ *
+ * - dryRun (recursive only): nothing is written; returns
+ *   { dryRun: true, pageCount, blockCount, skippedLinks, pages: [{ sourcePageId, title, depth, blockCount }] }
+ * - Accept: application/x-ndjson (recursive only): the response streams one
+ *   JSON object per line, { type: 'progress', pagesDone, pagesTotal, blocksDone }
+ *   while importing, then { type: 'done', ...result } or { type: 'error', error }
  */
 
 import { NextResponse } from 'next/server';
@@ -13,12 +26,109 @@ import connectDB from '@/lib/db';
 import Page from '@/models/Page';
 import Block from '@/models/Block';
 import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { generateNKeysBetween } from '@/utils/fractionalIndex';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { copyAttachments } from '@/services/uploadService';
+import {
+    collectPublicTree,
+    planPublicImport,
+    summarizePlan,
+    applyPublicImport,
+} from '@/services/publicImportService';
+
+/**
+ * Gives an untitled target page the source page's title.
+ *
+ * @returns {Promise<string|null>} The new title, or null if unchanged
+ */
+async function adoptSourceTitle(targetPage, sourcePage) {
+    if (!targetPage.title || targetPage.title.trim() === 'Untitled' || targetPage.title.trim() === '') {
+        const newTitle = sourcePage.title || 'Imported Page';
+        await Page.updateOne({ _id: targetPage._id }, { $set: { title: newTitle } });
+        return newTitle;
+    }
+    return null;
+}
+
+/**
+ * Recursive import: the source page and its public descendants.
+ */
+async function importTree(request, { targetPage, sourcePage, userId, dryRun }) {
+    const targetPageId = targetPage._id.toString();
+
+    const { nodes, error } = await collectPublicTree(sourcePage);
+    if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const plan = planPublicImport(nodes, targetPageId, await Block.getNextOrder(targetPageId));
+    const summary = summarizePlan(plan);
+    if (summary.blockCount === 0) {
+        return NextResponse.json({ error: 'Source page has no blocks' }, { status: 400 });
+    }
+    if (dryRun) {
+        return NextResponse.json({ dryRun: true, ...summary });
+    }
+
+    const run = async (onProgress) => {
+        await recordVersionBeforeWrite(targetPageId, userId);
+
+        const result = await applyPublicImport(plan, { userId, sourceUserId: sourcePage.userId, onProgress });
+        const updatedTitle = await adoptSourceTitle(targetPage, sourcePage);
+
+        const revision = await Page.touch(targetPageId);
+        await recordPageVersion(targetPageId, 'import');
+
+        const origin = getClientId(request);
+        result.createdBlocks.forEach((block) => {
+            publishPageEvent(targetPageId, { type: 'block.created', block, revision }, origin);
+        });
+
+        return {
+            success: true,
+            importedCount: result.blockCount,
+            pageCount: result.pageCount,
+            skippedLinks: result.skippedLinks,
+            blocks: result.createdBlocks,
+            updatedTitle,
+            revision,
+        };
+    };
+
+    if (!request.headers.get('accept')?.includes('application/x-ndjson')) {
+        return NextResponse.json(await run());
+    }
+
+    // Progress stream: one JSON object per line
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+        async start(controller) {
+            const send = (event) => controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+            try {
+                const result = await run((progress) => send({ type: 'progress', ...progress }));
+                send({ type: 'done', ...result });
+            } catch (error) {
+                console.error('Recursive import error:', error);
+                send({ type: 'error', error: 'Failed to import pages' });
+            }
+            controller.close();
+        },
+    });
+
+    return new NextResponse(stream, {
+        headers: {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-store',
+        },
+    });
+}
 
 async function importBlocks(request, { user, params }) {
     try {
         const { pageId: targetPageId } = await params;
         const body = await request.json();
-        const { sourcePageId } = body;
+        const { sourcePageId, recursive = false, dryRun = false } = body;
 
         // Validation
         if (!targetPageId || !mongoose.Types.ObjectId.isValid(targetPageId)) {
@@ -48,6 +158,15 @@ async function importBlocks(request, { user, params }) {
             return NextResponse.json({ error: 'Source page is not public' }, { status: 403 });
         }
 
+        if (recursive) {
+            return importTree(request, {
+                targetPage,
+                sourcePage,
+                userId: user._id,
+                dryRun: dryRun === true,
+            });
+        }
+
         // Fetch source blocks (max 50, excluding child pages)
         const sourceBlocks = await Block.find({ pageId: sourcePageId, type: { $ne: 'page' } })
             .sort({ order: 1 })
@@ -58,26 +177,24 @@ async function importBlocks(request, { user, params }) {
             return NextResponse.json({ error: 'Source page has no blocks' }, { status: 400 });
         }
 
-        // Fetch target blocks to determine highest order
-        const targetBlocksLast = await Block.find({ pageId: targetPageId })
-            .sort({ order: -1 })
-            .limit(1)
-            .lean();
+        await recordVersionBeforeWrite(targetPageId, user._id);
 
-        let currentHighestOrder = targetBlocksLast.length > 0 ? targetBlocksLast[0].order : -1;
+        // Order keys after the last block of the target page
+        const firstOrder = await Block.getNextOrder(targetPageId);
+        const orderKeys = [firstOrder, ...generateNKeysBetween(firstOrder, null, sourceBlocks.length - 1)];
 
         // Prepare bulk insert for cloned blocks
-        const clonedBlocks = sourceBlocks.map((block) => {
-            currentHighestOrder++;
+        // Attachments are copied for the importing user, who couldn't download the source owner's files
+        const clonedBlocks = await copyAttachments(sourceBlocks.map((block, index) => {
             return {
                 pageId: targetPageId,
                 type: block.type,
                 content: block.content,
-                order: currentHighestOrder,
+                order: orderKeys[index],
                 backgroundColor: block.backgroundColor, // Preserve background styling
                 // We omit _id, createdAt, updatedAt as Mongoose handles them
             };
-        });
+        }), { userId: user._id, sourceUserId: sourcePage.userId });
 
         // Execute bulk insert
         let newlyInsertedBlocks = [];
@@ -86,16 +203,13 @@ async function importBlocks(request, { user, params }) {
             newlyInsertedBlocks = result.map(doc => doc.toObject());
         }
 
+
         // Update target page title if it is "Untitled" or empty
-        let updatedTitle = null;
-        if (!targetPage.title || targetPage.title.trim() === 'Untitled' || targetPage.title.trim() === '') {
-            const newTitle = sourcePage.title || 'Imported Page';
-            await Page.updateOne({ _id: targetPageId }, { $set: { title: newTitle } });
-            updatedTitle = newTitle;
-        }
+        const updatedTitle = await adoptSourceTitle(targetPage, sourcePage);
 
-        // Update page timestamp
-        await Page.findByIdAndUpdate(targetPageId, { updatedAt: new Date() });
+        // Update page timestamp and revision
+        const revision = await Page.touch(targetPageId);
+        await recordPageVersion(targetPageId, 'import');
 
         // Enrich the return blocks similarly to standard getter (for page blocks titles)
         // If there are 'page' type blocks in the imported batch, their linked pages
@@ -103,11 +217,18 @@ async function importBlocks(request, { user, params }) {
         // We'll just return the raw inserts and let the frontend refetch or handle it
         // cleanly without deep DB enrichment for speed, since we are returning the immediate append.
 
+        // Broadcast the appended blocks to other open editors
+        const origin = getClientId(request);
+        newlyInsertedBlocks.forEach((block) => {
+            publishPageEvent(targetPageId, { type: 'block.created', block, revision }, origin);
+        });
+
         return NextResponse.json({
             success: true,
             importedCount: clonedBlocks.length,
             blocks: newlyInsertedBlocks,
-            updatedTitle
+            updatedTitle,
+            revision
         });
 
     } catch (error) {
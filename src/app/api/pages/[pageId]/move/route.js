@@ -0,0 +1,163 @@
+/**
+ * Move Page API Route
+ * ===================
+ *
+ * POST /api/pages/[pageId]/move - Move a page under another parent
+ *
+ * Turns a root page into a child, promotes a child to the top level
+ * (parentPageId: null) or moves it under a different parent. Used by
+ * drag-and-drop in the sidebar tree.
+ *
+ * The page block linking the page is removed from the old parent and
+ * added to the new one, so the parent pages' content always matches the
+ * tree. Editors open on the moved page or its sub-pages get a
+ * `page.moved` event and rebuild their breadcrumb.
+ *
+ * Requires authentication and ownership of both pages.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { movePage, isSameOrDescendant, getDescendantPageIds } from '@/services/pageService';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+
+/**
+ * POST /api/pages/[pageId]/move
+ *
+ * Body: {
+ *   parentPageId: ObjectId | null,  // New parent, null = top level
+ *   afterBlockId?: ObjectId         // Place the page block after this block
+ * }
+ *
+ * Returns: { page, oldParentId, block }  // block = new page block in the parent
+ *
+ * Errors: 400 when the target is the page itself or one of its sub-pages
+ */
+async function movePageHandler(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json();
+        const newParentId = body.parentPageId || null;
+        const afterBlockId = body.afterBlockId || null;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        if (newParentId && !mongoose.Types.ObjectId.isValid(newParentId)) {
+            return NextResponse.json(
+                { error: 'Invalid parent page ID' },
+                { status: 400 }
+            );
+        }
+
+        if (afterBlockId && !mongoose.Types.ObjectId.isValid(afterBlockId)) {
+            return NextResponse.json(
+                { error: 'Invalid block ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        if (newParentId) {
+            const parent = await Page.exists({ _id: newParentId, userId: user._id });
+            if (!parent) {
+                return NextResponse.json(
+                    { error: 'Parent page not found' },
+                    { status: 404 }
+                );
+            }
+
+            // A page can't be moved into itself or one of its own sub-pages
+            if (await isSameOrDescendant(newParentId, pageId)) {
+                return NextResponse.json(
+                    { error: 'A page cannot be moved inside itself' },
+                    { status: 400 }
+                );
+            }
+        }
+
+        for (const parentId of [page.parentPageId, newParentId]) {
+            if (parentId) await recordVersionBeforeWrite(parentId, user._id);
+        }
+
+        const { page: moved, oldParentId, removedBlocks, createdBlock } = await movePage(
+            page,
+            newParentId,
+            { afterBlockId }
+        );
+
+        // Keep both parents' content (and their open editors) in sync
+        const origin = getClientId(request);
+
+        const removedByParent = new Map();
+        removedBlocks.forEach((block) => {
+            const parentId = block.pageId.toString();
+            if (!removedByParent.has(parentId)) removedByParent.set(parentId, []);
+            removedByParent.get(parentId).push(block);
+        });
+
+        for (const [parentId, blocks] of removedByParent) {
+            const revision = await Page.touch(parentId);
+            await recordPageVersion(parentId, 'edit');
+            blocks.forEach((block) => {
+                publishPageEvent(
+                    parentId,
+                    { type: 'block.deleted', blockId: block._id.toString(), revision },
+                    origin
+                );
+            });
+        }
+
+        if (createdBlock) {
+            const revision = await Page.touch(newParentId);
+            await recordPageVersion(newParentId, 'edit');
+            publishPageEvent(
+                newParentId,
+                { type: 'block.created', block: createdBlock, revision },
+                origin
+            );
+        }
+
+        // Breadcrumbs change for the page and everything below it.
+        // Sent without origin so the tab that made the move updates too.
+        if (String(oldParentId) !== String(moved.parentPageId)) {
+            const movedIds = [moved._id, ...(await getDescendantPageIds(user._id, moved._id))];
+            const event = {
+                type: 'page.moved',
+                page: { _id: moved._id.toString(), parentPageId: moved.parentPageId },
+            };
+            movedIds.forEach((id) => publishPageEvent(id, event));
+        }
+
+        return NextResponse.json({
+            page: moved,
+            oldParentId,
+            block: createdBlock,
+        });
+    } catch (error) {
+        console.error('Move page error:', error);
+        return NextResponse.json(
+            { error: 'Failed to move page' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(movePageHandler);
@@ -0,0 +1,169 @@
+/**
+ * Block Operations API Route
+ * ==========================
+ *
+ * POST /api/pages/[pageId]/operations - Apply an operation log to a page's blocks
+ *
+ * Requires authentication.
+ * Validates that the user owns the target page.
+ *
+ * Why an operation log instead of the PUT sync?
+ * - The editor only sends what changed, so saving a long page is cheap
+ * - Blocks that were never loaded (lazy pagination) are never sent back,
+ *   so they can't be lost by a save
+ * - Operations reference blocks by id, so edits to different blocks by
+ *   different editors don't overwrite each other
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import Block from '@/models/Block';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
+import { applyBlockOperations, OPERATION_TYPES } from '@/services/blockService';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+
+// Upper bound for a single save; the editor saves far fewer
+const MAX_OPERATIONS = 1000;
+
+/**
+ * POST /api/pages/[pageId]/operations
+ * Applies insert/update/delete/move operations in order.
+ *
+ * Body: {
+ *   ops: [
+ *     { op: 'insert', id: 'temp-1', afterId: '...', type: 'paragraph', content: {...} },
+ *     { op: 'update', id: '...', content: {...} },
+ *     { op: 'delete', id: '...' },
+ *     { op: 'move', id: '...', afterId: null }
+ *   ],
+ *   baseRevision?: number  // or If-Match header
+ * }
+ *
+ * See applyBlockOperations() for the placement rules.
+ *
+ * Returns: {
+ *   idMap: { [tempId]: newId },  // ids assigned to inserted blocks
+ *   blocks: [...],               // blocks written by this request
+ *   revision: number
+ * }
+ *
+ * A stale base revision returns 409 with { page, blocks } like the sync endpoint.
+ */
+async function applyOperations(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json();
+        const { ops } = body;
+
+        if (!pageId || !mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json({ error: 'Invalid page ID' }, { status: 400 });
+        }
+
+        const validationError = validateOperations(ops);
+        if (validationError) {
+            return NextResponse.json({ error: validationError }, { status: 400 });
+        }
+
+        await connectDB();
+
+        await recordVersionBeforeWrite(pageId, user._id);
+
+        // Verify ownership and claim the next revision in one atomic step
+        const baseRevision = getBaseRevision(request, body);
+        const page = await Page.findOneAndUpdate(
+            { _id: pageId, userId: user._id, ...revisionFilter(baseRevision) },
+            { $set: { updatedAt: new Date() }, $inc: { revision: 1 } },
+            { new: true }
+        );
+
+        if (!page) {
+            const currentPage = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+            if (!currentPage) {
+                return NextResponse.json({ error: 'Page not found' }, { status: 404 });
+            }
+
+            const currentBlocks = await Block.find({ pageId }).sort({ order: 1 }).lean();
+            return conflictResponse(
+                'This page was changed in another session. Review the latest version before saving.',
+                { page: currentPage, blocks: currentBlocks }
+            );
+        }
+
+        const result = await applyBlockOperations(pageId, ops);
+        await recordPageVersion(pageId, 'edit');
+
+        const writtenBlocks = result.writtenIds.length > 0
+            ? await Block.find({ _id: { $in: result.writtenIds } }).sort({ order: 1 }).lean()
+            : [];
+
+        // Broadcast the changes to other open editors of this page
+        const origin = getClientId(request);
+        const insertedIds = new Set(Object.values(result.idMap));
+        const revision = page.revision;
+
+        writtenBlocks.forEach((block) => {
+            publishPageEvent(
+                pageId,
+                {
+                    type: insertedIds.has(block._id.toString()) ? 'block.created' : 'block.updated',
+                    block,
+                    revision,
+                },
+                origin
+            );
+        });
+        result.deletedIds.forEach((blockId) => {
+            publishPageEvent(pageId, { type: 'block.deleted', blockId, revision }, origin);
+        });
+        if (result.reordered) {
+            publishPageEvent(pageId, { type: 'blocks.reordered', blockIds: result.blockIds, revision }, origin);
+        }
+
+        return NextResponse.json({
+            idMap: result.idMap,
+            blocks: writtenBlocks,
+            revision,
+        });
+    } catch (error) {
+        console.error('Apply operations error:', error);
+        return NextResponse.json({ error: 'Failed to save changes' }, { status: 500 });
+    }
+}
+
+/**
+ * Validates the shape of an operation log.
+ * Returns an error message, or null when valid.
+ */
+function validateOperations(ops) {
+    if (!Array.isArray(ops) || ops.length === 0) {
+        return 'ops must be a non-empty array';
+    }
+
+    if (ops.length > MAX_OPERATIONS) {
+        return `A save can contain at most ${MAX_OPERATIONS} operations`;
+    }
+
+    const blockTypes = Block.schema.path('type').enumValues;
+
+    for (const op of ops) {
+        if (!op || !OPERATION_TYPES.includes(op.op)) {
+            return `Invalid operation: ${op?.op}`;
+        }
+
+        if (!op.id || typeof op.id !== 'string') {
+            return 'Every operation needs a block id';
+        }
+
+        if (op.type !== undefined && !blockTypes.includes(op.type)) {
+            return `Invalid block type: ${op.type}`;
+        }
+    }
+
+    return null;
+}
+
+export const POST = withAuth(applyOperations);
@@ -0,0 +1,103 @@
+/**
+ * Page Properties API Route
+ * =========================
+ *
+ * PATCH /api/pages/[pageId]/properties - Set property values of a database row
+ *
+ * Values are checked against the schema of the row's parent database
+ * (see services/databaseService.js). Requires authentication and page
+ * ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
+import { buildRowValuesUpdate } from '@/services/databaseService';
+
+/**
+ * PATCH /api/pages/[pageId]/properties
+ * Only the properties listed are changed; an empty value (null, '',
+ * [] or an unchecked box) clears one.
+ *
+ * Body: { values: { [propertyId]: value }, baseRevision?: number }
+ * Returns: { page }, or 409 with the current { page } for a stale baseRevision
+ */
+async function updateProperties(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const body = await request.json().catch(() => ({}));
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const row = await Page.findOne({ _id: pageId, userId: user._id }).select('parentPageId').lean();
+        if (!row) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const database = row.parentPageId
+            ? await Page.findOne({ _id: row.parentPageId, userId: user._id, isDatabase: true })
+                .select('propertySchema')
+                .lean()
+            : null;
+        if (!database) {
+            return NextResponse.json(
+                { error: 'This page is not in a database' },
+                { status: 400 }
+            );
+        }
+
+        const { update, error } = buildRowValuesUpdate(database, body.values);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const baseRevision = getBaseRevision(request, body);
+        const page = await Page.findOneAndUpdate(
+            { _id: pageId, userId: user._id, ...revisionFilter(baseRevision) },
+            { ...update, $inc: { revision: 1 } },
+            { new: true }
+        ).lean();
+
+        if (!page) {
+            const currentPage = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+            return conflictResponse(
+                'This page was changed in another session.',
+                { page: currentPage }
+            );
+        }
+
+        publishPageEvent(
+            pageId,
+            {
+                type: 'page.updated',
+                page: { _id: page._id, title: page.title, propertyValues: page.propertyValues ?? {} },
+                revision: page.revision,
+            },
+            getClientId(request)
+        );
+
+        return NextResponse.json({ page });
+    } catch (error) {
+        console.error('Update page properties error:', error);
+        return NextResponse.json(
+            { error: 'Failed to update properties' },
+            { status: 500 }
+        );
+    }
+}
+
+export const PATCH = withAuth(updateProperties);
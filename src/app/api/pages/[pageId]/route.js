@@ -4,7 +4,7 @@
  * 
  * GET    /api/pages/[pageId] - Get page with blocks
  * PATCH  /api/pages/[pageId] - Update page title
- * DELETE /api/pages/[pageId] - Delete page and blocks
+ * DELETE /api/pages/[pageId] - Move page (and its child pages) to the trash
  * 
  * All routes require authentication and ownership validation.
  */
@@ -13,9 +13,12 @@ import { NextResponse } from 'next/server';
 import mongoose from 'mongoose';
 import connectDB from '@/lib/db';
 import Page from '@/models/Page';
-import Block from '@/models/Block';
 import { withAuth } from '@/lib/withAuth';
 import { getPaginatedBlocks } from '@/services/blockService';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+import { trashPageTree } from '@/services/trashService';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
 
 /**
  * Helper to validate ObjectId format.
@@ -86,7 +89,10 @@ async function getPage(request, { user, params }) {
  * PATCH /api/pages/[pageId]
  * Updates page metadata (currently just title).
  * 
- * Body: { title: string }
+ * Body: { title: string, baseRevision?: number }
+ * 
+ * With a base revision (body or If-Match header), a stale write
+ * returns 409 with the current { page }.
  */
 async function updatePage(request, { user, params }) {
     try {
@@ -102,20 +108,43 @@ async function updatePage(request, { user, params }) {
 
         await connectDB();
 
-        // Find and update with ownership check
+        await recordVersionBeforeWrite(pageId, user._id);
+
+        // Find and update with ownership (and revision) check
+        const baseRevision = getBaseRevision(request, body);
         const page = await Page.findOneAndUpdate(
-            { _id: pageId, userId: user._id },
-            { $set: { title: body.title } },
+            { _id: pageId, userId: user._id, ...revisionFilter(baseRevision) },
+            { $set: { title: body.title }, $inc: { revision: 1 } },
             { new: true, runValidators: true }
         );
 
         if (!page) {
-            return NextResponse.json(
-                { error: 'Page not found' },
-                { status: 404 }
+            const currentPage = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+            if (!currentPage) {
+                return NextResponse.json(
+                    { error: 'Page not found' },
+                    { status: 404 }
+                );
+            }
+
+            return conflictResponse(
+                'This page was changed in another session.',
+                { page: currentPage }
             );
         }
 
+        await recordPageVersion(pageId, 'edit');
+
+        publishPageEvent(
+            pageId,
+            {
+                type: 'page.updated',
+                page: { _id: page._id, title: page.title },
+                revision: page.revision,
+            },
+            getClientId(request)
+        );
+
         return NextResponse.json({ page: page.toJSON() });
     } catch (error) {
         console.error('Update page error:', error);
@@ -134,12 +163,12 @@ async function updatePage(request, { user, params }) {
 
 /**
  * DELETE /api/pages/[pageId]
- * Deletes the page, all its blocks, AND all descendant child pages recursively.
- * Also removes any page blocks in the parent that reference this page.
+ * Moves the page AND all its descendant child pages to the trash.
+ * The page block in the parent that references this page goes with it.
  * 
- * RECURSIVE DELETION:
- * - Prevents orphan pages when a page with nested children is deleted
- * - All operations happen on the backend in a single request
+ * Trashed pages can be restored (or purged) from the trash, see
+ * /api/trash. Everything trashed here shares one timestamp, so the
+ * whole subtree comes back together.
  */
 async function deletePage(request, { user, params }) {
     try {
@@ -167,32 +196,30 @@ async function deletePage(request, { user, params }) {
             );
         }
 
-        // Collect all page IDs to delete (this page + all descendants)
-        const pagesToDelete = await collectDescendantPages(pageId, user._id);
-
-        // Delete all blocks for all pages being deleted
-        await Block.deleteMany({ pageId: { $in: pagesToDelete } });
-
-        // Delete all pages
-        await Page.deleteMany({ _id: { $in: pagesToDelete } });
-
-        // If this was a child page, remove the page block from parent
-        if (page.parentPageId) {
-            // Convert pageId to string for Mixed field comparison
-            const pageIdStr = pageId.toString();
-            await Block.deleteMany({
-                pageId: page.parentPageId,
-                type: 'page',
-                $or: [
-                    { 'content.pageId': pageId },
-                    { 'content.pageId': pageIdStr },
-                ],
+        if (page.parentPageId) await recordVersionBeforeWrite(page.parentPageId, user._id);
+
+        // Trash this page + all descendants
+        const { pageIds, removedBlocks } = await trashPageTree(page);
+
+        // If this was a child page, its page block left the parent
+        if (page.parentPageId && removedBlocks.length > 0) {
+            const revision = await Page.touch(page.parentPageId);
+            await recordPageVersion(page.parentPageId, 'edit');
+
+            // Let editors of the parent page drop the page block live
+            const origin = getClientId(request);
+            removedBlocks.forEach((block) => {
+                publishPageEvent(
+                    page.parentPageId,
+                    { type: 'block.deleted', blockId: block._id.toString(), revision },
+                    origin
+                );
             });
         }
 
         return NextResponse.json({
-            message: 'Page deleted successfully',
-            deletedCount: pagesToDelete.length,
+            message: 'Page moved to trash',
+            deletedCount: pageIds.length,
             parentPageId: page.parentPageId || null,
         });
     } catch (error) {
@@ -204,28 +231,6 @@ async function deletePage(request, { user, params }) {
     }
 }
 
-/**
- * Recursively collects all descendant page IDs.
- * Used for cascade deletion of nested pages.
- */
-async function collectDescendantPages(pageId, userId) {
-    const allIds = [pageId];
-
-    // Find immediate children
-    const children = await Page.find({
-        parentPageId: pageId,
-        userId: userId,
-    }).select('_id').lean();
-
-    // Recursively collect grandchildren (limit depth to 10 for safety)
-    for (const child of children) {
-        const childDescendants = await collectDescendantPages(child._id, userId);
-        allIds.push(...childDescendants);
-    }
-
-    return allIds;
-}
-
 // Export wrapped handlers
 export const GET = withAuth(getPage);
 export const PATCH = withAuth(updatePage);
@@ -0,0 +1,110 @@
+/**
+ * Restore Page Version API Route
+ * ==============================
+ *
+ * POST /api/pages/[pageId]/versions/[versionId]/restore
+ *
+ * Puts the page title and blocks back to a stored version.
+ * The state before the restore is saved as a version first, so a
+ * restore can itself be undone from the history panel.
+ *
+ * Requires authentication and ownership of the page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import PageVersion from '@/models/PageVersion';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent, publishBlockListChanges } from '@/lib/realtime';
+import { getBaseRevision, revisionFilter, conflictResponse } from '@/lib/concurrency';
+import { restorePageVersion, recordPageVersion, recordVersionBeforeWrite } from '@/services/versionService';
+
+/**
+ * POST /api/pages/[pageId]/versions/[versionId]/restore
+ *
+ * Body (optional): { baseRevision?: number }  // or If-Match header
+ *
+ * Returns: { page, blocks, revision }
+ */
+async function restoreVersion(request, { user, params }) {
+    try {
+        const { pageId, versionId } = await params;
+        const body = await request.json().catch(() => ({}));
+
+        if (!mongoose.Types.ObjectId.isValid(pageId) || !mongoose.Types.ObjectId.isValid(versionId)) {
+            return NextResponse.json(
+                { error: 'Invalid ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const version = await PageVersion.findOne({ _id: versionId, pageId }).lean();
+        const ownedPage = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+
+        if (!ownedPage || !version) {
+            return NextResponse.json(
+                { error: ownedPage ? 'Version not found' : 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const baseRevision = getBaseRevision(request, body);
+        if (baseRevision !== null && (ownedPage.revision ?? 0) !== baseRevision) {
+            return conflictResponse('This page was changed in another session.', { page: ownedPage });
+        }
+
+        // Keep the current state recoverable
+        await recordVersionBeforeWrite(pageId, user._id);
+
+        // Claim the next revision (conditional on the base revision, if sent)
+        const page = await Page.findOneAndUpdate(
+            { _id: pageId, userId: user._id, ...revisionFilter(baseRevision) },
+            { $set: { title: version.title }, $inc: { revision: 1 } },
+            { new: true }
+        );
+
+        if (!page) {
+            return conflictResponse(
+                'This page was changed in another session.',
+                { page: await Page.findById(pageId).lean() }
+            );
+        }
+
+        const { before, after } = await restorePageVersion(pageId, version);
+
+        await recordPageVersion(pageId, 'restore', { force: true });
+
+        // Let other open editors pick up the restored state
+        const origin = getClientId(request);
+        publishBlockListChanges(pageId, before, after, origin, page.revision);
+        if (ownedPage.title !== page.title) {
+            publishPageEvent(
+                pageId,
+                {
+                    type: 'page.updated',
+                    page: { _id: page._id, title: page.title },
+                    revision: page.revision,
+                },
+                origin
+            );
+        }
+
+        return NextResponse.json({
+            page: page.toJSON(),
+            blocks: after,
+            revision: page.revision,
+        });
+    } catch (error) {
+        console.error('Restore version error:', error);
+        return NextResponse.json(
+            { error: 'Failed to restore version' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(restoreVersion);
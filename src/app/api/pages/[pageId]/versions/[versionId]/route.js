@@ -0,0 +1,65 @@
+/**
+ * Single Page Version API Route
+ * =============================
+ *
+ * GET /api/pages/[pageId]/versions/[versionId] - Get a version with its blocks
+ *
+ * Requires authentication and ownership of the page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import PageVersion from '@/models/PageVersion';
+import { withAuth } from '@/lib/withAuth';
+
+/**
+ * GET /api/pages/[pageId]/versions/[versionId]
+ *
+ * Returns: { version: { _id, title, reason, blocks: [{ blockId, type, content, order, backgroundColor }], ... } }
+ */
+async function getVersion(request, { user, params }) {
+    try {
+        const { pageId, versionId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId) || !mongoose.Types.ObjectId.isValid(versionId)) {
+            return NextResponse.json(
+                { error: 'Invalid ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id })
+            .select('_id')
+            .lean();
+
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const version = await PageVersion.findOne({ _id: versionId, pageId }).lean();
+
+        if (!version) {
+            return NextResponse.json(
+                { error: 'Version not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ version });
+    } catch (error) {
+        console.error('Get version error:', error);
+        return NextResponse.json(
+            { error: 'Failed to fetch version' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getVersion);
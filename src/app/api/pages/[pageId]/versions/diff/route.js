@@ -0,0 +1,98 @@
+/**
+ * Page Version Diff API Route
+ * ===========================
+ *
+ * GET /api/pages/[pageId]/versions/diff?from=<versionId>&to=<versionId|current>
+ *
+ * Compares two versions of a page block by block.
+ * `to` defaults to 'current' (the live page), so a single version can be
+ * compared with what the page looks like now.
+ *
+ * Requires authentication and ownership of the page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { loadVersionState, diffVersions } from '@/services/versionService';
+
+/**
+ * GET /api/pages/[pageId]/versions/diff
+ *
+ * Returns: {
+ *   from: { _id, title, createdAt },
+ *   to: { _id, title, createdAt },
+ *   title: { before, after, changed },
+ *   changes: [{ blockId, status, before, after }],
+ *   summary: { added, removed, changed, moved, unchanged }
+ * }
+ */
+async function getVersionDiff(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+        const { searchParams } = new URL(request.url);
+        const fromId = searchParams.get('from');
+        const toId = searchParams.get('to') || 'current';
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        if (!fromId) {
+            return NextResponse.json(
+                { error: 'from is required' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id })
+            .select('_id')
+            .lean();
+
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const [from, to] = await Promise.all([
+            loadVersionState(pageId, fromId),
+            loadVersionState(pageId, toId),
+        ]);
+
+        if (!from || !to) {
+            return NextResponse.json(
+                { error: 'Version not found' },
+                { status: 404 }
+            );
+        }
+
+        const describe = (state) => ({
+            _id: state._id,
+            title: state.title,
+            createdAt: state.createdAt || state.updatedAt,
+        });
+
+        return NextResponse.json({
+            from: describe(from),
+            to: describe(to),
+            ...diffVersions(from, to),
+        });
+    } catch (error) {
+        console.error('Version diff error:', error);
+        return NextResponse.json(
+            { error: 'Failed to compare versions' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getVersionDiff);
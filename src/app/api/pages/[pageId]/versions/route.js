@@ -0,0 +1,61 @@
+/**
+ * Page Versions API Route
+ * =======================
+ *
+ * GET /api/pages/[pageId]/versions - List the version history of a page
+ *
+ * Requires authentication and ownership of the page.
+ * Versions are recorded automatically after page writes
+ * (see services/versionService.js).
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { listPageVersions } from '@/services/versionService';
+
+/**
+ * GET /api/pages/[pageId]/versions
+ * Returns versions newest first, without block data.
+ *
+ * Returns: { versions: [{ _id, title, reason, revision, blockCount, createdAt, updatedAt }] }
+ */
+async function getVersions(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id })
+            .select('_id')
+            .lean();
+
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const versions = await listPageVersions(pageId);
+
+        return NextResponse.json({ versions });
+    } catch (error) {
+        console.error('Get versions error:', error);
+        return NextResponse.json(
+            { error: 'Failed to fetch versions' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getVersions);
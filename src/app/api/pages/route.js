@@ -12,25 +12,42 @@ import { NextResponse } from 'next/server';
 import connectDB from '@/lib/db';
 import Page from '@/models/Page';
 import { withAuth } from '@/lib/withAuth';
+import { purgeExpiredTrash } from '@/services/trashService';
+import { countChildPages } from '@/services/pageService';
+import { getTemplate, instantiateTemplate } from '@/services/templateService';
 
 /**
  * POST /api/pages
  * Creates a new page for the authenticated user.
+ * With a templateId, the page (and any sub-pages) is created from that
+ * template; `title` then overrides the template's title.
  * 
- * Body: { title?: string }
+ * Body: { title?: string, templateId?: string }
  * Returns: { page: Page }
  */
 async function createPage(request, { user }) {
     try {
         const body = await request.json().catch(() => ({}));
-        const { title } = body;
+        const { title, templateId } = body;
 
         await connectDB();
 
-        const page = await Page.create({
-            title: title || 'Untitled',
-            userId: user._id,
-        });
+        let page;
+        if (templateId) {
+            const template = await getTemplate(templateId, user._id);
+            if (!template) {
+                return NextResponse.json(
+                    { error: 'Template not found' },
+                    { status: 404 }
+                );
+            }
+            page = await instantiateTemplate(template, { userId: user._id, title });
+        } else {
+            page = await Page.create({
+                title: title || 'Untitled',
+                userId: user._id,
+            });
+        }
 
         return NextResponse.json(
             { page: page.toJSON() },
@@ -55,7 +72,11 @@ async function createPage(request, { user }) {
  * GET /api/pages
  * Returns all ROOT pages for the authenticated user.
  * Child pages (with parentPageId) are excluded from this list.
- * They should only be accessed through their parent page.
+ * The sidebar shows them by expanding their parent (see /api/pages/tree).
+ * Trashed pages are excluded (see GET /api/trash).
+ * 
+ * Each page carries `childCount` so the sidebar tree knows which
+ * pages can be expanded (children load via GET /api/pages/tree?parentId=).
  * 
  * Returns: { pages: Page[] }
  */
@@ -63,6 +84,9 @@ async function getPages(request, { user }) {
     try {
         await connectDB();
 
+        // Sidebar load is a good moment to clear out expired trash
+        await purgeExpiredTrash(user._id);
+
         // Only fetch root pages (parentPageId is null)
         // Child pages are not shown in sidebar
         const pages = await Page.find({
@@ -72,6 +96,11 @@ async function getPages(request, { user }) {
             .sort({ updatedAt: -1 })
             .lean();
 
+        const childCounts = await countChildPages(user._id, pages.map((p) => p._id));
+        pages.forEach((page) => {
+            page.childCount = childCounts.get(page._id.toString()) || 0;
+        });
+
         return NextResponse.json({ pages });
     } catch (error) {
         console.error('Get pages error:', error);
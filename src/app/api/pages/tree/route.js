@@ -0,0 +1,69 @@
+/**
+ * Page Tree API Route
+ * ===================
+ *
+ * GET /api/pages/tree                 - The user's full page hierarchy
+ * GET /api/pages/tree?parentId=<id>   - Direct children of one page
+ *
+ * The sidebar tree starts from the root pages (GET /api/pages) and loads
+ * children on demand with ?parentId, so large workspaces stay cheap.
+ * The full hierarchy is for pickers that need every page at once.
+ *
+ * Requires authentication. Trashed pages are excluded.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getPageTree, getChildPages } from '@/services/pageService';
+
+/**
+ * GET /api/pages/tree
+ *
+ * Returns:
+ * - without parentId: { tree: [{ _id, title, parentPageId, childCount, children: [...] }] }
+ * - with parentId:    { pages: [{ _id, title, parentPageId, childCount }] }
+ *
+ * Children are ordered like their page blocks in the parent page.
+ */
+async function getTree(request, { user }) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const parentId = searchParams.get('parentId');
+
+        if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        if (parentId) {
+            const parent = await Page.exists({ _id: parentId, userId: user._id });
+            if (!parent) {
+                return NextResponse.json(
+                    { error: 'Page not found' },
+                    { status: 404 }
+                );
+            }
+
+            const pages = await getChildPages(user._id, parentId);
+            return NextResponse.json({ pages });
+        }
+
+        const tree = await getPageTree(user._id);
+        return NextResponse.json({ tree });
+    } catch (error) {
+        console.error('Get page tree error:', error);
+        return NextResponse.json(
+            { error: 'Failed to fetch page tree' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getTree);
@@ -4,13 +4,53 @@
  * 
  * Fetches a page by ID if and only if it is marked as public.
  * No authentication required.
+ *
+ * File blocks of the page owner's attachments get signed download
+ * links, since readers of a public page usually have no account (see
+ * lib/signedUrl.js). Image blocks
+ * missing their pixel size get it from the uploaded asset, so the page
+ * can offer srcset variants (see utils/imageLayout.js).
  */
 
 import { NextResponse } from 'next/server';
 import dbConnect from '@/lib/db';
 import Page from '@/models/Page';
 import Block from '@/models/Block';
+import Asset from '@/models/Asset';
 import { getPaginatedBlocks } from '@/services/blockService';
+import { signOwnedAttachments } from '@/services/assetService';
+import { normalizeImageContent } from '@/utils/imageLayout';
+
+/**
+ * Fills in the pixel size (and stored variants) of image blocks from
+ * their assets.
+ */
+async function addImageSizes(blocks) {
+    const missing = blocks.filter((block) =>
+        block.type === 'image' && block.content?.url && !normalizeImageContent(block.content).naturalWidth
+    );
+    if (missing.length === 0) return blocks;
+
+    const assets = await Asset.find(
+        { url: { $in: missing.map((block) => block.content.url) }, width: { $gt: 0 } },
+        { url: 1, width: 1, height: 1, variants: 1 }
+    ).lean();
+    const sizes = new Map(assets.map((asset) => [asset.url, asset]));
+
+    return blocks.map((block) => {
+        const size = missing.includes(block) && sizes.get(block.content.url);
+        if (!size) return block;
+        return {
+            ...block,
+            content: {
+                ...normalizeImageContent(block.content),
+                naturalWidth: size.width,
+                naturalHeight: size.height,
+                variants: size.variants || [],
+            },
+        };
+    });
+}
 
 export async function GET(request, { params }) {
     try {
@@ -62,7 +102,7 @@ export async function GET(request, { params }) {
 
         return NextResponse.json({
             page: sanitizedPage,
-            blocks,
+            blocks: await signOwnedAttachments(await addImageSizes(blocks), page.userId),
             nextCursor,
             hasMore
         });
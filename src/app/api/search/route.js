@@ -0,0 +1,112 @@
+/**
+ * Search API Route
+ * ================
+ *
+ * GET /api/search - Full-text search across the user's pages and blocks
+ *
+ * Requires authentication. Only the user's own, non-trashed pages
+ * (including child pages) are searched.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { searchWorkspace, getSearchableBlockTypes } from '@/services/searchService';
+
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * GET /api/search?q=<text>&type=<types>&pageId=<id>&limit=<n>
+ *
+ * Query params:
+ * - q:      search text (words, "exact phrases", -excluded)
+ * - type:   optional comma-separated block types to include;
+ *           'page' matches page titles (e.g. type=page,code)
+ * - pageId: optional, only search this page
+ * - limit:  optional, default 20, max 50
+ *
+ * Returns: {
+ *   results: [{
+ *     kind: 'page' | 'block',
+ *     pageId, pageTitle, parentPageId,
+ *     blockId?, blockType?,
+ *     score,
+ *     snippet,                       // text around the first match
+ *     highlights: [{ start, end }]   // matched ranges within snippet
+ *   }]
+ * }
+ */
+async function search(request, { user }) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const query = (searchParams.get('q') || '').trim();
+        const typeParam = searchParams.get('type');
+        const pageId = searchParams.get('pageId');
+
+        if (!query) {
+            return NextResponse.json(
+                { error: 'Search query (q) is required' },
+                { status: 400 }
+            );
+        }
+
+        if (query.length > MAX_QUERY_LENGTH) {
+            return NextResponse.json(
+                { error: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters` },
+                { status: 400 }
+            );
+        }
+
+        let types = null;
+        if (typeParam) {
+            const allowed = ['page', ...getSearchableBlockTypes()];
+            types = typeParam.split(',').map((t) => t.trim()).filter(Boolean);
+            const invalid = types.find((t) => !allowed.includes(t));
+
+            if (invalid) {
+                return NextResponse.json(
+                    { error: `Invalid type filter: ${invalid}` },
+                    { status: 400 }
+                );
+            }
+        }
+
+        if (pageId && !mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        if (pageId) {
+            const page = await Page.exists({ _id: pageId, userId: user._id });
+            if (!page) {
+                return NextResponse.json(
+                    { error: 'Page not found' },
+                    { status: 404 }
+                );
+            }
+        }
+
+        const results = await searchWorkspace(user._id, {
+            query,
+            types,
+            pageId,
+            limit: searchParams.get('limit'),
+        });
+
+        return NextResponse.json({ results });
+    } catch (error) {
+        console.error('Search error:', error);
+        return NextResponse.json(
+            { error: 'Search failed' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(search);
@@ -0,0 +1,55 @@
+/**
+ * Single Template API Route
+ * =========================
+ *
+ * DELETE /api/templates/[templateId] - Delete one of the user's templates
+ *
+ * Built-in templates can't be deleted. Pages created from a template
+ * are not affected.
+ *
+ * Requires authentication and template ownership.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Template from '@/models/Template';
+import { withAuth } from '@/lib/withAuth';
+
+/**
+ * DELETE /api/templates/[templateId]
+ *
+ * Returns: { message }
+ */
+async function deleteTemplate(request, { user, params }) {
+    try {
+        const { templateId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(templateId)) {
+            return NextResponse.json(
+                { error: 'Built-in templates cannot be deleted' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const result = await Template.deleteOne({ _id: templateId, userId: user._id });
+        if (result.deletedCount === 0) {
+            return NextResponse.json(
+                { error: 'Template not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ message: 'Template deleted' });
+    } catch (error) {
+        console.error('Delete template error:', error);
+        return NextResponse.json(
+            { error: 'Failed to delete template' },
+            { status: 500 }
+        );
+    }
+}
+
+export const DELETE = withAuth(deleteTemplate);
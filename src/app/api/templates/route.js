@@ -0,0 +1,96 @@
+/**
+ * Templates API Routes
+ * ====================
+ *
+ * GET  /api/templates - Built-in templates and the user's own templates
+ * POST /api/templates - Save a page (with its sub-pages) as a template
+ *
+ * Pages are created from a template with `templateId` on
+ * POST /api/pages or POST /api/blocks/page.
+ *
+ * Both routes require authentication.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { listTemplates, createTemplateFromPage } from '@/services/templateService';
+
+/**
+ * GET /api/templates
+ *
+ * Returns: { templates: [{ _id, name, description, builtIn, pageCount, blockCount }] }
+ */
+async function getTemplates(request, { user }) {
+    try {
+        await connectDB();
+
+        const templates = await listTemplates(user._id);
+        return NextResponse.json({ templates });
+    } catch (error) {
+        console.error('Get templates error:', error);
+        return NextResponse.json(
+            { error: 'Failed to fetch templates' },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * POST /api/templates
+ *
+ * Body: {
+ *   pageId: ObjectId,       // Page to save (child pages are included)
+ *   name?: string,          // Defaults to the page title
+ *   description?: string
+ * }
+ *
+ * Returns: { template }
+ */
+async function createTemplate(request, { user }) {
+    try {
+        const body = await request.json().catch(() => ({}));
+        const { pageId, name, description } = body;
+
+        if (!pageId || !mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const page = await Page.findOne({ _id: pageId, userId: user._id }).lean();
+        if (!page) {
+            return NextResponse.json(
+                { error: 'Page not found' },
+                { status: 404 }
+            );
+        }
+
+        const template = await createTemplateFromPage(page, { name, description });
+
+        return NextResponse.json(
+            { template: template.toJSON() },
+            { status: 201 }
+        );
+    } catch (error) {
+        console.error('Create template error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map((e) => e.message);
+            return NextResponse.json({ error: messages.join(', ') }, { status: 400 });
+        }
+
+        return NextResponse.json(
+            { error: 'Failed to save template' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getTemplates);
+export const POST = withAuth(createTemplate);
@@ -0,0 +1,68 @@
+/**
+ * Restore Trashed Block API Route
+ * ===============================
+ *
+ * POST /api/trash/blocks/[blockId]/restore
+ *
+ * Puts a trashed block back into its page at its old position.
+ * The block's page must not be in the trash.
+ *
+ * Requires authentication and ownership of the block's page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { restoreBlock as restoreTrashedBlock } from '@/services/trashService';
+import { recordPageVersion } from '@/services/versionService';
+
+/**
+ * POST /api/trash/blocks/[blockId]/restore
+ *
+ * Returns: { block, revision }
+ */
+async function restoreBlock(request, { user, params }) {
+    try {
+        const { blockId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(blockId)) {
+            return NextResponse.json(
+                { error: 'Invalid block ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const block = await restoreTrashedBlock(blockId, user._id);
+
+        if (!block) {
+            return NextResponse.json(
+                { error: 'Block not found in trash' },
+                { status: 404 }
+            );
+        }
+
+        const revision = await Page.touch(block.pageId);
+        await recordPageVersion(block.pageId, 'edit');
+
+        publishPageEvent(
+            block.pageId,
+            { type: 'block.created', block, revision },
+            getClientId(request)
+        );
+
+        return NextResponse.json({ block, revision });
+    } catch (error) {
+        console.error('Restore block error:', error);
+        return NextResponse.json(
+            { error: 'Failed to restore block' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(restoreBlock);
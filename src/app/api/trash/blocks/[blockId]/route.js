@@ -0,0 +1,53 @@
+/**
+ * Trashed Block API Route
+ * =======================
+ *
+ * DELETE /api/trash/blocks/[blockId] - Permanently delete a trashed block
+ *
+ * Requires authentication and ownership of the block's page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { purgeBlock as purgeTrashedBlock } from '@/services/trashService';
+
+/**
+ * DELETE /api/trash/blocks/[blockId]
+ *
+ * Returns: { message }
+ */
+async function purgeBlock(request, { user, params }) {
+    try {
+        const { blockId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(blockId)) {
+            return NextResponse.json(
+                { error: 'Invalid block ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const purged = await purgeTrashedBlock(blockId, user._id);
+
+        if (!purged) {
+            return NextResponse.json(
+                { error: 'Block not found in trash' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ message: 'Block deleted permanently' });
+    } catch (error) {
+        console.error('Purge block error:', error);
+        return NextResponse.json(
+            { error: 'Failed to delete block' },
+            { status: 500 }
+        );
+    }
+}
+
+export const DELETE = withAuth(purgeBlock);
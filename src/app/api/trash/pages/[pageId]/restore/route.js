@@ -0,0 +1,80 @@
+/**
+ * Restore Trashed Page API Route
+ * ==============================
+ *
+ * POST /api/trash/pages/[pageId]/restore
+ *
+ * Brings back a trashed page with every descendant trashed along with it.
+ * The page block in the parent page reappears; if the parent is gone or
+ * in the trash itself, the page is restored as a top-level page.
+ *
+ * Requires authentication and ownership of the page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import { getClientId, publishPageEvent } from '@/lib/realtime';
+import { restorePageTree } from '@/services/trashService';
+import { recordPageVersion } from '@/services/versionService';
+
+/**
+ * POST /api/trash/pages/[pageId]/restore
+ *
+ * Returns: { page, restoredCount }
+ */
+async function restorePage(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const result = await restorePageTree(pageId, user._id);
+
+        if (!result) {
+            return NextResponse.json(
+                { error: 'Page not found in trash' },
+                { status: 404 }
+            );
+        }
+
+        const { page, pageIds, restoredBlocks } = result;
+
+        // The page block is back in the parent page
+        if (page.parentPageId && restoredBlocks.length > 0) {
+            const revision = await Page.touch(page.parentPageId);
+            await recordPageVersion(page.parentPageId, 'edit');
+
+            const origin = getClientId(request);
+            restoredBlocks.forEach((block) => {
+                publishPageEvent(
+                    page.parentPageId,
+                    { type: 'block.created', block, revision },
+                    origin
+                );
+            });
+        }
+
+        return NextResponse.json({
+            page,
+            restoredCount: pageIds.length,
+        });
+    } catch (error) {
+        console.error('Restore page error:', error);
+        return NextResponse.json(
+            { error: 'Failed to restore page' },
+            { status: 500 }
+        );
+    }
+}
+
+export const POST = withAuth(restorePage);
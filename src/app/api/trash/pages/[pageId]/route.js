@@ -0,0 +1,59 @@
+/**
+ * Trashed Page API Route
+ * ======================
+ *
+ * DELETE /api/trash/pages/[pageId] - Permanently delete a trashed page
+ *
+ * Purges the page, the descendants trashed with it, their blocks and
+ * their version history. Only works on pages that are in the trash.
+ *
+ * Requires authentication and ownership of the page.
+ */
+
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { purgePageTree } from '@/services/trashService';
+
+/**
+ * DELETE /api/trash/pages/[pageId]
+ *
+ * Returns: { message, deletedCount }
+ */
+async function purgePage(request, { user, params }) {
+    try {
+        const { pageId } = await params;
+
+        if (!mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json(
+                { error: 'Invalid page ID' },
+                { status: 400 }
+            );
+        }
+
+        await connectDB();
+
+        const deletedCount = await purgePageTree(pageId, user._id);
+
+        if (deletedCount === null) {
+            return NextResponse.json(
+                { error: 'Page not found in trash' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({
+            message: 'Page deleted permanently',
+            deletedCount,
+        });
+    } catch (error) {
+        console.error('Purge page error:', error);
+        return NextResponse.json(
+            { error: 'Failed to delete page' },
+            { status: 500 }
+        );
+    }
+}
+
+export const DELETE = withAuth(purgePage);
@@ -0,0 +1,69 @@
+/**
+ * Trash API Routes
+ * ================
+ *
+ * GET    /api/trash - List trashed pages and blocks
+ * DELETE /api/trash - Empty the trash (permanent)
+ *
+ * Requires authentication. Only the user's own items are listed.
+ */
+
+import { NextResponse } from 'next/server';
+import connectDB from '@/lib/db';
+import { withAuth } from '@/lib/withAuth';
+import { listTrash, purgeTrash, purgeExpiredTrash } from '@/services/trashService';
+
+/**
+ * GET /api/trash
+ * Purges expired items first, then lists the rest.
+ *
+ * Returns: {
+ *   pages: [{ _id, title, parentPageId, deletedAt, descendantCount }],
+ *   blocks: [{ _id, pageId, pageTitle, type, content, deletedAt, ... }],
+ *   retentionDays: number   // 0 = kept until purged by hand
+ * }
+ */
+async function getTrash(request, { user }) {
+    try {
+        await connectDB();
+
+        await purgeExpiredTrash(user._id);
+        const trash = await listTrash(user._id);
+
+        return NextResponse.json(trash);
+    } catch (error) {
+        console.error('Get trash error:', error);
+        return NextResponse.json(
+            { error: 'Failed to fetch trash' },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/trash
+ * Permanently deletes everything in the trash.
+ *
+ * Returns: { message, purged: { pages, blocks } }
+ */
+async function emptyTrash(request, { user }) {
+    try {
+        await connectDB();
+
+        const purged = await purgeTrash(user._id);
+
+        return NextResponse.json({
+            message: 'Trash emptied',
+            purged,
+        });
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        return NextResponse.json(
+            { error: 'Failed to empty trash' },
+            { status: 500 }
+        );
+    }
+}
+
+export const GET = withAuth(getTrash);
+export const DELETE = withAuth(emptyTrash);
@@ -1,54 +1,112 @@
+/**
+ * Upload API Route
+ * ================
+ *
+ * POST /api/upload - Upload an image for an image block, or an
+ *                    attachment for a file block
+ *
+ * The file is stored with the configured storage driver and recorded as
+ * an Asset of the user. Single files are limited to UPLOAD_MAX_FILE_MB
+ * and each user's total to UPLOAD_QUOTA_MB (see services/assetService.js).
+ *
+ * Requires authentication.
+ */
 
 import { NextResponse } from 'next/server';
-import cloudinary from '@/lib/cloudinary';
+import mongoose from 'mongoose';
+import connectDB from '@/lib/db';
+import Page from '@/models/Page';
+import { withAuth } from '@/lib/withAuth';
+import {
+    IMAGE_TYPES,
+    isSupportedImage,
+    uploadImage,
+    checkAttachment,
+    uploadFile,
+} from '@/services/uploadService';
+import { checkUploadAllowed, getUploadLimits } from '@/services/assetService';
 
-// Configure Next.js to not parse the body automatically, so we can handle FormData?
-// Actually, in App Router, we can read FormData directly from the request.
+// Room for the multipart boundaries and headers around the file
+const MULTIPART_OVERHEAD = 64 * 1024;
 
-export async function POST(request) {
+/**
+ * POST /api/upload
+ *
+ * Body: multipart/form-data with `file` and optionally `pageId`
+ * (the page the file is added to) and `kind` ("image" or "file")
+ *
+ * Returns:
+ *   image: { url, publicId, format, width, height, size }
+ *   file:  { url, assetId, name, size, mimeType, extension }
+ */
+async function upload(request, { user }) {
     try {
+        // Refuse oversized bodies before reading them
+        const { maxFileBytes } = getUploadLimits();
+        const contentLength = Number(request.headers.get('content-length'));
+        if (contentLength > maxFileBytes + MULTIPART_OVERHEAD) {
+            return NextResponse.json(
+                { error: `File is larger than ${Math.round(maxFileBytes / (1024 * 1024))} MB` },
+                { status: 413 }
+            );
+        }
+
         const formData = await request.formData();
         const file = formData.get('file');
+        const pageId = formData.get('pageId') || null;
+        const kind = formData.get('kind') || 'image';
 
-        if (!file) {
+        if (!file || typeof file === 'string') {
             return NextResponse.json({ error: 'No file provided' }, { status: 400 });
         }
+        if (!['image', 'file'].includes(kind)) {
+            return NextResponse.json({ error: 'Invalid upload kind' }, { status: 400 });
+        }
 
-        // Validate file type
-        const validTypes = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
-        if (!validTypes.includes(file.type)) {
+        // Validate file type (attachments are checked by their bytes only)
+        if (kind === 'image' && !IMAGE_TYPES.includes(file.type)) {
             return NextResponse.json({ error: 'Invalid file type. Only JPG, PNG, and WebP are allowed.' }, { status: 400 });
         }
+        if (pageId && !mongoose.Types.ObjectId.isValid(pageId)) {
+            return NextResponse.json({ error: 'Invalid page ID' }, { status: 400 });
+        }
+
+        await connectDB();
+
+        if (pageId && !(await Page.exists({ _id: pageId, userId: user._id }))) {
+            return NextResponse.json({ error: 'Page not found' }, { status: 404 });
+        }
+
+        const refusal = await checkUploadAllowed(user._id, file.size);
+        if (refusal) {
+            return NextResponse.json({ error: refusal.error }, { status: refusal.status });
+        }
 
         // Convert file to buffer
         const arrayBuffer = await file.arrayBuffer();
         const buffer = Buffer.from(arrayBuffer);
 
-        // Upload to Cloudinary using a stream
-        const result = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-                {
-                    folder: 'notion-clone',
-                    format: 'webp', // Automatically choose best format (webp/avif)
-                    resource_type: 'image',
-                },
-                (error, result) => {
-                    if (error) reject(error);
-                    else resolve(result);
-                }
-            );
-            uploadStream.end(buffer);
-        });
-
-        return NextResponse.json({
-            url: result.secure_url,
-            publicId: result.public_id,
-            format: result.format,
-            width: result.width,
-            height: result.height,
-        });
+        if (kind === 'file') {
+            const { error, type } = checkAttachment(buffer, file.name);
+            if (error) {
+                return NextResponse.json({ error }, { status: 400 });
+            }
+            const result = await uploadFile(buffer, { name: file.name, type }, { userId: user._id, pageId });
+            return NextResponse.json(result);
+        }
+
+        // The declared type is only a hint; check the bytes too
+        if (!isSupportedImage(buffer)) {
+            return NextResponse.json({ error: 'Invalid file type. Only JPG, PNG, and WebP are allowed.' }, { status: 400 });
+        }
+
+        const result = await uploadImage(buffer, { userId: user._id, pageId });
+
+        return NextResponse.json(result);
     } catch (error) {
         console.error('Upload error:', error);
         return NextResponse.json({ error: 'Upload failed' }, { status: 500 });
     }
 }
+
+export const POST = withAuth(upload);
@@ -6,7 +6,8 @@
  * Uses glassmorphism styling throughout.
  * 
  * UX Decision: Sidebar is always visible to show page navigation.
- * Content area adapts based on selected page or shows empty state.
+ * Content area adapts based on selected page or shows empty state,
+ * with a template gallery for starting a new page from a template.
  */
 
 'use client';
@@ -15,7 +16,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import * as api from '@/lib/apiClient';
 import { useAuth } from '@/hooks/useAuth';
-import { Sidebar } from '@/components/ui';
+import { Sidebar, TemplateGallery } from '@/components/ui';
 import { FileText, Plus } from 'lucide-react';
 
 export default function DashboardPage() {
@@ -60,6 +61,41 @@ export default function DashboardPage() {
         }
     };
 
+    // New page from a built-in or saved template (keeps the template's title)
+    const handleUseTemplate = async (template) => {
+        const { page } = await api.createPage(null, template._id);
+        setPages((prev) => [page, ...prev]);
+        router.push(`/page/${page._id}`);
+    };
+
+    // Drag and drop in the sidebar tree; the root list may have changed
+    const handleMovePage = async (pageId, newParentId) => {
+        const result = await api.movePage(pageId, newParentId);
+        const data = await api.getPages();
+        setPages(data.pages || []);
+        return result;
+    };
+
+    const handleDuplicatePage = async (pageId) => {
+        const result = await api.duplicatePage(pageId);
+        const data = await api.getPages();
+        setPages(data.pages || []);
+        return result;
+    };
+
+    // A restored backup adds root pages; reload the sidebar list
+    const handleWorkspaceRestore = async () => {
+        const data = await api.getPages();
+        setPages(data.pages || []);
+    };
+
+    // Restored root pages go back into the sidebar list
+    const handleTrashRestore = (kind, item) => {
+        if (kind === 'page' && !item.parentPageId) {
+            setPages((prev) => [item, ...prev]);
+        }
+    };
+
     const handleDeletePage = async (pageId) => {
         try {
             await api.deletePage(pageId);
@@ -79,11 +115,15 @@ export default function DashboardPage() {
                 creating={creating}
                 onCreatePage={handleCreatePage}
                 onDeletePage={handleDeletePage}
+                onTrashRestore={handleTrashRestore}
+                onWorkspaceRestore={handleWorkspaceRestore}
+                onMovePage={handleMovePage}
+                onDuplicatePage={handleDuplicatePage}
                 onLogout={logout}
             />
 
             {/* Main Content - offset by sidebar width */}
-            <main className="ml-[260px] min-h-screen flex items-center justify-center dot-grid-bg">
+            <main className="ml-[260px] min-h-screen flex flex-col items-center justify-center gap-10 px-6 py-12 dot-grid-bg">
                 {error && (
                     <div className="absolute top-8 left-1/2 -translate-x-1/2 max-w-2xl w-full px-4">
                         <div className="p-4 bg-red-50/50 border border-red-200/50 backdrop-blur-md
@@ -119,6 +159,13 @@ export default function DashboardPage() {
                         </button>
                     </div>
                 )}
+
+                {!loading && (
+                    <TemplateGallery
+                        onUseTemplate={handleUseTemplate}
+                        disabled={creating}
+                    />
+                )}
             </main>
         </div>
     );
@@ -9,18 +9,18 @@
  * - Page blocks contain a reference (pageId) to a child page
  * - Clicking a page block opens that child page in the same editor
  * - Breadcrumb shows navigation path back to parent
- * - Child pages are NOT shown in the sidebar
+ * - Child pages appear nested under their parent in the sidebar tree
  * - This creates a tree structure while keeping URLs flat
  */
 
 'use client';
 
 import { use, useState, useEffect, useRef, useCallback } from 'react';
-import { useRouter } from 'next/navigation';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { useBlocks } from '@/hooks/useBlocks';
 import { useSidebar } from '@/hooks/useSidebar';
 import { BlockRenderer } from '@/components/blocks';
-import { EditorSkeleton, Sidebar, ChatWidget, DeleteConfirmMenu, UnsavedGuardModal, ImportModal } from '@/components/ui';
+import { EditorSkeleton, Sidebar, ChatWidget, DeleteConfirmMenu, UnsavedGuardModal, ImportModal, ConflictModal, HistoryPanel, CommandPalette, SaveTemplateMenu, ExportMenu, DatabaseView } from '@/components/ui';
 import { useAuth } from '@/hooks/useAuth';
 import * as api from '@/lib/apiClient';
 import { handleAIResult } from '@/lib/aiActionHandler';
@@ -47,15 +47,63 @@ import {
     Check,
     Image,
     Link,
+    History,
+    Search,
+    CopyPlus,
+    Paperclip,
+    Table,
+    Database,
 } from 'lucide-react';
 
 export default function PageEditor({ params }) {
     const { pageId } = use(params);
     const router = useRouter();
+    const searchParams = useSearchParams();
     const { logout } = useAuth({ required: true });
     const { setTitle, setTitles } = usePageTitles();
     const { isCollapsed, toggleSidebar } = useSidebar();
 
+    // Page data
+    const [pages, setPages] = useState([]);
+    const [currentPage, setCurrentPage] = useState(null);
+    const [pageTitle, setPageTitle] = useState('');
+    const [titleLoaded, setTitleLoaded] = useState(false);
+    const [pagesLoading, setPagesLoading] = useState(true);
+
+    // Title changed in another session (or taken from the latest version)
+    const handleRemotePageUpdate = useCallback((page) => {
+        if (!page) return;
+        const newTitle = page.title || '';
+        setPageTitle(newTitle);
+        setTitle(pageId, newTitle);
+        setPages((prev) =>
+            prev.map((p) => p._id === pageId ? { ...p, title: newTitle } : p)
+        );
+        // Schema changes of a database page
+        if (page.isDatabase !== undefined) {
+            setCurrentPage((prev) => prev && {
+                ...prev,
+                isDatabase: page.isDatabase,
+                propertySchema: page.propertySchema,
+            });
+        }
+    }, [pageId, setTitle]);
+
+    // This page or one of its ancestors was moved: rebuild the breadcrumb
+    const handleRemotePageMove = useCallback(async () => {
+        try {
+            const { page } = await api.getPage(pageId, 1, null);
+            setCurrentPage(page);
+            if (page.parentPageId) {
+                await buildBreadcrumb(page.parentPageId);
+            } else {
+                setBreadcrumb([]);
+            }
+        } catch (err) {
+            console.error('Failed to refresh breadcrumb:', err);
+        }
+    }, [pageId]);
+
     const {
         blocks,
         loading,
@@ -73,23 +121,32 @@ export default function PageEditor({ params }) {
         isFetchingNext,
         loadMoreBlocks,
         saveAllBlocks,
+        savePageTitle,
+        conflict,
+        resolveConflict,
+        dismissConflict,
         refreshBlocks,
         appendImportedBlocks,
-    } = useBlocks(pageId);
+    } = useBlocks(pageId, {
+        onPageUpdated: handleRemotePageUpdate,
+        onPageMoved: handleRemotePageMove,
+    });
 
     // Import Modal State
     const [showImportModal, setShowImportModal] = useState(false);
 
+    // Version history side panel
+    const [showHistory, setShowHistory] = useState(false);
+
+    // Cmd+K search palette, and the block a search result points at (?block=<id>)
+    const [showSearch, setShowSearch] = useState(false);
+    const [highlightedBlockId, setHighlightedBlockId] = useState(null);
+    const targetBlockId = searchParams.get('block');
+    const handledTargetRef = useRef(null);
+
     // Observer target for infinite scrolling
     const observerTarget = useRef(null);
 
-    // Page data
-    const [pages, setPages] = useState([]);
-    const [currentPage, setCurrentPage] = useState(null);
-    const [pageTitle, setPageTitle] = useState('');
-    const [titleLoaded, setTitleLoaded] = useState(false);
-    const [pagesLoading, setPagesLoading] = useState(true);
-
     // Public Share State
     const [isPublic, setIsPublic] = useState(false);
     const [shareOpen, setShareOpen] = useState(false);
@@ -193,6 +250,51 @@ export default function PageEditor({ params }) {
         };
     }, [hasMore, isFetchingNext, loadMoreBlocks]);
 
+    // Cmd+K / Ctrl+K opens the search palette
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setShowSearch(true);
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    /**
+     * Jump to the block from a search result.
+     * Blocks load in segments, so keep loading until the block shows up
+     * (or the page runs out), then scroll to it and flash a highlight.
+     */
+    useEffect(() => {
+        if (!targetBlockId || loading || handledTargetRef.current === targetBlockId) return;
+
+        if (!blocks.some((b) => b._id === targetBlockId)) {
+            if (hasMore) {
+                if (!isFetchingNext) loadMoreBlocks();
+            } else {
+                handledTargetRef.current = targetBlockId; // Not on this page (anymore)
+            }
+            return;
+        }
+
+        handledTargetRef.current = targetBlockId;
+        requestAnimationFrame(() => {
+            document.getElementById(`block-${targetBlockId}`)
+                ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            setHighlightedBlockId(targetBlockId);
+        });
+    }, [targetBlockId, loading, blocks, hasMore, isFetchingNext, loadMoreBlocks]);
+
+    // Fade the search highlight out after a moment
+    useEffect(() => {
+        if (!highlightedBlockId) return;
+        const timer = setTimeout(() => setHighlightedBlockId(null), 2000);
+        return () => clearTimeout(timer);
+    }, [highlightedBlockId]);
+
     // Build breadcrumb by walking up the parent chain
     const buildBreadcrumb = async (parentId) => {
         const crumbs = [];
@@ -272,7 +374,7 @@ export default function PageEditor({ params }) {
         // Debounced save
         clearTimeout(titleDebounceRef.current);
         titleDebounceRef.current = setTimeout(() => {
-            api.updatePage(pageId, { title: newTitle });
+            savePageTitle(newTitle);
         }, 500);
     };
 
@@ -349,11 +451,39 @@ export default function PageEditor({ params }) {
         }
     };
 
+    const handleGuardSaveAndContinue = async () => {
+        setShowUnsavedGuard(false);
+        const saved = await saveAllBlocks();
+        // On a conflict the action waits for the conflict dialog
+        if (saved && pendingAction) {
+            pendingAction();
+            setPendingAction(null);
+        }
+    };
+
     const handleGuardCancel = () => {
         setShowUnsavedGuard(false);
         setPendingAction(null);
     };
 
+    const handleSave = () => {
+        setPendingAction(null);
+        saveAllBlocks();
+    };
+
+    const handleConflictResolve = async (strategy) => {
+        const resolved = await resolveConflict(strategy);
+        if (resolved && pendingAction) {
+            pendingAction();
+            setPendingAction(null);
+        }
+    };
+
+    const handleConflictCancel = () => {
+        dismissConflict();
+        setPendingAction(null);
+    };
+
     // Sidebar actions
     const handleCreatePage = () => {
         withUnsavedGuard(async () => {
@@ -372,6 +502,111 @@ export default function PageEditor({ params }) {
         }
     };
 
+    /**
+     * Open a search result: its page, scrolled to the matching block.
+     */
+    const handleSearchSelect = (result) => {
+        setShowSearch(false);
+        handledTargetRef.current = null;
+
+        const url = result.blockId
+            ? `/page/${result.pageId}?block=${result.blockId}`
+            : `/page/${result.pageId}`;
+
+        if (result.pageId === pageId) {
+            router.push(url);
+        } else {
+            withUnsavedGuard(() => router.push(url));
+        }
+    };
+
+    /**
+     * Move a page in the Sidebar tree (drag and drop).
+     * Root list is reloaded since a page may have left or joined it;
+     * if the open page gained or lost a page block, reload its blocks.
+     */
+    const handleMovePage = async (movePageId, newParentId) => {
+        const result = await api.movePage(movePageId, newParentId);
+
+        const { pages: rootPages } = await api.getPages();
+        setPages(rootPages || []);
+
+        if (result.oldParentId === pageId || newParentId === pageId) {
+            withUnsavedGuard(() => refreshBlocks());
+        }
+        return result;
+    };
+
+    /**
+     * Duplicate a page with its sub-pages (Sidebar tree).
+     * A root copy joins the sidebar list; a child copy adds a page block
+     * to its parent, so reload the blocks if that parent is open.
+     */
+    const handleDuplicatePage = async (duplicatePageId) => {
+        const result = await api.duplicatePage(duplicatePageId);
+
+        if (!result.page.parentPageId) {
+            const { pages: rootPages } = await api.getPages();
+            setPages(rootPages || []);
+        } else if (result.page.parentPageId === pageId) {
+            withUnsavedGuard(() => refreshBlocks());
+        }
+        return result;
+    };
+
+    /**
+     * Duplicate the open page from the header and open the copy.
+     * Unsaved edits are saved (or discarded) first so the copy matches
+     * what the user sees.
+     */
+    const handleDuplicateCurrentPage = () => {
+        withUnsavedGuard(async () => {
+            try {
+                const { page } = await handleDuplicatePage(pageId);
+                router.push(`/page/${page._id}`);
+            } catch (err) {
+                console.error('Failed to duplicate page:', err);
+            }
+        });
+    };
+
+    /**
+     * Turn the open page into a database (its sub-pages become rows).
+     */
+    const handleMakeDatabase = async () => {
+        try {
+            const { page } = await api.updateDatabaseSchema(pageId, []);
+            setCurrentPage(page);
+        } catch (err) {
+            console.error('Failed to create database:', err);
+        }
+    };
+
+    /**
+     * Something was restored from the Sidebar trash.
+     * Root pages go back into the sidebar list; if the restored item
+     * belongs in the open page, reload its blocks.
+     */
+    const handleTrashRestore = (kind, item) => {
+        if (kind === 'page' && !item.parentPageId) {
+            setPages((prev) => [item, ...prev]);
+        }
+
+        const affectedPageId = kind === 'page' ? item.parentPageId : item.pageId;
+        if (affectedPageId === pageId) {
+            withUnsavedGuard(() => refreshBlocks());
+        }
+    };
+
+    /**
+     * A workspace backup was restored from the Sidebar.
+     * Only new pages are created, so just the root list needs reloading.
+     */
+    const handleWorkspaceRestore = async () => {
+        const { pages: rootPages } = await api.getPages();
+        setPages(rootPages || []);
+    };
+
     /**
      * Delete the currently open page.
      * Navigates to parent page if exists, otherwise dashboard.
@@ -441,6 +676,8 @@ export default function PageEditor({ params }) {
         { type: 'quote', label: 'Quote', Icon: TextQuote },
         { type: 'image', label: 'Image', Icon: Image },
         { type: 'link', label: 'Link', Icon: Link },
+        { type: 'file', label: 'File', Icon: Paperclip },
+        { type: 'table', label: 'Table', Icon: Table },
         { type: 'page', label: 'Page', Icon: FileText },
     ];
 
@@ -480,11 +717,41 @@ export default function PageEditor({ params }) {
         setTimeout(() => setCopied(false), 2000);
     };
 
-    const handleImportBlocks = async (sourceId) => {
-        const response = await api.importBlocksFromPublicPage(pageId, sourceId);
+    /**
+     * Restore a version from the history panel.
+     * Unsaved edits are handled by the guard before the panel restores.
+     */
+    const handleRestoreVersion = async (versionId) => {
+        const { page } = await api.restorePageVersion(pageId, versionId);
+        handleRemotePageUpdate(page);
+        refreshBlocks();
+    };
+
+    // Recursive imports can be dry runs, which only return a preview
+    const handleImportBlocks = async (sourceId, options) => {
+        const response = options?.recursive
+            ? await api.importPublicPageTree(pageId, sourceId, options)
+            : await api.importBlocksFromPublicPage(pageId, sourceId);
+        if (!response.dryRun) applyImportResult(response);
+        return response;
+    };
+
+    const handleImportMarkdown = async (markdown, filename) => {
+        const response = await api.importMarkdown(pageId, markdown, filename);
+        applyImportResult(response);
+    };
 
+    // Notion pages become sub-pages; the modal shows the returned report
+    const handleImportNotion = async (file) => {
+        const response = await api.importNotionExport(pageId, file);
+        applyImportResult(response);
+        return response;
+    };
+
+    // Append imported blocks and pick up a title the import gave the page
+    const applyImportResult = (response) => {
         if (response.success && response.blocks) {
-            appendImportedBlocks(response.blocks);
+            appendImportedBlocks(response.blocks, response.revision);
 
             // Check if backend updated title
             if (response.updatedTitle) {
@@ -508,6 +775,10 @@ export default function PageEditor({ params }) {
                 loading={pagesLoading}
                 onCreatePage={handleCreatePage}
                 onDeletePage={handleDeletePage}
+                onTrashRestore={handleTrashRestore}
+                onMovePage={handleMovePage}
+                onDuplicatePage={handleDuplicatePage}
+                onWorkspaceRestore={handleWorkspaceRestore}
                 onNavigate={(url) => withUnsavedGuard(() => router.push(url))}
                 onLogout={logout}
                 isCollapsed={isCollapsed}
@@ -571,7 +842,7 @@ export default function PageEditor({ params }) {
                                 <button
                                     onClick={() => setShowImportModal(true)}
                                     className="flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm text-gray-500 hover:bg-gray-100/50 hover:text-gray-700"
-                                    title="Import blocks from a public page"
+                                    title="Import from a public page or Markdown"
                                 >
                                     <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24"><g fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5"><path d="M20 15.006V10.66c0-.818 0-1.227-.152-1.595s-.441-.657-1.02-1.235l-4.736-4.739c-.499-.499-.748-.748-1.058-.896a2 2 0 0 0-.197-.082C12.514 2 12.161 2 11.456 2c-3.245 0-4.868 0-5.967.886a4 4 0 0 0-.603.604C4 4.59 4 6.213 4 9.46v4.545c0 3.773 0 5.66 1.172 6.832C6.115 21.78 7.52 21.964 10 22m3-19.5V3c0 2.83 0 4.245.879 5.124c.878.879 2.293.879 5.121.879h.5" /><path d="M15 22c-.607-.59-3-2.16-3-3s2.393-2.41 3-3m-2 3h7" /></g></svg>
                                 </button>
@@ -580,10 +851,64 @@ export default function PageEditor({ params }) {
                                     isOpen={showImportModal}
                                     onClose={() => setShowImportModal(false)}
                                     onImport={handleImportBlocks}
+                                    onImportMarkdown={handleImportMarkdown}
+                                    onImportNotion={handleImportNotion}
                                     currentPageId={pageId}
                                 />
                             </div>
 
+                            {/* Search Button (Cmd+K) */}
+                            <button
+                                onClick={() => setShowSearch(true)}
+                                className="flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm text-gray-500 hover:bg-gray-100/50 hover:text-gray-700"
+                                title="Search (Ctrl+K)"
+                            >
+                                <Search className="w-4 h-4" />
+                            </button>
+
+                            {/* Version History Button */}
+                            <button
+                                onClick={() => withUnsavedGuard(() => setShowHistory(true))}
+                                className={`flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm
+                                    ${showHistory ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:bg-gray-100/50 hover:text-gray-700'}`}
+                                title="Page history"
+                            >
+                                <History className="w-4 h-4" />
+                            </button>
+
+                            {/* Export Button & Menu */}
+                            <ExportMenu
+                                pageId={pageId}
+                                onBeforeOpen={withUnsavedGuard}
+                            />
+
+                            {/* Save as Template Button & Popover */}
+                            <SaveTemplateMenu
+                                pageId={pageId}
+                                pageTitle={pageTitle}
+                                onBeforeOpen={withUnsavedGuard}
+                            />
+
+                            {/* Duplicate Page Button */}
+                            <button
+                                onClick={handleDuplicateCurrentPage}
+                                className="flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm text-gray-500 hover:bg-gray-100/50 hover:text-gray-700"
+                                title="Duplicate page with its sub-pages"
+                            >
+                                <CopyPlus className="w-4 h-4" />
+                            </button>
+
+                            {/* Turn Into Database Button */}
+                            {currentPage && !currentPage.isDatabase && (
+                                <button
+                                    onClick={handleMakeDatabase}
+                                    className="flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm text-gray-500 hover:bg-gray-100/50 hover:text-gray-700"
+                                    title="Turn into a database (sub-pages become rows)"
+                                >
+                                    <Database className="w-4 h-4" />
+                                </button>
+                            )}
+
                             <div className="w-px h-6 bg-gray-300/50 mx-1"></div>
 
                             {/* Share Button & Popover */}
@@ -642,14 +967,21 @@ export default function PageEditor({ params }) {
 
                             <UnsavedGuardModal
                                 isOpen={showUnsavedGuard}
+                                onSaveAndContinue={handleGuardSaveAndContinue}
                                 onDiscardAndContinue={handleGuardDiscardAndContinue}
                                 onCancel={handleGuardCancel}
                             />
 
+                            <ConflictModal
+                                conflict={conflict}
+                                onResolve={handleConflictResolve}
+                                onCancel={handleConflictCancel}
+                            />
+
                             <div className="w-px h-6 bg-gray-300/50 mx-1"></div>
 
                             <button
-                                onClick={saveAllBlocks}
+                                onClick={handleSave}
                                 disabled={!isDirty || isSaving}
                                 className="group flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm"
                                 style={{
@@ -684,7 +1016,7 @@ export default function PageEditor({ params }) {
                             <DeleteConfirmMenu
                                 onDelete={handleDeleteCurrentPage}
                                 title="Delete page?"
-                                description="This will delete the page and all its content."
+                                description="The page and its sub-pages will be moved to the trash."
                                 side="bottom-left"
                                 trigger={
                                     <button
@@ -724,6 +1056,11 @@ export default function PageEditor({ params }) {
                             }}
                         />
 
+                        {/* Database Table View */}
+                        {currentPage?.isDatabase && (
+                            <DatabaseView database={currentPage} onDatabaseChange={setCurrentPage} />
+                        )}
+
                         {/* Global invisible backdrop to close block menus and prevent underlying interactions */}
                         {(showTypeMenu || showColorMenu) && (
                             <div
@@ -761,8 +1098,10 @@ export default function PageEditor({ params }) {
                                 return (
                                     <div
                                         key={block._id}
+                                        id={`block-${block._id}`}
                                         className={`group relative rounded-xl transition-all 
                                             ${block.backgroundColor ? 'px-4 py-2' : ''}
+                                            ${highlightedBlockId === block._id ? 'ring-2 ring-yellow-300/80 bg-yellow-50/60' : ''}
                                             ${draggedBlockId === block._id ? 'opacity-50 scale-[0.98]' : ''}
                                             ${isMenuOpenForThisBlock ? 'z-50 relative' : 'z-10 relative'}`}
                                         style={bgStyle}
@@ -948,6 +1287,22 @@ export default function PageEditor({ params }) {
                 )}
             </div>
 
+            {/* Search Palette */}
+            <CommandPalette
+                isOpen={showSearch}
+                onClose={() => setShowSearch(false)}
+                onSelect={handleSearchSelect}
+                currentPageId={pageId}
+            />
+
+            {/* Version History */}
+            <HistoryPanel
+                isOpen={showHistory}
+                pageId={pageId}
+                onClose={() => setShowHistory(false)}
+                onRestore={handleRestoreVersion}
+            />
+
             {/* AI Chat Widget */}
             <ChatWidget
                 pageContext={{ title: pageTitle, blocks: blocks }}
@@ -19,6 +19,8 @@ import PageBlock from './PageBlock';
 import QuoteBlock from './QuoteBlock';
 import ImageBlock from './ImageBlock';
 import LinkBlock from './LinkBlock';
+import FileBlock from './FileBlock';
+import TableBlock from './TableBlock';
 
 export function BlockRenderer({ block, onChange, onKeyDown, autoFocus, onPageClick, onPageDelete, readOnly = false }) {
     const sharedProps = {
@@ -53,6 +55,12 @@ export function BlockRenderer({ block, onChange, onKeyDown, autoFocus, onPageCli
         case 'link':
             return <LinkBlock {...sharedProps} />;
 
+        case 'file':
+            return <FileBlock {...sharedProps} />;
+
+        case 'table':
+            return <TableBlock {...sharedProps} />;
+
         case 'page':
             // PageBlock needs click and delete handlers
             // In readOnly mode, disable delete and ensure click works for navigation
@@ -0,0 +1,229 @@
+'use client';
+
+/**
+ * FileBlock Component
+ * ===================
+ *
+ * An attached file (PDF, archive, office document, audio). The server
+ * decides the type from the file's contents; the block shows the name,
+ * size and a type icon and links to the download route.
+ */
+
+import { useState, useRef } from 'react';
+import {
+    Loader2,
+    Trash,
+    Download,
+    Paperclip,
+    File as FileIcon,
+    FileText,
+    FileArchive,
+    FileSpreadsheet,
+    FileAudio,
+    FileImage,
+    Presentation,
+} from 'lucide-react';
+import { formatFileSize } from '@/utils/fileSize';
+
+// Icons by file category (see utils/fileType.js)
+const CATEGORY_ICONS = {
+    pdf: FileText,
+    document: FileText,
+    archive: FileArchive,
+    spreadsheet: FileSpreadsheet,
+    presentation: Presentation,
+    audio: FileAudio,
+    image: FileImage,
+};
+
+// Extension -> category, for blocks that only store the extension
+const EXTENSION_CATEGORIES = {
+    pdf: 'pdf',
+    zip: 'archive',
+    doc: 'document', docx: 'document', odt: 'document',
+    xls: 'spreadsheet', xlsx: 'spreadsheet', ods: 'spreadsheet',
+    ppt: 'presentation', pptx: 'presentation', odp: 'presentation',
+    mp3: 'audio', wav: 'audio', ogg: 'audio', flac: 'audio', m4a: 'audio',
+    png: 'image', jpg: 'image', webp: 'image',
+};
+
+function iconFor({ extension, mimeType }) {
+    const category = EXTENSION_CATEGORIES[extension]
+        || (mimeType?.startsWith('audio/') ? 'audio' : null);
+    return CATEGORY_ICONS[category] || FileIcon;
+}
+
+export default function FileBlock({ block, onChange, readOnly }) {
+    const [isUploading, setIsUploading] = useState(false);
+    const [isDragging, setIsDragging] = useState(false);
+    const [error, setError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const content = block.content || {};
+
+    const uploadFile = async (file) => {
+        if (readOnly) return;
+
+        setIsUploading(true);
+        setError(null);
+
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('kind', 'file');
+            if (block.pageId) formData.append('pageId', block.pageId);
+
+            const res = await fetch('/api/upload', {
+                method: 'POST',
+                body: formData,
+            });
+
+            const data = await res.json();
+            if (!res.ok) {
+                throw new Error(data.error || 'Upload failed');
+            }
+
+            onChange({
+                url: data.url,
+                name: data.name,
+                size: data.size,
+                mimeType: data.mimeType,
+                extension: data.extension,
+            });
+        } catch (err) {
+            console.error(err);
+            setError(err.message || 'Failed to upload file');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleFileSelect = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) await uploadFile(file);
+    };
+
+    const handleDragOver = (e) => {
+        if (readOnly) return;
+        e.preventDefault();
+        setIsDragging(true);
+    };
+
+    const handleDrop = async (e) => {
+        if (readOnly) return;
+        e.preventDefault();
+        setIsDragging(false);
+
+        const file = e.dataTransfer.files?.[0];
+        if (file) await uploadFile(file);
+    };
+
+    const handleRemove = () => {
+        if (readOnly) return;
+        onChange({ url: null }); // Back to the upload state
+    };
+
+    // Render: File View
+    if (content.url) {
+        const Icon = iconFor(content);
+        return (
+            <div className="group my-1 flex items-center gap-3 rounded-md border border-gray-200 px-3 py-2 hover:bg-gray-50 transition-colors">
+                <Icon className="w-5 h-5 shrink-0 text-gray-500" />
+                <a
+                    href={content.url}
+                    download={content.name || true}
+                    className="min-w-0 flex-1 flex items-baseline gap-2"
+                    title={`Download ${content.name || 'file'}`}
+                >
+                    <span className="truncate text-sm font-medium text-gray-800">
+                        {content.name || 'Untitled file'}
+                    </span>
+                    <span className="shrink-0 text-xs text-gray-400">
+                        {[content.extension?.toUpperCase(), formatFileSize(content.size)].filter(Boolean).join(' · ')}
+                    </span>
+                </a>
+                <a
+                    href={content.url}
+                    download={content.name || true}
+                    className="p-1 text-gray-400 hover:text-gray-700 rounded"
+                    title="Download"
+                >
+                    <Download className="w-4 h-4" />
+                </a>
+                {!readOnly && (
+                    <button
+                        onClick={handleRemove}
+                        className="p-1 text-gray-400 hover:text-red-600 hover:cursor-pointer rounded opacity-0 group-hover:opacity-100 transition-opacity"
+                        title="Remove file"
+                    >
+                        <Trash className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    // Render: Empty Read-Only State
+    if (readOnly) {
+        return (
+            <div className="my-1 flex items-center gap-3 rounded-md border border-dashed border-gray-200 px-3 py-2 text-gray-400">
+                <Paperclip className="w-5 h-5 opacity-50" />
+                <span className="text-sm">File not available</span>
+            </div>
+        );
+    }
+
+    // Render: Upload State
+    return (
+        <div
+            className={`
+        my-1 flex items-center gap-3 rounded-md border-2 border-dashed px-3 py-3 transition-all
+        ${isDragging ? 'border-indigo-400 bg-indigo-50/50' : 'border-gray-200 hover:bg-gray-50/40'}
+        ${error ? 'border-red-300 bg-red-50/50' : ''}
+    `}
+            onDragOver={handleDragOver}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+        >
+            <input
+                ref={fileInputRef}
+                type="file"
+                className="hidden"
+                onChange={handleFileSelect}
+            />
+
+            {isUploading ? (
+                <>
+                    <Loader2 className="w-5 h-5 animate-spin text-indigo-600" />
+                    <span className="text-sm font-medium text-indigo-600">Uploading...</span>
+                </>
+            ) : error ? (
+                <>
+                    <Paperclip className="w-5 h-5 text-red-400" />
+                    <span className="text-sm text-red-500 font-medium">{error}</span>
+                    <button
+                        onClick={() => setError(null)}
+                        className="ml-auto text-xs text-indigo-600 hover:underline"
+                    >
+                        Try again
+                    </button>
+                </>
+            ) : (
+                <>
+                    <Paperclip className="w-5 h-5 text-gray-400" />
+                    <span className="text-sm text-gray-700">
+                        <button
+                            onClick={() => fileInputRef.current?.click()}
+                            className="text-indigo-600 hover:underline hover:cursor-pointer"
+                        >
+                            Upload a file
+                        </button>
+                        {' '}or drag and drop
+                    </span>
+                    <span className="ml-auto text-xs text-gray-400">PDF, ZIP, Office, audio</span>
+                </>
+            )}
+        </div>
+    );
+}
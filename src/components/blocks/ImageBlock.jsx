@@ -1,17 +1,53 @@
 
 'use client';
 
-import { useState, useRef, useCallback } from 'react';
-import { Upload, X, Loader2, Image as ImageIcon, Trash } from 'lucide-react';
+/**
+ * ImageBlock Component
+ * ====================
+ *
+ * Uploads and shows an image with alt text, a caption, a width (dragged
+ * with the handles on its sides) and an alignment. Content layout and
+ * srcset variants come from utils/imageLayout.js.
+ */
+
+import { useState, useRef } from 'react';
+import {
+    Loader2,
+    Image as ImageIcon,
+    Trash,
+    AlignLeft,
+    AlignCenter,
+    AlignRight,
+} from 'lucide-react';
+import {
+    normalizeImageContent,
+    clampImageWidth,
+    buildSrcSet,
+    buildSizes,
+} from '@/utils/imageLayout';
+
+const ALIGN_OPTIONS = [
+    { align: 'left', label: 'Align left', Icon: AlignLeft },
+    { align: 'center', label: 'Center', Icon: AlignCenter },
+    { align: 'right', label: 'Align right', Icon: AlignRight },
+];
+
+const JUSTIFY = { left: 'justify-start', center: 'justify-center', right: 'justify-end' };
 
 export default function ImageBlock({ block, onChange, readOnly }) {
     const [isUploading, setIsUploading] = useState(false);
     const [isDragging, setIsDragging] = useState(false);
     const [error, setError] = useState(null);
+    const [showAltEditor, setShowAltEditor] = useState(false);
+    // Width while a resize handle is dragged; committed on release
+    const [dragWidth, setDragWidth] = useState(null);
     const fileInputRef = useRef(null);
+    const frameRef = useRef(null);
 
-    const imageUrl = block.content?.url;
-    const caption = block.content?.caption || '';
+    const image = normalizeImageContent(block.content);
+    const imageUrl = image.url;
+    const caption = image.caption;
+    const width = dragWidth ?? image.width;
 
     const handleFileSelect = async (e) => {
         const file = e.target.files?.[0];
@@ -53,6 +89,7 @@ export default function ImageBlock({ block, onChange, readOnly }) {
         try {
             const formData = new FormData();
             formData.append('file', file);
+            if (block.pageId) formData.append('pageId', block.pageId);
 
             const res = await fetch('/api/upload', {
                 method: 'POST',
@@ -66,12 +103,15 @@ export default function ImageBlock({ block, onChange, readOnly }) {
 
             const data = await res.json();
 
-            // Update block content with new image URL
+            // Update block content with new image URL; a new file
+            // starts at its own size
             onChange({
-                ...block.content,
+                ...image,
                 url: data.url,
-                width: data.width,
-                height: data.height,
+                width: null,
+                naturalWidth: data.width,
+                naturalHeight: data.height,
+                variants: data.variants || [],
                 format: data.format
             });
         } catch (err) {
@@ -82,12 +122,13 @@ export default function ImageBlock({ block, onChange, readOnly }) {
         }
     };
 
-    const handleCaptionChange = (e) => {
+    const updateImage = (changes) => {
         if (readOnly) return;
-        onChange({
-            ...block.content,
-            caption: e.target.value
-        });
+        onChange({ ...image, ...changes });
+    };
+
+    const handleCaptionChange = (e) => {
+        updateImage({ caption: e.target.value });
     };
 
     const handleRemoveImage = () => {
@@ -95,40 +136,152 @@ export default function ImageBlock({ block, onChange, readOnly }) {
         onChange({ url: null }); // Clear URL to reset to upload state
     };
 
+    /**
+     * Drag a side handle to resize. Centered images grow on both sides,
+     * so the pointer moves half as far per pixel of width.
+     */
+    const handleResizeStart = (e, side) => {
+        if (readOnly) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const frame = frameRef.current;
+        const column = frame?.parentElement?.getBoundingClientRect().width;
+        if (!frame || !column) return;
+
+        const startX = e.clientX;
+        const startWidth = frame.getBoundingClientRect().width;
+        const direction = side === 'right' ? 1 : -1;
+        const factor = image.align === 'center' ? 2 : 1;
+        let latest = null;
+
+        const handleMove = (event) => {
+            const pixels = startWidth + (event.clientX - startX) * direction * factor;
+            latest = clampImageWidth((pixels / column) * 100);
+            setDragWidth(latest);
+        };
+        const handleUp = () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
+            setDragWidth(null);
+            if (latest !== null && latest !== image.width) updateImage({ width: latest });
+        };
+
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerup', handleUp);
+    };
+
     // Render: Image View
     if (imageUrl) {
+        const resizeHandle = (side) => (
+            <div
+                onPointerDown={(e) => handleResizeStart(e, side)}
+                className={`absolute top-0 bottom-0 ${side === 'left' ? 'left-0' : 'right-0'} w-3 flex items-center justify-center cursor-col-resize opacity-0 group-hover:opacity-100 transition-opacity`}
+                title="Drag to resize"
+            >
+                <div className="w-1 h-10 max-h-[50%] rounded-full bg-gray-700/50 border border-white/70" />
+            </div>
+        );
+
+        const captionAlign = { left: 'text-left', center: 'text-center', right: 'text-right' }[image.align];
+
         return (
-            <div className="relative group my-2">
-                <div className="relative rounded-md overflow-hidden p-1 border border-gray-100">
-                    <img
-                        src={imageUrl}
-                        alt="Block image"
-                        className="max-w-full h-auto mx-auto block"
-                        style={{ maxHeight: '600px' }}
-                    />
+            <figure className="relative group my-2">
+                <div className={`flex ${JUSTIFY[image.align]}`}>
+                    <div
+                        ref={frameRef}
+                        className="relative rounded-md overflow-hidden p-1 border border-gray-100 max-w-full"
+                        style={{ width: width ? `${width}%` : undefined }}
+                    >
+                        <img
+                            src={imageUrl}
+                            srcSet={buildSrcSet(imageUrl, image.naturalWidth, image.variants)}
+                            sizes={buildSizes(width, image.naturalWidth)}
+                            width={image.naturalWidth || undefined}
+                            height={image.naturalHeight || undefined}
+                            alt={image.alt}
+                            loading="lazy"
+                            className={`h-auto block mx-auto ${width ? 'w-full' : 'max-w-full'}`}
+                            style={{ maxHeight: width ? undefined : '600px' }}
+                            draggable={false}
+                        />
 
-                    {!readOnly && (
-                        <button
-                            onClick={handleRemoveImage}
-                            className="absolute top-2 right-2 p-1  hover:text-red-600 hover:cursor-pointer rounded opacity-0 group-hover:opacity-100 transition-opacity"
-                            title="Remove image"
-                        >
-                            <Trash className="w-4 h-4" />
-                        </button>
-                    )}
+                        {!readOnly && (
+                            <>
+                                {resizeHandle('left')}
+                                {resizeHandle('right')}
+
+                                <div className="absolute top-2 right-2 flex items-center gap-0.5 p-0.5 rounded-lg bg-white/90 backdrop-blur-xl border border-white/20 shadow-sm opacity-0 group-hover:opacity-100 transition-opacity">
+                                    {ALIGN_OPTIONS.map(({ align, label, Icon }) => (
+                                        <button
+                                            key={align}
+                                            onClick={() => updateImage({ align })}
+                                            className={`p-1 rounded hover:bg-gray-100 hover:cursor-pointer ${image.align === align ? 'text-indigo-600' : 'text-gray-600'}`}
+                                            title={label}
+                                        >
+                                            <Icon className="w-4 h-4" />
+                                        </button>
+                                    ))}
+                                    <button
+                                        onClick={() => setShowAltEditor((open) => !open)}
+                                        className={`px-1.5 py-0.5 rounded text-xs font-medium hover:bg-gray-100 hover:cursor-pointer ${image.alt ? 'text-indigo-600' : 'text-gray-600'}`}
+                                        title="Alternative text"
+                                    >
+                                        ALT
+                                    </button>
+                                    <button
+                                        onClick={handleRemoveImage}
+                                        className="p-1 rounded text-gray-600 hover:text-red-600 hover:bg-gray-100 hover:cursor-pointer"
+                                        title="Remove image"
+                                    >
+                                        <Trash className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </div>
                 </div>
 
-                {(!readOnly || (caption && caption.trim() !== '' && caption !== 'Write a caption...')) && (
+                {!readOnly && showAltEditor && (
+                    <div className="absolute right-2 top-12 z-20 w-72 bg-white/90 backdrop-blur-xl border border-white/20 shadow-xl rounded-xl p-3">
+                        <label className="block text-xs font-medium text-gray-500 mb-1.5">
+                            Alt text
+                        </label>
+                        <textarea
+                            autoFocus
+                            value={image.alt}
+                            onChange={(e) => updateImage({ alt: e.target.value })}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' || e.key === 'Escape') {
+                                    e.preventDefault();
+                                    setShowAltEditor(false);
+                                }
+                            }}
+                            rows={3}
+                            maxLength={500}
+                            placeholder="Describe the image for screen readers"
+                            className="w-full resize-none text-sm text-gray-700 bg-white/70 border border-gray-200 rounded-lg px-2 py-1.5 outline-none focus:border-indigo-300"
+                        />
+                    </div>
+                )}
+
+                {readOnly ? (
+                    caption.trim() !== '' && caption !== 'Write a caption...' && (
+                        <figcaption className={`w-full text-sm text-gray-500 mt-1.5 ${captionAlign}`}>
+                            {caption}
+                        </figcaption>
+                    )
+                ) : (
                     <input
                         type="text"
                         value={caption}
                         onChange={handleCaptionChange}
                         placeholder="Write a caption..."
-                        readOnly={readOnly}
-                        className="w-full text-sm text-gray-500 bg-transparent outline-none mt-1.5 text-center"
+                        aria-label="Image caption"
+                        className={`w-full text-sm text-gray-500 bg-transparent outline-none mt-1.5 ${captionAlign}`}
                     />
                 )}
-            </div>
+            </figure>
         );
     }
 
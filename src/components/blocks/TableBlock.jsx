@@ -0,0 +1,444 @@
+/**
+ * TableBlock Component
+ * ====================
+ *
+ * A table with a header row. Content layout and edits live in
+ * utils/tableContent.js; this component only renders and routes input.
+ *
+ * Cells use the same overlay pattern as TextBlock (styled RichText under
+ * a transparent textarea), so they support marks via Ctrl+B/I/U and the
+ * floating style menu.
+ *
+ * Keyboard:
+ *   Tab / Shift+Tab      next / previous cell (Tab in the last cell adds a row)
+ *   Enter                cell below (adds a row at the bottom)
+ *   Shift+Enter          line break inside the cell
+ *   Arrow keys           leave the cell at its first/last line or character
+ *   Escape               leave the table
+ */
+
+'use client';
+
+import { useState, useRef, useCallback } from 'react';
+import {
+    Plus,
+    Trash2,
+    ArrowUp,
+    ArrowDown,
+    ArrowLeft,
+    ArrowRight,
+    BetweenHorizontalStart,
+    BetweenHorizontalEnd,
+    BetweenVerticalStart,
+    BetweenVerticalEnd,
+} from 'lucide-react';
+import { RichText } from '../common/RichText';
+import { FloatingStyleMenu } from '../common/FloatingStyleMenu';
+import { applyMark, removeMark, adjustMarksForChange } from '@/utils/textStyles';
+import {
+    normalizeTableContent,
+    getCell,
+    updateCell,
+    insertRow,
+    removeRow,
+    moveRow,
+    insertColumn,
+    removeColumn,
+    moveColumn,
+    setColumnWidth,
+} from '@/utils/tableContent';
+
+const MARK_KEYS = { b: 'bold', i: 'italic', u: 'underline' };
+
+const cellKey = (row, column) => `${row}:${column}`;
+
+// Toolbar shown for the active cell
+const ROW_ACTIONS = [
+    { id: 'rowUp', label: 'Move row up', Icon: ArrowUp },
+    { id: 'rowDown', label: 'Move row down', Icon: ArrowDown },
+    { id: 'rowAbove', label: 'Insert row above', Icon: BetweenHorizontalStart },
+    { id: 'rowBelow', label: 'Insert row below', Icon: BetweenHorizontalEnd },
+    { id: 'rowDelete', label: 'Delete row', Icon: Trash2 },
+];
+const COLUMN_ACTIONS = [
+    { id: 'columnLeft', label: 'Move column left', Icon: ArrowLeft },
+    { id: 'columnRight', label: 'Move column right', Icon: ArrowRight },
+    { id: 'columnBefore', label: 'Insert column left', Icon: BetweenVerticalStart },
+    { id: 'columnAfter', label: 'Insert column right', Icon: BetweenVerticalEnd },
+    { id: 'columnDelete', label: 'Delete column', Icon: Trash2 },
+];
+
+/**
+ * One editable cell.
+ */
+function TableCell({ cell, isHeader, isActive, inputRef, onCellChange, onFocus, onBlur, onKeyDown }) {
+    const textareaRef = useRef(null);
+
+    const setRef = (element) => {
+        textareaRef.current = element;
+        inputRef(element);
+    };
+
+    const handleChange = (e) => {
+        const text = e.target.value;
+        onCellChange({ text, marks: adjustMarksForChange(cell.marks, cell.text, text) });
+    };
+
+    const handleKeyDown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && MARK_KEYS[e.key.toLowerCase()]) {
+            e.preventDefault();
+            const type = MARK_KEYS[e.key.toLowerCase()];
+            const { selectionStart: start, selectionEnd: end } = e.target;
+            if (start === end) return;
+
+            const isStyled = cell.marks.some((m) => m.type === type && m.start <= start && m.end >= end);
+            onCellChange({
+                ...cell,
+                marks: isStyled ? removeMark(cell.marks, type, start, end) : applyMark(cell.marks, type, start, end),
+            });
+            return;
+        }
+        onKeyDown(e);
+    };
+
+    return (
+        <div className="relative">
+            {/* Visible layer; also gives the cell its height */}
+            <div
+                className={`min-h-6 whitespace-pre-wrap wrap-break-word pointer-events-none ${isHeader ? 'font-semibold' : ''}`}
+                aria-hidden="true"
+            >
+                {cell.text ? <RichText text={cell.text} marks={cell.marks} /> : '\u200b'}
+            </div>
+
+            <textarea
+                ref={setRef}
+                value={cell.text}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onFocus={onFocus}
+                onBlur={onBlur}
+                rows={1}
+                className={`absolute inset-0 w-full h-full bg-transparent resize-none overflow-hidden outline-none
+                           text-transparent selection:bg-lavender/30 border-none m-0 p-0
+                           whitespace-pre-wrap wrap-break-word ${isHeader ? 'font-semibold' : ''}`}
+                style={{ caretColor: 'var(--color-text-primary, #1f2937)', font: 'inherit' }}
+            />
+
+            {isActive && (
+                <FloatingStyleMenu
+                    targetRef={textareaRef}
+                    marks={cell.marks}
+                    onStyleChange={(marks) => onCellChange({ ...cell, marks })}
+                    applyMark={applyMark}
+                    removeMark={removeMark}
+                />
+            )}
+        </div>
+    );
+}
+
+export default function TableBlock({ block, onChange, readOnly }) {
+    // The table shown, and the block content it was last in sync with
+    const [state, setState] = useState(() => ({
+        source: block.content,
+        table: normalizeTableContent(block.content),
+    }));
+    // Cell being edited: { row, column }, row -1 is the header
+    const [active, setActive] = useState(null);
+
+    const containerRef = useRef(null);
+    const inputRefs = useRef(new Map());
+
+    // Take outside changes (history, other clients); our own edits come
+    // back as the content we sent
+    if (block.content !== state.source) {
+        setState({ source: block.content, table: normalizeTableContent(block.content) });
+    }
+
+    const { table } = state;
+
+    // Shows a table without saving it (while a column is dragged)
+    const setTable = (next) => setState((current) => ({ ...current, table: next }));
+
+    const commit = useCallback((next) => {
+        setState({ source: next, table: next });
+        onChange(next);
+    }, [onChange]);
+
+    const columns = table.header.length;
+    const lastRow = table.rows.length - 1;
+
+    /**
+     * Focuses a cell once it is rendered, caret at its start or end.
+     */
+    const focusCell = (row, column, caret = 'end') => {
+        requestAnimationFrame(() => {
+            const input = inputRefs.current.get(cellKey(row, column));
+            if (!input) return;
+            input.focus();
+            const position = caret === 'start' ? 0 : input.value.length;
+            input.setSelectionRange(position, position);
+        });
+    };
+
+    // Cells in reading order: header, then each body row
+    const step = (row, column, offset) => {
+        const index = (row + 1) * columns + column + offset;
+        return { row: Math.floor(index / columns) - 1, column: index % columns, index };
+    };
+
+    const handleCellKeyDown = (e, row, column) => {
+        const { selectionStart, selectionEnd, value } = e.target;
+        const collapsed = selectionStart === selectionEnd;
+
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            const next = step(row, column, e.shiftKey ? -1 : 1);
+            if (next.index < 0) return;
+            if (next.row > lastRow) {
+                commit(insertRow(table, table.rows.length));
+            }
+            focusCell(next.row, next.column);
+            return;
+        }
+
+        if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            if (row === lastRow) {
+                commit(insertRow(table, table.rows.length));
+            }
+            focusCell(row + 1, column);
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.target.blur();
+            return;
+        }
+
+        if (e.key === 'ArrowUp' && row > -1 && !value.slice(0, selectionStart).includes('\n')) {
+            e.preventDefault();
+            focusCell(row - 1, column);
+        } else if (e.key === 'ArrowDown' && row < lastRow && !value.slice(selectionEnd).includes('\n')) {
+            e.preventDefault();
+            focusCell(row + 1, column);
+        } else if (e.key === 'ArrowLeft' && collapsed && selectionStart === 0) {
+            const previous = step(row, column, -1);
+            if (previous.index < 0) return;
+            e.preventDefault();
+            focusCell(previous.row, previous.column, 'end');
+        } else if (e.key === 'ArrowRight' && collapsed && selectionEnd === value.length) {
+            const next = step(row, column, 1);
+            if (next.row > lastRow) return;
+            e.preventDefault();
+            focusCell(next.row, next.column, 'start');
+        }
+    };
+
+    const handleCellBlur = (e) => {
+        // Stay active while focus moves within the table (toolbar, other cells)
+        if (!containerRef.current?.contains(e.relatedTarget)) {
+            setActive(null);
+        }
+    };
+
+    /**
+     * Drag the right edge of a header cell to resize its column. The
+     * width is shown live and saved on release.
+     */
+    const handleResizeStart = (e, column) => {
+        e.preventDefault();
+        const startX = e.clientX;
+        const startWidth = table.columnWidths[column];
+        let latest = table;
+
+        const handleMove = (event) => {
+            latest = setColumnWidth(table, column, startWidth + event.clientX - startX);
+            setTable(latest);
+        };
+        const handleUp = () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
+            if (latest !== table) commit(latest);
+        };
+
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerup', handleUp);
+    };
+
+    /**
+     * Whether a toolbar action applies to the active cell (the header
+     * row can't be moved or deleted).
+     */
+    const isActionDisabled = (id) => {
+        const { row, column } = active;
+        switch (id) {
+            case 'rowUp': return row <= 0;
+            case 'rowDown': return row === -1 || row === lastRow;
+            case 'rowAbove':
+            case 'rowDelete': return row === -1;
+            case 'columnLeft': return column === 0;
+            case 'columnRight': return column === columns - 1;
+            case 'columnDelete': return columns <= 1;
+            default: return false;
+        }
+    };
+
+    /**
+     * Runs a structural edit from the toolbar, then keeps editing the
+     * cell the edit moved the selection to.
+     */
+    const handleAction = (id) => {
+        const { row, column } = active;
+        const edits = {
+            rowUp: [moveRow(table, row, -1), row - 1, column],
+            rowDown: [moveRow(table, row, 1), row + 1, column],
+            rowAbove: [insertRow(table, row), row, column],
+            rowBelow: [insertRow(table, row + 1), row + 1, column],
+            rowDelete: [removeRow(table, row), row, column],
+            columnLeft: [moveColumn(table, column, -1), row, column - 1],
+            columnRight: [moveColumn(table, column, 1), row, column + 1],
+            columnBefore: [insertColumn(table, column), row, column],
+            columnAfter: [insertColumn(table, column + 1), row, column + 1],
+            columnDelete: [removeColumn(table, column), row, column],
+        };
+        const [next, targetRow, targetColumn] = edits[id];
+
+        commit(next);
+        const target = {
+            row: Math.min(targetRow, next.rows.length - 1),
+            column: Math.min(targetColumn, next.header.length - 1),
+        };
+        setActive(target);
+        focusCell(target.row, target.column);
+    };
+
+    const tableWidth = table.columnWidths.reduce((total, width) => total + width, 0);
+
+    const cellContent = (row, column) => {
+        const cell = getCell(table, row, column);
+        if (readOnly) {
+            return (
+                <div className="min-h-6 whitespace-pre-wrap wrap-break-word">
+                    <RichText text={cell.text} marks={cell.marks} />
+                </div>
+            );
+        }
+
+        return (
+            <TableCell
+                cell={cell}
+                isHeader={row === -1}
+                isActive={active?.row === row && active?.column === column}
+                inputRef={(element) => {
+                    if (element) inputRefs.current.set(cellKey(row, column), element);
+                    else inputRefs.current.delete(cellKey(row, column));
+                }}
+                onCellChange={(next) => commit(updateCell(table, row, column, next))}
+                onFocus={() => setActive({ row, column })}
+                onBlur={handleCellBlur}
+                onKeyDown={(e) => handleCellKeyDown(e, row, column)}
+            />
+        );
+    };
+
+    return (
+        <div ref={containerRef} className="relative my-2 group">
+            {!readOnly && active && (
+                <div className="absolute right-0 bottom-full mb-1 z-20 flex items-center gap-0.5 px-1.5 py-1 rounded-lg bg-white/90 backdrop-blur-xl border border-white/20 shadow-xl">
+                    {[['Row', ROW_ACTIONS], ['Column', COLUMN_ACTIONS]].map(([title, actions], group) => (
+                        <div key={title} className="flex items-center gap-0.5">
+                            {group > 0 && <div className="w-px h-4 bg-gray-200 mx-1" />}
+                            <span className="px-1 text-xs font-medium text-gray-400">{title}</span>
+                            {actions.map(({ id, label, Icon }) => (
+                                <button
+                                    key={id}
+                                    type="button"
+                                    title={label}
+                                    disabled={isActionDisabled(id)}
+                                    // Keep the cell focused
+                                    onMouseDown={(e) => e.preventDefault()}
+                                    onClick={() => handleAction(id)}
+                                    className="p-1 rounded text-gray-600 hover:bg-gray-100 hover:text-gray-900 hover:cursor-pointer disabled:opacity-30 disabled:pointer-events-none"
+                                >
+                                    <Icon className="w-4 h-4" />
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="overflow-x-auto">
+                <table
+                    className="border-collapse table-fixed text-sm leading-relaxed"
+                    style={{ width: tableWidth, color: 'var(--color-text-primary)' }}
+                >
+                    <colgroup>
+                        {table.columnWidths.map((width, column) => (
+                            <col key={column} style={{ width }} />
+                        ))}
+                    </colgroup>
+                    <thead>
+                        <tr>
+                            {table.header.map((_, column) => (
+                                <th
+                                    key={column}
+                                    scope="col"
+                                    className="relative border border-gray-200 bg-gray-50/70 px-2 py-1.5 text-left align-top font-semibold"
+                                >
+                                    {cellContent(-1, column)}
+                                    {!readOnly && (
+                                        <div
+                                            onPointerDown={(e) => handleResizeStart(e, column)}
+                                            className="absolute top-0 -right-1 z-10 h-full w-2 cursor-col-resize hover:bg-indigo-400/40"
+                                            title="Drag to resize"
+                                        />
+                                    )}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {table.rows.map((cells, row) => (
+                            <tr key={row}>
+                                {cells.map((_, column) => (
+                                    <td key={column} className="border border-gray-200 px-2 py-1.5 align-top">
+                                        {cellContent(row, column)}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {!readOnly && (
+                <div className="flex gap-3 mt-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <button
+                        type="button"
+                        onClick={() => {
+                            commit(insertRow(table, table.rows.length));
+                            focusCell(table.rows.length, 0);
+                        }}
+                        className="flex items-center gap-1 text-xs text-gray-400 hover:text-gray-700 hover:cursor-pointer"
+                    >
+                        <Plus className="w-3.5 h-3.5" /> New row
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => {
+                            commit(insertColumn(table, columns));
+                            focusCell(-1, columns);
+                        }}
+                        className="flex items-center gap-1 text-xs text-gray-400 hover:text-gray-700 hover:cursor-pointer"
+                    >
+                        <Plus className="w-3.5 h-3.5" /> New column
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -40,7 +40,7 @@ export function FloatingStyleMenu({
     applyMark,           // Utility function
     removeMark,          // Utility function
     fontFamily = 'modern',
-    onFontChange
+    onFontChange         // Optional: the font picker is only shown with it
 }) {
     const [position, setPosition] = useState(null);
     const [selection, setSelection] = useState({ start: 0, end: 0 });
@@ -186,37 +186,41 @@ export function FloatingStyleMenu({
                        rounded-lg shadow-xl animate-in fade-in slide-in-from-bottom-2 duration-150"
             style={{ top: position.top, left: position.left }}
         >
-            <div className="relative" data-font-dropdown="true">
-                <button
-                    onClick={() => setIsFontMenuOpen(!isFontMenuOpen)}
-                    className="flex items-center justify-between gap-1.5 bg-transparent hover:bg-gray-100 transition-colors text-xs font-medium text-gray-700 rounded px-2 py-1 cursor-pointer outline-none border-none min-w-[90px]"
-                >
-                    <span>{FONTS.find(f => f.value === (fontFamily || 'modern'))?.label || 'Default'}</span>
-                    <ChevronDown className="w-3 h-3 opacity-50" />
-                </button>
-
-                {isFontMenuOpen && (
-                    <div className="absolute top-full left-0 mt-2 w-32 py-1 bg-white/95 backdrop-blur-xl border border-gray-100/50 rounded-lg shadow-xl z-50 animate-in fade-in slide-in-from-top-1 duration-150">
-                        {FONTS.map(font => (
-                            <button
-                                key={font.value}
-                                onClick={() => {
-                                    onFontChange?.(font.value);
-                                    setIsFontMenuOpen(false);
-                                    targetRef?.current?.focus();
-                                }}
-                                className={`block cursor-pointer w-full text-left px-3 py-1.5 text-xs transition-colors hover:bg-indigo-50/50 ${fontFamily === font.value ? 'text-indigo-600 font-semibold' : 'text-gray-700 font-medium'
-                                    }`}
-                                style={{ fontFamily: font.css }}
-                            >
-                                {font.label}
-                            </button>
-                        ))}
+            {onFontChange && (
+                <>
+                    <div className="relative" data-font-dropdown="true">
+                        <button
+                            onClick={() => setIsFontMenuOpen(!isFontMenuOpen)}
+                            className="flex items-center justify-between gap-1.5 bg-transparent hover:bg-gray-100 transition-colors text-xs font-medium text-gray-700 rounded px-2 py-1 cursor-pointer outline-none border-none min-w-[90px]"
+                        >
+                            <span>{FONTS.find(f => f.value === (fontFamily || 'modern'))?.label || 'Default'}</span>
+                            <ChevronDown className="w-3 h-3 opacity-50" />
+                        </button>
+
+                        {isFontMenuOpen && (
+                            <div className="absolute top-full left-0 mt-2 w-32 py-1 bg-white/95 backdrop-blur-xl border border-gray-100/50 rounded-lg shadow-xl z-50 animate-in fade-in slide-in-from-top-1 duration-150">
+                                {FONTS.map(font => (
+                                    <button
+                                        key={font.value}
+                                        onClick={() => {
+                                            onFontChange?.(font.value);
+                                            setIsFontMenuOpen(false);
+                                            targetRef?.current?.focus();
+                                        }}
+                                        className={`block cursor-pointer w-full text-left px-3 py-1.5 text-xs transition-colors hover:bg-indigo-50/50 ${fontFamily === font.value ? 'text-indigo-600 font-semibold' : 'text-gray-700 font-medium'
+                                            }`}
+                                        style={{ fontFamily: font.css }}
+                                    >
+                                        {font.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                     </div>
-                )}
-            </div>
 
-            <div className="w-px h-4 bg-gray-200 mx-1" />
+                    <div className="w-px h-4 bg-gray-200 mx-1" />
+                </>
+            )}
 
             <button
                 onClick={() => handleStyle('bold')}
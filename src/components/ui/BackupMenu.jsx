@@ -0,0 +1,146 @@
+/**
+ * BackupMenu Component
+ * ====================
+ *
+ * Sidebar footer button with a popover for backing up the whole
+ * workspace as a JSON file (GET /api/export/workspace) and restoring
+ * such a file (POST /api/import/workspace). Restored pages are added
+ * next to the existing ones.
+ *
+ * Theme: glass popover opening upwards, like the other footer menus.
+ */
+
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { Archive, Download, Upload, Loader2, Check } from 'lucide-react';
+import * as api from '@/lib/apiClient';
+import { saveFile } from '@/utils/download';
+
+export default function BackupMenu({ onRestored }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [busy, setBusy] = useState(null); // 'export' | 'import' | null
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+    const containerRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    // Close on click outside
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    const handleToggle = () => {
+        setMessage(null);
+        setError(null);
+        setIsOpen((prev) => !prev);
+    };
+
+    const handleExport = async () => {
+        setBusy('export');
+        setMessage(null);
+        setError(null);
+        try {
+            const { blob, filename } = await api.exportWorkspace();
+            saveFile(blob, filename);
+            setMessage('Backup downloaded.');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setBusy('import');
+        setMessage(null);
+        setError(null);
+        try {
+            const result = await api.importWorkspace(await file.text());
+            const pages = result.pageCount === 1 ? '1 page' : `${result.pageCount} pages`;
+            setMessage(`Restored ${pages} and ${result.blockCount} blocks.`);
+            onRestored?.(result);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={handleToggle}
+                className="w-full cursor-pointer flex items-center gap-2 px-3 py-2.5 text-sm rounded-xl transition-all"
+                style={{
+                    color: isOpen ? 'var(--color-text-primary)' : 'var(--color-text-muted)',
+                    background: isOpen ? 'rgba(228, 193, 249, 0.4)' : 'transparent'
+                }}
+            >
+                <Archive className="w-4 h-4" />
+                Backup
+            </button>
+
+            {isOpen && (
+                <div className="absolute left-0 bottom-full mb-2 w-full bg-white/90 backdrop-blur-xl border border-white/20
+                        rounded-xl shadow-xl p-3 z-20 animate-in fade-in zoom-in-95 duration-200">
+                    <p className="text-sm font-medium text-gray-700 mb-1">Workspace backup</p>
+                    <p className="text-xs text-gray-400 mb-3">
+                        All pages, blocks and templates as one JSON file. Restoring adds them next to your pages.
+                    </p>
+
+                    <button
+                        onClick={handleExport}
+                        disabled={!!busy}
+                        className="w-full flex items-center gap-2 px-2 py-2 rounded-lg text-sm text-gray-700 text-left cursor-pointer
+                            hover:bg-indigo-50/60 transition-colors disabled:opacity-60"
+                    >
+                        {busy === 'export'
+                            ? <Loader2 className="w-4 h-4 animate-spin text-indigo-400" />
+                            : <Download className="w-4 h-4 text-gray-400" />}
+                        Download backup
+                    </button>
+
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        onChange={handleFileChange}
+                        className="hidden"
+                    />
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={!!busy}
+                        className="w-full flex items-center gap-2 px-2 py-2 rounded-lg text-sm text-gray-700 text-left cursor-pointer
+                            hover:bg-indigo-50/60 transition-colors disabled:opacity-60"
+                    >
+                        {busy === 'import'
+                            ? <Loader2 className="w-4 h-4 animate-spin text-indigo-400" />
+                            : <Upload className="w-4 h-4 text-gray-400" />}
+                        {busy === 'import' ? 'Restoring...' : 'Restore from file'}
+                    </button>
+
+                    {message && (
+                        <p className="flex items-center gap-1.5 px-2 pt-2 text-xs text-emerald-600">
+                            <Check className="w-3.5 h-3.5" />
+                            {message}
+                        </p>
+                    )}
+                    {error && <p className="px-2 pt-2 text-xs text-red-500">{error}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
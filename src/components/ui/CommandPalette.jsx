@@ -0,0 +1,256 @@
+/**
+ * CommandPalette Component
+ * ========================
+ *
+ * Cmd+K / Ctrl+K search across all pages and blocks (child pages too).
+ * Results come from GET /api/search, ranked, with the matching words
+ * highlighted. Selecting a result opens its page and scrolls to the block.
+ *
+ * Keyboard: ↑/↓ to move, Enter to open, Esc to close.
+ *
+ * Theme: glassmorphism dialog like the other editor modals.
+ */
+
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+    Search,
+    FileText,
+    Type,
+    CheckSquare,
+    Code,
+    Link,
+    TextQuote,
+    Loader2,
+    CornerDownLeft,
+} from 'lucide-react';
+import { useDebounce } from '@/hooks/useDebounce';
+import * as api from '@/lib/apiClient';
+
+// Filter chips; types map to the `type` search filter
+const TYPE_FILTERS = [
+    { label: 'All', types: null },
+    { label: 'Pages', types: ['page'] },
+    { label: 'Text', types: ['paragraph', 'heading1', 'heading2', 'heading3', 'quote'] },
+    { label: 'To-dos', types: ['todo'] },
+    { label: 'Code', types: ['code'] },
+    { label: 'Links', types: ['link'] },
+];
+
+const RESULT_ICONS = {
+    todo: CheckSquare,
+    code: Code,
+    link: Link,
+    quote: TextQuote,
+};
+
+function resultIcon(result) {
+    if (result.kind === 'page') return FileText;
+    return RESULT_ICONS[result.blockType] || Type;
+}
+
+/**
+ * Renders a snippet with its highlight ranges wrapped in <mark>.
+ */
+function HighlightedSnippet({ snippet, highlights = [] }) {
+    const parts = [];
+    let cursor = 0;
+
+    highlights.forEach(({ start, end }, index) => {
+        if (start > cursor) parts.push(snippet.slice(cursor, start));
+        parts.push(
+            <mark key={index} className="bg-yellow-200/70 text-gray-900 rounded-sm px-0.5">
+                {snippet.slice(start, end)}
+            </mark>
+        );
+        cursor = end;
+    });
+    if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+
+    return <>{parts}</>;
+}
+
+function PaletteDialog({ onClose, onSelect, currentPageId }) {
+    const [query, setQuery] = useState('');
+    const [filterIndex, setFilterIndex] = useState(0);
+    const [thisPageOnly, setThisPageOnly] = useState(false);
+    const [results, setResults] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [searching, setSearching] = useState(false);
+    const [error, setError] = useState(null);
+    const listRef = useRef(null);
+
+    const debouncedQuery = useDebounce(query.trim(), 250);
+    const filterTypes = TYPE_FILTERS[filterIndex].types;
+    const scopePageId = thisPageOnly ? currentPageId : null;
+
+    // Search whenever the (debounced) query or a filter changes
+    useEffect(() => {
+        if (!debouncedQuery) return;
+
+        let cancelled = false;
+        const runSearch = async () => {
+            setSearching(true);
+            setError(null);
+            try {
+                const data = await api.search(debouncedQuery, { types: filterTypes, pageId: scopePageId });
+                if (!cancelled) {
+                    setResults(data.results || []);
+                    setActiveIndex(0);
+                }
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setSearching(false);
+            }
+        };
+
+        runSearch();
+        return () => {
+            cancelled = true;
+        };
+    }, [debouncedQuery, filterTypes, scopePageId]);
+
+    const visibleResults = query.trim() ? results : [];
+
+    // Keep the active result in view while navigating with the keyboard
+    useEffect(() => {
+        listRef.current
+            ?.querySelector(`[data-index="${activeIndex}"]`)
+            ?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex((i) => Math.min(i + 1, visibleResults.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex((i) => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter' && visibleResults[activeIndex]) {
+            e.preventDefault();
+            onSelect(visibleResults[activeIndex]);
+        }
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[100] flex items-start justify-center pt-[12vh] bg-black/20 backdrop-blur-sm"
+            onMouseDown={onClose}
+        >
+            <motion.div
+                initial={{ opacity: 0, scale: 0.96, y: -8 }}
+                animate={{ opacity: 1, scale: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.96, y: -8 }}
+                transition={{ type: "spring", duration: 0.3, bounce: 0 }}
+                className="w-full max-w-xl mx-4 rounded-2xl overflow-hidden bg-white/90 border border-white/60 shadow-2xl"
+                style={{ backdropFilter: 'blur(24px)', WebkitBackdropFilter: 'blur(24px)' }}
+                onMouseDown={(e) => e.stopPropagation()}
+                onKeyDown={handleKeyDown}
+            >
+                {/* Search input */}
+                <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-200/60">
+                    <Search className="w-4 h-4 text-gray-400 shrink-0" />
+                    <input
+                        autoFocus
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search pages and blocks..."
+                        className="flex-1 bg-transparent outline-none text-sm text-gray-800 placeholder:text-gray-400"
+                    />
+                    {searching && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+                </div>
+
+                {/* Filters */}
+                <div className="flex items-center gap-1.5 px-4 py-2 border-b border-gray-200/60 overflow-x-auto">
+                    {TYPE_FILTERS.map((filter, index) => (
+                        <button
+                            key={filter.label}
+                            onClick={() => setFilterIndex(index)}
+                            className={`px-2.5 py-1 rounded-lg text-xs cursor-pointer transition-colors whitespace-nowrap
+                                ${filterIndex === index ? 'bg-indigo-50 text-indigo-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                    {currentPageId && (
+                        <button
+                            onClick={() => setThisPageOnly((prev) => !prev)}
+                            className={`ml-auto px-2.5 py-1 rounded-lg text-xs cursor-pointer transition-colors whitespace-nowrap
+                                ${thisPageOnly ? 'bg-indigo-50 text-indigo-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                        >
+                            This page
+                        </button>
+                    )}
+                </div>
+
+                {/* Results */}
+                <div ref={listRef} className="max-h-[50vh] overflow-y-auto py-2">
+                    {error && (
+                        <p className="px-4 py-3 text-xs text-red-500">{error}</p>
+                    )}
+
+                    {!error && query.trim() && !searching && visibleResults.length === 0 && debouncedQuery && (
+                        <p className="px-4 py-6 text-sm text-gray-400 text-center">No results</p>
+                    )}
+
+                    {!query.trim() && (
+                        <p className="px-4 py-6 text-sm text-gray-400 text-center">
+                            Type to search every page, including sub-pages.
+                        </p>
+                    )}
+
+                    {visibleResults.map((result, index) => {
+                        const Icon = resultIcon(result);
+                        const isActive = index === activeIndex;
+                        return (
+                            <button
+                                key={`${result.kind}-${result.blockId || result.pageId}`}
+                                data-index={index}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                onClick={() => onSelect(result)}
+                                className={`w-full cursor-pointer flex items-start gap-3 px-4 py-2 text-left transition-colors
+                                    ${isActive ? 'bg-indigo-50/80' : ''}`}
+                            >
+                                <Icon className="w-4 h-4 mt-0.5 text-gray-400 shrink-0" />
+                                <div className="flex-1 min-w-0">
+                                    <div className="text-sm text-gray-700 truncate">
+                                        <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                                    </div>
+                                    {result.kind === 'block' && (
+                                        <div className="text-xs text-gray-400 truncate">
+                                            in {result.pageTitle}
+                                        </div>
+                                    )}
+                                </div>
+                                {isActive && <CornerDownLeft className="w-3.5 h-3.5 mt-1 text-gray-400 shrink-0" />}
+                            </button>
+                        );
+                    })}
+                </div>
+            </motion.div>
+        </motion.div>
+    );
+}
+
+export default function CommandPalette({ isOpen, onClose, onSelect, currentPageId = null }) {
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <PaletteDialog
+                    onClose={onClose}
+                    onSelect={onSelect}
+                    currentPageId={currentPageId}
+                />
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Loader2, GitMerge } from 'lucide-react';
+
+/**
+ * Shown when a save is rejected because the page changed in another session.
+ * The user either keeps their version (overwrite) or loads the latest one.
+ */
+export default function ConflictModal({ conflict, onResolve, onCancel }) {
+    const [isResolving, setIsResolving] = useState(false);
+
+    const handleResolve = async (strategy) => {
+        setIsResolving(true);
+        try {
+            await onResolve(strategy);
+        } finally {
+            setIsResolving(false);
+        }
+    };
+
+    const isTitle = conflict?.kind === 'title';
+
+    return (
+        <AnimatePresence>
+            {conflict && (
+                <>
+                    {/* Invisible Backdrop to catch clicks outside menu */}
+                    <div
+                        className="fixed inset-0 z-40 bg-transparent"
+                        onClick={!isResolving ? onCancel : undefined}
+                    />
+
+                    {/* Popover Menu Container */}
+                    <motion.div
+                        initial={{ opacity: 0, scale: 0.95, y: -8 }}
+                        animate={{ opacity: 1, scale: 1, y: 0 }}
+                        exit={{ opacity: 0, scale: 0.95, y: -8 }}
+                        transition={{ type: "spring", duration: 0.3, bounce: 0 }}
+                        className="absolute right-0 top-full mt-3 z-50 bg-white/95 backdrop-blur-2xl border border-white/60 rounded-2xl shadow-xl w-72 p-4 overflow-hidden"
+                        style={{ boxShadow: '0 20px 40px -15px rgba(0,0,0,0.15)' }}
+                    >
+                        {/* Header */}
+                        <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-800 mb-1">
+                            <GitMerge className="w-4 h-4 text-orange-500" />
+                            Page changed elsewhere
+                        </h3>
+
+                        {/* Body */}
+                        <p className="text-xs text-gray-500 mb-4 leading-relaxed">
+                            {conflict.message || 'This page was changed in another session.'}{' '}
+                            {isTitle
+                                ? `The title is now "${conflict.page?.title || 'Untitled'}".`
+                                : `The latest version has ${conflict.blocks?.length ?? 0} blocks.`}
+                        </p>
+
+                        {/* Actions */}
+                        <div className="flex flex-col gap-1.5">
+                            <button
+                                onClick={() => handleResolve('keep')}
+                                disabled={isResolving}
+                                className="w-full cursor-pointer flex items-center justify-center gap-2 px-3 py-2 text-xs text-indigo-600 hover:bg-indigo-50 font-medium rounded-lg transition-colors text-center disabled:opacity-60"
+                            >
+                                {isResolving && <Loader2 className="w-3 h-3 animate-spin" />}
+                                Keep my changes
+                            </button>
+
+                            <button
+                                onClick={() => handleResolve('reload')}
+                                disabled={isResolving}
+                                className="w-full cursor-pointer px-3 py-2 text-xs text-orange-600 hover:bg-orange-50 font-medium rounded-lg transition-colors text-center disabled:opacity-60"
+                            >
+                                Load latest version
+                            </button>
+
+                            <button
+                                onClick={onCancel}
+                                disabled={isResolving}
+                                className="w-full cursor-pointer px-3 py-2 text-xs text-gray-500 hover:bg-gray-100 font-medium rounded-lg transition-colors text-center disabled:opacity-60"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </motion.div>
+                </>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,961 @@
+/**
+ * DatabaseView Component
+ * ======================
+ *
+ * Table view of a database page: one row per child page, one column per
+ * property. Cells are edited in place; the header of a column opens its
+ * property menu (rename, type, options, order, delete).
+ *
+ * Filters and sorts are sent to POST /api/pages/:id/database/query, so
+ * MongoDB does the work and only a page of rows is loaded. Edited rows
+ * stay where they are until the next query.
+ *
+ * Theme: same glass popovers as the page header menus.
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import {
+    Plus,
+    X,
+    Type,
+    Hash,
+    CircleDot,
+    Tags,
+    Calendar,
+    CheckSquare,
+    Link,
+    ArrowUpDown,
+    Filter,
+    ArrowUpRight,
+    ChevronLeft,
+    ChevronRight,
+    Trash2,
+    Loader2,
+} from 'lucide-react';
+import * as api from '@/lib/apiClient';
+import {
+    OPTION_COLORS,
+    FILTER_OPERATORS,
+    VALUELESS_OPERATORS,
+    BUILT_IN_PROPERTIES,
+    MAX_DATABASE_PROPERTIES,
+    toDateKey,
+} from '@/utils/databaseProperties';
+
+// Rows per query ("Load more" fetches the next page)
+const PAGE_SIZE = 50;
+
+const MAX_SORTS = 3;
+
+const TYPE_LABELS = {
+    text: { label: 'Text', Icon: Type },
+    number: { label: 'Number', Icon: Hash },
+    select: { label: 'Select', Icon: CircleDot },
+    multi_select: { label: 'Multi-select', Icon: Tags },
+    date: { label: 'Date', Icon: Calendar },
+    checkbox: { label: 'Checkbox', Icon: CheckSquare },
+    url: { label: 'URL', Icon: Link },
+};
+
+const OPERATOR_LABELS = {
+    equals: 'is',
+    does_not_equal: 'is not',
+    contains: 'contains',
+    does_not_contain: 'does not contain',
+    starts_with: 'starts with',
+    ends_with: 'ends with',
+    greater_than: '>',
+    greater_than_or_equal_to: '≥',
+    less_than: '<',
+    less_than_or_equal_to: '≤',
+    before: 'is before',
+    after: 'is after',
+    on_or_before: 'is on or before',
+    on_or_after: 'is on or after',
+    is_empty: 'is empty',
+    is_not_empty: 'is not empty',
+};
+
+const OPTION_STYLES = {
+    gray: 'bg-gray-100 text-gray-700',
+    brown: 'bg-amber-100 text-amber-900',
+    orange: 'bg-orange-100 text-orange-700',
+    yellow: 'bg-yellow-100 text-yellow-800',
+    green: 'bg-green-100 text-green-700',
+    blue: 'bg-blue-100 text-blue-700',
+    purple: 'bg-purple-100 text-purple-700',
+    pink: 'bg-pink-100 text-pink-700',
+    red: 'bg-red-100 text-red-700',
+};
+
+const POPOVER_CLASS = 'absolute top-full mt-1 bg-white/90 backdrop-blur-xl border border-white/20 rounded-xl shadow-xl p-2 z-30';
+const FIELD_CLASS = 'px-2 py-1 text-sm rounded-md border border-gray-200 bg-white/80 outline-none focus:border-indigo-300';
+
+/**
+ * Calls onClose on a mousedown outside `ref` while `open`.
+ */
+function useDismiss(ref, open, onClose) {
+    useEffect(() => {
+        if (!open) return;
+        const handleClickOutside = (e) => {
+            if (ref.current && !ref.current.contains(e.target)) onClose();
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [ref, open, onClose]);
+}
+
+function findProperty(properties, id) {
+    return BUILT_IN_PROPERTIES.find((property) => property._id === id)
+        || properties.find((property) => property._id === id);
+}
+
+/**
+ * Filter expression for the query route; unfinished conditions are left out.
+ */
+function buildQueryFilter(filters, mode, properties) {
+    const conditions = filters
+        .filter(({ property, operator, value }) => {
+            const target = findProperty(properties, property);
+            if (!target || !FILTER_OPERATORS[target.type].includes(operator)) return false;
+            return VALUELESS_OPERATORS.includes(operator) || (value !== '' && value != null);
+        })
+        .map(({ property, operator, value }) => ({ property, operator, value }));
+
+    return conditions.length > 0 ? { [mode]: conditions } : null;
+}
+
+function uniqueName(base, properties) {
+    const names = new Set(properties.map((property) => property.name.toLowerCase()));
+    if (!names.has(base.toLowerCase())) return base;
+    let n = 2;
+    while (names.has(`${base} ${n}`.toLowerCase())) n++;
+    return `${base} ${n}`;
+}
+
+function OptionChip({ option, onRemove }) {
+    return (
+        <span className={`inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-xs ${OPTION_STYLES[option.color] || OPTION_STYLES.gray}`}>
+            {option.name}
+            {onRemove && (
+                <button onClick={onRemove} className="opacity-60 hover:opacity-100 cursor-pointer" title="Remove">
+                    <X className="w-3 h-3" />
+                </button>
+            )}
+        </span>
+    );
+}
+
+/**
+ * Select / multi-select cell: chips, and a picker that can also create
+ * a new option.
+ */
+function OptionCell({ property, value, onChange, onCreateOption }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newOption, setNewOption] = useState('');
+    const containerRef = useRef(null);
+    useDismiss(containerRef, isOpen, () => setIsOpen(false));
+
+    const multiple = property.type === 'multi_select';
+    const selected = multiple ? (Array.isArray(value) ? value : []) : (value ? [value] : []);
+    const options = property.options || [];
+
+    const toggle = (optionId) => {
+        if (multiple) {
+            onChange(selected.includes(optionId)
+                ? selected.filter((id) => id !== optionId)
+                : [...selected, optionId]);
+        } else {
+            onChange(selected.includes(optionId) ? null : optionId);
+            setIsOpen(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const name = newOption.trim();
+        if (!name) return;
+        const option = await onCreateOption(property, name);
+        setNewOption('');
+        if (option) toggle(option._id);
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                className="w-full min-h-[28px] flex flex-wrap items-center gap-1 px-2 py-1 text-left cursor-pointer"
+            >
+                {options.filter((option) => selected.includes(option._id)).map((option) => (
+                    <OptionChip key={option._id} option={option} />
+                ))}
+            </button>
+
+            {isOpen && (
+                <div className={`${POPOVER_CLASS} left-0 w-56`}>
+                    <div className="max-h-56 overflow-y-auto">
+                        {options.map((option) => (
+                            <button
+                                key={option._id}
+                                onClick={() => toggle(option._id)}
+                                className={`w-full flex items-center justify-between px-2 py-1.5 rounded-lg cursor-pointer hover:bg-indigo-50/60
+                                    ${selected.includes(option._id) ? 'bg-indigo-50/80' : ''}`}
+                            >
+                                <OptionChip option={option} />
+                                {selected.includes(option._id) && <span className="text-xs text-indigo-500">✓</span>}
+                            </button>
+                        ))}
+                        {options.length === 0 && (
+                            <p className="px-2 py-1.5 text-xs text-gray-400">No options yet</p>
+                        )}
+                    </div>
+                    <form onSubmit={handleCreate} className="pt-2 mt-1 border-t border-gray-100">
+                        <input
+                            value={newOption}
+                            onChange={(e) => setNewOption(e.target.value)}
+                            placeholder="Create an option"
+                            maxLength={100}
+                            className={`${FIELD_CLASS} w-full`}
+                        />
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Inline editor for one property value. Text-like inputs keep their
+ * draft until blur or Enter; pickers save right away.
+ */
+function PropertyCell({ property, value, onChange, onCreateOption }) {
+    const commitText = (e) => {
+        const text = e.target.value;
+        if (text === (value ?? '').toString()) return;
+        if (property.type === 'number') {
+            onChange(text.trim() === '' ? null : Number(text));
+        } else {
+            onChange(text === '' ? null : text);
+        }
+    };
+
+    const blurOnEnter = (e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') {
+            e.currentTarget.value = value ?? '';
+            e.currentTarget.blur();
+        }
+    };
+
+    switch (property.type) {
+        case 'checkbox':
+            return (
+                <div className="px-2 py-1">
+                    <input
+                        type="checkbox"
+                        checked={value === true}
+                        onChange={(e) => onChange(e.target.checked)}
+                        className="w-4 h-4 accent-indigo-500 cursor-pointer"
+                    />
+                </div>
+            );
+        case 'date':
+            return (
+                <input
+                    type="date"
+                    value={toDateKey(value) || ''}
+                    onChange={(e) => onChange(e.target.value || null)}
+                    className="w-full px-2 py-1 bg-transparent outline-none text-sm"
+                />
+            );
+        case 'select':
+        case 'multi_select':
+            return (
+                <OptionCell
+                    property={property}
+                    value={value}
+                    onChange={onChange}
+                    onCreateOption={onCreateOption}
+                />
+            );
+        default:
+            return (
+                <div className="flex items-center">
+                    <input
+                        // Remount when the saved value changes, dropping the draft
+                        key={value ?? ''}
+                        type={property.type === 'number' ? 'number' : property.type === 'url' ? 'url' : 'text'}
+                        defaultValue={value ?? ''}
+                        onBlur={commitText}
+                        onKeyDown={blurOnEnter}
+                        className={`w-full min-w-0 px-2 py-1 bg-transparent outline-none text-sm ${property.type === 'number' ? 'text-right' : ''}`}
+                    />
+                    {property.type === 'url' && value && (
+                        <a
+                            href={value}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="shrink-0 p-1 text-gray-400 hover:text-indigo-600"
+                            title="Open link"
+                        >
+                            <ArrowUpRight className="w-3.5 h-3.5" />
+                        </a>
+                    )}
+                </div>
+            );
+    }
+}
+
+/**
+ * Column header with the property's menu.
+ */
+function PropertyHeader({ property, index, count, onUpdate, onMove, onDelete }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [newOption, setNewOption] = useState('');
+    const containerRef = useRef(null);
+    useDismiss(containerRef, isOpen, () => setIsOpen(false));
+
+    const { Icon } = TYPE_LABELS[property.type];
+    const hasOptions = property.type === 'select' || property.type === 'multi_select';
+    const options = property.options || [];
+
+    const commitName = (e) => {
+        const name = e.target.value.trim();
+        if (name && name !== property.name) onUpdate({ name });
+        else e.target.value = property.name;
+    };
+
+    const updateOption = (optionId, changes) => {
+        onUpdate({ options: options.map((option) => (option._id === optionId ? { ...option, ...changes } : option)) });
+    };
+
+    const addOption = (e) => {
+        e.preventDefault();
+        const name = newOption.trim();
+        if (!name) return;
+        onUpdate({ options: [...options, { name, color: OPTION_COLORS[options.length % OPTION_COLORS.length] }] });
+        setNewOption('');
+    };
+
+    return (
+        <th className="relative min-w-[160px] border-b border-r border-gray-200 p-0 font-normal text-left" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen((open) => !open)}
+                className="w-full flex items-center gap-1.5 px-2 py-1.5 text-sm text-gray-500 hover:bg-gray-100/60 cursor-pointer"
+            >
+                <Icon className="w-3.5 h-3.5 shrink-0" />
+                <span className="truncate">{property.name}</span>
+            </button>
+
+            {isOpen && (
+                <div className={`${POPOVER_CLASS} left-0 w-64 space-y-2`}>
+                    <input
+                        key={property.name}
+                        defaultValue={property.name}
+                        onBlur={commitName}
+                        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                        maxLength={100}
+                        className={`${FIELD_CLASS} w-full`}
+                        autoFocus
+                    />
+
+                    <label className="block">
+                        <span className="block px-1 pb-1 text-xs text-gray-400">Type</span>
+                        <select
+                            value={property.type}
+                            onChange={(e) => onUpdate({ type: e.target.value, options: [] })}
+                            className={`${FIELD_CLASS} w-full`}
+                        >
+                            {Object.entries(TYPE_LABELS).map(([type, { label }]) => (
+                                <option key={type} value={type}>{label}</option>
+                            ))}
+                        </select>
+                        <span className="block px-1 pt-1 text-xs text-gray-400">Changing the type clears this column</span>
+                    </label>
+
+                    {hasOptions && (
+                        <div>
+                            <span className="block px-1 pb-1 text-xs text-gray-400">Options</span>
+                            <div className="max-h-48 overflow-y-auto space-y-1">
+                                {options.map((option) => (
+                                    <div key={option._id || option.name} className="flex items-center gap-1">
+                                        <select
+                                            value={option.color}
+                                            onChange={(e) => updateOption(option._id, { color: e.target.value })}
+                                            className={`w-16 px-1 py-1 text-xs rounded-md border border-gray-200 ${OPTION_STYLES[option.color]}`}
+                                            title="Color"
+                                        >
+                                            {OPTION_COLORS.map((color) => (
+                                                <option key={color} value={color}>{color}</option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            key={option.name}
+                                            defaultValue={option.name}
+                                            onBlur={(e) => {
+                                                const name = e.target.value.trim();
+                                                if (name && name !== option.name) updateOption(option._id, { name });
+                                                else e.target.value = option.name;
+                                            }}
+                                            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                                            maxLength={100}
+                                            className={`${FIELD_CLASS} min-w-0 flex-1`}
+                                        />
+                                        <button
+                                            onClick={() => onUpdate({ options: options.filter((o) => o._id !== option._id) })}
+                                            className="p-1 text-gray-400 hover:text-red-600 cursor-pointer"
+                                            title="Delete option"
+                                        >
+                                            <X className="w-3.5 h-3.5" />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                            <form onSubmit={addOption} className="pt-1">
+                                <input
+                                    value={newOption}
+                                    onChange={(e) => setNewOption(e.target.value)}
+                                    placeholder="Add an option"
+                                    maxLength={100}
+                                    className={`${FIELD_CLASS} w-full`}
+                                />
+                            </form>
+                        </div>
+                    )}
+
+                    <div className="flex items-center gap-1 pt-2 border-t border-gray-100">
+                        <button
+                            onClick={() => onMove(index, -1)}
+                            disabled={index === 0}
+                            className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                            title="Move left"
+                        >
+                            <ChevronLeft className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => onMove(index, 1)}
+                            disabled={index === count - 1}
+                            className="p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 cursor-pointer disabled:opacity-40 disabled:cursor-default"
+                            title="Move right"
+                        >
+                            <ChevronRight className="w-4 h-4" />
+                        </button>
+                        <button
+                            onClick={() => {
+                                setIsOpen(false);
+                                onDelete(property._id);
+                            }}
+                            className="ml-auto flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-sm text-red-500 hover:bg-red-50 cursor-pointer"
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                            Delete property
+                        </button>
+                    </div>
+                </div>
+            )}
+        </th>
+    );
+}
+
+/**
+ * Value input of a filter condition, by property type.
+ */
+function FilterValueInput({ property, filter, onChange }) {
+    if (VALUELESS_OPERATORS.includes(filter.operator)) return null;
+
+    switch (property.type) {
+        case 'checkbox':
+            return (
+                <select
+                    value={String(filter.value === true)}
+                    onChange={(e) => onChange(e.target.value === 'true')}
+                    className={FIELD_CLASS}
+                >
+                    <option value="true">Checked</option>
+                    <option value="false">Unchecked</option>
+                </select>
+            );
+        case 'select':
+        case 'multi_select':
+            return (
+                <select value={filter.value ?? ''} onChange={(e) => onChange(e.target.value)} className={FIELD_CLASS}>
+                    <option value="">Choose…</option>
+                    {(property.options || []).map((option) => (
+                        <option key={option._id} value={option._id}>{option.name}</option>
+                    ))}
+                </select>
+            );
+        case 'date':
+            return <input type="date" value={filter.value ?? ''} onChange={(e) => onChange(e.target.value)} className={FIELD_CLASS} />;
+        default:
+            return (
+                <input
+                    type={property.type === 'number' ? 'number' : 'text'}
+                    value={filter.value ?? ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    placeholder="Value"
+                    className={`${FIELD_CLASS} w-28`}
+                />
+            );
+    }
+}
+
+export default function DatabaseView({ database, onDatabaseChange }) {
+    const router = useRouter();
+    const properties = useMemo(() => database.propertySchema || [], [database.propertySchema]);
+    const filterable = useMemo(() => [...BUILT_IN_PROPERTIES, ...properties], [properties]);
+
+    const [sorts, setSorts] = useState([]);
+    const [filters, setFilters] = useState([]);
+    const [filterMode, setFilterMode] = useState('and');
+    const [openMenu, setOpenMenu] = useState(null); // 'filter' | 'sort'
+    const [refreshKey, setRefreshKey] = useState(0);
+    const [result, setResult] = useState({ key: null, rows: [], total: 0, hasMore: false });
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [error, setError] = useState(null);
+
+    const toolbarRef = useRef(null);
+    useDismiss(toolbarRef, !!openMenu, () => setOpenMenu(null));
+
+    const query = useMemo(() => ({
+        filter: buildQueryFilter(filters, filterMode, properties),
+        sorts: sorts.filter((sort) => findProperty(properties, sort.property)),
+    }), [filters, filterMode, sorts, properties]);
+
+    // Schema changes can clear values, so they refetch too
+    const queryKey = JSON.stringify([database._id, query, properties, refreshKey]);
+    const isLoading = result.key !== queryKey;
+
+    useEffect(() => {
+        let cancelled = false;
+        api.queryDatabase(database._id, { ...query, limit: PAGE_SIZE })
+            .then((data) => {
+                if (!cancelled) setResult({ key: queryKey, rows: data.rows, total: data.total, hasMore: data.hasMore });
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                setResult({ key: queryKey, rows: [], total: 0, hasMore: false });
+                setError(err.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [database._id, query, queryKey]);
+
+    const updateRow = (rowId, changes) => {
+        setResult((prev) => ({
+            ...prev,
+            rows: prev.rows.map((row) => (row._id === rowId ? { ...row, ...changes } : row)),
+        }));
+    };
+
+    const loadMore = async () => {
+        setIsLoadingMore(true);
+        try {
+            const data = await api.queryDatabase(database._id, { ...query, limit: PAGE_SIZE, offset: result.rows.length });
+            setResult((prev) => ({ ...prev, rows: [...prev.rows, ...data.rows], total: data.total, hasMore: data.hasMore }));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    // Schema
+
+    const saveSchema = async (nextProperties) => {
+        setError(null);
+        try {
+            const { page } = await api.updateDatabaseSchema(database._id, nextProperties);
+            onDatabaseChange(page);
+            return page;
+        } catch (err) {
+            setError(err.message);
+            return null;
+        }
+    };
+
+    const addProperty = () => {
+        saveSchema([...properties, { name: uniqueName('Property', properties), type: 'text' }]);
+    };
+
+    const updateProperty = (propertyId, changes) => {
+        saveSchema(properties.map((property) => (property._id === propertyId ? { ...property, ...changes } : property)));
+    };
+
+    const moveProperty = (index, offset) => {
+        const next = [...properties];
+        const [property] = next.splice(index, 1);
+        next.splice(index + offset, 0, property);
+        saveSchema(next);
+    };
+
+    const deleteProperty = (propertyId) => {
+        setSorts((prev) => prev.filter((sort) => sort.property !== propertyId));
+        setFilters((prev) => prev.filter((filter) => filter.property !== propertyId));
+        saveSchema(properties.filter((property) => property._id !== propertyId));
+    };
+
+    // Creates an option from a cell's picker; resolves to the saved option
+    const createOption = async (property, name) => {
+        const existing = (property.options || []).find((option) => option.name.toLowerCase() === name.toLowerCase());
+        if (existing) return existing;
+
+        const options = [...(property.options || []), { name, color: OPTION_COLORS[(property.options || []).length % OPTION_COLORS.length] }];
+        const page = await saveSchema(properties.map((p) => (p._id === property._id ? { ...p, options } : p)));
+        const saved = page?.propertySchema.find((p) => p._id === property._id);
+        return saved?.options.find((option) => option.name === name) || null;
+    };
+
+    const convertToPage = async () => {
+        if (!window.confirm('Turn this database back into a page? Property values of its rows are removed.')) return;
+        try {
+            const { page } = await api.removeDatabase(database._id);
+            onDatabaseChange(page);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Rows
+
+    const addRow = async () => {
+        setError(null);
+        try {
+            const { row } = await api.createDatabaseRow(database._id);
+            setResult((prev) => ({ ...prev, rows: [...prev.rows, row], total: prev.total + 1 }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const changeValue = async (row, property, value) => {
+        const previous = row.propertyValues || {};
+        updateRow(row._id, { propertyValues: { ...previous, [property._id]: value } });
+        try {
+            const { page } = await api.updatePageProperties(row._id, { [property._id]: value });
+            updateRow(row._id, { propertyValues: page.propertyValues || {}, revision: page.revision });
+        } catch (err) {
+            updateRow(row._id, { propertyValues: previous });
+            setError(err.message);
+        }
+    };
+
+    const renameRow = async (row, title) => {
+        if (title === row.title) return;
+        updateRow(row._id, { title });
+        try {
+            await api.updatePage(row._id, { title });
+        } catch (err) {
+            updateRow(row._id, { title: row.title });
+            setError(err.message);
+        }
+    };
+
+    const deleteRow = async (row) => {
+        try {
+            await api.deletePage(row._id);
+            setResult((prev) => ({
+                ...prev,
+                rows: prev.rows.filter((r) => r._id !== row._id),
+                total: prev.total - 1,
+            }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Filters and sorts
+
+    const addFilter = () => {
+        setFilters((prev) => [...prev, { id: Date.now(), property: 'title', operator: 'contains', value: '' }]);
+    };
+
+    const updateFilter = (id, changes) => {
+        setFilters((prev) => prev.map((filter) => {
+            if (filter.id !== id) return filter;
+            const next = { ...filter, ...changes };
+            // A new property starts with its first operator and no value
+            if (changes.property) {
+                const property = findProperty(properties, changes.property);
+                next.operator = FILTER_OPERATORS[property.type][0];
+                next.value = property.type === 'checkbox' ? true : '';
+            }
+            return next;
+        }));
+    };
+
+    const addSort = () => {
+        const used = new Set(sorts.map((sort) => sort.property));
+        const property = filterable.find((p) => !used.has(p._id));
+        if (property) setSorts((prev) => [...prev, { property: property._id, direction: 'ascending' }]);
+    };
+
+    const updateSort = (index, changes) => {
+        setSorts((prev) => prev.map((sort, i) => (i === index ? { ...sort, ...changes } : sort)));
+    };
+
+    const activeFilters = query.filter ? query.filter[filterMode].length : 0;
+
+    return (
+        <div className="mb-8">
+            {/* Toolbar */}
+            <div className="relative flex items-center gap-1 mb-2" ref={toolbarRef}>
+                <button
+                    onClick={() => setOpenMenu(openMenu === 'filter' ? null : 'filter')}
+                    className={`flex items-center gap-1.5 px-2 py-1 rounded-lg text-sm cursor-pointer transition-colors
+                        ${activeFilters > 0 ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:bg-gray-100/60'}`}
+                >
+                    <Filter className="w-3.5 h-3.5" />
+                    Filter{activeFilters > 0 && ` (${activeFilters})`}
+                </button>
+                <button
+                    onClick={() => setOpenMenu(openMenu === 'sort' ? null : 'sort')}
+                    className={`flex items-center gap-1.5 px-2 py-1 rounded-lg text-sm cursor-pointer transition-colors
+                        ${query.sorts.length > 0 ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:bg-gray-100/60'}`}
+                >
+                    <ArrowUpDown className="w-3.5 h-3.5" />
+                    Sort{query.sorts.length > 0 && ` (${query.sorts.length})`}
+                </button>
+                {isLoading && <Loader2 className="w-3.5 h-3.5 animate-spin text-indigo-400" />}
+                <span className="ml-auto text-xs text-gray-400">
+                    {result.total} {result.total === 1 ? 'row' : 'rows'}
+                </span>
+                <button
+                    onClick={convertToPage}
+                    className="px-2 py-1 rounded-lg text-xs text-gray-400 hover:text-gray-600 hover:bg-gray-100/60 cursor-pointer"
+                    title="Turn back into a page"
+                >
+                    Turn into page
+                </button>
+
+                {openMenu === 'filter' && (
+                    <div className={`${POPOVER_CLASS} left-0 w-[28rem] space-y-2`}>
+                        {filters.map((filter, index) => {
+                            const property = findProperty(properties, filter.property) || BUILT_IN_PROPERTIES[0];
+                            return (
+                                <div key={filter.id} className="flex items-center gap-1.5">
+                                    {index === 0 ? (
+                                        <span className="w-14 text-xs text-gray-400">Where</span>
+                                    ) : (
+                                        <select
+                                            value={filterMode}
+                                            onChange={(e) => setFilterMode(e.target.value)}
+                                            disabled={index > 1}
+                                            className={`${FIELD_CLASS} w-14 px-1 text-xs`}
+                                        >
+                                            <option value="and">and</option>
+                                            <option value="or">or</option>
+                                        </select>
+                                    )}
+                                    <select
+                                        value={property._id}
+                                        onChange={(e) => updateFilter(filter.id, { property: e.target.value })}
+                                        className={`${FIELD_CLASS} w-28`}
+                                    >
+                                        {filterable.map((p) => (
+                                            <option key={p._id} value={p._id}>{p.name}</option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        value={filter.operator}
+                                        onChange={(e) => updateFilter(filter.id, { operator: e.target.value })}
+                                        className={`${FIELD_CLASS} w-28`}
+                                    >
+                                        {FILTER_OPERATORS[property.type].map((operator) => (
+                                            <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                                        ))}
+                                    </select>
+                                    <FilterValueInput
+                                        property={property}
+                                        filter={filter}
+                                        onChange={(value) => updateFilter(filter.id, { value })}
+                                    />
+                                    <button
+                                        onClick={() => setFilters((prev) => prev.filter((f) => f.id !== filter.id))}
+                                        className="ml-auto p-1 text-gray-400 hover:text-red-600 cursor-pointer"
+                                        title="Remove filter"
+                                    >
+                                        <X className="w-3.5 h-3.5" />
+                                    </button>
+                                </div>
+                            );
+                        })}
+                        <button
+                            onClick={addFilter}
+                            className="flex items-center gap-1.5 px-2 py-1 rounded-lg text-sm text-gray-500 hover:bg-indigo-50/60 cursor-pointer"
+                        >
+                            <Plus className="w-3.5 h-3.5" />
+                            Add a filter
+                        </button>
+                    </div>
+                )}
+
+                {openMenu === 'sort' && (
+                    <div className={`${POPOVER_CLASS} left-0 w-80 space-y-2`}>
+                        {sorts.map((sort, index) => (
+                            <div key={index} className="flex items-center gap-1.5">
+                                <select
+                                    value={sort.property}
+                                    onChange={(e) => updateSort(index, { property: e.target.value })}
+                                    className={`${FIELD_CLASS} flex-1`}
+                                >
+                                    {filterable.map((p) => (
+                                        <option key={p._id} value={p._id}>{p.name}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={sort.direction}
+                                    onChange={(e) => updateSort(index, { direction: e.target.value })}
+                                    className={FIELD_CLASS}
+                                >
+                                    <option value="ascending">Ascending</option>
+                                    <option value="descending">Descending</option>
+                                </select>
+                                <button
+                                    onClick={() => setSorts((prev) => prev.filter((_, i) => i !== index))}
+                                    className="p-1 text-gray-400 hover:text-red-600 cursor-pointer"
+                                    title="Remove sort"
+                                >
+                                    <X className="w-3.5 h-3.5" />
+                                </button>
+                            </div>
+                        ))}
+                        {sorts.length < MAX_SORTS && (
+                            <button
+                                onClick={addSort}
+                                className="flex items-center gap-1.5 px-2 py-1 rounded-lg text-sm text-gray-500 hover:bg-indigo-50/60 cursor-pointer"
+                            >
+                                <Plus className="w-3.5 h-3.5" />
+                                Add a sort
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-2 flex items-center gap-2 text-xs text-red-500">
+                    {error}
+                    <button onClick={() => setError(null)} className="text-indigo-600 hover:underline cursor-pointer">
+                        Dismiss
+                    </button>
+                </div>
+            )}
+
+            {/* Table */}
+            <div className="overflow-x-auto pb-40 -mb-40">
+                <table className="min-w-full border-collapse border-t border-l border-gray-200 text-sm">
+                    <thead>
+                        <tr>
+                            <th className="min-w-[220px] border-b border-r border-gray-200 px-2 py-1.5 text-left font-normal text-gray-500">
+                                <span className="flex items-center gap-1.5">
+                                    <Type className="w-3.5 h-3.5" />
+                                    Title
+                                </span>
+                            </th>
+                            {properties.map((property, index) => (
+                                <PropertyHeader
+                                    key={property._id}
+                                    property={property}
+                                    index={index}
+                                    count={properties.length}
+                                    onUpdate={(changes) => updateProperty(property._id, changes)}
+                                    onMove={moveProperty}
+                                    onDelete={deleteProperty}
+                                />
+                            ))}
+                            <th className="w-10 border-b border-r border-gray-200 p-0">
+                                {properties.length < MAX_DATABASE_PROPERTIES && (
+                                    <button
+                                        onClick={addProperty}
+                                        className="w-full flex justify-center py-1.5 text-gray-400 hover:text-gray-700 hover:bg-gray-100/60 cursor-pointer"
+                                        title="Add a property"
+                                    >
+                                        <Plus className="w-4 h-4" />
+                                    </button>
+                                )}
+                            </th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.rows.map((row) => (
+                            <tr key={row._id} className="group hover:bg-gray-50/60">
+                                <td className="border-b border-r border-gray-200 p-0">
+                                    <div className="flex items-center">
+                                        <input
+                                            key={row.title}
+                                            defaultValue={row.title}
+                                            onBlur={(e) => renameRow(row, e.target.value || 'Untitled')}
+                                            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                                            maxLength={200}
+                                            className="w-full min-w-0 px-2 py-1 bg-transparent outline-none font-medium"
+                                        />
+                                        <button
+                                            onClick={() => router.push(`/page/${row._id}`)}
+                                            className="shrink-0 p-1 text-gray-400 hover:text-indigo-600 opacity-0 group-hover:opacity-100 cursor-pointer"
+                                            title="Open page"
+                                        >
+                                            <ArrowUpRight className="w-3.5 h-3.5" />
+                                        </button>
+                                    </div>
+                                </td>
+                                {properties.map((property) => (
+                                    <td key={property._id} className="border-b border-r border-gray-200 p-0 align-top">
+                                        <PropertyCell
+                                            property={property}
+                                            value={row.propertyValues?.[property._id] ?? null}
+                                            onChange={(value) => changeValue(row, property, value)}
+                                            onCreateOption={createOption}
+                                        />
+                                    </td>
+                                ))}
+                                <td className="border-b border-r border-gray-200 p-0 text-center">
+                                    <button
+                                        onClick={() => deleteRow(row)}
+                                        className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 cursor-pointer"
+                                        title="Delete row"
+                                    >
+                                        <Trash2 className="w-3.5 h-3.5" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex items-center gap-3 mt-1">
+                <button
+                    onClick={addRow}
+                    className="flex items-center gap-1.5 px-2 py-1 rounded-lg text-sm text-gray-400 hover:text-gray-700 hover:bg-gray-100/60 cursor-pointer"
+                >
+                    <Plus className="w-4 h-4" />
+                    New row
+                </button>
+                {result.hasMore && (
+                    <button
+                        onClick={loadMore}
+                        disabled={isLoadingMore}
+                        className="px-2 py-1 rounded-lg text-sm text-indigo-600 hover:bg-indigo-50 cursor-pointer disabled:opacity-60"
+                    >
+                        {isLoadingMore ? 'Loading…' : `Load more (${result.total - result.rows.length})`}
+                    </button>
+                )}
+                {!isLoading && result.total === 0 && activeFilters > 0 && (
+                    <span className="text-xs text-gray-400">No rows match these filters</span>
+                )}
+                <button
+                    onClick={() => setRefreshKey((key) => key + 1)}
+                    className="ml-auto px-2 py-1 rounded-lg text-xs text-gray-400 hover:text-gray-600 hover:bg-gray-100/60 cursor-pointer"
+                    title="Run the query again (re-applies sorting after edits)"
+                >
+                    Refresh
+                </button>
+            </div>
+        </div>
+    );
+}
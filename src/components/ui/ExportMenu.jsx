@@ -0,0 +1,144 @@
+/**
+ * ExportMenu Component
+ * ====================
+ *
+ * Page header button with a dropdown of export formats. The selected
+ * export is fetched from GET /api/pages/:id/export and saved as a file.
+ *
+ * Theme: same glass popover as the Access (share) menu.
+ */
+
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { Download, FileText, FolderTree, FileCode, FileType, Loader2 } from 'lucide-react';
+import * as api from '@/lib/apiClient';
+import { saveFile } from '@/utils/download';
+
+const EXPORT_OPTIONS = [
+    {
+        id: 'md',
+        label: 'Markdown',
+        hint: 'This page as a .md file',
+        icon: FileText,
+        options: { format: 'md' },
+    },
+    {
+        id: 'md-tree',
+        label: 'Markdown with sub-pages',
+        hint: 'A .zip of linked .md files',
+        icon: FolderTree,
+        options: { format: 'md', recursive: true },
+    },
+    {
+        id: 'html',
+        label: 'HTML',
+        hint: 'A styled .html file anyone can open',
+        icon: FileCode,
+        options: { format: 'html' },
+    },
+    {
+        id: 'pdf',
+        label: 'PDF',
+        hint: 'Printable, with sub-pages and contents',
+        icon: FileType,
+        options: { format: 'pdf' },
+    },
+];
+
+export default function ExportMenu({ pageId, onBeforeOpen }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+    const containerRef = useRef(null);
+
+    // Close on click outside
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    const open = () => {
+        setError(null);
+        setIsOpen(true);
+    };
+
+    const handleToggle = () => {
+        if (isOpen) {
+            setIsOpen(false);
+        } else if (onBeforeOpen) {
+            // Exports read the saved page; let the editor save pending edits first
+            onBeforeOpen(open);
+        } else {
+            open();
+        }
+    };
+
+    const handleExport = async (option) => {
+        setBusyId(option.id);
+        setError(null);
+        try {
+            const { blob, filename } = await api.exportPage(pageId, option.options);
+            saveFile(blob, filename);
+            setIsOpen(false);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={handleToggle}
+                className={`flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm
+                    ${isOpen ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:bg-gray-100/50 hover:text-gray-700'}`}
+                title="Export"
+            >
+                <Download className="w-4 h-4" />
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-2 w-64 bg-white/90 backdrop-blur-xl border border-white/20
+                        rounded-xl shadow-xl p-2 z-20 animate-in fade-in zoom-in-95 duration-200">
+                    <p className="px-2 pt-1 pb-2 text-xs font-medium text-gray-400 uppercase tracking-wide">
+                        Export
+                    </p>
+
+                    {EXPORT_OPTIONS.map((option) => {
+                        const Icon = option.icon;
+                        return (
+                            <button
+                                key={option.id}
+                                onClick={() => handleExport(option)}
+                                disabled={!!busyId}
+                                className="w-full flex items-center gap-3 px-2 py-2 rounded-lg text-left cursor-pointer
+                                    hover:bg-indigo-50/60 transition-colors disabled:opacity-60"
+                            >
+                                {busyId === option.id ? (
+                                    <Loader2 className="w-4 h-4 animate-spin text-indigo-400 shrink-0" />
+                                ) : (
+                                    <Icon className="w-4 h-4 text-gray-400 shrink-0" />
+                                )}
+                                <span className="min-w-0">
+                                    <span className="block text-sm text-gray-700">{option.label}</span>
+                                    <span className="block text-xs text-gray-400">{option.hint}</span>
+                                </span>
+                            </button>
+                        );
+                    })}
+
+                    {error && <p className="px-2 pt-2 text-xs text-red-500">{error}</p>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,277 @@
+/**
+ * HistoryPanel Component
+ * ======================
+ *
+ * Side panel listing the saved versions of a page.
+ * Selecting a version shows what changed since then (block by block),
+ * and the version can be restored from there.
+ *
+ * Theme: same translucent glass panel as the Sidebar, docked right.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, History, Loader2, RotateCcw, AlertCircle } from 'lucide-react';
+import * as api from '@/lib/apiClient';
+
+const REASON_LABELS = {
+    edit: 'Edited',
+    api: 'AI / API',
+    import: 'Imported',
+    restore: 'Restored',
+    checkpoint: 'Before changes',
+};
+
+// How each diff status reads when comparing a version with the current page
+const STATUS_STYLES = {
+    added: { label: 'Added since', className: 'border-green-300 bg-green-50/60' },
+    removed: { label: 'Removed since', className: 'border-red-300 bg-red-50/60' },
+    changed: { label: 'Edited since', className: 'border-amber-300 bg-amber-50/60' },
+    moved: { label: 'Moved since', className: 'border-indigo-300 bg-indigo-50/60' },
+};
+
+function formatVersionDate(value) {
+    return new Date(value).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+    });
+}
+
+/**
+ * Short text preview of a snapshot block.
+ */
+function blockPreview(block) {
+    if (!block) return '';
+    const content = block.content || {};
+    return content.text || content.code || content.title || content.url || `(${block.type})`;
+}
+
+export default function HistoryPanel({ isOpen, pageId, onClose, onRestore }) {
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [diffLoading, setDiffLoading] = useState(false);
+    const [restoring, setRestoring] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Reload the list every time the panel opens
+    useEffect(() => {
+        if (!isOpen || !pageId) return;
+
+        let cancelled = false;
+        const loadVersions = async () => {
+            setLoading(true);
+            setError(null);
+            setSelectedId(null);
+            setDiff(null);
+            try {
+                const data = await api.getPageVersions(pageId);
+                if (!cancelled) setVersions(data.versions || []);
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        loadVersions();
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, pageId]);
+
+    const handleSelect = async (versionId) => {
+        setSelectedId(versionId);
+        setDiff(null);
+        setDiffLoading(true);
+        setError(null);
+        try {
+            const data = await api.getPageVersionDiff(pageId, versionId, 'current');
+            setDiff(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setDiffLoading(false);
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!selectedId) return;
+        setRestoring(true);
+        setError(null);
+        try {
+            await onRestore(selectedId);
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to restore version');
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    const visibleChanges = diff?.changes.filter((c) => c.status !== 'unchanged') || [];
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.aside
+                    initial={{ x: '100%', opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    exit={{ x: '100%', opacity: 0 }}
+                    transition={{ type: "spring", duration: 0.4, bounce: 0 }}
+                    className="fixed right-0 top-0 h-screen w-[360px] z-40 flex flex-col"
+                    style={{
+                        background: 'rgba(255, 255, 255, 0.75)',
+                        backdropFilter: 'blur(24px)',
+                        WebkitBackdropFilter: 'blur(24px)',
+                        borderLeft: '1px solid rgba(255, 255, 255, 0.5)',
+                        boxShadow: '0 4px 30px rgba(0, 0, 0, 0.08)'
+                    }}
+                >
+                    {/* Header */}
+                    <div className="flex items-center justify-between px-5 py-4 border-b border-gray-200/60">
+                        <h2 className="flex items-center gap-2 text-sm font-semibold text-gray-800">
+                            <History className="w-4 h-4 text-indigo-500" />
+                            Page history
+                        </h2>
+                        <button
+                            onClick={onClose}
+                            className="p-1.5 cursor-pointer text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                            title="Close history"
+                        >
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+
+                    {error && (
+                        <div className="mx-5 mt-3 flex items-center gap-2 text-xs text-red-500 bg-red-50 p-2 rounded-lg">
+                            <AlertCircle className="w-4 h-4 shrink-0" />
+                            <span>{error}</span>
+                        </div>
+                    )}
+
+                    {/* Version list */}
+                    <div className="max-h-[40%] overflow-y-auto px-3 py-3 border-b border-gray-200/60">
+                        {loading ? (
+                            <div className="flex justify-center py-6">
+                                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+                            </div>
+                        ) : versions.length === 0 ? (
+                            <p className="text-xs text-gray-400 text-center py-6">
+                                No versions yet. Versions are saved as you edit.
+                            </p>
+                        ) : (
+                            versions.map((version) => (
+                                <button
+                                    key={version._id}
+                                    onClick={() => handleSelect(version._id)}
+                                    className={`w-full cursor-pointer text-left px-3 py-2 rounded-lg transition-colors mb-1
+                                        ${selectedId === version._id ? 'bg-indigo-50 border border-indigo-200' : 'hover:bg-gray-100/70 border border-transparent'}`}
+                                >
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-sm text-gray-700">
+                                            {formatVersionDate(version.updatedAt || version.createdAt)}
+                                        </span>
+                                        <span className="text-[10px] uppercase tracking-wide text-gray-400">
+                                            {REASON_LABELS[version.reason] || version.reason}
+                                        </span>
+                                    </div>
+                                    <div className="text-xs text-gray-400 truncate">
+                                        {version.title || 'Untitled'} · {version.blockCount} blocks
+                                    </div>
+                                </button>
+                            ))
+                        )}
+                    </div>
+
+                    {/* Diff of the selected version against the current page */}
+                    <div className="flex-1 overflow-y-auto px-5 py-4">
+                        {!selectedId && !loading && versions.length > 0 && (
+                            <p className="text-xs text-gray-400 text-center py-6">
+                                Select a version to see what changed since then.
+                            </p>
+                        )}
+
+                        {diffLoading && (
+                            <div className="flex justify-center py-6">
+                                <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+                            </div>
+                        )}
+
+                        {diff && (
+                            <>
+                                {diff.title.changed && (
+                                    <div className="mb-3 text-xs text-gray-500">
+                                        Title: <span className="line-through">{diff.title.before || 'Untitled'}</span>
+                                        {' → '}
+                                        <span className="text-gray-700">{diff.title.after || 'Untitled'}</span>
+                                    </div>
+                                )}
+
+                                {visibleChanges.length === 0 && !diff.title.changed && (
+                                    <p className="text-xs text-gray-400 text-center py-6">
+                                        This version matches the current page.
+                                    </p>
+                                )}
+
+                                <div className="flex flex-col gap-2">
+                                    {visibleChanges.map((change) => {
+                                        const style = STATUS_STYLES[change.status];
+                                        return (
+                                            <div
+                                                key={`${change.status}-${change.blockId}`}
+                                                className={`border-l-2 rounded-r-lg px-3 py-2 text-xs ${style.className}`}
+                                            >
+                                                <div className="text-[10px] uppercase tracking-wide text-gray-400 mb-1">
+                                                    {style.label}
+                                                </div>
+                                                {change.status === 'changed' ? (
+                                                    <>
+                                                        <p className="text-gray-400 line-through break-words">{blockPreview(change.before)}</p>
+                                                        <p className="text-gray-700 break-words">{blockPreview(change.after)}</p>
+                                                    </>
+                                                ) : (
+                                                    <p className={`break-words ${change.status === 'removed' ? 'text-gray-500' : 'text-gray-700'}`}>
+                                                        {blockPreview(change.after || change.before)}
+                                                    </p>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+
+                                {diff.summary.unchanged > 0 && (
+                                    <p className="mt-3 text-[11px] text-gray-400">
+                                        {diff.summary.unchanged} unchanged blocks hidden
+                                    </p>
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    {/* Restore */}
+                    <div className="px-5 py-4 border-t border-gray-200/60">
+                        <button
+                            onClick={handleRestore}
+                            disabled={!selectedId || restoring}
+                            className="w-full cursor-pointer flex items-center justify-center gap-2 px-3 py-2.5 rounded-xl text-sm font-medium transition-colors
+                                bg-indigo-500 text-white hover:bg-indigo-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {restoring ? (
+                                <Loader2 className="w-4 h-4 animate-spin" />
+                            ) : (
+                                <RotateCcw className="w-4 h-4" />
+                            )}
+                            Restore this version
+                        </button>
+                    </div>
+                </motion.aside>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -1,12 +1,40 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Loader2, Download, AlertCircle } from 'lucide-react';
+import { Loader2, Download, AlertCircle, Upload, X, FileArchive, CheckCircle2 } from 'lucide-react';
 
-export default function ImportModal({ isOpen, onClose, onImport, currentPageId }) {
+const IMPORT_MODES = [
+    { id: 'public', label: 'Public page' },
+    { id: 'markdown', label: 'Markdown' },
+    { id: 'notion', label: 'Notion' },
+];
+
+const MODE_HINTS = {
+    public: 'Paste the public page URL below to import its blocks into this page.',
+    markdown: 'Upload a .md file or paste Markdown. Headings, to-dos, code, quotes, images, links and bold/italic/underline are converted to blocks.',
+    notion: 'Upload the .zip from Notion (Export → "Markdown & CSV"). Its pages are added as sub-pages of this page, with their images.',
+};
+
+export default function ImportModal({ isOpen, onClose, onImport, onImportMarkdown, onImportNotion, currentPageId }) {
+    const [mode, setMode] = useState('public');
     const [url, setUrl] = useState('');
     const [isImporting, setIsImporting] = useState(false);
     const [error, setError] = useState(null);
 
+    // Recursive public import: dry-run preview first, then progress
+    const [includeSubPages, setIncludeSubPages] = useState(false);
+    const [preview, setPreview] = useState(null);
+    const [progress, setProgress] = useState(null);
+
+    // Markdown source: an uploaded file or pasted text
+    const [markdown, setMarkdown] = useState('');
+    const [fileName, setFileName] = useState(null);
+    const fileInputRef = useRef(null);
+
+    // Notion export zip, and the report of what couldn't be converted
+    const [notionFile, setNotionFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const notionInputRef = useRef(null);
+
     // Basic regex to test if it's a URL and specifically the structure of our public pages
     const validateAndExtractId = (inputUrl) => {
         try {
@@ -23,7 +51,82 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
         }
     };
 
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setError(null);
+        try {
+            setMarkdown(await file.text());
+            setFileName(file.name);
+        } catch {
+            setError('Could not read the file.');
+        }
+    };
+
+    const clearFile = () => {
+        setFileName(null);
+        setMarkdown('');
+    };
+
+    const handleImportMarkdown = async () => {
+        setError(null);
+
+        if (!markdown.trim()) {
+            setError('Choose a file or paste some Markdown.');
+            return;
+        }
+
+        setIsImporting(true);
+        try {
+            await onImportMarkdown(markdown, fileName);
+            clearFile();
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to import Markdown.');
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleImportNotion = async () => {
+        setError(null);
+        setIsImporting(true);
+        try {
+            const result = await onImportNotion(notionFile);
+            setNotionFile(null);
+
+            // Keep the popover open to show what couldn't be converted
+            if (result.report?.length > 0) {
+                setReport(result);
+            } else {
+                onClose();
+            }
+        } catch (err) {
+            setError(err.message || 'Failed to import the Notion export.');
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const closeReport = () => {
+        setReport(null);
+        onClose();
+    };
+
+    const hasInput = mode === 'markdown'
+        ? !!markdown.trim()
+        : mode === 'notion' ? !!notionFile : !!url.trim();
+
     const handleImport = async () => {
+        if (mode === 'markdown') {
+            return handleImportMarkdown();
+        }
+        if (mode === 'notion') {
+            return handleImportNotion();
+        }
+
         setError(null);
 
         if (!url.trim()) {
@@ -45,14 +148,27 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
 
         setIsImporting(true);
         try {
-            await onImport(extractedId);
+            if (includeSubPages && preview?.sourceId !== extractedId) {
+                // Show what would be imported before writing anything
+                const result = await onImport(extractedId, { recursive: true, dryRun: true });
+                setPreview({ ...result, sourceId: extractedId });
+                return;
+            }
+
+            if (includeSubPages) {
+                await onImport(extractedId, { recursive: true, onProgress: setProgress });
+            } else {
+                await onImport(extractedId);
+            }
             // If completely successful, clear the state for next time
             setUrl('');
+            setPreview(null);
             onClose();
         } catch (err) {
             setError(err.message || 'Failed to import blocks.');
         } finally {
             setIsImporting(false);
+            setProgress(null);
         }
     };
 
@@ -63,7 +179,7 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
                     {/* Invisible Backdrop to catch clicks outside menu */}
                     <div
                         className="fixed inset-0 z-40 bg-transparent"
-                        onClick={!isImporting ? onClose : undefined}
+                        onClick={!isImporting ? (report ? closeReport : onClose) : undefined}
                     />
 
                     {/* Popover Menu Container */}
@@ -76,33 +192,224 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
                         style={{ boxShadow: '0 20px 40px -15px rgba(0,0,0,0.15)' }}
                     >
                         {/* Header */}
-                        <h3 className="text-sm font-semibold text-gray-800 mb-1">
+                        <h3 className="text-sm font-semibold text-gray-800 mb-2">
                             Import Blocks
                         </h3>
+
+                        {/* Source switch */}
+                        <div className="flex gap-1 p-0.5 mb-3 bg-gray-100/70 rounded-lg">
+                            {IMPORT_MODES.map((item) => (
+                                <button
+                                    key={item.id}
+                                    onClick={() => {
+                                        setMode(item.id);
+                                        setError(null);
+                                    }}
+                                    disabled={isImporting}
+                                    className={`flex-1 cursor-pointer px-2 py-1 text-xs font-medium rounded-md transition-all
+                                        ${mode === item.id ? 'bg-white text-gray-800 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+                                >
+                                    {item.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {report ? (
+                            /* Notion import report */
+                            <div className="space-y-3">
+                                <p className="flex items-start gap-1.5 text-xs text-emerald-600">
+                                    <CheckCircle2 className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                                    <span>
+                                        Imported {report.pageCount === 1 ? '1 page' : `${report.pageCount} pages`} and {report.imageCount} images.
+                                        Some content couldn&apos;t be converted:
+                                    </span>
+                                </p>
+
+                                <ul className="max-h-64 overflow-y-auto space-y-2 pr-1">
+                                    {report.report.map((entry) => (
+                                        <li key={entry.pageId} className="px-2.5 py-2 bg-gray-50/70 border border-gray-100 rounded-lg">
+                                            <p className="text-xs font-medium text-gray-700 truncate" title={entry.path}>
+                                                {entry.title}
+                                            </p>
+                                            <ul className="mt-1 space-y-0.5">
+                                                {entry.issues.map((issue, i) => (
+                                                    <li key={i} className="text-[11px] text-gray-500 leading-snug">
+                                                        {issue}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </li>
+                                    ))}
+                                </ul>
+
+                                <button
+                                    onClick={closeReport}
+                                    className="w-full cursor-pointer px-3 py-2 text-xs font-medium rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm active:scale-95 transition-all"
+                                >
+                                    Done
+                                </button>
+                            </div>
+                        ) : (
+                        <>
                         <p className="text-xs text-gray-500 mb-3 leading-relaxed">
-                            Paste the public page URL below to import its blocks into this page.
+                            {MODE_HINTS[mode]}
                         </p>
 
                         {/* Input Field */}
                         <div className="space-y-3">
-                            <div>
-                                <input
-                                    type="url"
-                                    value={url}
-                                    onChange={(e) => {
-                                        setUrl(e.target.value);
-                                        if (error) setError(null);
-                                    }}
-                                    placeholder="https://.../public/abcdef123"
-                                    disabled={isImporting}
-                                    className="w-full px-3 py-2 bg-gray-50/50 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500/50 transition-all disabled:opacity-50"
-                                />
-                            </div>
+                            {mode === 'notion' ? (
+                                <div>
+                                    <input
+                                        ref={notionInputRef}
+                                        type="file"
+                                        accept=".zip,application/zip"
+                                        onChange={(e) => {
+                                            setNotionFile(e.target.files?.[0] || null);
+                                            e.target.value = '';
+                                            setError(null);
+                                        }}
+                                        className="hidden"
+                                    />
+
+                                    {notionFile ? (
+                                        <div className="flex items-center gap-2 px-3 py-2 bg-indigo-50/60 border border-indigo-100 rounded-lg text-xs text-indigo-700">
+                                            <FileArchive className="w-3.5 h-3.5 shrink-0" />
+                                            <span className="flex-1 truncate">{notionFile.name}</span>
+                                            <button
+                                                onClick={() => {
+                                                    setNotionFile(null);
+                                                    setError(null);
+                                                }}
+                                                disabled={isImporting}
+                                                className="cursor-pointer text-indigo-400 hover:text-indigo-600"
+                                                title="Remove file"
+                                            >
+                                                <X className="w-3.5 h-3.5" />
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <button
+                                            onClick={() => notionInputRef.current?.click()}
+                                            disabled={isImporting}
+                                            className="w-full cursor-pointer flex items-center justify-center gap-1.5 px-3 py-2 border border-dashed border-gray-300 rounded-lg text-xs text-gray-500 hover:border-indigo-300 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                                        >
+                                            <Upload className="w-3.5 h-3.5" />
+                                            <span>Choose the export .zip</span>
+                                        </button>
+                                    )}
+                                </div>
+                            ) : mode === 'markdown' ? (
+                                <div className="space-y-2">
+                                    <input
+                                        ref={fileInputRef}
+                                        type="file"
+                                        accept=".md,.markdown,.txt,text/markdown,text/plain"
+                                        onChange={handleFileChange}
+                                        className="hidden"
+                                    />
+
+                                    {fileName ? (
+                                        <div className="flex items-center gap-2 px-3 py-2 bg-indigo-50/60 border border-indigo-100 rounded-lg text-xs text-indigo-700">
+                                            <span className="flex-1 truncate">{fileName}</span>
+                                            <button
+                                                onClick={clearFile}
+                                                disabled={isImporting}
+                                                className="cursor-pointer text-indigo-400 hover:text-indigo-600"
+                                                title="Remove file"
+                                            >
+                                                <X className="w-3.5 h-3.5" />
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <>
+                                            <button
+                                                onClick={() => fileInputRef.current?.click()}
+                                                disabled={isImporting}
+                                                className="w-full cursor-pointer flex items-center justify-center gap-1.5 px-3 py-2 border border-dashed border-gray-300 rounded-lg text-xs text-gray-500 hover:border-indigo-300 hover:text-indigo-600 transition-colors disabled:opacity-50"
+                                            >
+                                                <Upload className="w-3.5 h-3.5" />
+                                                <span>Choose a Markdown file</span>
+                                            </button>
+                                            <textarea
+                                                value={markdown}
+                                                onChange={(e) => {
+                                                    setMarkdown(e.target.value);
+                                                    if (error) setError(null);
+                                                }}
+                                                placeholder={'…or paste Markdown here\n\n# Heading\n- [ ] A to-do'}
+                                                disabled={isImporting}
+                                                rows={6}
+                                                className="w-full px-3 py-2 bg-gray-50/50 border border-gray-200 rounded-lg text-xs font-mono resize-none focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500/50 transition-all disabled:opacity-50"
+                                            />
+                                        </>
+                                    )}
+                                </div>
+                            ) : (
+                                <>
+                                    <div>
+                                        <input
+                                            type="url"
+                                            value={url}
+                                            onChange={(e) => {
+                                                setUrl(e.target.value);
+                                                setPreview(null);
+                                                if (error) setError(null);
+                                            }}
+                                            placeholder="https://.../public/abcdef123"
+                                            disabled={isImporting}
+                                            className="w-full px-3 py-2 bg-gray-50/50 border border-gray-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500/50 transition-all disabled:opacity-50"
+                                        />
+                                    </div>
+
+                                    <label className="flex items-center gap-2 text-xs text-gray-600 cursor-pointer select-none">
+                                        <input
+                                            type="checkbox"
+                                            checked={includeSubPages}
+                                            onChange={(e) => {
+                                                setIncludeSubPages(e.target.checked);
+                                                setPreview(null);
+                                            }}
+                                            disabled={isImporting}
+                                            className="accent-indigo-600"
+                                        />
+                                        Include public sub-pages
+                                    </label>
+
+                                    {/* Subtext info */}
+                                    <p className="text-[11px] text-gray-400">
+                                        {includeSubPages
+                                            ? 'All blocks are copied, and public sub-pages become sub-pages of this page. You\'ll see a preview first.'
+                                            : 'Only pages with 50 blocks or fewer will be fully imported.'}
+                                    </p>
 
-                            {/* Subtext info */}
-                            <p className="text-[11px] text-gray-400">
-                                Only pages with 50 blocks or fewer will be fully imported.
-                            </p>
+                                    {/* Dry-run preview */}
+                                    {preview && (
+                                        <div className="px-2.5 py-2 bg-indigo-50/60 border border-indigo-100 rounded-lg">
+                                            <p className="text-xs text-indigo-700">
+                                                {preview.blockCount} blocks
+                                                {preview.pageCount > 0 && ` and ${preview.pageCount === 1 ? '1 sub-page' : `${preview.pageCount} sub-pages`}`} will be imported.
+                                            </p>
+                                            <ul className="mt-1.5 max-h-40 overflow-y-auto space-y-0.5">
+                                                {preview.pages.map((page) => (
+                                                    <li
+                                                        key={page.sourcePageId}
+                                                        className="flex gap-2 text-[11px] text-gray-600"
+                                                        style={{ paddingLeft: `${page.depth * 12}px` }}
+                                                    >
+                                                        <span className="flex-1 truncate">{page.title}</span>
+                                                        <span className="text-gray-400">{page.blockCount}</span>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                            {preview.skippedLinks > 0 && (
+                                                <p className="mt-1.5 text-[11px] text-gray-400">
+                                                    {preview.skippedLinks} links to pages outside this import will be left out.
+                                                </p>
+                                            )}
+                                        </div>
+                                    )}
+                                </>
+                            )}
 
                             {/* Error Message */}
                             <AnimatePresence>
@@ -136,6 +443,11 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
                                                 className="h-full w-1/2 bg-indigo-400 rounded-full"
                                             />
                                         </div>
+                                        {progress && (
+                                            <p className="mt-1.5 text-[11px] text-gray-400">
+                                                Page {progress.pagesDone} of {progress.pagesTotal} · {progress.blocksDone} blocks
+                                            </p>
+                                        )}
                                     </motion.div>
                                 )}
                             </AnimatePresence>
@@ -144,9 +456,9 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
                             <div className="flex flex-col gap-1.5 pt-1">
                                 <button
                                     onClick={handleImport}
-                                    disabled={isImporting || !url.trim() || !!error}
+                                    disabled={isImporting || !hasInput || !!error}
                                     className={`cursor-pointer w-full flex items-center justify-center gap-1.5 px-3 py-2 text-xs font-medium rounded-lg transition-all
-                                        ${isImporting || !url.trim() || !!error
+                                        ${isImporting || !hasInput || !!error
                                             ? 'bg-indigo-50 text-indigo-300 cursor-not-allowed'
                                             : 'bg-indigo-600 text-white hover:bg-indigo-700 shadow-sm active:scale-95'}`}
                                 >
@@ -158,7 +470,11 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
                                     ) : (
                                         <>
                                             <Download className="w-3.5 h-3.5" />
-                                            <span>Import</span>
+                                            <span>
+                                                {mode === 'public' && includeSubPages
+                                                    ? (preview ? 'Confirm import' : 'Preview import')
+                                                    : 'Import'}
+                                            </span>
                                         </>
                                     )}
                                 </button>
@@ -172,6 +488,8 @@ export default function ImportModal({ isOpen, onClose, onImport, currentPageId }
                                 </button>
                             </div>
                         </div>
+                        </>
+                        )}
                     </motion.div>
                 </>
             )}
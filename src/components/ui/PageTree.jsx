@@ -0,0 +1,311 @@
+/**
+ * PageTree Component
+ * ==================
+ *
+ * Expandable page hierarchy for the Sidebar.
+ *
+ * - Root pages come from the Sidebar's `pages` prop (GET /api/pages),
+ *   each with a childCount
+ * - Children are loaded lazily the first time a page is expanded
+ * - Drag a page onto another page to move it inside; drop it on the
+ *   "Move to top level" strip to make it a root page. The server moves
+ *   the page block between the parent pages (POST /api/pages/:id/move)
+ * - The copy button duplicates a page with all of its sub-pages
+ *
+ * Theme: same glass list items as the rest of the Sidebar.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { FileText, Trash2, ChevronRight, Loader2, CopyPlus } from 'lucide-react';
+import DeleteConfirmMenu from './DeleteConfirmMenu';
+import * as api from '@/lib/apiClient';
+
+function TreeNode({
+    page,
+    depth,
+    ancestors,
+    tree,
+}) {
+    const {
+        currentPageId,
+        expanded,
+        childrenById,
+        loadingIds,
+        dragging,
+        dropTargetId,
+        onToggle,
+        onOpen,
+        onDelete,
+        onDuplicate,
+        onDragStart,
+        onDragEnd,
+        onDragOverNode,
+        onDropOnNode,
+    } = tree;
+
+    const id = page._id;
+    const isActive = id === currentPageId;
+    const isExpanded = !!expanded[id];
+    const children = childrenById[id];
+    const hasChildren = children ? children.length > 0 : page.childCount > 0;
+    const isDropTarget = dropTargetId === id;
+
+    // Can't drop a page into itself or its own subtree
+    const canDrop = dragging && dragging._id !== id && !ancestors.includes(dragging._id);
+
+    let background = 'transparent';
+    let border = '1px solid transparent';
+    if (isDropTarget) {
+        background = 'rgba(211, 248, 226, 0.8)';
+        border = '1px dashed rgba(74, 222, 128, 0.8)';
+    } else if (isActive) {
+        background = 'rgba(228, 193, 249, 0.4)';
+        border = '1px solid rgba(228, 193, 249, 0.6)';
+    }
+
+    return (
+        <div>
+            <div
+                draggable
+                onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', id);
+                    onDragStart(page);
+                }}
+                onDragEnd={onDragEnd}
+                onDragOver={(e) => {
+                    if (!canDrop) return;
+                    e.preventDefault();
+                    onDragOverNode(id);
+                }}
+                onDrop={(e) => {
+                    if (!canDrop) return;
+                    e.preventDefault();
+                    onDropOnNode(id);
+                }}
+                onClick={() => onOpen(id)}
+                className="group flex items-center gap-1.5 pr-3 py-2 rounded-xl cursor-pointer transition-all text-sm"
+                style={{
+                    paddingLeft: `${6 + depth * 14}px`,
+                    color: isActive ? 'var(--color-text-primary)' : 'var(--color-text-secondary)',
+                    background,
+                    border,
+                }}
+                onMouseEnter={(e) => {
+                    if (!isActive && !isDropTarget) {
+                        e.currentTarget.style.background = 'rgba(15, 23, 42, 0.03)';
+                    }
+                }}
+                onMouseLeave={(e) => {
+                    if (!isActive && !isDropTarget) {
+                        e.currentTarget.style.background = 'transparent';
+                    }
+                }}
+            >
+                {/* Expand / collapse */}
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        if (hasChildren) onToggle(id);
+                    }}
+                    className={`p-0.5 rounded shrink-0 transition-colors ${hasChildren ? 'cursor-pointer hover:bg-black/5' : 'invisible'}`}
+                    style={{ color: 'var(--color-text-muted)' }}
+                    title={isExpanded ? 'Collapse' : 'Expand'}
+                >
+                    {loadingIds[id] ? (
+                        <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                    ) : (
+                        <ChevronRight className={`w-3.5 h-3.5 transition-transform ${isExpanded ? 'rotate-90' : ''}`} />
+                    )}
+                </button>
+                <FileText className="w-4 h-4 shrink-0" />
+                <span className="flex-1 truncate">
+                    {page.title || 'Untitled'}
+                </span>
+                {/* Duplicate button - visible on hover */}
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onDuplicate(page);
+                    }}
+                    className="opacity-0 cursor-pointer group-hover:opacity-100 p-1 transition-opacity rounded"
+                    style={{ color: 'var(--color-text-muted)' }}
+                    onMouseEnter={(e) => e.currentTarget.style.color = 'var(--color-text-primary)'}
+                    onMouseLeave={(e) => e.currentTarget.style.color = 'var(--color-text-muted)'}
+                    title="Duplicate"
+                >
+                    <CopyPlus className="w-3.5 h-3.5" />
+                </button>
+                {/* Delete button - visible on hover */}
+                <DeleteConfirmMenu
+                    onDelete={() => onDelete(page)}
+                    title="Move to trash?"
+                    side="right"
+                    trigger={
+                        <button
+                            className="opacity-0 cursor-pointer group-hover:opacity-100 p-1 transition-opacity rounded"
+                            style={{ color: 'var(--color-text-muted)' }}
+                            onMouseEnter={(e) => e.target.style.color = '#F694C1'}
+                            onMouseLeave={(e) => e.target.style.color = 'var(--color-text-muted)'}
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                    }
+                />
+            </div>
+
+            {isExpanded && children && children.map((child) => (
+                <TreeNode
+                    key={child._id}
+                    page={child}
+                    depth={depth + 1}
+                    ancestors={[...ancestors, id]}
+                    tree={tree}
+                />
+            ))}
+        </div>
+    );
+}
+
+export default function PageTree({
+    pages = [],
+    currentPageId,
+    onOpenPage,
+    onDeletePage,
+    onMovePage,
+    onDuplicatePage,
+}) {
+    const [expanded, setExpanded] = useState({});
+    const [childrenById, setChildrenById] = useState({});
+    const [loadingIds, setLoadingIds] = useState({});
+    const [dragging, setDragging] = useState(null);
+    const [dropTargetId, setDropTargetId] = useState(null);
+
+    const loadChildren = async (parentId) => {
+        setLoadingIds((prev) => ({ ...prev, [parentId]: true }));
+        try {
+            const { pages: children } = await api.getPageChildren(parentId);
+            setChildrenById((prev) => ({ ...prev, [parentId]: children || [] }));
+        } catch (err) {
+            console.error('Failed to load child pages:', err);
+        } finally {
+            setLoadingIds((prev) => ({ ...prev, [parentId]: false }));
+        }
+    };
+
+    const handleToggle = (id) => {
+        const willExpand = !expanded[id];
+        setExpanded((prev) => ({ ...prev, [id]: willExpand }));
+        if (willExpand && !childrenById[id]) {
+            loadChildren(id);
+        }
+    };
+
+    const handleDelete = async (page) => {
+        await onDeletePage?.(page._id);
+        // Child pages aren't in the root list; drop them from the tree here
+        if (page.parentPageId) {
+            const parentId = String(page.parentPageId);
+            setChildrenById((prev) => ({
+                ...prev,
+                [parentId]: (prev[parentId] || []).filter((p) => p._id !== page._id),
+            }));
+        }
+    };
+
+    const handleDuplicate = async (page) => {
+        if (!onDuplicatePage) return;
+
+        try {
+            await onDuplicatePage(page._id);
+            // The copy of a child page sits next to it under the same parent
+            if (page.parentPageId) loadChildren(String(page.parentPageId));
+        } catch (err) {
+            console.error('Failed to duplicate page:', err);
+        }
+    };
+
+    const handleMove = async (newParentId) => {
+        const page = dragging;
+        setDragging(null);
+        setDropTargetId(null);
+        if (!page || !onMovePage) return;
+
+        const oldParentId = page.parentPageId ? String(page.parentPageId) : null;
+        if (oldParentId === newParentId) return;
+
+        try {
+            await onMovePage(page._id, newParentId);
+
+            // Refresh the parents whose children changed
+            if (oldParentId && childrenById[oldParentId]) loadChildren(oldParentId);
+            if (newParentId) {
+                setExpanded((prev) => ({ ...prev, [newParentId]: true }));
+                loadChildren(newParentId);
+            }
+        } catch (err) {
+            console.error('Failed to move page:', err);
+        }
+    };
+
+    const tree = {
+        currentPageId,
+        expanded,
+        childrenById,
+        loadingIds,
+        dragging,
+        dropTargetId,
+        onToggle: handleToggle,
+        onOpen: onOpenPage,
+        onDelete: handleDelete,
+        onDuplicate: handleDuplicate,
+        onDragStart: setDragging,
+        onDragEnd: () => {
+            setDragging(null);
+            setDropTargetId(null);
+        },
+        onDragOverNode: setDropTargetId,
+        onDropOnNode: handleMove,
+    };
+
+    const canDropOnRoot = dragging && dragging.parentPageId;
+
+    return (
+        <div className="space-y-0.5">
+            {/* Drop zone for promoting a child page to the top level */}
+            {canDropOnRoot && (
+                <div
+                    onDragOver={(e) => {
+                        e.preventDefault();
+                        setDropTargetId('root');
+                    }}
+                    onDragLeave={() => setDropTargetId(null)}
+                    onDrop={(e) => {
+                        e.preventDefault();
+                        handleMove(null);
+                    }}
+                    className="px-3 py-2 mb-1 rounded-xl text-xs text-center transition-all"
+                    style={{
+                        color: 'var(--color-text-muted)',
+                        border: '1px dashed rgba(15, 23, 42, 0.15)',
+                        background: dropTargetId === 'root' ? 'rgba(211, 248, 226, 0.8)' : 'transparent',
+                    }}
+                >
+                    Move to top level
+                </div>
+            )}
+
+            {pages.map((page) => (
+                <TreeNode
+                    key={page._id}
+                    page={page}
+                    depth={0}
+                    ancestors={[]}
+                    tree={tree}
+                />
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,130 @@
+/**
+ * SaveTemplateMenu Component
+ * ==========================
+ *
+ * Page header button with a small popover for saving the open page
+ * (and its sub-pages) as a template. Saved templates show up in the
+ * dashboard template gallery.
+ *
+ * Theme: same glass popover as the Access (share) menu.
+ */
+
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { LayoutTemplate, Check, Loader2 } from 'lucide-react';
+import * as api from '@/lib/apiClient';
+
+export default function SaveTemplateMenu({ pageId, pageTitle, onBeforeOpen }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState(null);
+    const containerRef = useRef(null);
+
+    // Close on click outside
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    const open = () => {
+        setName(pageTitle || 'Untitled');
+        setDescription('');
+        setSaved(false);
+        setError(null);
+        setIsOpen(true);
+    };
+
+    const handleToggle = () => {
+        if (isOpen) {
+            setIsOpen(false);
+        } else if (onBeforeOpen) {
+            // Lets the page save pending edits first, so the template matches the screen
+            onBeforeOpen(open);
+        } else {
+            open();
+        }
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            await api.saveAsTemplate(pageId, name.trim(), description.trim());
+            setSaved(true);
+            setTimeout(() => setIsOpen(false), 1200);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={handleToggle}
+                className={`flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all text-sm
+                    ${isOpen ? 'text-indigo-600 bg-indigo-50' : 'text-gray-500 hover:bg-gray-100/50 hover:text-gray-700'}`}
+                title="Save as template"
+            >
+                <LayoutTemplate className="w-4 h-4" />
+            </button>
+
+            {isOpen && (
+                <form
+                    onSubmit={handleSave}
+                    className="absolute right-0 top-full mt-2 w-72 bg-white/90 backdrop-blur-xl border border-white/20
+                        rounded-xl shadow-xl p-4 z-20 animate-in fade-in zoom-in-95 duration-200"
+                >
+                    <p className="text-sm font-medium text-gray-700 mb-1">Save as template</p>
+                    <p className="text-xs text-gray-400 mb-3">
+                        Sub-pages are included. Find it on the dashboard.
+                    </p>
+
+                    <input
+                        autoFocus
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        maxLength={100}
+                        placeholder="Template name"
+                        className="w-full mb-2 px-3 py-2 text-sm rounded-lg bg-gray-50 border border-gray-100 outline-none
+                            focus:border-indigo-200 text-gray-700"
+                    />
+                    <input
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        maxLength={300}
+                        placeholder="Description (optional)"
+                        className="w-full mb-3 px-3 py-2 text-sm rounded-lg bg-gray-50 border border-gray-100 outline-none
+                            focus:border-indigo-200 text-gray-700"
+                    />
+
+                    {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+
+                    <button
+                        type="submit"
+                        disabled={saving || saved || !name.trim()}
+                        className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm cursor-pointer
+                            bg-indigo-500 text-white hover:bg-indigo-600 transition-colors disabled:opacity-60"
+                    >
+                        {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                        {saved && <Check className="w-4 h-4" />}
+                        <span>{saved ? 'Saved' : saving ? 'Saving...' : 'Save template'}</span>
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
@@ -13,6 +13,7 @@
 
 'use client';
 
+import { useState } from 'react';
 import { useRouter, usePathname } from 'next/navigation';
 import {
     FileText,
@@ -25,12 +26,19 @@ import {
 } from 'lucide-react';
 import Link from 'next/link';
 import DeleteConfirmMenu from './DeleteConfirmMenu';
+import TrashView from './TrashView';
+import BackupMenu from './BackupMenu';
+import PageTree from './PageTree';
 
 export function Sidebar({
     pages = [],
     loading = false,
     onCreatePage,
     onDeletePage,
+    onTrashRestore,
+    onMovePage,
+    onDuplicatePage,
+    onWorkspaceRestore,
     onLogout,
     creating = false,
     isCollapsed = false,
@@ -39,12 +47,21 @@ export function Sidebar({
 }) {
     const router = useRouter();
     const pathname = usePathname();
+    const [showTrash, setShowTrash] = useState(false);
 
     // Extract current page ID from URL
     const currentPageId = pathname?.startsWith('/page/')
         ? pathname.split('/page/')[1]
         : null;
 
+    const openPage = (pageId) => {
+        if (onNavigate) {
+            onNavigate(`/page/${pageId}`);
+        } else {
+            router.push(`/page/${pageId}`);
+        }
+    };
+
     return (
         <>
             {/* Sidebar Container - glassmorphism panel */}
@@ -105,9 +122,14 @@ export function Sidebar({
                     </button>
                 </div>
 
-                {/* Page List */}
+                {/* Page List (or Trash) */}
                 <div className="flex-1 overflow-y-auto px-3 pb-3 min-w-[260px]">
-                    {loading ? (
+                    {showTrash ? (
+                        <TrashView
+                            onClose={() => setShowTrash(false)}
+                            onRestore={onTrashRestore}
+                        />
+                    ) : loading ? (
                         // Loading skeleton
                         <div className="space-y-2">
                             {[...Array(5)].map((_, i) => (
@@ -132,71 +154,32 @@ export function Sidebar({
                             </button>
                         </div>
                     ) : (
-                        // Page list
-                        <div className="space-y-1">
-                            {pages.map((page) => {
-                                const isActive = page._id === currentPageId;
-                                return (
-                                    <div
-                                        key={page._id}
-                                        onClick={() => {
-                                            if (onNavigate) {
-                                                onNavigate(`/page/${page._id}`);
-                                            } else {
-                                                router.push(`/page/${page._id}`);
-                                            }
-                                        }}
-                                        className="group flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer
-                                                 transition-all text-sm"
-                                        style={{
-                                            color: isActive ? 'var(--color-text-primary)' : 'var(--color-text-secondary)',
-                                            background: isActive
-                                                ? 'rgba(228, 193, 249, 0.4)'
-                                                : 'transparent',
-                                            border: isActive
-                                                ? '1px solid rgba(228, 193, 249, 0.6)'
-                                                : '1px solid transparent'
-                                        }}
-                                        onMouseEnter={(e) => {
-                                            if (!isActive) {
-                                                e.currentTarget.style.background = 'rgba(15, 23, 42, 0.03)';
-                                            }
-                                        }}
-                                        onMouseLeave={(e) => {
-                                            if (!isActive) {
-                                                e.currentTarget.style.background = 'transparent';
-                                            }
-                                        }}
-                                    >
-                                        <FileText className="w-4 h-4 shrink-0" />
-                                        <span className="flex-1 truncate">
-                                            {page.title || 'Untitled'}
-                                        </span>
-                                        {/* Delete button - visible on hover */}
-                                        <DeleteConfirmMenu
-                                            onDelete={() => onDeletePage?.(page._id)}
-                                            title="Delete page?"
-                                            side="right"
-                                            trigger={
-                                                <button
-                                                    className="opacity-0 cursor-pointer group-hover:opacity-100 p-1 transition-opacity rounded"
-                                                    style={{ color: 'var(--color-text-muted)' }}
-                                                    onMouseEnter={(e) => e.target.style.color = '#F694C1'}
-                                                    onMouseLeave={(e) => e.target.style.color = 'var(--color-text-muted)'}
-                                                >
-                                                    <Trash2 className="w-3.5 h-3.5" />
-                                                </button>
-                                            }
-                                        />
-                                    </div>
-                                );
-                            })}
-                        </div>
+                        // Page tree (children load on expand)
+                        <PageTree
+                            pages={pages}
+                            currentPageId={currentPageId}
+                            onOpenPage={openPage}
+                            onDeletePage={onDeletePage}
+                            onMovePage={onMovePage}
+                            onDuplicatePage={onDuplicatePage}
+                        />
                     )}
                 </div>
 
                 {/* Footer */}
                 <div className="p-3 min-w-[260px]" style={{ borderTop: '1px solid rgba(15, 23, 42, 0.08)' }}>
+                    <button
+                        onClick={() => setShowTrash((prev) => !prev)}
+                        className="w-full cursor-pointer flex items-center gap-2 px-3 py-2.5 text-sm rounded-xl transition-all"
+                        style={{
+                            color: showTrash ? 'var(--color-text-primary)' : 'var(--color-text-muted)',
+                            background: showTrash ? 'rgba(228, 193, 249, 0.4)' : 'transparent'
+                        }}
+                    >
+                        <Trash2 className="w-4 h-4" />
+                        Trash
+                    </button>
+                    <BackupMenu onRestored={onWorkspaceRestore} />
                     <button
                         onClick={onLogout}
                         className="w-full cursor-pointer flex items-center gap-2 px-3 py-2.5 text-sm rounded-xl transition-all"
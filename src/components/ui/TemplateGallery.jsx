@@ -0,0 +1,154 @@
+/**
+ * TemplateGallery Component
+ * =========================
+ *
+ * Grid of page templates shown on the dashboard: the built-in ones
+ * (meeting notes, project brief, weekly journal) followed by templates
+ * the user saved from their own pages. Picking one creates a new page
+ * from it; saved templates can be deleted.
+ *
+ * Theme: glass cards matching the dashboard welcome panel.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { LayoutTemplate, Users, Briefcase, BookOpen, Trash2, Loader2 } from 'lucide-react';
+import DeleteConfirmMenu from './DeleteConfirmMenu';
+import * as api from '@/lib/apiClient';
+
+// Icons for the built-in templates; saved templates use the generic one
+const BUILT_IN_ICONS = {
+    'meeting-notes': Users,
+    'project-brief': Briefcase,
+    'weekly-journal': BookOpen,
+};
+
+function templateStats(template) {
+    const pages = template.pageCount > 1 ? `${template.pageCount} pages` : '1 page';
+    return `${pages} · ${template.blockCount} blocks`;
+}
+
+export default function TemplateGallery({ onUseTemplate, disabled = false }) {
+    const [templates, setTemplates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.getTemplates()
+            .then((data) => {
+                if (!cancelled) setTemplates(data.templates || []);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const handleUse = async (template) => {
+        setBusyId(template._id);
+        setError(null);
+        try {
+            await onUseTemplate(template);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (templateId) => {
+        setError(null);
+        try {
+            await api.deleteTemplate(templateId);
+            setTemplates((prev) => prev.filter((t) => t._id !== templateId));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <section className="w-full max-w-3xl">
+            <h3 className="text-sm font-medium text-gray-500 mb-3 px-1">
+                Start from a template
+            </h3>
+
+            {error && (
+                <p className="text-xs text-red-500 mb-3 px-1">{error}</p>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-8">
+                    <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    {templates.map((template) => {
+                        const Icon = BUILT_IN_ICONS[template._id] || LayoutTemplate;
+                        const isBusy = busyId === template._id;
+
+                        return (
+                            <div
+                                key={template._id}
+                                onClick={() => !disabled && !busyId && handleUse(template)}
+                                className={`group relative text-left p-4 rounded-2xl backdrop-blur-sm bg-white/40 border border-white/50
+                                    shadow-sm transition-all ${disabled || busyId ? 'opacity-60' : 'cursor-pointer hover:bg-white/60 hover:shadow-md hover:-translate-y-0.5'}`}
+                            >
+                                <div className="flex items-start justify-between mb-3">
+                                    <div className="w-9 h-9 rounded-xl bg-indigo-50/80 border border-indigo-100 flex items-center justify-center">
+                                        {isBusy ? (
+                                            <Loader2 className="w-4 h-4 animate-spin text-indigo-400" />
+                                        ) : (
+                                            <Icon className="w-4 h-4 text-indigo-400" />
+                                        )}
+                                    </div>
+
+                                    {!template.builtIn && (
+                                        <div onClick={(e) => e.stopPropagation()}>
+                                            <DeleteConfirmMenu
+                                                onDelete={() => handleDelete(template._id)}
+                                                title="Delete template?"
+                                                description="Pages created from it are not affected."
+                                                side="bottom-left"
+                                                trigger={
+                                                    <button
+                                                        className="opacity-0 group-hover:opacity-100 p-1 cursor-pointer rounded-lg text-gray-400
+                                                            hover:text-red-500 hover:bg-red-500/10 transition-all"
+                                                        title="Delete template"
+                                                    >
+                                                        <Trash2 className="w-3.5 h-3.5" />
+                                                    </button>
+                                                }
+                                            />
+                                        </div>
+                                    )}
+                                </div>
+
+                                <p className="text-sm font-medium text-gray-800 truncate">
+                                    {template.name}
+                                </p>
+                                {template.description && (
+                                    <p className="text-xs text-gray-500 mt-1 line-clamp-2">
+                                        {template.description}
+                                    </p>
+                                )}
+                                <p className="text-[11px] text-gray-400 mt-2">
+                                    {template.builtIn ? 'Built-in' : 'Saved'} · {templateStats(template)}
+                                </p>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,240 @@
+/**
+ * TrashView Component
+ * ===================
+ *
+ * Trash listing shown inside the Sidebar in place of the page list.
+ * Deleted pages appear once per deletion (with the child pages that
+ * went with them); deleted blocks are listed under their page title.
+ * Each item can be restored or deleted permanently.
+ *
+ * Theme: matches the Sidebar glass list styling.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { FileText, RotateCcw, Trash2, Loader2, ArrowLeft, AlertCircle } from 'lucide-react';
+import DeleteConfirmMenu from './DeleteConfirmMenu';
+import * as api from '@/lib/apiClient';
+
+/**
+ * Short text preview of a trashed block.
+ */
+function blockPreview(block) {
+    const content = block.content || {};
+    return content.text || content.code || content.title || content.url || `(${block.type})`;
+}
+
+function formatDeletedAt(value) {
+    return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+export default function TrashView({ onClose, onRestore }) {
+    const [trash, setTrash] = useState({ pages: [], blocks: [], retentionDays: 0 });
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        api.getTrash()
+            .then((data) => {
+                if (!cancelled) setTrash(data);
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Runs a trash action for one item, then drops it from the list
+    const runAction = async (id, action, listKey) => {
+        setBusyId(id);
+        setError(null);
+        try {
+            const result = await action();
+            setTrash((prev) => ({
+                ...prev,
+                [listKey]: prev[listKey].filter((item) => item._id !== id),
+            }));
+            return result;
+        } catch (err) {
+            setError(err.message);
+            return null;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleRestorePage = async (pageId) => {
+        const result = await runAction(pageId, () => api.restoreTrashedPage(pageId), 'pages');
+        if (result) onRestore?.('page', result.page);
+    };
+
+    const handleRestoreBlock = async (blockId) => {
+        const result = await runAction(blockId, () => api.restoreTrashedBlock(blockId), 'blocks');
+        if (result) onRestore?.('block', result.block);
+    };
+
+    const handleEmptyTrash = async () => {
+        setError(null);
+        try {
+            await api.emptyTrash();
+            setTrash((prev) => ({ ...prev, pages: [], blocks: [] }));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const isEmpty = trash.pages.length === 0 && trash.blocks.length === 0;
+
+    const renderActions = (id, onRestoreItem, onPurge, purgeTitle) => (
+        busyId === id ? (
+            <Loader2 className="w-3.5 h-3.5 animate-spin shrink-0" style={{ color: 'var(--color-text-muted)' }} />
+        ) : (
+            <div className="flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button
+                    onClick={onRestoreItem}
+                    className="p-1 cursor-pointer rounded hover:text-indigo-500"
+                    style={{ color: 'var(--color-text-muted)' }}
+                    title="Restore"
+                >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                </button>
+                <DeleteConfirmMenu
+                    onDelete={onPurge}
+                    title={purgeTitle}
+                    description="This can't be undone."
+                    side="right"
+                    trigger={
+                        <button
+                            className="p-1 cursor-pointer rounded hover:text-[#F694C1]"
+                            style={{ color: 'var(--color-text-muted)' }}
+                            title="Delete permanently"
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                    }
+                />
+            </div>
+        )
+    );
+
+    return (
+        <div className="flex flex-col gap-1">
+            {/* Header */}
+            <div className="flex items-center justify-between px-1 pb-2">
+                <button
+                    onClick={onClose}
+                    className="flex items-center gap-1.5 text-sm cursor-pointer rounded-lg px-2 py-1 transition-colors hover:bg-black/5"
+                    style={{ color: 'var(--color-text-secondary)' }}
+                >
+                    <ArrowLeft className="w-3.5 h-3.5" />
+                    Trash
+                </button>
+                {!isEmpty && (
+                    <DeleteConfirmMenu
+                        onDelete={handleEmptyTrash}
+                        title="Empty trash?"
+                        description="Everything in the trash will be deleted permanently."
+                        side="right"
+                        trigger={
+                            <button
+                                className="text-xs cursor-pointer px-2 py-1 rounded-lg transition-colors hover:bg-black/5"
+                                style={{ color: 'var(--color-text-muted)' }}
+                            >
+                                Empty
+                            </button>
+                        }
+                    />
+                )}
+            </div>
+
+            {trash.retentionDays > 0 && (
+                <p className="text-[11px] px-3 pb-1" style={{ color: 'var(--color-text-muted)' }}>
+                    Items are deleted permanently after {trash.retentionDays} days.
+                </p>
+            )}
+
+            {error && (
+                <div className="flex items-center gap-2 text-xs text-red-500 bg-red-50 p-2 rounded-lg">
+                    <AlertCircle className="w-4 h-4 shrink-0" />
+                    <span>{error}</span>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-6">
+                    <Loader2 className="w-5 h-5 animate-spin" style={{ color: 'var(--color-text-muted)' }} />
+                </div>
+            ) : isEmpty ? (
+                <div className="text-center py-8">
+                    <Trash2 className="w-8 h-8 mx-auto mb-3" style={{ color: 'var(--color-text-muted)' }} />
+                    <p className="text-sm" style={{ color: 'var(--color-text-muted)' }}>
+                        Trash is empty
+                    </p>
+                </div>
+            ) : (
+                <>
+                    {/* Pages (one entry per deleted subtree) */}
+                    {trash.pages.map((page) => (
+                        <div
+                            key={page._id}
+                            className="group flex items-center gap-2 px-3 py-2 rounded-xl text-sm transition-colors hover:bg-black/[0.03]"
+                            style={{ color: 'var(--color-text-secondary)' }}
+                        >
+                            <FileText className="w-4 h-4 shrink-0" />
+                            <div className="flex-1 min-w-0">
+                                <div className="truncate">{page.title || 'Untitled'}</div>
+                                <div className="text-[11px]" style={{ color: 'var(--color-text-muted)' }}>
+                                    {formatDeletedAt(page.deletedAt)}
+                                    {page.descendantCount > 0 && ` · ${page.descendantCount} sub-pages`}
+                                </div>
+                            </div>
+                            {renderActions(
+                                page._id,
+                                () => handleRestorePage(page._id),
+                                () => runAction(page._id, () => api.purgeTrashedPage(page._id), 'pages'),
+                                'Delete page permanently?'
+                            )}
+                        </div>
+                    ))}
+
+                    {/* Blocks deleted from live pages */}
+                    {trash.blocks.length > 0 && (
+                        <p className="text-[11px] uppercase tracking-wide px-3 pt-3 pb-1" style={{ color: 'var(--color-text-muted)' }}>
+                            Blocks
+                        </p>
+                    )}
+                    {trash.blocks.map((block) => (
+                        <div
+                            key={block._id}
+                            className="group flex items-center gap-2 px-3 py-2 rounded-xl text-sm transition-colors hover:bg-black/[0.03]"
+                            style={{ color: 'var(--color-text-secondary)' }}
+                        >
+                            <div className="flex-1 min-w-0">
+                                <div className="truncate">{blockPreview(block)}</div>
+                                <div className="text-[11px] truncate" style={{ color: 'var(--color-text-muted)' }}>
+                                    in {block.pageTitle} · {formatDeletedAt(block.deletedAt)}
+                                </div>
+                            </div>
+                            {renderActions(
+                                block._id,
+                                () => handleRestoreBlock(block._id),
+                                () => runAction(block._id, () => api.purgeTrashedBlock(block._id), 'blocks'),
+                                'Delete block permanently?'
+                            )}
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,6 @@
 import { motion, AnimatePresence } from 'framer-motion';
 
-export default function UnsavedGuardModal({ isOpen, onDiscardAndContinue, onCancel }) {
+export default function UnsavedGuardModal({ isOpen, onSaveAndContinue, onDiscardAndContinue, onCancel }) {
     return (
         <AnimatePresence>
             {isOpen && (
@@ -27,11 +27,20 @@ export default function UnsavedGuardModal({ isOpen, onDiscardAndContinue, onCanc
 
                         {/* Body */}
                         <p className="text-xs text-gray-500 mb-4 leading-relaxed">
-                            You have unsaved changes on this page. Discard them to continue?
+                            You have unsaved changes on this page. Save or discard them to continue?
                         </p>
 
                         {/* Actions */}
                         <div className="flex flex-col gap-1.5">
+                            {onSaveAndContinue && (
+                                <button
+                                    onClick={onSaveAndContinue}
+                                    className="w-full cursor-pointer px-3 py-2 text-xs text-indigo-600 hover:bg-indigo-50 font-medium rounded-lg transition-colors text-center"
+                                >
+                                    Save & Continue
+                                </button>
+                            )}
+
                             <button
                                 onClick={onDiscardAndContinue}
                                 className="w-full cursor-pointer px-3 py-2 text-xs text-orange-600 hover:bg-orange-50 font-medium rounded-lg transition-colors text-center"
@@ -10,3 +10,12 @@ export { default as ChatWidget } from './ChatWidget';
 export { default as DeleteConfirmMenu } from './DeleteConfirmMenu';
 export { default as UnsavedGuardModal } from './UnsavedGuardModal';
 export { default as ImportModal } from './ImportModal';
+export { default as ConflictModal } from './ConflictModal';
+export { default as HistoryPanel } from './HistoryPanel';
+export { default as TrashView } from './TrashView';
+export { default as CommandPalette } from './CommandPalette';
+export { default as TemplateGallery } from './TemplateGallery';
+export { default as SaveTemplateMenu } from './SaveTemplateMenu';
+export { default as ExportMenu } from './ExportMenu';
+export { default as BackupMenu } from './BackupMenu';
+export { default as DatabaseView } from './DatabaseView';
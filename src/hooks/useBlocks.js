@@ -15,6 +15,27 @@
  * 
  * The backend stores content as Mixed type, so it accepts any structure.
  * This means swapping textarea for TipTap requires NO backend changes.
+ * 
+ * Delta Saves
+ * -----------
+ * Edits are recorded as an operation log (insert/update/delete/move keyed
+ * by block id). saveAllBlocks() sends only that log to
+ * POST /api/pages/[pageId]/operations, so saving never needs the blocks
+ * that haven't been loaded yet.
+ * 
+ * Live Sync
+ * ---------
+ * While a page is open, the hook listens to GET /api/pages/[pageId]/events
+ * and merges block changes made by other tabs/devices into local state.
+ * Blocks edited locally but not yet saved are left untouched, so remote
+ * events never overwrite work in progress.
+ * 
+ * Conflicts
+ * ---------
+ * Every write sends the page revision this tab last saw. If another
+ * editor saved in between (and their change could not be merged live),
+ * the server answers 409 with its current state and `conflict` is set.
+ * The page shows ConflictModal and calls resolveConflict('keep' | 'reload').
  */
 
 'use client';
@@ -22,8 +43,157 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useDebounce } from './useDebounce';
 import * as api from '@/lib/apiClient';
+import { generateKeyBetween } from '@/utils/fractionalIndex';
+
+/**
+ * Order key between two local blocks (null = list edge).
+ * Local keys only place incoming remote blocks until the server assigns
+ * the real ones, so inconsistent neighbours fall back instead of throwing.
+ */
+function orderKeyBetween(prev, next) {
+    try {
+        return generateKeyBetween(prev?.order ?? null, next?.order ?? null);
+    } catch {
+        return prev?.order ?? next?.order ?? generateKeyBetween(null, null);
+    }
+}
+
+/**
+ * Reorders local blocks to match the server's order.
+ * Blocks the server doesn't know yet (unsaved temp blocks) stay
+ * right after the block that preceded them locally.
+ */
+function applyRemoteOrder(blocks, blockIds) {
+    const position = new Map(blockIds.map((id, index) => [id, index]));
+
+    const result = blocks
+        .filter((b) => position.has(b._id))
+        .sort((a, b) => position.get(a._id) - position.get(b._id));
+
+    blocks.forEach((block, index) => {
+        if (position.has(block._id)) return;
+        const prev = blocks[index - 1];
+        const prevIndex = prev ? result.findIndex((b) => b._id === prev._id) : -1;
+        result.splice(prevIndex + 1, 0, block);
+    });
+
+    // Order keys of moved blocks arrive with their block.updated events
+    return result;
+}
+
+/**
+ * Merges a single realtime event into the block list.
+ * Returns the same array when the event doesn't apply.
+ *
+ * @param {Array} blocks - Current local blocks
+ * @param {object} event - Event from lib/realtime.js
+ * @param {object} options - { locallyChanged: Set, orderChanged: boolean, hasMore: boolean }
+ */
+function mergeRemoteEvent(blocks, event, { locallyChanged, orderChanged, hasMore }) {
+    switch (event.type) {
+        case 'block.created': {
+            const { block } = event;
+            if (blocks.some((b) => b._id === block._id)) return blocks;
+
+            const insertIndex = blocks.findIndex((b) => b.order > block.order);
+            if (insertIndex === -1) {
+                // Past the loaded window: it arrives with the next page of blocks
+                return hasMore ? blocks : [...blocks, block];
+            }
+
+            const next = [...blocks];
+            next.splice(insertIndex, 0, block);
+            return next;
+        }
+
+        case 'block.updated': {
+            const { block } = event;
+            if (locallyChanged.has(block._id)) return blocks;
+            return blocks.map((b) => (b._id === block._id ? { ...b, ...block } : b));
+        }
+
+        case 'block.deleted': {
+            if (locallyChanged.has(event.blockId)) return blocks;
+            return blocks.filter((b) => b._id !== event.blockId);
+        }
+
+        case 'blocks.reordered': {
+            if (orderChanged) return blocks;
+            return applyRemoteOrder(blocks, event.blockIds || []);
+        }
+
+        default:
+            return blocks;
+    }
+}
+
+/**
+ * Whether a realtime event was skipped because it touches unsaved local
+ * edits. Such an event leaves this tab behind the server revision.
+ */
+function isBlockedByLocalChanges(event, { locallyChanged, orderChanged }) {
+    switch (event.type) {
+        case 'block.updated':
+            return locallyChanged.has(event.block._id);
+        case 'block.deleted':
+            return locallyChanged.has(event.blockId);
+        case 'blocks.reordered':
+            return orderChanged;
+        default:
+            return false;
+    }
+}
 
-export function useBlocks(pageId) {
+/**
+ * Appends an edit to the operation log.
+ * Consecutive field updates of a block are folded into its earlier
+ * insert/update so typing doesn't grow the log per keystroke.
+ *
+ * @param {Array} log - Pending operations
+ * @param {object} op - { op, id, ...fields }
+ * @returns {Array} New log
+ */
+function appendOperation(log, op) {
+    if (op.op === 'update') {
+        const index = log.findLastIndex(
+            (o) => o.id === op.id && (o.op === 'insert' || o.op === 'update')
+        );
+        if (index !== -1) {
+            const next = [...log];
+            next[index] = { ...log[index], ...op, op: log[index].op };
+            return next;
+        }
+    }
+
+    if (op.op === 'delete') {
+        // Updates of a deleted block are moot; inserts/moves stay because
+        // later operations may be positioned after it
+        return [...log.filter((o) => !(o.id === op.id && o.op === 'update')), op];
+    }
+
+    return [...log, op];
+}
+
+/**
+ * Rewrites temporary block ids in the log with the ids the server assigned.
+ */
+function remapOperationIds(log, idMap) {
+    const map = (id) => (id && idMap[id]) || id;
+    return log.map((op) => ({
+        ...op,
+        id: map(op.id),
+        ...(op.afterId !== undefined && { afterId: map(op.afterId) }),
+    }));
+}
+
+/**
+ * @param {string} pageId - Page being edited
+ * @param {object} options - { onPageUpdated(page) } called when the page
+ *   title changes in another session or after loading the latest version;
+ *   { onPageMoved(page) } called when the page or one of its ancestors is
+ *   moved to another parent
+ */
+export function useBlocks(pageId, { onPageUpdated, onPageMoved } = {}) {
     const [blocks, setBlocks] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -37,6 +207,67 @@ export function useBlocks(pageId) {
     const [nextCursor, setNextCursor] = useState(null);
     const [isFetchingNext, setIsFetchingNext] = useState(false);
 
+    // Rejected write waiting for the user's decision:
+    // { kind: 'blocks' | 'title', message, page, blocks?, title? }
+    const [conflict, setConflict] = useState(null);
+
+    // Operation log of unsaved edits (sent by saveAllBlocks)
+    const pendingOpsRef = useRef([]);
+
+    // Unsaved local edits, protected from incoming realtime events
+    const locallyChangedRef = useRef(new Set());
+    const orderChangedRef = useRef(false);
+    const hasMoreRef = useRef(false);
+
+    // Page revision this tab's state is based on
+    const revisionRef = useRef(0);
+
+    // Writes run one after another so each sends the revision of the last
+    const writeQueueRef = useRef(Promise.resolve());
+
+    const onPageUpdatedRef = useRef(onPageUpdated);
+    const onPageMovedRef = useRef(onPageMoved);
+
+    useEffect(() => {
+        hasMoreRef.current = hasMore;
+    }, [hasMore]);
+
+    useEffect(() => {
+        onPageUpdatedRef.current = onPageUpdated;
+    }, [onPageUpdated]);
+
+    useEffect(() => {
+        onPageMovedRef.current = onPageMoved;
+    }, [onPageMoved]);
+
+    /**
+     * Queue a write behind any write still in flight.
+     */
+    const enqueueWrite = useCallback((write) => {
+        const run = writeQueueRef.current.then(write, write);
+        writeQueueRef.current = run.catch(() => { });
+        return run;
+    }, []);
+
+    /**
+     * Forget local edit tracking once state matches the server.
+     */
+    const resetLocalChanges = useCallback(() => {
+        pendingOpsRef.current = [];
+        locallyChangedRef.current = new Set();
+        orderChangedRef.current = false;
+    }, []);
+
+    /**
+     * Record an edit in the operation log and mark the page dirty.
+     */
+    const recordOperation = useCallback((op) => {
+        pendingOpsRef.current = appendOperation(pendingOpsRef.current, op);
+        locallyChangedRef.current.add(op.id);
+        if (op.op === 'move') orderChangedRef.current = true;
+        setIsDirty(true);
+    }, []);
+
     /**
      * Load initial blocks for the page.
      */
@@ -47,23 +278,67 @@ export function useBlocks(pageId) {
             setLoading(true);
             setError(null);
             const data = await api.getPage(pageId, 20, null);
+            revisionRef.current = data.page?.revision ?? 0;
             setBlocks(data.blocks || []);
             setHasMore(data.hasMore || false);
             setNextCursor(data.nextCursor || null);
             setIsDirty(false); // Reset dirty state on load
+            resetLocalChanges();
         } catch (err) {
             setError(err.message);
             console.error('Failed to load blocks:', err);
         } finally {
             setLoading(false);
         }
-    }, [pageId]);
+    }, [pageId, resetLocalChanges]);
 
     // Load blocks on mount
     useEffect(() => {
         loadBlocks();
     }, [loadBlocks]);
 
+    // Merge live changes from other editors of this page
+    useEffect(() => {
+        if (!pageId) return;
+
+        // Writes this tab made outside saveAllBlocks (AI actions, page blocks)
+        // still move the revision forward
+        const trackOwnRevision = (event) => {
+            if (event.revision === revisionRef.current + 1) {
+                revisionRef.current = event.revision;
+            }
+        };
+
+        return api.subscribeToPageEvents(pageId, (event) => {
+            const local = {
+                locallyChanged: locallyChangedRef.current,
+                orderChanged: orderChangedRef.current,
+                hasMore: hasMoreRef.current,
+            };
+
+            // Only follow the server revision while no change was missed;
+            // after a gap the next save gets a 409 instead of overwriting
+            if (
+                !isBlockedByLocalChanges(event, local) &&
+                event.revision === revisionRef.current + 1
+            ) {
+                revisionRef.current = event.revision;
+            }
+
+            if (event.type === 'page.updated') {
+                onPageUpdatedRef.current?.(event.page);
+                return;
+            }
+
+            if (event.type === 'page.moved') {
+                onPageMovedRef.current?.(event.page);
+                return;
+            }
+
+            setBlocks((prev) => mergeRemoteEvent(prev, event, local));
+        }, trackOwnRevision);
+    }, [pageId]);
+
     /**
      * Load next segment of blocks.
      */
@@ -89,29 +364,6 @@ export function useBlocks(pageId) {
         }
     }, [pageId, hasMore, isFetchingNext, nextCursor]);
 
-    /**
-     * Fetch all remaining blocks at once (for operations requiring full context).
-     * Modifies state returning the combined blocks array.
-     */
-    const fetchRemainingBlocks = useCallback(async (currentBlocks) => {
-        if (!hasMore || !nextCursor) return currentBlocks;
-
-        try {
-            const data = await api.getPage(pageId, 'all', nextCursor);
-            const existingIds = new Set(currentBlocks.map(b => b._id));
-            const newBlocks = (data.blocks || []).filter(b => !existingIds.has(b._id));
-
-            const fullList = [...currentBlocks, ...newBlocks];
-            setBlocks(fullList);
-            setHasMore(false);
-            setNextCursor(null);
-            return fullList;
-        } catch (err) {
-            console.error('Failed to fetch remaining blocks:', err);
-            return currentBlocks;
-        }
-    }, [pageId, hasMore, nextCursor]);
-
     /**
      * Update a block's content locally.
      * Marks page as dirty.
@@ -122,8 +374,8 @@ export function useBlocks(pageId) {
                 block._id === blockId ? { ...block, content } : block
             )
         );
-        setIsDirty(true);
-    }, []);
+        recordOperation({ op: 'update', id: blockId, content });
+    }, [recordOperation]);
 
     /**
      * Update a block's type locally.
@@ -135,8 +387,8 @@ export function useBlocks(pageId) {
                 block._id === blockId ? { ...block, type } : block
             )
         );
-        setIsDirty(true);
-    }, []);
+        recordOperation({ op: 'update', id: blockId, type });
+    }, [recordOperation]);
 
     /**
      * Update any block metadata (e.g., backgroundColor).
@@ -148,35 +400,35 @@ export function useBlocks(pageId) {
                 block._id === blockId ? { ...block, ...updates } : block
             )
         );
-        setIsDirty(true);
-    }, []);
+        recordOperation({ op: 'update', id: blockId, ...updates });
+    }, [recordOperation]);
 
     /**
      * Reorder blocks after drag-and-drop.
+     * Recorded as a single move relative to the new previous block,
+     * so blocks that aren't loaded yet are unaffected.
      * Marks page as dirty.
      */
     const reorderBlocks = useCallback(async (oldIndex, newIndex) => {
         if (oldIndex === newIndex) return;
 
-        // If a reorder requires full context, fetch remaining blocks before logic
-        let currentBlocks = blocks;
-        if (hasMore) {
-            currentBlocks = await fetchRemainingBlocks(blocks);
-        }
-
-        const newBlocks = [...currentBlocks];
+        const newBlocks = [...blocks];
         const [movedBlock] = newBlocks.splice(oldIndex, 1);
         newBlocks.splice(newIndex, 0, movedBlock);
 
-        // Update order field for all blocks to keep local state consistent
-        const reindexed = newBlocks.map((block, index) => ({
-            ...block,
-            order: index
-        }));
+        // Only the moved block gets a new order key
+        newBlocks[newIndex] = {
+            ...movedBlock,
+            order: orderKeyBetween(newBlocks[newIndex - 1], newBlocks[newIndex + 1]),
+        };
 
-        setBlocks(reindexed);
-        setIsDirty(true);
-    }, [blocks, hasMore, fetchRemainingBlocks]);
+        setBlocks(newBlocks);
+        recordOperation({
+            op: 'move',
+            id: movedBlock._id,
+            afterId: newIndex > 0 ? newBlocks[newIndex - 1]._id : null,
+        });
+    }, [blocks, recordOperation]);
 
     /**
      * Add a new block after the specified block.
@@ -194,21 +446,29 @@ export function useBlocks(pageId) {
             type,
             content: { text: '' },
             pageId,
-            order: 0, // Will be fixed by reordering logic or save
+            order: null, // Set from the neighbours below, replaced by the server on save
         };
 
         setBlocks((prev) => {
             const newBlocks = [...prev];
             const insertIndex = afterIndex >= 0 ? afterIndex + 1 : newBlocks.length;
-            newBlocks.splice(insertIndex, 0, newBlock);
-
-            // Re-index orders
-            return newBlocks.map((b, i) => ({ ...b, order: i }));
+            newBlocks.splice(insertIndex, 0, {
+                ...newBlock,
+                order: orderKeyBetween(newBlocks[insertIndex - 1], newBlocks[insertIndex]),
+            });
+            return newBlocks;
         });
 
-        setIsDirty(true);
+        // Without a known previous block the server appends at the end
+        recordOperation({
+            op: 'insert',
+            id: tempId,
+            afterId: afterIndex >= 0 ? afterBlockId : undefined,
+            type,
+            content: newBlock.content,
+        });
         return newBlock;
-    }, [blocks, pageId]);
+    }, [blocks, pageId, recordOperation]);
 
     /**
      * Delete a block.
@@ -216,8 +476,8 @@ export function useBlocks(pageId) {
      */
     const removeBlock = useCallback((blockId) => {
         setBlocks((prev) => prev.filter((b) => b._id !== blockId));
-        setIsDirty(true);
-    }, []);
+        recordOperation({ op: 'delete', id: blockId });
+    }, [recordOperation]);
 
     /**
      * Add first block if page is empty.
@@ -230,44 +490,164 @@ export function useBlocks(pageId) {
     }, [blocks.length, addBlock]);
 
     /**
-     * Save all blocks to the server.
-     * Called manually by the user.
+     * Save pending edits to the server.
+     * Called manually by the user. Only the operation log is sent.
+     * Returns true on success, null on failure; a stale revision also sets `conflict`.
      */
     const saveAllBlocks = useCallback(async () => {
         if (!isDirty) return;
 
+        const ops = pendingOpsRef.current;
+        if (ops.length === 0) {
+            setIsDirty(false);
+            return true;
+        }
+
+        // Edits made while the request is in flight start a new log
+        pendingOpsRef.current = [];
+
         try {
             setIsSaving(true);
             setError(null);
 
-            // Fetch remaining so we don't accidentally delete them in PUT Sync
-            let fullBlocks = blocks;
-            if (hasMore) {
-                fullBlocks = await fetchRemainingBlocks(blocks);
+            const { idMap, blocks: writtenBlocks, revision } = await enqueueWrite(() =>
+                api.savePageOperations(pageId, ops, revisionRef.current)
+            );
+
+            // Swap temporary IDs for the ones the server assigned
+            revisionRef.current = revision;
+            pendingOpsRef.current = remapOperationIds(pendingOpsRef.current, idMap);
+            const remaining = pendingOpsRef.current;
+
+            // Take the server's order keys, unless the block moved again meanwhile
+            const movedAgain = new Set(remaining.filter((op) => op.op === 'move').map((op) => op.id));
+            const serverOrder = new Map(
+                (writtenBlocks || []).map((b) => [b._id, b.order])
+            );
+            setBlocks((prev) =>
+                prev.map((b) => {
+                    const id = idMap[b._id] || b._id;
+                    const order = !movedAgain.has(id) && serverOrder.has(id)
+                        ? serverOrder.get(id)
+                        : b.order;
+                    return id === b._id && order === b.order ? b : { ...b, _id: id, order };
+                })
+            );
+
+            locallyChangedRef.current = new Set(remaining.map((op) => op.id));
+            orderChangedRef.current = remaining.some((op) => op.op === 'move');
+            setIsDirty(remaining.length > 0);
+            return true;
+        } catch (err) {
+            // Keep the edits so they can be retried
+            pendingOpsRef.current = [...ops, ...pendingOpsRef.current];
+
+            if (err.status === 409 && err.data?.conflict) {
+                setConflict({
+                    kind: 'blocks',
+                    message: err.data.error,
+                    page: err.data.page,
+                    blocks: err.data.blocks || [],
+                });
+                return null;
             }
 
-            // Send full state to backend
-            const { blocks: updatedBlocks } = await api.savePageContent(pageId, fullBlocks);
-
-            // Update local state with confirmed data (IDs, etc.)
-            setBlocks(updatedBlocks);
-            setIsDirty(false);
-            return updatedBlocks;
-        } catch (err) {
             console.error('Failed to save page:', err);
             setError('Failed to save changes. Please try again.');
             return null;
         } finally {
             setIsSaving(false);
         }
-    }, [pageId, blocks, isDirty, hasMore, fetchRemainingBlocks]);
+    }, [pageId, isDirty, enqueueWrite]);
+
+    /**
+     * Save the page title (conditional on the current revision).
+     * Returns the updated page, or null on failure/conflict.
+     * 
+     * @param {string} title - New title
+     * @param {number|null} baseRevision - Override, used when keeping a title over a conflict
+     */
+    const savePageTitle = useCallback(async (title, baseRevision = null) => {
+        try {
+            const { page } = await enqueueWrite(() =>
+                api.updatePage(pageId, { title, baseRevision: baseRevision ?? revisionRef.current })
+            );
+            // Only advance if no other session wrote in between
+            if (page.revision === revisionRef.current + 1) {
+                revisionRef.current = page.revision;
+            }
+            return page;
+        } catch (err) {
+            if (err.status === 409 && err.data?.conflict) {
+                setConflict({
+                    kind: 'title',
+                    message: err.data.error,
+                    page: err.data.page,
+                    title,
+                });
+                return null;
+            }
+
+            console.error('Failed to save title:', err);
+            return null;
+        }
+    }, [pageId, enqueueWrite]);
+
+    /**
+     * Resolve the pending conflict.
+     * - 'keep':   re-apply the pending edits on top of the server revision
+     * - 'reload': drop local edits and take the server state
+     * Returns true once the page is in a saved state.
+     */
+    const resolveConflict = useCallback(async (strategy) => {
+        if (!conflict) return false;
+
+        const { kind, page } = conflict;
+        setConflict(null);
+
+        if (kind === 'title') {
+            if (strategy === 'keep') {
+                const saved = await savePageTitle(conflict.title, page.revision ?? 0);
+                if (!saved) return false;
+            } else {
+                onPageUpdatedRef.current?.(page);
+            }
+
+            // Only the page came back; catch up on blocks unless that loses edits
+            if (!isDirty) await loadBlocks();
+            return true;
+        }
+
+        if (strategy === 'keep') {
+            revisionRef.current = page.revision ?? 0;
+            return Boolean(await saveAllBlocks());
+        }
+
+        onPageUpdatedRef.current?.(page);
+
+        // Load the page the normal way rather than taking the 409's raw
+        // blocks, so sub-page titles and pagination match a fresh load
+        await loadBlocks();
+        return true;
+    }, [conflict, isDirty, savePageTitle, saveAllBlocks, loadBlocks]);
+
+    /**
+     * Close the conflict dialog without saving (local edits stay dirty).
+     */
+    const dismissConflict = useCallback(() => {
+        setConflict(null);
+    }, []);
 
     /**
      * Append blocks directly (for features like import).
+     * The import endpoint returns the new page revision.
      */
-    const appendImportedBlocks = useCallback((newBlocks) => {
+    const appendImportedBlocks = useCallback((newBlocks, revision = null) => {
         setBlocks((prev) => [...prev, ...newBlocks]);
         // Do NOT mark as dirty automatically if they are already saved to the backend
+        if (revision !== null && revision === revisionRef.current + 1) {
+            revisionRef.current = revision;
+        }
     }, []);
 
     return {
@@ -287,6 +667,10 @@ export function useBlocks(pageId) {
         removeBlock,
         addFirstBlock,
         saveAllBlocks,
+        savePageTitle,
+        conflict,
+        resolveConflict,
+        dismissConflict,
         appendImportedBlocks,
         refreshBlocks: loadBlocks, // Used by external components to force reload
         reload: loadBlocks
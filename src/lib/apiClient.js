@@ -8,16 +8,32 @@
 
 const BASE_URL = '/api';
 
+/**
+ * Unique ID for this browser tab.
+ * Sent with every request so realtime events caused by this tab
+ * can be recognised (and skipped) when they are echoed back.
+ */
+export const CLIENT_ID =
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
 /**
  * Base fetch wrapper with error handling.
+ * Thrown errors carry the HTTP `status` and the parsed response `data`
+ * (e.g. the current server state of a 409 conflict).
  */
 async function fetchAPI(endpoint, options = {}) {
     const url = `${BASE_URL}${endpoint}`;
 
+    // FormData bodies set their own multipart Content-Type
+    const isFormData = typeof FormData !== 'undefined' && options.body instanceof FormData;
+
     const config = {
         ...options,
         headers: {
-            'Content-Type': 'application/json',
+            ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+            'X-Client-Id': CLIENT_ID,
             ...options.headers,
         },
         credentials: 'include', // Include cookies for JWT auth
@@ -28,7 +44,10 @@ async function fetchAPI(endpoint, options = {}) {
     console.log(data)
 
     if (!response.ok) {
-        throw new Error(data.error || 'API request failed');
+        const error = new Error(data.error || 'API request failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
     }
 
     return data;
@@ -79,10 +98,14 @@ export async function getPage(pageId, limit = 20, cursor = null) {
     return fetchAPI(endpoint);
 }
 
-export async function createPage(title = 'Untitled') {
+/**
+ * Create a page, optionally from a template (see Templates API).
+ * Pass title = null to keep the template's title.
+ */
+export async function createPage(title = 'Untitled', templateId = null) {
     return fetchAPI('/pages', {
         method: 'POST',
-        body: JSON.stringify({ title }),
+        body: JSON.stringify({ title, templateId }),
     });
 }
 
@@ -97,6 +120,41 @@ export async function deletePage(pageId) {
     return fetchAPI(`/pages/${pageId}`, { method: 'DELETE' });
 }
 
+/**
+ * Full page hierarchy: { tree: [{ _id, title, childCount, children }] }
+ */
+export async function getPageTree() {
+    return fetchAPI('/pages/tree');
+}
+
+/**
+ * Direct children of a page (lazy tree expansion): { pages }
+ */
+export async function getPageChildren(parentId) {
+    return fetchAPI(`/pages/tree?parentId=${parentId}`);
+}
+
+/**
+ * Move a page under a new parent (null = top level).
+ * Returns { page, oldParentId, block }.
+ */
+export async function movePage(pageId, parentPageId, afterBlockId = null) {
+    return fetchAPI(`/pages/${pageId}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ parentPageId, afterBlockId }),
+    });
+}
+
+/**
+ * Deep copy of a page with its blocks and sub-pages.
+ * Returns { page, pageCount, block }.
+ */
+export async function duplicatePage(pageId) {
+    return fetchAPI(`/pages/${pageId}/duplicate`, {
+        method: 'POST',
+    });
+}
+
 export async function updatePageVisibility(pageId, isPublic) {
     return fetchAPI(`/pages/${pageId}/public`, {
         method: 'PATCH',
@@ -104,6 +162,207 @@ export async function updatePageVisibility(pageId, isPublic) {
     });
 }
 
+/**
+ * Fetches a file download (export or backup).
+ * Returns { blob, filename }; errors are thrown like fetchAPI's.
+ */
+async function fetchFile(endpoint, fallbackName) {
+    const response = await fetch(`${BASE_URL}${endpoint}`, {
+        headers: { 'X-Client-Id': CLIENT_ID },
+        credentials: 'include',
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Download failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/) || disposition.match(/filename="([^"]+)"/);
+    const filename = match ? decodeURIComponent(match[1]) : fallbackName;
+
+    return { blob: await response.blob(), filename };
+}
+
+/**
+ * Download a page export as a file.
+ * Returns { blob, filename }.
+ *
+ * @param {object} options - { format: 'md' | 'html' | 'pdf', recursive: boolean }
+ */
+export async function exportPage(pageId, { format = 'md', recursive = false } = {}) {
+    const params = new URLSearchParams({ format });
+    if (recursive) params.set('recursive', 'true');
+
+    return fetchFile(`/pages/${pageId}/export?${params}`, `page.${recursive ? 'zip' : format}`);
+}
+
+// ==================
+// Workspace Backup API
+// ==================
+
+/**
+ * Download a JSON backup of the whole workspace.
+ * Returns { blob, filename }.
+ */
+export async function exportWorkspace() {
+    return fetchFile('/export/workspace', 'pagelet-workspace.json');
+}
+
+/**
+ * Restore a workspace backup (the JSON text of a backup file).
+ * Returns { pageCount, blockCount, templateCount, imageCount, skippedBlocks, rootPages }.
+ */
+export async function importWorkspace(backupText) {
+    return fetchAPI('/import/workspace', {
+        method: 'POST',
+        body: backupText,
+    });
+}
+
+// ==================
+// Databases API
+// ==================
+
+/**
+ * Set a page's property schema (turns it into a database).
+ * Returns { page }.
+ */
+export async function updateDatabaseSchema(pageId, properties, baseRevision = null) {
+    return fetchAPI(`/pages/${pageId}/database`, {
+        method: 'PUT',
+        body: JSON.stringify({ properties, baseRevision }),
+    });
+}
+
+/**
+ * Turn a database back into a plain page.
+ */
+export async function removeDatabase(pageId) {
+    return fetchAPI(`/pages/${pageId}/database`, { method: 'DELETE' });
+}
+
+/**
+ * Rows of a database, filtered and sorted on the server.
+ * Returns { rows, total, hasMore }.
+ */
+export async function queryDatabase(pageId, { filter = null, sorts = [], limit = null, offset = 0 } = {}) {
+    return fetchAPI(`/pages/${pageId}/database/query`, {
+        method: 'POST',
+        body: JSON.stringify({ filter, sorts, limit, offset }),
+    });
+}
+
+/**
+ * Add a row to a database. Returns { row }.
+ */
+export async function createDatabaseRow(pageId, title = 'Untitled', values = {}) {
+    return fetchAPI(`/pages/${pageId}/database/rows`, {
+        method: 'POST',
+        body: JSON.stringify({ title, values }),
+    });
+}
+
+/**
+ * Set property values of a database row. Returns { page }.
+ */
+export async function updatePageProperties(pageId, values) {
+    return fetchAPI(`/pages/${pageId}/properties`, {
+        method: 'PATCH',
+        body: JSON.stringify({ values }),
+    });
+}
+
+// ==================
+// Templates API
+// ==================
+
+/**
+ * Built-in and saved templates.
+ * Returns { templates: [{ _id, name, description, builtIn, pageCount, blockCount }] }.
+ */
+export async function getTemplates() {
+    return fetchAPI('/templates');
+}
+
+/**
+ * Save a page (with its sub-pages) as a template.
+ */
+export async function saveAsTemplate(pageId, name, description = '') {
+    return fetchAPI('/templates', {
+        method: 'POST',
+        body: JSON.stringify({ pageId, name, description }),
+    });
+}
+
+export async function deleteTemplate(templateId) {
+    return fetchAPI(`/templates/${templateId}`, { method: 'DELETE' });
+}
+
+// ==================
+// Search API
+// ==================
+
+/**
+ * Full-text search across the user's pages and blocks.
+ *
+ * @param {string} query - Search text
+ * @param {object} [options] - { types?: string[], pageId?: string, limit?: number }
+ * @returns {Promise<{ results: Array }>}
+ */
+export async function search(query, { types = null, pageId = null, limit = null } = {}) {
+    const params = new URLSearchParams({ q: query });
+    if (types && types.length > 0) params.append('type', types.join(','));
+    if (pageId) params.append('pageId', pageId);
+    if (limit) params.append('limit', limit);
+
+    return fetchAPI(`/search?${params.toString()}`);
+}
+
+// ==================
+// Trash API
+// ==================
+
+/**
+ * List trashed pages (one entry per deleted subtree) and blocks.
+ * Returns { pages, blocks, retentionDays }.
+ */
+export async function getTrash() {
+    return fetchAPI('/trash');
+}
+
+/**
+ * Restore a trashed page with the child pages deleted along with it.
+ */
+export async function restoreTrashedPage(pageId) {
+    return fetchAPI(`/trash/pages/${pageId}/restore`, { method: 'POST' });
+}
+
+/**
+ * Permanently delete a trashed page subtree.
+ */
+export async function purgeTrashedPage(pageId) {
+    return fetchAPI(`/trash/pages/${pageId}`, { method: 'DELETE' });
+}
+
+export async function restoreTrashedBlock(blockId) {
+    return fetchAPI(`/trash/blocks/${blockId}/restore`, { method: 'POST' });
+}
+
+export async function purgeTrashedBlock(blockId) {
+    return fetchAPI(`/trash/blocks/${blockId}`, { method: 'DELETE' });
+}
+
+/**
+ * Permanently delete everything in the trash.
+ */
+export async function emptyTrash() {
+    return fetchAPI('/trash', { method: 'DELETE' });
+}
+
 // ==================
 // Public Access API
 // ==================
@@ -151,11 +410,12 @@ export async function deleteBlock(blockId) {
 /**
  * Create a page block (nested page).
  * This creates both the child page and the block referencing it.
+ * With a templateId the child page is created from that template.
  */
-export async function createPageBlock(parentPageId, afterBlockId = null, title = 'Untitled') {
+export async function createPageBlock(parentPageId, afterBlockId = null, title = 'Untitled', templateId = null) {
     const response = await fetchAPI('/blocks/page', {
         method: 'POST',
-        body: JSON.stringify({ parentPageId, afterBlockId, title }),
+        body: JSON.stringify({ parentPageId, afterBlockId, title, templateId }),
     });
     return response;
 }
@@ -163,11 +423,29 @@ export async function createPageBlock(parentPageId, afterBlockId = null, title =
 /**
  * Save all blocks for a page (Manual Save / Sync).
  * Replaces the current state with the provided blocks.
+ * 
+ * @param {number|null} baseRevision - Page revision the edits are based on.
+ *   A stale revision is rejected with 409 (error.data holds { page, blocks }).
  */
-export async function savePageContent(pageId, blocks) {
+export async function savePageContent(pageId, blocks, baseRevision = null) {
     return fetchAPI(`/pages/${pageId}/blocks`, {
         method: 'PUT',
-        body: JSON.stringify({ blocks }),
+        body: JSON.stringify({ blocks, baseRevision }),
+    });
+}
+
+/**
+ * Save an operation log for a page (delta save).
+ * Only the blocks named by the operations are sent and written.
+ * 
+ * @param {Array} ops - [{ op: 'insert'|'update'|'delete'|'move', id, ... }]
+ * @param {number|null} baseRevision - Page revision the operations are based on
+ * @returns {Promise<{idMap: object, blocks: Array, revision: number}>}
+ */
+export async function savePageOperations(pageId, ops, baseRevision = null) {
+    return fetchAPI(`/pages/${pageId}/operations`, {
+        method: 'POST',
+        body: JSON.stringify({ ops, baseRevision }),
     });
 }
 
@@ -180,3 +458,175 @@ export async function importBlocksFromPublicPage(targetPageId, sourcePageId) {
         body: JSON.stringify({ sourcePageId }),
     });
 }
+
+/**
+ * Import a public page with all of its public sub-pages.
+ * With `dryRun` nothing is written and the response is a preview
+ * ({ pageCount, blockCount, skippedLinks, pages }).
+ * With `onProgress` the server streams progress while importing;
+ * it is called with { pagesDone, pagesTotal, blocksDone }.
+ *
+ * @param {object} options - { dryRun: boolean, onProgress: Function }
+ */
+export async function importPublicPageTree(targetPageId, sourcePageId, { dryRun = false, onProgress } = {}) {
+    const body = JSON.stringify({ sourcePageId, recursive: true, dryRun });
+    if (dryRun || !onProgress) {
+        return fetchAPI(`/pages/${targetPageId}/import`, { method: 'POST', body });
+    }
+
+    const response = await fetch(`${BASE_URL}/pages/${targetPageId}/import`, {
+        method: 'POST',
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/x-ndjson',
+            'X-Client-Id': CLIENT_ID,
+        },
+        credentials: 'include',
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'API request failed');
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+
+    // One JSON event per line; the last one is 'done' or 'error'
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            const { type, ...event } = JSON.parse(line);
+            if (type === 'progress') onProgress(event);
+            if (type === 'done') return event;
+            if (type === 'error') throw new Error(event.error);
+        }
+    }
+    throw new Error('Import ended unexpectedly');
+}
+
+/**
+ * Import Markdown (file contents or pasted text) into a page.
+ * Blocks are appended after the page's last block in one batch.
+ */
+export async function importMarkdown(pageId, markdown, filename = null) {
+    return fetchAPI(`/pages/${pageId}/import/markdown`, {
+        method: 'POST',
+        body: JSON.stringify({ markdown, filename }),
+    });
+}
+
+/**
+ * Import a Notion "Markdown & CSV" export zip as sub-pages of a page.
+ * Returns { pageCount, blockCount, imageCount, blocks, revision, report }.
+ */
+export async function importNotionExport(pageId, file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return fetchAPI(`/pages/${pageId}/import/notion`, {
+        method: 'POST',
+        body: formData,
+    });
+}
+
+// ==================
+// Version History API
+// ==================
+
+/**
+ * List the saved versions of a page (newest first, without blocks).
+ */
+export async function getPageVersions(pageId) {
+    return fetchAPI(`/pages/${pageId}/versions`);
+}
+
+/**
+ * Get a single version including its block snapshot.
+ */
+export async function getPageVersion(pageId, versionId) {
+    return fetchAPI(`/pages/${pageId}/versions/${versionId}`);
+}
+
+/**
+ * Block-by-block diff between two versions.
+ * Use 'current' as `to` to compare with the live page.
+ */
+export async function getPageVersionDiff(pageId, from, to = 'current') {
+    const params = new URLSearchParams({ from, to });
+    return fetchAPI(`/pages/${pageId}/versions/diff?${params.toString()}`);
+}
+
+/**
+ * Restore a page to a version. Returns { page, blocks, revision }.
+ */
+export async function restorePageVersion(pageId, versionId) {
+    return fetchAPI(`/pages/${pageId}/versions/${versionId}/restore`, {
+        method: 'POST',
+        body: JSON.stringify({}),
+    });
+}
+
+// ==================
+// Assets API
+// ==================
+
+/**
+ * Storage used by the current user's uploads, with the upload limits.
+ * Returns { usedBytes, assetCount, maxFileBytes, quotaBytes }.
+ */
+export async function getStorageUsage() {
+    return fetchAPI('/assets');
+}
+
+/**
+ * Delete uploads nothing references anymore.
+ * Returns { deleted, freedBytes }.
+ */
+export async function deleteOrphanAssets() {
+    return fetchAPI('/assets/orphans', { method: 'DELETE' });
+}
+
+// ==================
+// Realtime API
+// ==================
+
+/**
+ * Subscribe to live block changes of a page (Server-Sent Events).
+ * Events caused by this tab are filtered out unless `onOwnEvent` is given.
+ *
+ * @param {string} pageId - Page to listen to
+ * @param {Function} onEvent - Called with each parsed event
+ * @param {Function} onOwnEvent - Optional, called with this tab's echoed events
+ * @returns {Function} Unsubscribe function (closes the stream)
+ */
+export function subscribeToPageEvents(pageId, onEvent, onOwnEvent = null) {
+    if (typeof EventSource === 'undefined') return () => { };
+
+    const source = new EventSource(`${BASE_URL}/pages/${pageId}/events`, {
+        withCredentials: true,
+    });
+
+    source.onmessage = (message) => {
+        try {
+            const event = JSON.parse(message.data);
+            if (event.origin === CLIENT_ID) {
+                onOwnEvent?.(event);
+                return;
+            }
+            onEvent(event);
+        } catch (err) {
+            console.error('Invalid page event:', err);
+        }
+    };
+
+    return () => source.close();
+}
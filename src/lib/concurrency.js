@@ -0,0 +1,73 @@
+/**
+ * Optimistic Concurrency Helpers
+ * ==============================
+ *
+ * Pages and blocks carry a `revision` counter that is incremented on
+ * every write. A client that wants a conditional write sends the
+ * revision it last saw, either as a header or in the JSON body:
+ *
+ *   If-Match: "3"
+ *   { ..., "baseRevision": 3 }
+ *
+ * If the stored revision has moved on, the write is rejected with
+ * 409 Conflict and the current server state, so the client can let the
+ * user decide instead of silently overwriting newer data.
+ *
+ * Writes without a base revision stay last-write-wins (API clients,
+ * AI actions), but still bump the counter.
+ */
+
+import { NextResponse } from 'next/server';
+
+/**
+ * Reads the base revision from the If-Match header or body.
+ * The header wins when both are present.
+ *
+ * @param {Request} request - Incoming API request
+ * @param {object} body - Parsed JSON body (optional)
+ * @returns {number|null} Base revision, or null for an unconditional write
+ */
+export function getBaseRevision(request, body = {}) {
+    const header = request.headers.get('if-match');
+    const raw = header
+        ? header.replace(/^W\//, '').replace(/"/g, '').trim()
+        : body?.baseRevision;
+
+    if (raw === undefined || raw === null || raw === '' || raw === '*') {
+        return null;
+    }
+
+    const revision = Number(raw);
+    return Number.isInteger(revision) && revision >= 0 ? revision : null;
+}
+
+/**
+ * Builds the query condition that makes an update conditional.
+ * Documents created before revisions existed have no field, which
+ * counts as revision 0.
+ *
+ * @param {number|null} baseRevision - Value from getBaseRevision()
+ * @returns {object} Filter fragment to spread into the update query
+ */
+export function revisionFilter(baseRevision) {
+    if (baseRevision === null) return {};
+
+    if (baseRevision === 0) {
+        return { $or: [{ revision: 0 }, { revision: { $exists: false } }] };
+    }
+
+    return { revision: baseRevision };
+}
+
+/**
+ * 409 response carrying the current server state.
+ *
+ * @param {string} message - Human-readable error
+ * @param {object} current - Current state, e.g. { page, blocks } or { block }
+ */
+export function conflictResponse(message, current) {
+    return NextResponse.json(
+        { error: message, conflict: true, ...current },
+        { status: 409 }
+    );
+}
@@ -0,0 +1,68 @@
+/**
+ * Image Processing
+ * ================
+ *
+ * What Cloudinary does to uploaded images, done on this server with
+ * sharp (libvips, shipped prebuilt with the package) so the local
+ * storage driver works offline:
+ *
+ *   - orientation from EXIF is applied to the pixels, then all
+ *     metadata (EXIF, GPS, XMP) is dropped
+ *   - the image is converted to WebP, no larger than MAX_DIMENSION
+ *   - smaller WebP copies are made for each IMAGE_VARIANT_WIDTHS width
+ *     below the image's own, for srcset (see utils/imageLayout.js)
+ */
+
+import sharp from 'sharp';
+import { IMAGE_VARIANT_WIDTHS } from '@/utils/imageLayout';
+
+// Longest side of the stored image
+const MAX_DIMENSION = 4096;
+
+// Refuse images that would take too much memory to decode (~50 megapixels)
+const MAX_INPUT_PIXELS = 50_000_000;
+
+const WEBP_OPTIONS = { quality: 82, effort: 4 };
+
+function load(buffer) {
+    return sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' });
+}
+
+/**
+ * Converts an uploaded image and renders its variants.
+ *
+ * @param {Buffer} buffer - JPG, PNG or WebP file contents
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number, variants: Array<{ width: number, buffer: Buffer }> }>}
+ */
+export async function processImage(buffer) {
+    // Decode once (rotated, so the size below is the upright one) and
+    // encode the main image and every variant from those pixels
+    const upright = await load(buffer)
+        .rotate()
+        .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const pixels = () => sharp(upright.data, { raw: upright.info });
+
+    const { data, info } = await pixels()
+        .webp(WEBP_OPTIONS)
+        .toBuffer({ resolveWithObject: true });
+
+    // One at a time: each resize holds another decoded copy in memory
+    const variants = [];
+    for (const width of IMAGE_VARIANT_WIDTHS.filter((variantWidth) => variantWidth < info.width)) {
+        variants.push({
+            width,
+            buffer: await pixels().resize({ width }).webp(WEBP_OPTIONS).toBuffer(),
+        });
+    }
+
+    return { buffer: data, width: info.width, height: info.height, variants };
+}
+
+/**
+ * A PNG copy of an image, for consumers that can't read WebP (PDF export).
+ */
+export async function toPng(buffer) {
+    return load(buffer).png().toBuffer();
+}
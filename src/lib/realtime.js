@@ -0,0 +1,141 @@
+/**
+ * Realtime Page Events
+ * ====================
+ *
+ * In-process pub/sub used to broadcast block changes to every editor
+ * that has a page open (other tabs, other devices).
+ *
+ * Flow:
+ * 1. An API route writes blocks, then calls publishPageEvent()
+ * 2. GET /api/pages/[pageId]/events holds an SSE stream per open editor
+ * 3. Each stream forwards the events of its page to the browser
+ * 4. useBlocks merges them into local state
+ *
+ * Event shape:
+ *   { type, pageId, origin, ...payload }
+ *
+ * - type:     'block.created' | 'block.updated' | 'block.deleted' |
+ *             'blocks.reordered' | 'page.updated' | 'page.moved'
+ * - origin:   client ID of the editor that caused the change (sent via the
+ *             X-Client-Id header) so it can ignore its own echoes
+ * - revision: page revision after the write, so clients can tell whether
+ *             they have seen every change since their last save
+ *
+ * Scaling note: the emitter lives in memory, so events only reach clients
+ * connected to the same Node process. A multi-instance deployment would
+ * swap this module for Redis pub/sub or MongoDB change streams — the
+ * publish/subscribe signatures stay the same.
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Cached on global (like the DB connection) so hot reloads in development
+ * don't create a second emitter that routes can't see.
+ */
+let emitter = global.pageEventEmitter;
+
+if (!emitter) {
+    emitter = global.pageEventEmitter = new EventEmitter();
+    // One listener per open editor; no meaningful upper bound
+    emitter.setMaxListeners(0);
+}
+
+function channel(pageId) {
+    return `page:${pageId.toString()}`;
+}
+
+/**
+ * Reads the editor's client ID from the request headers.
+ *
+ * @param {Request} request - Incoming API request
+ * @returns {string|null} Client ID or null for non-browser callers
+ */
+export function getClientId(request) {
+    return request?.headers?.get('x-client-id') || null;
+}
+
+/**
+ * Broadcasts an event to every subscriber of a page.
+ * Never throws — a failed broadcast must not fail the write that caused it.
+ *
+ * @param {string} pageId - Page the event belongs to
+ * @param {object} event - { type, ...payload }
+ * @param {string|null} origin - Client ID of the writer
+ */
+export function publishPageEvent(pageId, event, origin = null) {
+    if (!pageId) return;
+
+    try {
+        emitter.emit(channel(pageId), {
+            ...event,
+            pageId: pageId.toString(),
+            origin,
+        });
+    } catch (error) {
+        console.error('Publish page event error:', error);
+    }
+}
+
+/**
+ * Subscribes to the events of a page.
+ *
+ * @param {string} pageId - Page to listen to
+ * @param {Function} listener - Called with each event object
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPage(pageId, listener) {
+    const name = channel(pageId);
+    emitter.on(name, listener);
+
+    return () => {
+        emitter.off(name, listener);
+    };
+}
+
+/**
+ * Compares the block list of a page before and after a bulk write and
+ * publishes the matching create/update/delete/reorder events.
+ * Used by routes that replace many blocks at once (e.g. the sync endpoint).
+ *
+ * @param {string} pageId - Page that was written
+ * @param {Array} before - Lean blocks before the write
+ * @param {Array} after - Lean blocks after the write, sorted by order
+ * @param {string|null} origin - Client ID of the writer
+ * @param {number|null} revision - Page revision after the write
+ */
+export function publishBlockListChanges(pageId, before, after, origin = null, revision = null) {
+    const beforeMap = new Map(before.map((b) => [b._id.toString(), b]));
+    const afterIds = new Set(after.map((b) => b._id.toString()));
+
+    for (const block of after) {
+        const previous = beforeMap.get(block._id.toString());
+
+        if (!previous) {
+            publishPageEvent(pageId, { type: 'block.created', block, revision }, origin);
+        } else if (
+            previous.type !== block.type ||
+            previous.backgroundColor !== block.backgroundColor ||
+            JSON.stringify(previous.content) !== JSON.stringify(block.content)
+        ) {
+            publishPageEvent(pageId, { type: 'block.updated', block, revision }, origin);
+        }
+    }
+
+    for (const id of beforeMap.keys()) {
+        if (!afterIds.has(id)) {
+            publishPageEvent(pageId, { type: 'block.deleted', blockId: id, revision }, origin);
+        }
+    }
+
+    const beforeOrder = [...before]
+        .sort((a, b) => (a.order < b.order ? -1 : a.order > b.order ? 1 : 0))
+        .map((b) => b._id.toString())
+        .filter((id) => afterIds.has(id));
+    const afterOrder = after.map((b) => b._id.toString());
+    const surviving = afterOrder.filter((id) => beforeMap.has(id));
+
+    if (surviving.join(',') !== beforeOrder.join(',')) {
+        publishPageEvent(pageId, { type: 'blocks.reordered', blockIds: afterOrder, revision }, origin);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Remote File Fetching
+ * ====================
+ *
+ * For server-side fetches of URLs that users wrote (image blocks in
+ * exports). The server can reach addresses users can't, so only public
+ * internet hosts are fetched:
+ *
+ *   - http(s) only
+ *   - the host name is resolved first and every address must be public
+ *     (no loopback, private, link-local such as 169.254.169.254, CGNAT,
+ *     multicast or reserved ranges)
+ *   - redirects are followed by hand, each target checked the same way
+ *   - the body is read up to a byte limit, checked against
+ *     Content-Length first
+ *
+ * The address is checked before fetch() resolves the name again, so a
+ * DNS record changed in between (rebinding) is not caught; the byte and
+ * time limits still apply.
+ */
+
+import dns from 'dns/promises';
+import net from 'net';
+
+const MAX_REDIRECTS = 3;
+
+// IPv4 ranges that are not the public internet: [network, prefix length]
+const BLOCKED_V4 = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+];
+
+function v4ToNumber(address) {
+    return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+function isPublicV4(address) {
+    const value = v4ToNumber(address);
+    return !BLOCKED_V4.some(([base, bits]) => {
+        const size = 2 ** (32 - bits);
+        const start = v4ToNumber(base);
+        return value >= start && value < start + size;
+    });
+}
+
+function isPublicV6(address) {
+    const lower = address.toLowerCase();
+
+    // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible forms
+    const mapped = /^(?:::ffff:|::)(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPublicV4(mapped[1]);
+
+    // The same in hex, as URL parsing writes it (::ffff:7f00:1)
+    const mappedHex = /^(?:::ffff:|::)([\da-f]{1,4}):([\da-f]{1,4})$/.exec(lower);
+    if (mappedHex) {
+        const high = parseInt(mappedHex[1], 16);
+        const low = parseInt(mappedHex[2], 16);
+        return isPublicV4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+
+    if (lower === '::' || lower === '::1') return false;
+    const first = parseInt(lower.split(':')[0] || '0', 16);
+    if ((first & 0xfe00) === 0xfc00) return false; // fc00::/7 unique local
+    if ((first & 0xffc0) === 0xfe80) return false; // fe80::/10 link-local
+    if ((first & 0xff00) === 0xff00) return false; // ff00::/8 multicast
+    if (lower.startsWith('64:ff9b:') || lower.startsWith('2001:db8:')) return false;
+    return true;
+}
+
+/**
+ * Whether an IP address is on the public internet.
+ */
+export function isPublicAddress(address) {
+    const version = net.isIP(address);
+    if (version === 4) return isPublicV4(address);
+    if (version === 6) return isPublicV6(address);
+    return false;
+}
+
+/**
+ * Whether a URL points at a public http(s) host.
+ */
+async function isPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return isPublicAddress(host);
+
+    try {
+        const addresses = await dns.lookup(host, { all: true });
+        return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Reads a response body, giving up past `maxBytes`.
+ */
+async function readLimited(res, maxBytes, controller) {
+    const length = Number(res.headers.get('content-length'));
+    if (Number.isFinite(length) && length > maxBytes) {
+        controller.abort();
+        return null;
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of res.body) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            controller.abort();
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Fetches a file from a public URL.
+ *
+ * @param {string} url - http(s) URL written by a user
+ * @param {object} options - { maxBytes, timeoutMs }
+ * @returns {Promise<Buffer|null>} The body, or null if the URL isn't
+ *   public, the request failed or the body is too large
+ */
+export async function fetchPublicFile(url, { maxBytes, timeoutMs }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        let target = url;
+        for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+            if (!(await isPublicUrl(target))) return null;
+
+            const res = await fetch(target, { signal: controller.signal, redirect: 'manual' });
+            if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+                target = new URL(res.headers.get('location'), target).toString();
+                continue;
+            }
+            if (!res.ok || !res.body) return null;
+
+            return await readLimited(res, maxBytes, controller);
+        }
+        return null;
+    } catch {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Signed Download URLs
+ * ====================
+ *
+ * Attachments are only downloadable by their owner, unless the link
+ * carries a signature: `<url>?expires=<unix seconds>&sig=<hmac>`.
+ * Public pages hand out such links so readers without an account can
+ * download files while the link is fresh, but only for files of the
+ * page's owner (see signOwnedAttachments() in services/assetService.js).
+ *
+ * Signed with FILE_URL_SECRET, falling back to JWT_SECRET.
+ */
+
+import crypto from 'crypto';
+
+// How long a signed link stays valid
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+const DOWNLOAD_URL_RE = /^\/api\/assets\/([a-f\d]{24})\/download$/i;
+
+function getSecret() {
+    const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('FILE_URL_SECRET or JWT_SECRET environment variable must be defined');
+    }
+    return secret;
+}
+
+function signature(assetId, expires) {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update(`${assetId}.${expires}`)
+        .digest('base64url');
+}
+
+/**
+ * Adds an expiring signature to an asset download URL.
+ *
+ * @param {string} url - Download URL (/api/assets/:id/download)
+ * @param {string} assetId - Asset the URL points at
+ * @param {number} [ttlSeconds] - Lifetime of the link
+ */
+export function signDownloadUrl(url, assetId, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}expires=${expires}&sig=${signature(assetId, expires)}`;
+}
+
+/**
+ * Asset ID of an attachment download URL, or null for any other URL.
+ */
+export function attachmentAssetId(url) {
+    return DOWNLOAD_URL_RE.exec(url || '')?.[1].toLowerCase() ?? null;
+}
+
+/**
+ * Whether a download link's signature is valid and not expired.
+ */
+export function verifyDownloadSignature(assetId, expires, sig) {
+    const expiresAt = Number(expires);
+    if (!sig || !Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(signature(assetId, expiresAt));
+    const actual = Buffer.from(String(sig));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
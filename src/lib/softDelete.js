@@ -0,0 +1,66 @@
+/**
+ * Soft Delete Plugin
+ * ==================
+ *
+ * Mongoose plugin used by Page and Block so deleting moves a document to
+ * the trash instead of removing it:
+ *
+ *   deletedAt: null   -> live
+ *   deletedAt: Date   -> in the trash since that moment
+ *
+ * Every query on a model with this plugin excludes trashed documents
+ * automatically, so existing routes and services never see them.
+ * Two ways to opt out:
+ *
+ *   Page.find({ userId, deletedAt: { $ne: null } })    // filter on deletedAt yourself
+ *   Block.find({ pageId }).setOptions({ includeTrashed: true })
+ *
+ * Note: bulkWrite() and aggregate() bypass query middleware, so their
+ * filters must handle deletedAt explicitly.
+ */
+
+// Query operations that get the "not trashed" condition
+const FILTERED_QUERIES = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'countDocuments',
+    'distinct',
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+];
+
+function excludeTrashed() {
+    if (this.getOptions().includeTrashed) return;
+
+    const filter = this.getFilter();
+    if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return;
+
+    this.where({ deletedAt: null });
+}
+
+/**
+ * Adds `deletedAt` and the trash filter to a schema.
+ *
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+export function softDeletePlugin(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+    });
+
+    FILTERED_QUERIES.forEach((operation) => {
+        schema.pre(operation, excludeTrashed);
+    });
+}
+
+export default softDeletePlugin;
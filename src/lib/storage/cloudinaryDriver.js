@@ -0,0 +1,68 @@
+import cloudinary from '@/lib/cloudinary';
+
+/**
+ * Cloudinary storage driver.
+ *
+ * Images are converted to WebP by Cloudinary and served from its CDN.
+ * Private files (attachments) are stored as raw "authenticated"
+ * resources; they can only be fetched through a signed, expiring URL.
+ * Keys are Cloudinary public IDs.
+ */
+const cloudinaryDriver = {
+    name: 'cloudinary',
+
+    /**
+     * @param {Buffer} buffer - File contents
+     * @param {object} options - { folder, contentType, extension, private }
+     */
+    async put(buffer, { folder, contentType, private: isPrivate = false }) {
+        const options = isPrivate
+            ? { folder, resource_type: 'raw', type: 'authenticated' }
+            : {
+                folder,
+                format: 'webp', // Automatically choose best format (webp/avif)
+                resource_type: 'image',
+            };
+
+        const result = await new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                options,
+                (error, result) => {
+                    if (error) reject(error);
+                    else resolve(result);
+                }
+            );
+            uploadStream.end(buffer);
+        });
+
+        return {
+            key: result.public_id,
+            url: result.secure_url,
+            contentType: isPrivate ? contentType : `image/${result.format}`,
+            format: result.format,
+            size: result.bytes,
+            width: result.width,
+            height: result.height,
+        };
+    },
+
+    async delete(key, { private: isPrivate = false } = {}) {
+        await cloudinary.uploader.destroy(key, isPrivate
+            ? { resource_type: 'raw', type: 'authenticated' }
+            : { resource_type: 'image' });
+    },
+
+    /**
+     * Short-lived download URL for a private file.
+     */
+    signedUrl(key, { expiresIn }) {
+        return cloudinary.utils.private_download_url(key, '', {
+            resource_type: 'raw',
+            type: 'authenticated',
+            expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+            attachment: true,
+        });
+    },
+};
+
+export default cloudinaryDriver;
@@ -0,0 +1,57 @@
+/**
+ * File Storage
+ * ============
+ *
+ * Uploaded files go through one of two drivers, selected with the
+ * STORAGE_DRIVER environment variable:
+ *
+ *   cloudinary (default) - Cloudinary, configured in lib/cloudinary.js
+ *   local                - the server's disk, served by /api/files/[...key]
+ *
+ * Drivers share one interface:
+ *
+ *   put(buffer, { folder, contentType, extension, private? })
+ *       -> { key, url, contentType, format, size, width?, height?, variants? }
+ *   delete(key, { private? })
+ *
+ * and one way to hand out private files (attachments), whose storage
+ * URL is never shown to users:
+ *
+ *   open(key)                       local: stream the file
+ *   signedUrl(key, { expiresIn })   cloudinary: short-lived URL
+ *
+ * Images end up as WebP with either driver; `variants` lists the widths
+ * of the smaller copies the local driver made (see utils/imageLayout.js).
+ * Stored URLs are what blocks keep; keys identify files for deletion.
+ */
+
+import cloudinaryDriver from './cloudinaryDriver';
+import localDriver, { keyFromUrl, isPrivateKey } from './localDriver';
+
+const DRIVERS = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+};
+
+/**
+ * A storage driver by name; the configured one by default.
+ */
+export function getStorage(name = process.env.STORAGE_DRIVER || 'cloudinary') {
+    const driver = DRIVERS[name];
+    if (!driver) {
+        throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+    }
+    return driver;
+}
+
+/**
+ * Contents of a file stored on local disk, looked up by its URL.
+ * Returns null for URLs of other drivers, so callers can fall back to
+ * fetching them.
+ */
+export async function readLocalFile(url) {
+    const key = keyFromUrl(url);
+    return key && !isPrivateKey(key) ? localDriver.read(key) : null;
+}
+
+export { localDriver, isPrivateKey };
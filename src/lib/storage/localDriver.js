@@ -0,0 +1,172 @@
+import { randomUUID } from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { FILE_TYPES } from '@/utils/fileType';
+import { IMAGE_VARIANT_WIDTHS, storedVariantName } from '@/utils/imageLayout';
+import { processImage } from '@/lib/imageProcessing';
+
+/**
+ * Local disk storage driver.
+ *
+ * Files are written below STORAGE_LOCAL_DIR (default ./uploads) and
+ * served by GET /api/files/[...key]. Their URLs are
+ * `${STORAGE_LOCAL_BASE_URL}/api/files/<key>`; without a base URL they
+ * are relative to the app, which is all the editor needs.
+ *
+ * Images are processed like Cloudinary would (see lib/imageProcessing.js):
+ * stored as WebP without metadata, with smaller copies for srcset next
+ * to them. Private files (attachments) are kept as uploaded below
+ * `private/`, which that route never serves; they are streamed by the
+ * asset download route instead.
+ */
+
+export const LOCAL_FILES_PATH = '/api/files/';
+
+const PRIVATE_PREFIX = 'private/';
+
+const ROOT = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+const BASE_URL = (process.env.STORAGE_LOCAL_BASE_URL || '').replace(/\/+$/, '');
+
+// Content types served for stored files, by extension
+const CONTENT_TYPES = Object.fromEntries(
+    Object.entries(FILE_TYPES).map(([extension, { mimeType }]) => [extension, mimeType])
+);
+
+const KEY_RE = /^[\w-]+(\/[\w-]+)*\.[a-z0-9]+$/i;
+
+/**
+ * Absolute path of a key, or null for malformed keys or keys that would
+ * leave the storage directory.
+ */
+function resolveKey(key) {
+    if (typeof key !== 'string' || !KEY_RE.test(key)) return null;
+    const filePath = path.resolve(ROOT, key);
+    return filePath.startsWith(ROOT + path.sep) ? filePath : null;
+}
+
+function contentTypeOf(key) {
+    return CONTENT_TYPES[key.split('.').pop().toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Whether a key belongs to a private file (never served publicly).
+ */
+export function isPrivateKey(key) {
+    return typeof key === 'string' && key.startsWith(PRIVATE_PREFIX);
+}
+
+/**
+ * Key of a URL produced by this driver, or null for any other URL.
+ */
+export function keyFromUrl(url) {
+    if (typeof url !== 'string') return null;
+    const prefix = [`${BASE_URL}${LOCAL_FILES_PATH}`, LOCAL_FILES_PATH].find((start) => url.startsWith(start));
+    if (!prefix) return null;
+    return url.slice(prefix.length).split(/[?#]/)[0] || null;
+}
+
+const urlOf = (key) => `${BASE_URL}${LOCAL_FILES_PATH}${key}`;
+
+async function writeFile(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+}
+
+/**
+ * Stores an image as WebP plus its variants. `size` counts every copy,
+ * since they all take space.
+ */
+async function putImage(buffer, folder) {
+    const image = await processImage(buffer);
+    const key = `${folder}/${randomUUID()}.webp`;
+
+    await writeFile(key, image.buffer);
+    for (const variant of image.variants) {
+        await writeFile(storedVariantName(key, variant.width), variant.buffer);
+    }
+
+    return {
+        key,
+        url: urlOf(key),
+        contentType: 'image/webp',
+        format: 'webp',
+        size: image.buffer.length + image.variants.reduce((total, variant) => total + variant.buffer.length, 0),
+        width: image.width,
+        height: image.height,
+        variants: image.variants.map((variant) => variant.width),
+    };
+}
+
+const localDriver = {
+    name: 'local',
+
+    /**
+     * @param {Buffer} buffer - File contents
+     * @param {object} options - { folder, contentType, extension, private }
+     */
+    async put(buffer, { folder, contentType, extension, private: isPrivate = false }) {
+        if (!isPrivate && contentType?.startsWith('image/')) {
+            return putImage(buffer, folder);
+        }
+
+        const key = `${isPrivate ? PRIVATE_PREFIX : ''}${folder}/${randomUUID()}.${extension}`;
+        await writeFile(key, buffer);
+
+        return {
+            key,
+            url: urlOf(key),
+            contentType,
+            format: extension,
+            size: buffer.length,
+        };
+    },
+
+    async delete(key) {
+        // Images may have copies at other widths
+        const keys = key.endsWith('.webp')
+            ? [key, ...IMAGE_VARIANT_WIDTHS.map((width) => storedVariantName(key, width))]
+            : [key];
+
+        await Promise.all(keys.map(async (fileKey) => {
+            const filePath = resolveKey(fileKey);
+            if (!filePath) return;
+            await fs.unlink(filePath).catch((error) => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }));
+    },
+
+    /**
+     * A stored file for streaming, or null if it doesn't exist.
+     *
+     * @returns {Promise<{ size: number, modifiedAt: Date, contentType: string, stream: () => ReadableStream }|null>}
+     */
+    async open(key) {
+        const filePath = resolveKey(key);
+        if (!filePath) return null;
+
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats?.isFile()) return null;
+
+        return {
+            size: stats.size,
+            modifiedAt: stats.mtime,
+            contentType: contentTypeOf(key),
+            stream: () => Readable.toWeb(createReadStream(filePath)),
+        };
+    },
+
+    /**
+     * Contents of a stored file, or null if it doesn't exist.
+     */
+    async read(key) {
+        const filePath = resolveKey(key);
+        if (!filePath) return null;
+        return fs.readFile(filePath).catch(() => null);
+    },
+};
+
+export default localDriver;
@@ -0,0 +1,118 @@
+/**
+ * Asset Model
+ * ===========
+ *
+ * One uploaded file. Written by POST /api/upload (and importers that
+ * upload images) so storage can be counted against the owner's quota
+ * and files nothing points at anymore can be removed again.
+ *
+ * Blocks keep the file's `url`, not a reference to the asset: a block
+ * copied to another page (duplicate, public import, restore) still
+ * points at the same file. An asset is an orphan once no block, page
+ * version or template mentions its URL; see services/assetService.js.
+ */
+
+import mongoose from 'mongoose';
+
+const assetSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        /**
+         * Page the file was uploaded for, if known.
+         */
+        pageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Page',
+            default: null,
+        },
+        /**
+         * Storage key (Cloudinary public ID or local file key).
+         */
+        publicId: {
+            type: String,
+            required: [true, 'Storage key is required'],
+        },
+        /**
+         * Storage driver holding the file (see lib/storage).
+         */
+        driver: {
+            type: String,
+            required: true,
+        },
+        /**
+         * image: public image (image blocks)
+         * file:  private attachment (file blocks), downloaded through
+         *        /api/assets/:id/download
+         */
+        kind: {
+            type: String,
+            enum: ['image', 'file'],
+            default: 'image',
+        },
+        url: {
+            type: String,
+            required: [true, 'URL is required'],
+            index: true,
+        },
+        /**
+         * Original file name, offered when the file is downloaded.
+         */
+        name: {
+            type: String,
+            default: null,
+            maxlength: 255,
+        },
+        contentType: {
+            type: String,
+            default: null,
+        },
+        /**
+         * Pixel size of images, used for responsive srcset variants.
+         */
+        width: {
+            type: Number,
+            default: null,
+        },
+        height: {
+            type: Number,
+            default: null,
+        },
+        /**
+         * Widths of smaller copies stored with the image (local driver).
+         */
+        variants: {
+            type: [Number],
+            default: undefined,
+        },
+        /**
+         * Stored size in bytes (after any conversion by the driver).
+         */
+        size: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Remove internal fields when converting to JSON.
+ */
+assetSchema.methods.toJSON = function () {
+    const asset = this.toObject();
+    delete asset.__v;
+    return asset;
+};
+
+// Prevent model recompilation in development (hot reload)
+const Asset = mongoose.models.Asset || mongoose.model('Asset', assetSchema);
+
+export default Asset;
@@ -42,6 +42,8 @@
  */
 
 import mongoose from 'mongoose';
+import { generateKeyBetween, generateNKeysBetween } from '@/utils/fractionalIndex';
+import { softDeletePlugin } from '@/lib/softDelete';
 
 /**
  * Allowed block types for validation.
@@ -49,8 +51,17 @@ import mongoose from 'mongoose';
  * 
  * 'page' type: A reference to a child page. Stored as:
  * content: { pageId: ObjectId, title: string }
+ *
+ * 'image' type: An uploaded image (see utils/imageLayout.js). Stored as:
+ * content: { url, alt, caption, width, align, naturalWidth, naturalHeight }
+ *
+ * 'file' type: An uploaded attachment (see POST /api/upload). Stored as:
+ * content: { url, name, size, mimeType, extension }
+ *
+ * 'table' type: A table with a header row (see utils/tableContent.js):
+ * content: { header: [cell], rows: [[cell]], columnWidths: [px] }, cell = { text, marks }
  */
-const BLOCK_TYPES = ['paragraph', 'heading1', 'heading2', 'heading3', 'todo', 'code', 'page', 'quote', 'image', 'link'];
+const BLOCK_TYPES = ['paragraph', 'heading1', 'heading2', 'heading3', 'todo', 'code', 'page', 'quote', 'image', 'link', 'file', 'table'];
 
 const blockSchema = new mongoose.Schema(
     {
@@ -69,11 +80,18 @@ const blockSchema = new mongoose.Schema(
             },
             default: 'paragraph',
         },
+        /**
+         * Fractional order key (see utils/fractionalIndex.js).
+         * Blocks sort by plain string comparison of this key, so a block
+         * can be placed between two others without touching them.
+         * 
+         * Older pages stored integers here; they are converted per page
+         * by migrateOrderKeys() the first time the page is loaded or written.
+         */
         order: {
-            type: Number,
+            type: String,
             required: true,
-            default: 0,
-            min: [0, 'Order cannot be negative'],
+            default: () => generateKeyBetween(null, null),
         },
         /**
          * Flexible content field - structure depends on block type.
@@ -103,6 +121,16 @@ const blockSchema = new mongoose.Schema(
             type: String,
             default: null,
         },
+        /**
+         * Revision counter for optimistic concurrency control.
+         * Incremented on every write; clients send the revision they
+         * last saw (If-Match / baseRevision) and get a 409 when stale.
+         */
+        revision: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
     },
     {
         timestamps: true,
@@ -112,8 +140,33 @@ const blockSchema = new mongoose.Schema(
 /**
  * Compound index for fetching blocks of a page in order.
  * Optimizes the common "load page with blocks" query.
+ * _id breaks ties between equal keys (concurrent inserts at one spot).
  */
-blockSchema.index({ pageId: 1, order: 1 });
+blockSchema.index({ pageId: 1, order: 1, _id: 1 });
+
+/**
+ * Text index for full-text search (see services/searchService.js).
+ * MongoDB allows one text index per collection, so it covers every
+ * text-bearing content field:
+ * - content.text: paragraphs, headings, todos, quotes, link text
+ * - content.code: code blocks
+ * - content.url:  link targets
+ * Weights rank prose matches above code and URLs.
+ */
+blockSchema.index(
+    { 'content.text': 'text', 'content.code': 'text', 'content.url': 'text' },
+    {
+        name: 'block_content_text',
+        weights: { 'content.text': 5, 'content.code': 2, 'content.url': 1 },
+    }
+);
+
+/**
+ * Deleted blocks keep their order key and go to the trash (`deletedAt`),
+ * so restoring puts them back where they were. Trashed blocks are
+ * hidden from every query; see lib/softDelete.js.
+ */
+blockSchema.plugin(softDeletePlugin);
 
 /**
  * Remove internal fields when converting to JSON.
@@ -125,16 +178,69 @@ blockSchema.methods.toJSON = function () {
 };
 
 /**
- * Static method to get the next order number for a page.
+ * Static method to convert legacy integer orders of a page to order keys.
+ * Keeps the existing block sequence. No-op once a page is converted.
+ * 
+ * @returns {Promise<boolean>} Whether anything was converted
+ */
+blockSchema.statics.migrateOrderKeys = async function (pageId) {
+    // Trashed blocks are converted too, so a restore lands in the right spot
+    const legacy = await this.exists({ pageId, order: { $not: { $type: 'string' } } })
+        .setOptions({ includeTrashed: true });
+    if (!legacy) return false;
+
+    // Numbers sort before strings in MongoDB, so legacy blocks come first
+    const blocks = await this.find({ pageId })
+        .setOptions({ includeTrashed: true })
+        .sort({ order: 1, _id: 1 })
+        .select('_id')
+        .lean();
+    const keys = generateNKeysBetween(null, null, blocks.length);
+
+    await this.bulkWrite(
+        blocks.map((block, index) => ({
+            updateOne: {
+                filter: { _id: block._id },
+                update: { $set: { order: keys[index] } },
+            },
+        }))
+    );
+    return true;
+};
+
+/**
+ * Static method to get the order key after the last block of a page.
  * Used when creating new blocks to append at the end.
  */
 blockSchema.statics.getNextOrder = async function (pageId) {
+    await this.migrateOrderKeys(pageId);
+
     const lastBlock = await this.findOne({ pageId })
-        .sort({ order: -1 })
+        .sort({ order: -1, _id: -1 })
+        .select('order')
+        .lean();
+
+    return generateKeyBetween(lastBlock ? lastBlock.order : null, null);
+};
+
+/**
+ * Static method to get an order key directly after a given block.
+ * Falls back to the end of the page if the block doesn't exist.
+ */
+blockSchema.statics.getOrderAfter = async function (pageId, afterBlockId) {
+    await this.migrateOrderKeys(pageId);
+
+    const afterBlock = await this.findOne({ _id: afterBlockId, pageId })
+        .select('order')
+        .lean();
+    if (!afterBlock) return this.getNextOrder(pageId);
+
+    const nextBlock = await this.findOne({ pageId, order: { $gt: afterBlock.order } })
+        .sort({ order: 1, _id: 1 })
         .select('order')
         .lean();
 
-    return lastBlock ? lastBlock.order + 1 : 0;
+    return generateKeyBetween(afterBlock.order, nextBlock ? nextBlock.order : null);
 };
 
 /**
@@ -27,6 +27,50 @@
  */
 
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '@/lib/softDelete';
+import { PROPERTY_TYPES, OPTION_COLORS } from '@/utils/databaseProperties';
+
+/**
+ * Choice of a select / multi-select property. Row values store the
+ * option's _id, so options can be renamed freely.
+ */
+const propertyOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Option name is required'],
+        trim: true,
+        maxlength: [100, 'Option name cannot exceed 100 characters'],
+    },
+    color: {
+        type: String,
+        enum: OPTION_COLORS,
+        default: 'gray',
+    },
+});
+
+/**
+ * Column of a database. Row values are keyed by the property's _id.
+ */
+const propertySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Property name is required'],
+        trim: true,
+        maxlength: [100, 'Property name cannot exceed 100 characters'],
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: {
+            values: PROPERTY_TYPES,
+            message: 'Invalid property type: {VALUE}',
+        },
+    },
+    options: {
+        type: [propertyOptionSchema],
+        default: undefined,
+    },
+});
 
 const pageSchema = new mongoose.Schema(
     {
@@ -47,8 +91,9 @@ const pageSchema = new mongoose.Schema(
          * --------------------------
          * If set, this page is a "child page" nested inside another page.
          * Child pages:
-         * - Are NOT shown in the main sidebar
-         * - Can only be accessed via their parent page
+         * - Are NOT listed at the top level of the sidebar; they appear
+         *   nested under their parent in the sidebar tree
+         * - Are reached via their parent page or the sidebar tree
          * - Support all the same features as normal pages
          * 
          * This enables Notion-style nested pages while keeping the
@@ -60,6 +105,38 @@ const pageSchema = new mongoose.Schema(
             default: null,
             index: true,
         },
+        /**
+         * Revision counter for optimistic concurrency control.
+         * Incremented on every change to the page: title edits and any
+         * write to its blocks. Full-page saves must send the revision
+         * they started from (If-Match / baseRevision) to avoid
+         * overwriting changes made in another session.
+         */
+        revision: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        /**
+         * Database Pages
+         * --------------
+         * A database page's child pages are its rows. The database holds
+         * the property schema (its columns); each row keeps its values in
+         * `propertyValues`, keyed by property _id (value formats in
+         * utils/databaseProperties.js).
+         */
+        isDatabase: {
+            type: Boolean,
+            default: false,
+        },
+        propertySchema: {
+            type: [propertySchema],
+            default: undefined,
+        },
+        propertyValues: {
+            type: mongoose.Schema.Types.Mixed,
+            default: undefined,
+        },
     },
     {
         timestamps: true,
@@ -72,6 +149,21 @@ const pageSchema = new mongoose.Schema(
  */
 pageSchema.index({ userId: 1, updatedAt: -1 });
 
+/**
+ * Text index for full-text search over page titles.
+ * userId is a prefix, so every search is scoped to one user
+ * (the query must match userId exactly).
+ */
+pageSchema.index({ userId: 1, title: 'text' }, { name: 'page_title_text' });
+
+/**
+ * Trash support: deleting a page sets `deletedAt` on it and its
+ * descendants (one shared timestamp per deletion, so the subtree can be
+ * restored together). Trashed pages are hidden from every query.
+ * See lib/softDelete.js and services/trashService.js.
+ */
+pageSchema.plugin(softDeletePlugin);
+
 /**
  * Remove sensitive/internal fields when converting to JSON.
  */
@@ -81,6 +173,25 @@ pageSchema.methods.toJSON = function () {
     return page;
 };
 
+/**
+ * Marks a page as modified after one of its blocks changed.
+ * Refreshes updatedAt and bumps the revision counter.
+ *
+ * @param {string} pageId - Page to touch
+ * @returns {Promise<number|null>} The new revision, or null if not found
+ */
+pageSchema.statics.touch = async function (pageId) {
+    const page = await this.findByIdAndUpdate(
+        pageId,
+        { $set: { updatedAt: new Date() }, $inc: { revision: 1 } },
+        { new: true }
+    )
+        .select('revision')
+        .lean();
+
+    return page ? page.revision : null;
+};
+
 // Prevent model recompilation in development (hot reload)
 const Page = mongoose.models.Page || mongoose.model('Page', pageSchema);
 
@@ -0,0 +1,115 @@
+/**
+ * PageVersion Model
+ * =================
+ *
+ * A snapshot of a page's title and blocks at one point in time.
+ * Written by services/versionService.js around page writes, so a page can
+ * be compared with or restored to an earlier state.
+ *
+ * Snapshot Design
+ * ---------------
+ * Blocks are embedded (not referenced) because a version must survive
+ * the blocks it describes being edited or deleted. Each snapshot keeps
+ * the original block _id as `blockId`, which lets the diff match blocks
+ * across versions and lets a restore bring back the same ids.
+ *
+ * Throttling and retention (see versionService):
+ * - Writes of the same kind within a short window update the latest
+ *   version instead of creating a new one
+ * - Only the newest N versions per page are kept
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * What caused a snapshot.
+ * - edit:       editor saves (operations/sync, title, page blocks)
+ * - api:        single-block API writes (AI actions, API clients)
+ * - import:     blocks imported from another page
+ * - restore:    a previous version was restored
+ * - checkpoint: the state right before a write, when no version held it
+ */
+const VERSION_REASONS = ['edit', 'api', 'import', 'restore', 'checkpoint'];
+
+const blockSnapshotSchema = new mongoose.Schema(
+    {
+        blockId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        type: {
+            type: String,
+            required: true,
+        },
+        content: {
+            type: mongoose.Schema.Types.Mixed,
+            default: () => ({}),
+        },
+        order: {
+            type: String,
+            required: true,
+        },
+        backgroundColor: {
+            type: String,
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+const pageVersionSchema = new mongoose.Schema(
+    {
+        pageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Page',
+            required: [true, 'Page ID is required'],
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+        },
+        title: {
+            type: String,
+            default: 'Untitled',
+        },
+        blocks: {
+            type: [blockSnapshotSchema],
+            default: [],
+        },
+        reason: {
+            type: String,
+            enum: VERSION_REASONS,
+            default: 'edit',
+        },
+        /**
+         * Page revision the snapshot was taken at (see Page.revision).
+         */
+        revision: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Compound index for listing the versions of a page, newest first.
+ */
+pageVersionSchema.index({ pageId: 1, createdAt: -1 });
+
+/**
+ * Remove internal fields when converting to JSON.
+ */
+pageVersionSchema.methods.toJSON = function () {
+    const version = this.toObject();
+    delete version.__v;
+    return version;
+};
+
+// Prevent model recompilation in development (hot reload)
+const PageVersion = mongoose.models.PageVersion || mongoose.model('PageVersion', pageVersionSchema);
+
+export default PageVersion;
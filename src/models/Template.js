@@ -0,0 +1,123 @@
+/**
+ * Template Model
+ * ==============
+ *
+ * A reusable page layout: a title plus a tree of blocks, including
+ * nested child pages. New pages (POST /api/pages) and page blocks
+ * (POST /api/blocks/page) can be created from a template.
+ *
+ * Tree Design
+ * -----------
+ * The tree is stored as one embedded document instead of Page/Block
+ * references, so a template is unaffected by later edits to the page it
+ * was saved from:
+ *
+ *   root: {
+ *     title: 'Project brief',
+ *     blocks: [
+ *       { type: 'heading1', content: { text: 'Goals' }, backgroundColor: null },
+ *       { type: 'page', page: { title: 'Notes', blocks: [...] } },
+ *     ],
+ *   }
+ *
+ * A `page` block carries its child page inline instead of a pageId;
+ * block order is the array order. A database node also has
+ * `isDatabase`, its `propertySchema` and `rows`: its child pages, each
+ * a node with `propertyValues` (rows have no page block).
+ *
+ * Built-in templates (meeting notes, project brief, ...) are not stored
+ * here; they live in services/templateService.js.
+ */
+
+import mongoose from 'mongoose';
+
+const templateSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'User ID is required'],
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Template name is required'],
+            trim: true,
+            maxlength: [100, 'Template name cannot exceed 100 characters'],
+        },
+        description: {
+            type: String,
+            default: '',
+            trim: true,
+            maxlength: [300, 'Description cannot exceed 300 characters'],
+        },
+        root: {
+            type: mongoose.Schema.Types.Mixed,
+            required: [true, 'Template content is required'],
+        },
+        /**
+         * Page the template was saved from (for reference only; the
+         * template keeps working after that page is deleted).
+         */
+        sourcePageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Page',
+            default: null,
+        },
+        /**
+         * URLs of the files the tree uses (image and file blocks), kept
+         * in sync with `root`, so the upload cleanup can find templates
+         * that still use a file without reading every tree.
+         */
+        assetUrls: {
+            type: [String],
+            default: undefined,
+            index: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Static method listing the file URLs used by a template tree,
+ * including child pages and database rows.
+ *
+ * @returns {string[]}
+ */
+templateSchema.statics.collectAssetUrls = function (root) {
+    const urls = new Set();
+    const visit = (node) => {
+        (node?.blocks || []).forEach((block) => {
+            if (typeof block.content?.url === 'string' && block.content.url) urls.add(block.content.url);
+            if (block.type === 'page') visit(block.page);
+        });
+        (node?.rows || []).forEach(visit);
+    };
+    visit(root);
+    return [...urls];
+};
+
+/**
+ * Keep assetUrls in sync with the tree (also runs for insertMany).
+ */
+templateSchema.pre('validate', function () {
+    if (this.isModified('root')) {
+        this.assetUrls = this.constructor.collectAssetUrls(this.root);
+    }
+});
+
+/**
+ * Remove internal fields when converting to JSON.
+ */
+templateSchema.methods.toJSON = function () {
+    const template = this.toObject();
+    delete template.__v;
+    return template;
+};
+
+// Prevent model recompilation in development (hot reload)
+const Template = mongoose.models.Template || mongoose.model('Template', templateSchema);
+
+export default Template;
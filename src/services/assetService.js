@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import Asset from '@/models/Asset';
+import Block from '@/models/Block';
+import PageVersion from '@/models/PageVersion';
+import Template from '@/models/Template';
+import { getStorage } from '@/lib/storage';
+import { attachmentAssetId, signDownloadUrl } from '@/lib/signedUrl';
+
+/**
+ * Uploaded files: quotas and cleanup.
+ *
+ * - Every upload is recorded as an Asset owned by the uploader.
+ * - UPLOAD_MAX_FILE_MB caps a single file, UPLOAD_QUOTA_MB the total
+ *   stored per user (0 = no quota).
+ * - Assets no block, page version or template points at anymore are
+ *   deleted from storage. This runs after items are purged from the
+ *   trash, so a trashed image block keeps its file until then. Recent
+ *   uploads are spared: the editor saves the image block only after
+ *   the upload has finished.
+ */
+
+const DEFAULT_MAX_FILE_MB = 10;
+const DEFAULT_QUOTA_MB = 500;
+
+// Uploads younger than this are never collected
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Assets checked per query while collecting
+const GC_BATCH = 500;
+
+const MB = 1024 * 1024;
+
+function readMegabytes(value, fallback) {
+    const megabytes = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(megabytes) && megabytes >= 0
+        ? megabytes
+        : fallback;
+}
+
+/**
+ * Upload limits in bytes. A quota of 0 means unlimited.
+ *
+ * @returns {{ maxFileBytes: number, quotaBytes: number }}
+ */
+export function getUploadLimits() {
+    return {
+        maxFileBytes: Math.round(readMegabytes(process.env.UPLOAD_MAX_FILE_MB, DEFAULT_MAX_FILE_MB) * MB),
+        quotaBytes: Math.round(readMegabytes(process.env.UPLOAD_QUOTA_MB, DEFAULT_QUOTA_MB) * MB),
+    };
+}
+
+/**
+ * Bytes stored by a user, and number of files.
+ *
+ * @returns {Promise<{ usedBytes: number, assetCount: number }>}
+ */
+export async function getStorageUsage(userId) {
+    const [usage] = await Asset.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        { $group: { _id: null, usedBytes: { $sum: '$size' }, assetCount: { $sum: 1 } } },
+    ]);
+    return { usedBytes: usage?.usedBytes ?? 0, assetCount: usage?.assetCount ?? 0 };
+}
+
+/**
+ * Why an upload of `size` bytes on top of `usedBytes` is refused, or null.
+ */
+function uploadRefusal(size, usedBytes, { maxFileBytes, quotaBytes }) {
+    if (size > maxFileBytes) {
+        return { error: `File is larger than ${Math.round(maxFileBytes / MB)} MB`, status: 413 };
+    }
+    if (quotaBytes > 0 && usedBytes + size > quotaBytes) {
+        return { error: `Storage quota of ${Math.round(quotaBytes / MB)} MB exceeded`, status: 413 };
+    }
+    return null;
+}
+
+/**
+ * Checks a new upload of `size` bytes against the limits.
+ *
+ * @returns {Promise<{ error: string, status: number }|null>} Why the upload is refused, or null
+ */
+export async function checkUploadAllowed(userId, size) {
+    const limits = getUploadLimits();
+    const { usedBytes } = limits.quotaBytes > 0 ? await getStorageUsage(userId) : { usedBytes: 0 };
+    return uploadRefusal(size, usedBytes, limits);
+}
+
+/**
+ * Upload limits for a batch of uploads running side by side (an import).
+ * Storage used is read once; each accepted upload is counted right away,
+ * so the next check includes it even before it has been stored.
+ *
+ * @returns {Promise<{ reserve: Function, release: Function }>}
+ *   reserve(size) returns a refusal like checkUploadAllowed(), or null
+ *   once the bytes are counted; release(size) uncounts a failed upload
+ */
+export async function createUploadBudget(userId) {
+    const limits = getUploadLimits();
+    let { usedBytes } = limits.quotaBytes > 0 ? await getStorageUsage(userId) : { usedBytes: 0 };
+
+    return {
+        reserve(size) {
+            const refusal = uploadRefusal(size, usedBytes, limits);
+            if (!refusal) usedBytes += size;
+            return refusal;
+        },
+        release(size) {
+            usedBytes -= size;
+        },
+    };
+}
+
+/**
+ * Signs the download links of file blocks whose attachment belongs to
+ * `userId`, so readers without an account can fetch them. A block can
+ * name any asset ID, so links to other users' files stay unsigned (and
+ * only serve their owner).
+ *
+ * @param {Array} blocks - Lean blocks
+ * @param {string} userId - Owner of the page the blocks are shown on
+ * @param {number} [ttlSeconds] - Lifetime of the links
+ * @returns {Promise<Array>} The blocks, with signed URLs where allowed
+ */
+export async function signOwnedAttachments(blocks, userId, ttlSeconds) {
+    const assetIdOf = (block) => (block.type === 'file' ? attachmentAssetId(block.content?.url) : null);
+
+    const assetIds = [...new Set(blocks.map(assetIdOf).filter(Boolean))];
+    if (assetIds.length === 0) return blocks;
+
+    const owned = new Set(
+        (await Asset.find({ _id: { $in: assetIds }, userId }).select('_id').lean())
+            .map((asset) => asset._id.toString())
+    );
+
+    return blocks.map((block) => {
+        const assetId = assetIdOf(block);
+        if (!assetId || !owned.has(assetId)) return block;
+        return {
+            ...block,
+            content: { ...block.content, url: signDownloadUrl(block.content.url, assetId, ttlSeconds) },
+        };
+    });
+}
+
+/**
+ * Records a stored file.
+ *
+ * @param {object} stored - Result of a storage driver's put()
+ * @param {object} details - { userId, pageId?, driver, kind?, name?, _id?, url? }
+ *   (`url` overrides the storage URL, e.g. for private files)
+ */
+export async function recordAsset(stored, { userId, pageId = null, driver, kind = 'image', name = null, _id, url }) {
+    return Asset.create({
+        ...(_id ? { _id } : {}),
+        userId,
+        pageId,
+        publicId: stored.key,
+        driver,
+        kind,
+        url: url || stored.url,
+        name,
+        contentType: stored.contentType ?? null,
+        size: stored.size ?? 0,
+        width: stored.width ?? null,
+        height: stored.height ?? null,
+        variants: stored.variants ?? [],
+    });
+}
+
+/**
+ * The subset of `urls` still mentioned anywhere. Blocks are checked
+ * including trashed ones (they can be restored), versions and templates
+ * because restoring them brings the block back. All users are searched:
+ * imported blocks keep the source owner's image URLs.
+ */
+async function findReferencedUrls(urls) {
+    const referenced = new Set(
+        await Block.distinct('content.url', { 'content.url': { $in: urls } })
+            .setOptions({ includeTrashed: true })
+    );
+
+    const remaining = urls.filter((url) => !referenced.has(url));
+    if (remaining.length > 0) {
+        (await PageVersion.distinct('blocks.content.url', { 'blocks.content.url': { $in: remaining } }))
+            .forEach((url) => referenced.add(url));
+    }
+
+    const unresolved = urls.filter((url) => !referenced.has(url));
+    if (unresolved.length > 0) {
+        (await Template.distinct('assetUrls', { assetUrls: { $in: unresolved } }))
+            .forEach((url) => referenced.add(url));
+
+        // Templates saved before assetUrls existed get it filled in once
+        const legacy = Template.find({ assetUrls: { $exists: false } }).select('root').lean().cursor();
+        for await (const template of legacy) {
+            const assetUrls = Template.collectAssetUrls(template.root);
+            await Template.updateOne({ _id: template._id }, { $set: { assetUrls } });
+            assetUrls.forEach((url) => referenced.add(url));
+        }
+    }
+
+    return referenced;
+}
+
+/**
+ * Deletes a user's assets that nothing references anymore, from
+ * storage and from the database.
+ * Never throws: a failed cleanup must not break the request that ran it.
+ *
+ * @returns {Promise<{ deleted: number, freedBytes: number }|null>} null if the cleanup failed
+ */
+export async function collectOrphanAssets(userId) {
+    try {
+        const cutoff = new Date(Date.now() - ORPHAN_GRACE_MS);
+        let deleted = 0;
+        let freedBytes = 0;
+        let lastId = null;
+
+        for (;;) {
+            const assets = await Asset.find({
+                userId,
+                createdAt: { $lt: cutoff },
+                ...(lastId ? { _id: { $gt: lastId } } : {}),
+            })
+                .sort({ _id: 1 })
+                .limit(GC_BATCH)
+                .lean();
+            if (assets.length === 0) break;
+            lastId = assets[assets.length - 1]._id;
+
+            const referenced = await findReferencedUrls([...new Set(assets.map((asset) => asset.url))]);
+            for (const asset of assets.filter((item) => !referenced.has(item.url))) {
+                try {
+                    await getStorage(asset.driver).delete(asset.publicId, { private: asset.kind === 'file' });
+                    await Asset.deleteOne({ _id: asset._id });
+                    deleted++;
+                    freedBytes += asset.size;
+                } catch (error) {
+                    // Keep the record so the next run retries
+                    console.error(`Asset cleanup error (${asset.publicId}):`, error);
+                }
+            }
+        }
+
+        return { deleted, freedBytes };
+    } catch (error) {
+        console.error('Asset cleanup error:', error);
+        return null;
+    }
+}
@@ -0,0 +1,343 @@
+import mongoose from 'mongoose';
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+import Template from '@/models/Template';
+import { assignOrderKeys } from '@/utils/fractionalIndex';
+import { normalizePropertySchema, normalizeRowValues } from '@/services/databaseService';
+
+/**
+ * Workspace backup and restore.
+ *
+ * A backup is one JSON document with everything a user owns:
+ *
+ *   {
+ *     format: 'pagelet-workspace',
+ *     version: 1,
+ *     exportedAt: '2026-01-31T12:00:00.000Z',
+ *     pages:     [{ _id, parentPageId, title, isPublic, createdAt, updatedAt,
+ *                   isDatabase?, propertySchema?, propertyValues? }],
+ *     blocks:    [{ _id, pageId, type, order, content, backgroundColor, createdAt, updatedAt }],
+ *     templates: [{ name, description, root, sourcePageId, createdAt }],
+ *     images:    [{ url, blockIds }]
+ *   }
+ *
+ * Blocks are grouped by page in display order. `images` lists every
+ * image URL used by an image block; the files themselves stay where
+ * they are hosted. Trashed pages and blocks are not included.
+ *
+ * Restoring gives every page and block a new ObjectId. parentPageId,
+ * block pageId, content.pageId of page blocks and template sourcePageId
+ * are rewritten to the new IDs, so an archive can be restored into any
+ * account, on any instance, any number of times. Database property and
+ * option _ids are kept: they are only referenced from inside the
+ * database and its rows.
+ */
+
+export const BACKUP_FORMAT = 'pagelet-workspace';
+export const BACKUP_VERSION = 1;
+
+// Upper bounds for one restore
+export const MAX_BACKUP_PAGES = 5000;
+export const MAX_BACKUP_BLOCKS = 200000;
+
+const BLOCK_TYPES = Block.schema.path('type').enumValues;
+
+// Documents per insertMany call
+const INSERT_BATCH = 1000;
+
+/**
+ * The archive as JSON text, chunk by chunk. Pages and blocks are read
+ * with cursors, so large workspaces are never held in memory at once.
+ *
+ * @param {string} userId - Owner of the workspace
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* workspaceBackupChunks(userId) {
+    const header = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+    };
+    yield JSON.stringify(header).slice(0, -1);
+
+    const pageIds = [];
+    yield ',"pages":[';
+    const pages = Page.find({ userId })
+        .select('_id parentPageId title isPublic createdAt updatedAt isDatabase propertySchema propertyValues')
+        .sort({ _id: 1 })
+        .lean()
+        .cursor();
+    for await (const page of pages) {
+        yield `${pageIds.length > 0 ? ',' : ''}${JSON.stringify({
+            _id: page._id,
+            parentPageId: page.parentPageId ?? null,
+            title: page.title,
+            isPublic: !!page.isPublic,
+            createdAt: page.createdAt,
+            updatedAt: page.updatedAt,
+            ...(page.isDatabase && { isDatabase: true, propertySchema: page.propertySchema ?? [] }),
+            ...(page.propertyValues && { propertyValues: page.propertyValues }),
+        })}`;
+        pageIds.push(page._id);
+    }
+
+    const images = new Map();
+    let blockCount = 0;
+    yield '],"blocks":[';
+    const blocks = Block.find({ pageId: { $in: pageIds } })
+        .select('_id pageId type order content backgroundColor createdAt updatedAt')
+        .sort({ pageId: 1, order: 1, _id: 1 })
+        .lean()
+        .cursor();
+    for await (const block of blocks) {
+        yield `${blockCount > 0 ? ',' : ''}${JSON.stringify({
+            _id: block._id,
+            pageId: block.pageId,
+            type: block.type,
+            order: block.order,
+            content: block.content ?? {},
+            backgroundColor: block.backgroundColor ?? null,
+            createdAt: block.createdAt,
+            updatedAt: block.updatedAt,
+        })}`;
+        blockCount++;
+
+        const url = block.type === 'image' ? block.content?.url : null;
+        if (url) {
+            if (!images.has(url)) images.set(url, []);
+            images.get(url).push(block._id);
+        }
+    }
+
+    const templates = await Template.find({ userId })
+        .select('name description root sourcePageId createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+    yield `],"templates":${JSON.stringify(templates.map(({ _id, ...template }) => template))}`;
+
+    const imageList = [...images].map(([url, blockIds]) => ({ url, blockIds }));
+    yield `,"images":${JSON.stringify(imageList)}}`;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const idKey = (value) => (value == null ? null : String(value));
+
+function parseDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : new Date();
+}
+
+/**
+ * Checks the archive envelope and sizes.
+ *
+ * @returns {string|null} Why the archive can't be restored, or null if it can
+ */
+export function validateBackup(archive) {
+    if (!isObject(archive) || archive.format !== BACKUP_FORMAT) {
+        return 'Not a Pagelet workspace backup';
+    }
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+        return `Unsupported backup version: ${archive.version}`;
+    }
+    if (!Array.isArray(archive.pages) || !Array.isArray(archive.blocks)) {
+        return 'Backup is missing pages or blocks';
+    }
+    if (archive.pages.length > MAX_BACKUP_PAGES) {
+        return `Backup has more than ${MAX_BACKUP_PAGES} pages`;
+    }
+    if (archive.blocks.length > MAX_BACKUP_BLOCKS) {
+        return `Backup has more than ${MAX_BACKUP_BLOCKS} blocks`;
+    }
+    return null;
+}
+
+/**
+ * Old parent ID per page. Parents missing from the archive, and links
+ * that would form a cycle, are dropped (those pages become root pages).
+ */
+function resolveParents(pages) {
+    const parents = new Map(pages.map((page) => [idKey(page._id), idKey(page.parentPageId)]));
+
+    for (const [id, parentId] of parents) {
+        if (parentId && !parents.has(parentId)) parents.set(id, null);
+    }
+
+    for (const start of parents.keys()) {
+        const seen = new Set([start]);
+        let current = parents.get(start);
+        while (current) {
+            if (seen.has(current)) {
+                parents.set(start, null);
+                break;
+            }
+            seen.add(current);
+            current = parents.get(current);
+        }
+    }
+
+    return parents;
+}
+
+// MongoDB sort order of mixed types: missing, then numbers, then strings
+const orderRank = (order) => (order == null ? 0 : typeof order === 'string' ? 2 : 1);
+
+function compareOrder(a, b) {
+    const rank = orderRank(a.order) - orderRank(b.order);
+    if (rank !== 0 || a.order === b.order) return rank;
+    return a.order < b.order ? -1 : 1;
+}
+
+async function insertInBatches(Model, docs) {
+    for (let i = 0; i < docs.length; i += INSERT_BATCH) {
+        await Model.insertMany(docs.slice(i, i + INSERT_BATCH), { timestamps: false });
+    }
+}
+
+/**
+ * Restores a backup into a user's workspace. Restored pages are added
+ * next to any existing ones; nothing is overwritten.
+ * Callers check the archive with validateBackup() first.
+ *
+ * @param {object} archive - Parsed backup document
+ * @param {string} userId - Account to restore into
+ * @returns {Promise<{ pageCount: number, blockCount: number, templateCount: number, imageCount: number, skippedBlocks: number, rootPages: Array }>}
+ */
+export async function restoreWorkspaceBackup(archive, userId) {
+    // First entry wins if an archive repeats a page ID
+    const pagesById = new Map();
+    archive.pages.forEach((page) => {
+        if (isObject(page) && page._id != null && !pagesById.has(idKey(page._id))) {
+            pagesById.set(idKey(page._id), page);
+        }
+    });
+    const parents = resolveParents([...pagesById.values()]);
+
+    const idMap = new Map([...pagesById.keys()].map((oldId) => [oldId, new mongoose.Types.ObjectId()]));
+    const mapId = (id) => idMap.get(idKey(id)) || null;
+
+    // Database schemas by old page ID; a schema that doesn't validate
+    // restores the page as a plain page
+    const databases = new Map();
+    pagesById.forEach((page, oldId) => {
+        if (page.isDatabase !== true) return;
+        const { properties } = normalizePropertySchema(page.propertySchema, page.propertySchema || []);
+        if (properties) databases.set(oldId, { propertySchema: properties });
+    });
+
+    const pageDocs = [...pagesById].map(([oldId, page]) => {
+        const doc = {
+            _id: idMap.get(oldId),
+            userId,
+            parentPageId: mapId(parents.get(oldId)),
+            title: typeof page.title === 'string' ? page.title.slice(0, 200) : 'Untitled',
+            isPublic: page.isPublic === true,
+            createdAt: parseDate(page.createdAt),
+            updatedAt: parseDate(page.updatedAt),
+        };
+
+        const database = databases.get(oldId);
+        if (database) {
+            doc.isDatabase = true;
+            doc.propertySchema = database.propertySchema;
+        }
+
+        // Row values are checked one by one; invalid ones are left out
+        const parentDatabase = databases.get(parents.get(oldId));
+        if (parentDatabase && isObject(page.propertyValues)) {
+            doc.propertyValues = {};
+            Object.entries(page.propertyValues).forEach(([propertyId, value]) => {
+                const known = parentDatabase.propertySchema.some((property) => property._id === propertyId);
+                const { values } = known ? normalizeRowValues(parentDatabase, { [propertyId]: value }) : {};
+                Object.assign(doc.propertyValues, values);
+            });
+        }
+
+        return doc;
+    });
+
+    // Blocks per page, in archive order
+    const blocksByPage = new Map();
+    let skippedBlocks = 0;
+    archive.blocks.forEach((block) => {
+        const pageId = isObject(block) ? mapId(block.pageId) : null;
+        const content = isObject(block?.content) ? structuredClone(block.content) : {};
+
+        // Unknown types, orphans and links to pages outside the archive are left out
+        if (!pageId || !BLOCK_TYPES.includes(block.type)) {
+            skippedBlocks++;
+            return;
+        }
+        if (block.type === 'page') {
+            content.pageId = mapId(content.pageId);
+            if (!content.pageId) {
+                skippedBlocks++;
+                return;
+            }
+        }
+
+        const key = pageId.toString();
+        if (!blocksByPage.has(key)) blocksByPage.set(key, []);
+        blocksByPage.get(key).push({
+            pageId,
+            type: block.type,
+            order: block.order,
+            content,
+            backgroundColor: typeof block.backgroundColor === 'string' ? block.backgroundColor : null,
+            createdAt: parseDate(block.createdAt),
+            updatedAt: parseDate(block.updatedAt),
+        });
+    });
+
+    // Blocks are sorted by `order` as the database would, then broken
+    // or legacy keys are replaced
+    const blockDocs = [];
+    for (const list of blocksByPage.values()) {
+        list.sort(compareOrder);
+        const keys = assignOrderKeys(list.map((block) => block.order));
+        list.forEach((block, i) => blockDocs.push({ ...block, order: keys[i] }));
+    }
+
+    const templates = Array.isArray(archive.templates) ? archive.templates : [];
+    const templateDocs = templates
+        .filter((template) => isObject(template) && isObject(template.root) && typeof template.name === 'string')
+        .map((template) => ({
+            _id: new mongoose.Types.ObjectId(),
+            userId,
+            name: template.name.slice(0, 100) || 'Untitled',
+            description: typeof template.description === 'string' ? template.description.slice(0, 300) : '',
+            root: template.root,
+            sourcePageId: mapId(template.sourcePageId),
+            createdAt: parseDate(template.createdAt),
+            updatedAt: new Date(),
+        }));
+
+    const newPageIds = pageDocs.map((page) => page._id);
+    try {
+        await insertInBatches(Page, pageDocs);
+        await insertInBatches(Block, blockDocs);
+        await insertInBatches(Template, templateDocs);
+    } catch (error) {
+        // Don't leave a half-restored workspace behind
+        await Block.deleteMany({ pageId: { $in: newPageIds } });
+        await Page.deleteMany({ _id: { $in: newPageIds } });
+        await Template.deleteMany({ _id: { $in: templateDocs.map((template) => template._id) } });
+        throw error;
+    }
+
+    const imageCount = new Set(
+        blockDocs.filter((block) => block.type === 'image' && block.content.url).map((block) => block.content.url)
+    ).size;
+
+    const rootPages = pageDocs
+        .filter((page) => !page.parentPageId)
+        .map(({ _id, title, parentPageId, createdAt, updatedAt }) => ({ _id, title, parentPageId, createdAt, updatedAt }));
+
+    return {
+        pageCount: pageDocs.length,
+        blockCount: blockDocs.length,
+        templateCount: templateDocs.length,
+        imageCount,
+        skippedBlocks,
+        rootPages,
+    };
+}
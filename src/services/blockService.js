@@ -1,5 +1,36 @@
+import mongoose from 'mongoose';
 import Block from '@/models/Block';
 import Page from '@/models/Page';
+import { assignOrderKeys } from '@/utils/fractionalIndex';
+
+// Separates order key and block id in a pagination cursor ("a1V.65f0...")
+const CURSOR_SEPARATOR = '.';
+
+/**
+ * Builds the cursor that points after a block.
+ * The block id breaks ties between blocks with the same order key.
+ */
+function encodeCursor(block) {
+    return `${block.order}${CURSOR_SEPARATOR}${block._id}`;
+}
+
+/**
+ * Turns a cursor into the query condition for "blocks after it".
+ */
+function cursorCondition(cursorParam) {
+    const [order, blockId] = String(cursorParam).split(CURSOR_SEPARATOR);
+
+    if (!blockId || !mongoose.Types.ObjectId.isValid(blockId)) {
+        return { order: { $gt: order } };
+    }
+
+    return {
+        $or: [
+            { order: { $gt: order } },
+            { order, _id: { $gt: new mongoose.Types.ObjectId(blockId) } },
+        ],
+    };
+}
 
 /**
  * Shared service for fetching paginated blocks for a page.
@@ -7,21 +38,24 @@ import Page from '@/models/Page';
  *
  * @param {string} pageId - The ID of the page
  * @param {string|number} limitParam - The limit parameter (default 20)
- * @param {string|number} cursorParam - The cursor parameter (order of the last loaded block)
+ * @param {string} cursorParam - The cursor parameter (order key + id of the last loaded block)
  * @param {boolean} isPublicView - Whether this is being fetched for a public view (affects cleanup logic)
- * @returns {Promise<{blocks: Array, nextCursor: number|null, hasMore: boolean}>}
+ * @returns {Promise<{blocks: Array, nextCursor: string|null, hasMore: boolean}>}
  */
 export async function getPaginatedBlocks(pageId, limitParam, cursorParam, isPublicView = false) {
     // Default limit to 20, allow 'all'
     const limit = limitParam === 'all' ? 0 : (parseInt(limitParam) || 20);
 
     let query = { pageId };
-    if (cursorParam && !isNaN(Number(cursorParam))) {
-        query.order = { $gt: Number(cursorParam) };
+    if (cursorParam) {
+        query = { ...query, ...cursorCondition(cursorParam) };
+    } else {
+        // First segment: convert legacy integer orders before paginating by key
+        await Block.migrateOrderKeys(pageId);
     }
 
     // Fetch blocks sorted by order for correct rendering
-    let dbQuery = Block.find(query).sort({ order: 1 });
+    let dbQuery = Block.find(query).sort({ order: 1, _id: 1 });
     if (limit > 0) {
         dbQuery = dbQuery.limit(limit + 1); // Fetch one extra to check hasMore
     }
@@ -35,8 +69,24 @@ export async function getPaginatedBlocks(pageId, limitParam, cursorParam, isPubl
         blocks = fetchedBlocks.slice(0, limit);
     }
 
-    const nextCursor = blocks.length > 0 ? blocks[blocks.length - 1].order : null;
+    const nextCursor = blocks.length > 0 ? encodeCursor(blocks[blocks.length - 1]) : null;
 
+    const resolved = await resolvePageBlocks(blocks, { isPublicView, deleteOrphans: !isPublicView });
+    return { blocks: resolved, nextCursor, hasMore };
+}
+
+/**
+ * Defensive cleanup and enrichment of page blocks: links to trashed or
+ * deleted pages are left out (and, for a public view, links to pages
+ * that aren't public), and page blocks get their page's current title.
+ *
+ * @param {Array} blocks - Lean blocks
+ * @param {object} [options]
+ * @param {boolean} [options.isPublicView] - Also hide links to private pages
+ * @param {boolean} [options.deleteOrphans] - Delete blocks whose page is gone from the database
+ * @returns {Promise<Array>} The blocks to show
+ */
+export async function resolvePageBlocks(blocks, { isPublicView = false, deleteOrphans = false } = {}) {
     // DEFENSIVE CLEANUP & ENRICHMENT
     const pageBlockIds = blocks
         .filter((b) => b.type === 'page' && b.content?.pageId)
@@ -46,26 +96,31 @@ export async function getPaginatedBlocks(pageId, limitParam, cursorParam, isPubl
         // Check which referenced pages actually exist
         const queryCond = { _id: { $in: pageBlockIds } };
 
-        // Find existing pages
-        const existingPagesList = await Page.find(queryCond).select('_id title isPublic').lean();
+        // Find existing pages (trashed ones still exist, they are just hidden)
+        const storedPagesList = await Page.find(queryCond)
+            .setOptions({ includeTrashed: true })
+            .select('_id title isPublic deletedAt')
+            .lean();
+        const storedPageIds = new Set(storedPagesList.map((p) => p._id.toString()));
+        const existingPagesList = storedPagesList.filter((p) => !p.deletedAt);
         const existingPagesMap = new Map(existingPagesList.map(p => [p._id.toString(), p]));
 
-        // Find orphan blocks (reference non-existent pages)
+        // Find orphan blocks (reference pages that are gone, not just trashed)
         const orphanBlocks = blocks.filter(
             (b) => b.type === 'page' &&
                 b.content?.pageId &&
-                !existingPagesMap.has(b.content.pageId.toString())
+                !storedPageIds.has(b.content.pageId.toString())
         );
 
-        // Delete orphan blocks from database (ONLY IF NOT PUBLIC VIEW)
-        // Public view shouldn't modify DB to prevent tampering
-        if (!isPublicView && orphanBlocks.length > 0) {
+        // Delete orphan blocks from database (never for public views or
+        // read-only callers: a public view shouldn't modify DB to prevent tampering)
+        if (deleteOrphans && orphanBlocks.length > 0) {
             await Block.deleteMany({
                 _id: { $in: orphanBlocks.map((b) => b._id) },
             });
         }
 
-        // Filter them out of response
+        // Filter them (and links to trashed pages) out of response
         let finalBlocks = blocks.filter(
             (b) => b.type !== 'page' ||
                 !b.content?.pageId ||
@@ -96,8 +151,183 @@ export async function getPaginatedBlocks(pageId, limitParam, cursorParam, isPubl
             return block;
         });
 
-        return { blocks: finalBlocks, nextCursor, hasMore };
+        return finalBlocks;
+    }
+
+    return blocks;
+}
+
+/**
+ * Supported operation kinds for applyBlockOperations().
+ */
+export const OPERATION_TYPES = ['insert', 'update', 'delete', 'move'];
+
+// Block fields an insert/update operation may set
+const WRITABLE_FIELDS = ['type', 'content', 'backgroundColor'];
+
+/**
+ * Applies an operation log to the blocks of a page.
+ * Only blocks named by an operation are written (moves and inserts get a
+ * fractional order key between their new neighbours); block content of
+ * the rest of the page is never loaded.
+ *
+ * Operations (applied in order, keyed by block id):
+ *   { op: 'insert', id, afterId?, type, content, backgroundColor? }
+ *   { op: 'update', id, type?, content?, backgroundColor? }
+ *   { op: 'delete', id }
+ *   { op: 'move',   id, afterId? }
+ *
+ * - `id` of an insert is the client's temporary id; later operations in
+ *   the same batch may refer to it.
+ * - `afterId: null` places the block first; omitting it places it last.
+ *   An afterId that no longer exists also places the block last.
+ * - Operations on blocks that no longer exist are skipped.
+ * - Deleted blocks go to the trash (deletedAt) and can be restored.
+ *
+ * @param {string} pageId - Page the blocks belong to
+ * @param {Array} ops - Operation log
+ * @returns {Promise<{idMap: object, writtenIds: string[], deletedIds: string[], blockIds: string[], reordered: boolean, skipped: number}>}
+ */
+export async function applyBlockOperations(pageId, ops) {
+    await Block.migrateOrderKeys(pageId);
+    const existing = await Block.find({ pageId }).sort({ order: 1, _id: 1 }).select('_id order').lean();
+
+    const orderedIds = existing.map((b) => b._id.toString());
+    const storedOrder = new Map(existing.map((b) => [b._id.toString(), b.order]));
+    const live = new Set(orderedIds);
+
+    const idMap = {};        // temp id -> new ObjectId string
+    const inserts = new Map(); // new id -> document fields
+    const updates = new Map(); // existing id -> $set fields
+    const deletedIds = [];
+    let moved = false;
+    let skipped = 0;
+
+    const resolve = (id) => (id === null || id === undefined ? id : idMap[id] || String(id));
+
+    const place = (id, afterId) => {
+        if (afterId === null) {
+            orderedIds.unshift(id);
+            return;
+        }
+        const index = afterId === undefined ? -1 : orderedIds.indexOf(afterId);
+        if (index === -1) orderedIds.push(id);
+        else orderedIds.splice(index + 1, 0, id);
+    };
+
+    const pickFields = (op) => {
+        const fields = {};
+        WRITABLE_FIELDS.forEach((key) => {
+            if (op[key] !== undefined) fields[key] = op[key];
+        });
+        return fields;
+    };
+
+    for (const op of ops) {
+        const id = resolve(op.id);
+        const afterId = resolve(op.afterId);
+
+        switch (op.op) {
+            case 'insert': {
+                const newId = new mongoose.Types.ObjectId().toString();
+                idMap[op.id] = newId;
+                inserts.set(newId, { type: 'paragraph', content: { text: '' }, ...pickFields(op) });
+                live.add(newId);
+                place(newId, afterId);
+                break;
+            }
+
+            case 'update': {
+                if (!live.has(id)) {
+                    skipped++;
+                    break;
+                }
+                const target = inserts.get(id) || updates.get(id) || {};
+                Object.assign(target, pickFields(op));
+                if (!inserts.has(id)) updates.set(id, target);
+                break;
+            }
+
+            case 'delete': {
+                if (!live.has(id)) {
+                    skipped++;
+                    break;
+                }
+                live.delete(id);
+                orderedIds.splice(orderedIds.indexOf(id), 1);
+                if (inserts.has(id)) {
+                    inserts.delete(id);
+                } else {
+                    updates.delete(id);
+                    deletedIds.push(id);
+                }
+                break;
+            }
+
+            case 'move': {
+                if (!live.has(id) || id === afterId) {
+                    skipped++;
+                    break;
+                }
+                orderedIds.splice(orderedIds.indexOf(id), 1);
+                place(id, afterId);
+                moved = true;
+                break;
+            }
+
+            default:
+                skipped++;
+        }
+    }
+
+    // Build the bulk write; existing keys are reused wherever still in order
+    const operations = [];
+    const writtenIds = [];
+    const orderKeys = assignOrderKeys(orderedIds.map((id) => storedOrder.get(id) ?? null));
+
+    orderedIds.forEach((id, index) => {
+        const order = orderKeys[index];
+
+        if (inserts.has(id)) {
+            operations.push({
+                insertOne: { document: { _id: id, pageId, ...inserts.get(id), order } },
+            });
+            writtenIds.push(id);
+            return;
+        }
+
+        const fields = { ...(updates.get(id) || {}) };
+        if (storedOrder.get(id) !== order) fields.order = order;
+        if (Object.keys(fields).length === 0) return;
+
+        operations.push({
+            updateOne: {
+                filter: { _id: id, pageId },
+                update: { $set: fields, $inc: { revision: 1 } },
+            },
+        });
+        writtenIds.push(id);
+    });
+
+    if (deletedIds.length > 0) {
+        operations.push({
+            updateMany: {
+                filter: { _id: { $in: deletedIds }, pageId, deletedAt: null },
+                update: { $set: { deletedAt: new Date() } },
+            },
+        });
+    }
+
+    if (operations.length > 0) {
+        await Block.bulkWrite(operations, { ordered: true });
     }
 
-    return { blocks, nextCursor, hasMore };
+    return {
+        idMap,
+        writtenIds,
+        deletedIds,
+        blockIds: orderedIds,
+        reordered: moved,
+        skipped,
+    };
 }
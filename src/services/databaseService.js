@@ -0,0 +1,512 @@
+import mongoose from 'mongoose';
+import Page from '@/models/Page';
+import {
+    PROPERTY_TYPES,
+    OPTION_COLORS,
+    MAX_DATABASE_PROPERTIES,
+    MAX_PROPERTY_OPTIONS,
+    FILTER_OPERATORS,
+    VALUELESS_OPERATORS,
+    BUILT_IN_PROPERTIES,
+    normalizePropertyValue,
+    parseDateValue,
+} from '@/utils/databaseProperties';
+
+/**
+ * Database pages.
+ *
+ * A database is a page with a property schema; its child pages are its
+ * rows and carry the property values (formats in
+ * utils/databaseProperties.js). Rows are not linked from the database's
+ * content by page blocks, the table view lists them instead.
+ *
+ * Rows are queried with a filter expression and sorts, evaluated by
+ * MongoDB:
+ *
+ *   filter: { and: [...] } | { or: [...] }       groups, nested up to MAX_FILTER_DEPTH
+ *         | { property, operator, value }        one condition
+ *   sorts:  [{ property, direction: 'ascending' | 'descending' }]
+ *
+ * `property` is a property _id or one of BUILT_IN_PROPERTIES (title,
+ * createdAt, updatedAt). Operators per type are FILTER_OPERATORS.
+ * Text compares case-insensitively; empty values sort last either way.
+ */
+
+const MAX_FILTER_DEPTH = 3;
+const MAX_FILTER_CONDITIONS = 20;
+const MAX_SORTS = 3;
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Case-insensitive comparison and sorting of text
+const TEXT_COLLATION = { locale: 'en', strength: 2 };
+
+// Row fields returned by queries
+const ROW_FIELDS = { title: 1, propertyValues: 1, revision: 1, createdAt: 1, updatedAt: 1 };
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const valuePath = (propertyId) => `propertyValues.${propertyId}`;
+
+function cleanName(name) {
+    return typeof name === 'string' ? name.trim() : '';
+}
+
+/**
+ * Normalizes select options, keeping the _id of options that already
+ * exist so row values keep pointing at them.
+ */
+function normalizeOptions(input, existing = [], propertyName) {
+    if (!Array.isArray(input)) return { options: [] };
+    if (input.length > MAX_PROPERTY_OPTIONS) {
+        return { error: `${propertyName}: at most ${MAX_PROPERTY_OPTIONS} options` };
+    }
+
+    const existingIds = new Set(existing.map((option) => String(option._id)));
+    const names = new Set();
+    const options = [];
+
+    for (const option of input) {
+        const name = cleanName(option?.name);
+        if (!name || name.length > 100) {
+            return { error: `${propertyName}: option names must be 1-100 characters` };
+        }
+        if (names.has(name.toLowerCase())) {
+            return { error: `${propertyName}: duplicate option "${name}"` };
+        }
+        names.add(name.toLowerCase());
+
+        const id = option._id != null && existingIds.has(String(option._id))
+            ? String(option._id)
+            : new mongoose.Types.ObjectId().toString();
+        options.push({
+            _id: id,
+            name,
+            color: OPTION_COLORS.includes(option.color) ? option.color : 'gray',
+        });
+    }
+
+    return { options };
+}
+
+/**
+ * Validates a property schema sent by the client. Properties and
+ * options that already exist (matched by _id) keep their _id; new ones
+ * get one.
+ *
+ * @param {Array} input - [{ _id?, name, type, options? }]
+ * @param {Array} existing - Current schema of the database
+ * @returns {{ properties: Array } | { error: string }}
+ */
+export function normalizePropertySchema(input, existing = []) {
+    if (!Array.isArray(input)) return { error: 'Properties must be an array' };
+    if (input.length > MAX_DATABASE_PROPERTIES) {
+        return { error: `A database can have at most ${MAX_DATABASE_PROPERTIES} properties` };
+    }
+
+    const existingById = new Map(existing.map((property) => [String(property._id), property]));
+    const names = new Set();
+    const properties = [];
+
+    for (const entry of input) {
+        const name = cleanName(entry?.name);
+        if (!name || name.length > 100) {
+            return { error: 'Property names must be 1-100 characters' };
+        }
+        if (names.has(name.toLowerCase())) {
+            return { error: `Duplicate property name "${name}"` };
+        }
+        names.add(name.toLowerCase());
+
+        if (!PROPERTY_TYPES.includes(entry.type)) {
+            return { error: `${name}: invalid property type` };
+        }
+
+        const current = entry._id != null ? existingById.get(String(entry._id)) : null;
+        const property = {
+            _id: current ? String(current._id) : new mongoose.Types.ObjectId().toString(),
+            name,
+            type: entry.type,
+        };
+
+        if (entry.type === 'select' || entry.type === 'multi_select') {
+            // Options of a property that changed type start over
+            const sameType = current?.type === entry.type;
+            const { options, error } = normalizeOptions(entry.options, sameType ? current.options : [], name);
+            if (error) return { error };
+            property.options = options;
+        }
+
+        properties.push(property);
+    }
+
+    return { properties };
+}
+
+/**
+ * Drops row values the new schema no longer accepts: values of removed
+ * properties or of properties that changed type, and removed options.
+ */
+async function cleanUpRowValues(databaseId, previous = [], properties) {
+    const nextById = new Map(properties.map((property) => [property._id, property]));
+    const rows = { parentPageId: databaseId };
+    const unset = {};
+
+    for (const old of previous) {
+        const id = String(old._id);
+        const next = nextById.get(id);
+        if (!next || next.type !== old.type) {
+            unset[valuePath(id)] = '';
+            continue;
+        }
+        if (!old.options?.length) continue;
+
+        const kept = new Set(next.options.map((option) => option._id));
+        const removed = old.options.map((option) => String(option._id)).filter((optionId) => !kept.has(optionId));
+        if (removed.length === 0) continue;
+
+        if (old.type === 'select') {
+            await Page.updateMany(
+                { ...rows, [valuePath(id)]: { $in: removed } },
+                { $unset: { [valuePath(id)]: '' } }
+            );
+        } else {
+            await Page.updateMany(
+                { ...rows, [valuePath(id)]: { $in: removed } },
+                { $pull: { [valuePath(id)]: { $in: removed } } }
+            );
+        }
+    }
+
+    if (Object.keys(unset).length > 0) {
+        await Page.updateMany(rows, { $unset: unset });
+    }
+}
+
+/**
+ * Sets a page's property schema, turning it into a database.
+ *
+ * @param {object} page - The page (ownership already checked)
+ * @param {Array} input - Properties from the client
+ * @param {object} [filter] - Extra conditions for the update (revision check)
+ * @returns {Promise<{ page: object|null } | { error: string }>} page null
+ *   when `filter` didn't match
+ */
+export async function updateDatabaseSchema(page, input, filter = {}) {
+    const { properties, error } = normalizePropertySchema(input, page.propertySchema || []);
+    if (error) return { error };
+
+    const updated = await Page.findOneAndUpdate(
+        { _id: page._id, ...filter },
+        { $set: { isDatabase: true, propertySchema: properties }, $inc: { revision: 1 } },
+        { new: true, runValidators: true }
+    ).lean();
+    if (!updated) return { page: null };
+
+    await cleanUpRowValues(page._id, page.propertySchema || [], properties);
+    return { page: updated };
+}
+
+/**
+ * Turns a database back into a plain page. Its rows stay as child
+ * pages, without their property values.
+ */
+export async function removeDatabase(page) {
+    const updated = await Page.findOneAndUpdate(
+        { _id: page._id },
+        { $set: { isDatabase: false }, $unset: { propertySchema: '' }, $inc: { revision: 1 } },
+        { new: true }
+    ).lean();
+    await Page.updateMany({ parentPageId: page._id }, { $unset: { propertyValues: '' } });
+    return updated;
+}
+
+/**
+ * Builds the update that sets row values, checking each against the
+ * database's schema.
+ *
+ * @param {object} database - The row's parent database page
+ * @param {object} values - { [propertyId]: value }; empty values are cleared
+ * @returns {{ update: object } | { error: string }}
+ */
+export function buildRowValuesUpdate(database, values) {
+    if (!isObject(values)) return { error: 'Values must be an object' };
+
+    const schema = new Map((database.propertySchema || []).map((property) => [String(property._id), property]));
+    const $set = {};
+    const $unset = {};
+
+    for (const [propertyId, raw] of Object.entries(values)) {
+        const property = schema.get(propertyId);
+        if (!property) return { error: `Unknown property: ${propertyId}` };
+
+        const { value, error } = normalizePropertyValue(property, raw);
+        if (error) return { error };
+        if (value === null) $unset[valuePath(propertyId)] = '';
+        else $set[valuePath(propertyId)] = value;
+    }
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    return { update };
+}
+
+/**
+ * Validated values for a new row, or for rows restored from a backup.
+ *
+ * @returns {{ values: object } | { error: string }}
+ */
+export function normalizeRowValues(database, values = {}) {
+    const { update, error } = buildRowValuesUpdate(database, values);
+    if (error) return { error };
+
+    const entries = Object.entries(update.$set || {})
+        .map(([path, value]) => [path.slice(valuePath('').length), value]);
+    return { values: Object.fromEntries(entries) };
+}
+
+/**
+ * Creates a row (a child page) in a database.
+ *
+ * @returns {Promise<{ row: object } | { error: string }>}
+ */
+export async function createDatabaseRow(database, { title, values } = {}) {
+    const { values: propertyValues, error } = normalizeRowValues(database, values);
+    if (error) return { error };
+
+    const row = await Page.create({
+        title: typeof title === 'string' && title.trim() ? title : 'Untitled',
+        userId: database.userId,
+        parentPageId: database._id,
+        propertyValues,
+    });
+    return { row: row.toJSON() };
+}
+
+function findProperty(properties, id) {
+    return BUILT_IN_PROPERTIES.find((property) => property._id === id)
+        || properties.find((property) => String(property._id) === String(id));
+}
+
+function fieldOf(property) {
+    return BUILT_IN_PROPERTIES.includes(property) ? property._id : valuePath(property._id);
+}
+
+/**
+ * MongoDB condition for one { property, operator, value }.
+ */
+function compileCondition(condition, properties) {
+    const property = findProperty(properties, condition.property);
+    if (!property) return { error: `Unknown property: ${condition.property}` };
+
+    const { operator, value } = condition;
+    if (!FILTER_OPERATORS[property.type].includes(operator)) {
+        return { error: `${property.name}: unsupported operator "${operator}"` };
+    }
+
+    const field = fieldOf(property);
+    const match = (expression) => ({ match: { [field]: expression } });
+
+    if (VALUELESS_OPERATORS.includes(operator)) {
+        const empty = property.type === 'multi_select' ? [null, []]
+            : property.type === 'text' || property.type === 'url' ? [null, '']
+                : [null];
+        return match(operator === 'is_empty' ? { $in: empty } : { $nin: empty });
+    }
+
+    const invalid = (expected) => ({ error: `${property.name}: filter value must be ${expected}` });
+
+    switch (property.type) {
+        case 'text':
+        case 'url': {
+            if (typeof value !== 'string') return invalid('text');
+            const pattern = escapeRegExp(value);
+            switch (operator) {
+                case 'equals': return match(value);
+                case 'does_not_equal': return match({ $ne: value });
+                case 'contains': return match({ $regex: pattern, $options: 'i' });
+                case 'does_not_contain': return match({ $not: new RegExp(pattern, 'i') });
+                case 'starts_with': return match({ $regex: `^${pattern}`, $options: 'i' });
+                default: return match({ $regex: `${pattern}$`, $options: 'i' });
+            }
+        }
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return invalid('a number');
+            const comparison = {
+                equals: '$eq',
+                does_not_equal: '$ne',
+                greater_than: '$gt',
+                greater_than_or_equal_to: '$gte',
+                less_than: '$lt',
+                less_than_or_equal_to: '$lte',
+            }[operator];
+            return match({ [comparison]: number });
+        }
+        case 'select':
+        case 'multi_select': {
+            if (typeof value !== 'string') return invalid('an option ID');
+            // On an array field, equality means "contains"
+            return match(operator === 'equals' || operator === 'contains' ? value : { $ne: value });
+        }
+        case 'date': {
+            const day = parseDateValue(value);
+            if (!day) return invalid('a date (YYYY-MM-DD)');
+            const nextDay = new Date(day.getTime() + DAY_MS);
+            switch (operator) {
+                case 'equals': return match({ $gte: day, $lt: nextDay });
+                case 'before': return match({ $lt: day });
+                case 'after': return match({ $gte: nextDay });
+                case 'on_or_before': return match({ $lt: nextDay });
+                default: return match({ $gte: day });
+            }
+        }
+        case 'checkbox': {
+            if (typeof value !== 'boolean') return invalid('true or false');
+            // Unchecked boxes store no value
+            const checked = (operator === 'equals') === value;
+            return match(checked ? true : { $ne: true });
+        }
+        default:
+            return { error: `${property.name}: cannot filter this property` };
+    }
+}
+
+/**
+ * Compiles a filter expression to a MongoDB condition.
+ *
+ * @param {object|null} filter - See the module comment
+ * @param {Array} properties - The database's schema
+ * @returns {{ match: object } | { error: string }}
+ */
+export function buildRowFilter(filter, properties) {
+    let conditions = 0;
+
+    const compile = (node, depth) => {
+        if (!isObject(node)) return { error: 'Invalid filter' };
+
+        const group = Array.isArray(node.and) ? 'and' : Array.isArray(node.or) ? 'or' : null;
+        if (!group) {
+            conditions++;
+            if (conditions > MAX_FILTER_CONDITIONS) {
+                return { error: `A filter can have at most ${MAX_FILTER_CONDITIONS} conditions` };
+            }
+            return compileCondition(node, properties);
+        }
+
+        if (depth >= MAX_FILTER_DEPTH) {
+            return { error: `Filter groups can be nested at most ${MAX_FILTER_DEPTH} levels deep` };
+        }
+        if (node[group].length === 0) return { match: {} };
+
+        const parts = [];
+        for (const child of node[group]) {
+            const { match, error } = compile(child, depth + 1);
+            if (error) return { error };
+            parts.push(match);
+        }
+        return { match: { [`$${group}`]: parts } };
+    };
+
+    return filter == null ? { match: {} } : compile(filter, 0);
+}
+
+/**
+ * Sort stages for a list of sorts: a computed key per sort (options by
+ * their position in the schema) and, before it, a flag that puts empty
+ * values last.
+ *
+ * @returns {{ addFields: object, sort: object } | { error: string }}
+ */
+export function buildRowSort(sorts, properties) {
+    if (sorts == null) sorts = [];
+    if (!Array.isArray(sorts)) return { error: 'Sorts must be an array' };
+    if (sorts.length > MAX_SORTS) return { error: `At most ${MAX_SORTS} sorts` };
+
+    const addFields = {};
+    const sort = {};
+
+    for (const [index, entry] of sorts.entries()) {
+        const property = findProperty(properties, entry?.property);
+        if (!property) return { error: `Unknown property: ${entry?.property}` };
+        const direction = entry.direction === 'descending' ? -1 : 1;
+        const field = `$${fieldOf(property)}`;
+
+        let key = field;
+        if (property.type === 'select' || property.type === 'multi_select') {
+            const optionIds = (property.options || []).map((option) => String(option._id));
+            const first = property.type === 'select'
+                ? field
+                : { $arrayElemAt: [{ $ifNull: [field, []] }, 0] };
+            key = { $indexOfArray: [optionIds, first] };
+        } else if (property.type === 'checkbox') {
+            key = { $eq: [field, true] };
+        }
+
+        if (property.type !== 'checkbox') {
+            addFields[`_empty${index}`] = {
+                $cond: [{ $in: [{ $ifNull: [field, null] }, [null, '', []]] }, 1, 0],
+            };
+            sort[`_empty${index}`] = 1;
+        }
+        addFields[`_sort${index}`] = key;
+        sort[`_sort${index}`] = direction;
+    }
+
+    // Newest rows last when nothing else decides
+    sort._id = 1;
+    return { addFields, sort };
+}
+
+/**
+ * Queries the rows of a database.
+ *
+ * @param {object} database - Database page (ownership already checked)
+ * @param {object} query - { filter?, sorts?, limit?, offset? }
+ * @returns {Promise<{ rows: Array, total: number, hasMore: boolean } | { error: string }>}
+ */
+export async function queryDatabaseRows(database, { filter, sorts, limit, offset } = {}) {
+    const properties = database.propertySchema || [];
+
+    const filtered = buildRowFilter(filter, properties);
+    if (filtered.error) return { error: filtered.error };
+    const sorted = buildRowSort(sorts, properties);
+    if (sorted.error) return { error: sorted.error };
+
+    const take = Math.min(MAX_QUERY_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_QUERY_LIMIT));
+    const skip = Math.max(0, parseInt(offset, 10) || 0);
+
+    // aggregate() skips the soft-delete middleware, see lib/softDelete.js
+    const pipeline = [
+        {
+            $match: {
+                userId: database.userId,
+                parentPageId: database._id,
+                deletedAt: null,
+                $and: [filtered.match],
+            },
+        },
+    ];
+    if (Object.keys(sorted.addFields).length > 0) {
+        pipeline.push({ $addFields: sorted.addFields });
+    }
+    pipeline.push(
+        { $sort: sorted.sort },
+        {
+            $facet: {
+                rows: [{ $skip: skip }, { $limit: take }, { $project: ROW_FIELDS }],
+                total: [{ $count: 'count' }],
+            },
+        }
+    );
+
+    const [result] = await Page.aggregate(pipeline).collation(TEXT_COLLATION);
+    const total = result.total[0]?.count || 0;
+
+    return { rows: result.rows, total, hasMore: skip + result.rows.length < total };
+}
@@ -0,0 +1,293 @@
+import { zipSync, strToU8 } from 'fflate';
+import Block from '@/models/Block';
+import { getChildPages } from '@/services/pageService';
+import { resolvePageBlocks } from '@/services/blockService';
+import { getStyledSegments } from '@/utils/textStyles';
+import { normalizeTableContent } from '@/utils/tableContent';
+
+/**
+ * Page export.
+ *
+ * Markdown: every block type maps to its Markdown equivalent and inline
+ * marks (see utils/textStyles.js) become emphasis. Underline has no
+ * Markdown syntax and is kept as <u>…</u>, which most renderers accept.
+ *
+ * A recursive export writes the page and all of its sub-pages as
+ * separate .md files in a zip. Sub-pages go in a folder named after
+ * their parent, and page blocks link to those files with relative paths.
+ * Image and file URLs are made absolute against the app origin.
+ */
+
+// Safety limit for walking sub-pages
+const MAX_DEPTH = 50;
+
+const HEADING_PREFIX = { heading1: '#', heading2: '##', heading3: '###' };
+
+/**
+ * Escapes characters that Markdown would read as formatting.
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Wraps one line of a styled segment in Markdown emphasis.
+ * Emphasis can't start or end with whitespace, so that stays outside.
+ */
+function wrapStyled(line, styles) {
+    const match = line.match(/^(\s*)(.*?)(\s*)$/s);
+    const [, lead, core, trail] = match;
+    if (!core) return line;
+
+    let result = core;
+    if (styles.has('underline')) result = `<u>${result}</u>`;
+    if (styles.has('italic')) result = `_${result}_`;
+    if (styles.has('bold')) result = `**${result}**`;
+    return `${lead}${result}${trail}`;
+}
+
+/**
+ * Text with its marks as Markdown. Line breaks are kept as '\n';
+ * callers decide how a block joins its lines.
+ */
+export function marksToMarkdown(text = '', marks = []) {
+    return getStyledSegments(text, marks)
+        .map((segment) => segment.text
+            .split('\n')
+            .map((line) => wrapStyled(escapeMarkdown(line), segment.styles))
+            .join('\n'))
+        .join('');
+}
+
+/**
+ * A URL as a Markdown link destination: app URLs (/api/files/...,
+ * attachment downloads) made absolute against `origin`, and characters
+ * that would end the destination percent-encoded.
+ */
+function markdownUrl(url, origin) {
+    const absolute = url.startsWith('/') ? `${origin}${url}` : url;
+    return absolute.replace(/[\s()<>]/g, (ch) => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * A code fence longer than any backtick run inside the code.
+ */
+function codeFence(code) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * A table as a GFM pipe table. Cells can't hold line breaks there, so
+ * those become <br>.
+ */
+function tableToMarkdown(content) {
+    const table = normalizeTableContent(content);
+    const row = (cells) => `| ${cells
+        .map((cell) => marksToMarkdown(cell.text, cell.marks).replace(/\|/g, '\\|').replace(/\n/g, '<br>'))
+        .join(' | ')} |`;
+
+    return [
+        row(table.header),
+        `| ${table.header.map(() => '---').join(' | ')} |`,
+        ...table.rows.map(row),
+    ].join('\n');
+}
+
+/**
+ * Markdown for a single block.
+ *
+ * @param {object} block - Lean block
+ * @param {Function} pageLink - (pageId) => URL for page blocks
+ * @param {string} origin - App origin for app-relative URLs
+ */
+export function blockToMarkdown(block, pageLink, origin) {
+    const content = block.content || {};
+    const text = marksToMarkdown(content.text || '', content.marks);
+
+    switch (block.type) {
+        case 'heading1':
+        case 'heading2':
+        case 'heading3':
+            return `${HEADING_PREFIX[block.type]} ${text.replace(/\n/g, ' ')}`;
+
+        case 'todo':
+            return `- [${content.checked ? 'x' : ' '}] ${text.replace(/\n/g, '  \n  ')}`;
+
+        case 'quote':
+            return text.split('\n').map((line) => `> ${line}`.trimEnd()).join('\n');
+
+        case 'code': {
+            const code = content.code || '';
+            const fence = codeFence(code);
+            return `${fence}${content.language || ''}\n${code}\n${fence}`;
+        }
+
+        case 'image': {
+            if (!content.url) return '';
+            const image = `![${escapeMarkdown(content.alt || content.caption || '')}](${markdownUrl(content.url, origin)})`;
+            // The caption goes below when alt text took its place
+            return content.alt && content.caption ? `${image}\n*${escapeMarkdown(content.caption)}*` : image;
+        }
+
+        case 'link':
+            if (!content.url) return text;
+            return `[${text || escapeMarkdown(content.url)}](${markdownUrl(content.url, origin)})`;
+
+        case 'file':
+            if (!content.url) return '';
+            return `[${escapeMarkdown(content.name || 'File')}](${markdownUrl(content.url, origin)})`;
+
+        case 'table':
+            return tableToMarkdown(content);
+
+        case 'page':
+            return `[${escapeMarkdown(content.title || 'Untitled')}](${pageLink(content.pageId)})`;
+
+        default:
+            // Paragraphs: hard line breaks inside the block
+            return text.replace(/\n/g, '  \n');
+    }
+}
+
+/**
+ * Markdown for a list of blocks. Consecutive to-dos form one list.
+ */
+export function blocksToMarkdown(blocks, pageLink, origin) {
+    let output = '';
+    let previousType = null;
+
+    blocks.forEach((block) => {
+        const markdown = blockToMarkdown(block, pageLink, origin);
+        if (previousType !== null) {
+            output += previousType === 'todo' && block.type === 'todo' ? '\n' : '\n\n';
+        }
+        output += markdown;
+        previousType = block.type;
+    });
+
+    return output;
+}
+
+/**
+ * Blocks of a page in display order, as the editor shows them: page
+ * blocks carry the current title of their page, and links to trashed or
+ * deleted pages are left out. Read-only, unlike the editor's load: legacy
+ * integer orders sort before order keys, the sequence migrateOrderKeys()
+ * keeps, and orphaned page blocks are only skipped.
+ */
+export async function getPageBlocks(pageId) {
+    const blocks = await Block.find({ pageId }).sort({ order: 1, _id: 1 }).lean();
+    return resolvePageBlocks(blocks);
+}
+
+/**
+ * A full Markdown document for a page: its title, then its blocks.
+ */
+export function pageToMarkdown(page, blocks, pageLink, origin) {
+    const body = blocksToMarkdown(blocks, pageLink, origin);
+    const title = `# ${escapeMarkdown(page.title || 'Untitled')}`;
+    return body ? `${title}\n\n${body}\n` : `${title}\n`;
+}
+
+/**
+ * File-system friendly name for a page title.
+ */
+export function slugify(title) {
+    const slug = (title || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '');
+    return slug || 'untitled';
+}
+
+/**
+ * Markdown export of a single page. Page blocks link to the app.
+ *
+ * @param {object} page - Lean page (ownership already checked)
+ * @param {object} options
+ * @param {string} options.origin - App origin for page links
+ * @returns {Promise<{ filename: string, content: string }>}
+ */
+export async function exportPageMarkdown(page, { origin }) {
+    const blocks = await getPageBlocks(page._id);
+    const content = pageToMarkdown(page, blocks, (pageId) => `${origin}/page/${pageId}`, origin);
+    return { filename: `${slugify(page.title)}.md`, content };
+}
+
+/**
+ * Relative path from one file to another inside the zip.
+ */
+function relativePath(fromFile, toFile) {
+    const from = fromFile.split('/').slice(0, -1);
+    const to = toFile.split('/');
+
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+        common++;
+    }
+
+    const up = from.slice(common).map(() => '..');
+    return [...up, ...to.slice(common)].map(encodeURIComponent).join('/');
+}
+
+/**
+ * Assigns a zip path to the page and each of its sub-pages:
+ *   project.md, project/notes.md, project/notes/todo.md
+ * Sibling names are made unique with a numeric suffix.
+ */
+async function collectPageFiles(page, dir, files, depth) {
+    const taken = new Set(files.map((f) => f.path));
+
+    const base = `${dir}${slugify(page.title)}`;
+    let path = `${base}.md`;
+    for (let n = 2; taken.has(path); n++) {
+        path = `${base}-${n}.md`;
+    }
+
+    files.push({ page, path });
+    if (depth >= MAX_DEPTH) return;
+
+    const children = await getChildPages(page.userId, page._id);
+    const childDir = `${path.slice(0, -3)}/`;
+    for (const child of children) {
+        await collectPageFiles({ ...child, userId: page.userId }, childDir, files, depth + 1);
+    }
+}
+
+/**
+ * Markdown export of a page and all of its sub-pages as a zip.
+ * Links between exported pages are relative file links; links to pages
+ * outside the tree point to the app.
+ *
+ * @param {object} page - Lean page (ownership already checked)
+ * @param {object} options
+ * @param {string} options.origin - App origin for links leaving the tree
+ * @returns {Promise<{ filename: string, data: Uint8Array, pageCount: number }>}
+ */
+export async function exportPageTreeZip(page, { origin }) {
+    const files = [];
+    await collectPageFiles(page, '', files, 0);
+
+    const pathById = new Map(files.map((f) => [f.page._id.toString(), f.path]));
+    const entries = {};
+
+    for (const { page: filePage, path } of files) {
+        const blocks = await getPageBlocks(filePage._id);
+        const pageLink = (pageId) => {
+            const target = pathById.get(String(pageId));
+            return target ? relativePath(path, target) : `${origin}/page/${pageId}`;
+        };
+        entries[path] = strToU8(pageToMarkdown(filePage, blocks, pageLink, origin));
+    }
+
+    return {
+        filename: `${slugify(page.title)}.zip`,
+        data: zipSync(entries),
+        pageCount: files.length,
+    };
+}
@@ -0,0 +1,272 @@
+import { codeToHtml } from 'shiki';
+import { getPageBlocks, slugify } from '@/services/exportService';
+import { signOwnedAttachments } from '@/services/assetService';
+import { getStyledSegments } from '@/utils/textStyles';
+import { formatFileSize } from '@/utils/fileSize';
+import { normalizeImageContent } from '@/utils/imageLayout';
+import { normalizeTableContent } from '@/utils/tableContent';
+
+/**
+ * Standalone HTML export.
+ *
+ * Renders a page the way the public page does (title, blocks, marks,
+ * font families, background tints) into one .html file. All styles are
+ * inlined and code blocks are highlighted with Shiki on the server, so
+ * the file needs no scripts or stylesheets to display. Images keep
+ * their original URLs, made absolute; the page owner's attachments link
+ * to signed downloads that work for EXPORT_LINK_TTL_SECONDS without
+ * signing in.
+ */
+
+// Same choices as the TextBlock font picker, with fallbacks for
+// readers who don't have the web fonts installed
+const FONT_STACKS = {
+    modern: "'Outfit', 'Segoe UI', Helvetica, Arial, sans-serif",
+    serif: "'Playfair Display', Georgia, 'Times New Roman', serif",
+    mono: "'IBM Plex Mono', ui-monospace, Menlo, Consolas, monospace",
+    cursive: "'Dancing Script', 'Brush Script MT', cursive",
+    royal: "'Cinzel', 'Trajan Pro', Georgia, serif",
+};
+
+const CODE_THEME = 'github-dark';
+
+// Exported files are opened long after the export, outside the app
+const EXPORT_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+const STYLES = `
+* { box-sizing: border-box; }
+body {
+    margin: 0;
+    color: #0f172a;
+    background: linear-gradient(135deg, #ffffff 0%, #f5f0fc 50%, #eef8fd 100%) fixed;
+    font-family: ${FONT_STACKS.modern};
+    -webkit-font-smoothing: antialiased;
+}
+main { max-width: 48rem; margin: 0 auto; padding: 48px 24px; }
+h1.page-title { font-size: 2.25rem; line-height: 1.25; font-weight: 700; color: #111827; margin: 0 0 2rem; overflow-wrap: break-word; }
+.blocks > * + * { margin-top: 4px; }
+.tinted { border: 1px solid rgba(0, 0, 0, 0.03); padding: 8px 16px; border-radius: 12px; margin: 4px 0; }
+.text { margin: 0; font-size: 1rem; line-height: 1.625; white-space: pre-wrap; overflow-wrap: break-word; }
+.heading1 { font-size: 1.25rem; font-weight: 700; }
+.heading2 { font-size: 1.125rem; font-weight: 600; }
+.heading3 { font-size: 1rem; font-weight: 500; }
+strong { font-weight: 700; }
+u { text-decoration-thickness: 1px; text-underline-offset: 2px; }
+.todo { display: flex; gap: 8px; align-items: flex-start; }
+.todo .box { flex: none; width: 18px; height: 18px; margin-top: 4px; border: 1.5px solid #9ca3af; border-radius: 5px; color: #fff; font-size: 12px; line-height: 15px; text-align: center; }
+.todo.checked .box { background: #6366f1; border-color: #6366f1; }
+.todo.checked .text { color: #9ca3af; text-decoration: line-through; }
+.quote { position: relative; margin: 8px 0; padding: 4px 24px; border-left: 3px solid rgba(228, 193, 249, 0.5); }
+.quote .text { font-size: 1.125rem; font-style: italic; color: #334155; }
+.quote::before, .quote::after { position: absolute; font-family: Georgia, serif; font-size: 2.25rem; line-height: 1; color: rgba(109, 40, 217, 0.5); }
+.quote::before { content: '\\201C'; left: 6px; top: -6px; }
+.quote::after { content: '\\201D'; right: 4px; bottom: -18px; }
+.code { margin: 8px 0; border-radius: 12px; overflow: hidden; border: 1px solid rgba(255, 255, 255, 0.1); background: #0d1117; }
+.code .lang { padding: 8px 16px; background: #161b22; border-bottom: 1px solid rgba(255, 255, 255, 0.05); color: #9ca3af; font-size: 0.75rem; font-family: ${FONT_STACKS.modern}; }
+.code pre { margin: 0; padding: 16px; overflow: auto; background: transparent !important; color: #e1e4e8; font: 0.875rem/1.5rem ${FONT_STACKS.mono}; }
+figure { margin: 8px 0; }
+figure .frame { width: fit-content; max-width: 100%; padding: 4px; border: 1px solid #f3f4f6; border-radius: 6px; overflow: hidden; }
+figure img { display: block; max-width: 100%; max-height: 600px; height: auto; margin: 0 auto; }
+figure .frame.sized img { width: 100%; max-height: none; }
+figcaption { margin-top: 6px; font-size: 0.875rem; color: #6b7280; text-align: center; }
+a.card { display: flex; gap: 12px; align-items: center; margin: 8px 0; padding: 10px 12px; border-radius: 12px; background: rgba(24, 24, 27, 0.05); color: #374151; text-decoration: none; }
+a.card:hover { background: rgba(24, 24, 27, 0.08); }
+a.card .icon { flex: none; width: 28px; height: 28px; border-radius: 6px; background: #e5e7eb; color: #4b5563; text-align: center; line-height: 28px; font-size: 14px; }
+a.link .label { color: #4f46e5; text-decoration: underline; text-underline-offset: 2px; overflow-wrap: anywhere; }
+a.page .label { font-weight: 500; }
+a.file .label { flex: 1; font-weight: 500; overflow-wrap: anywhere; }
+a.file .meta { flex: none; font-size: 0.75rem; color: #9ca3af; }
+.table { margin: 8px 0; overflow-x: auto; }
+.table table { border-collapse: collapse; table-layout: fixed; font-size: 0.875rem; line-height: 1.625; }
+.table th, .table td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; white-space: pre-wrap; overflow-wrap: break-word; }
+.table th { background: rgba(249, 250, 251, 0.7); font-weight: 600; }
+footer { margin-top: 48px; font-size: 0.75rem; color: #9ca3af; }
+`;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ */
+export function escapeHtml(text = '') {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * URL as the exported file links it. App URLs (/api/files/..., attachment
+ * downloads) are made absolute against `origin`. Otherwise only web and
+ * mail links are exported; anything else becomes '#'.
+ */
+function safeUrl(url, origin) {
+    if (/^\//.test(url || '')) return `${origin}${url}`;
+    return /^(https?:|mailto:)/i.test(url || '') ? url : '#';
+}
+
+/**
+ * Text with its marks as HTML, matching RichText.
+ */
+export function marksToHtml(text = '', marks = []) {
+    return getStyledSegments(text, marks)
+        .map(({ text: segment, styles }) => {
+            let html = escapeHtml(segment);
+            if (styles.has('underline')) html = `<u>${html}</u>`;
+            if (styles.has('italic')) html = `<em>${html}</em>`;
+            if (styles.has('bold')) html = `<strong>${html}</strong>`;
+            return html;
+        })
+        .join('');
+}
+
+/**
+ * Text paragraph with the block's font family.
+ */
+function textHtml(content, className = '') {
+    const font = FONT_STACKS[content.fontFamily] || FONT_STACKS.modern;
+    const classes = ['text', className].filter(Boolean).join(' ');
+    return `<p class="${classes}" style="font-family: ${escapeHtml(font)}">${marksToHtml(content.text || '', content.marks)}</p>`;
+}
+
+/**
+ * Highlighted code, with the same plain fallback as CodeBlock.
+ */
+async function highlightCode(code, language) {
+    try {
+        return await codeToHtml(code || ' ', { lang: language, theme: CODE_THEME });
+    } catch {
+        return `<pre><code>${escapeHtml(code)}</code></pre>`;
+    }
+}
+
+/**
+ * HTML for a single block, without the background tint.
+ *
+ * @param {object} block - Lean block
+ * @param {Function} pageLink - (pageId) => URL for page blocks
+ * @param {string} origin - App origin for app-relative URLs
+ */
+export async function blockToHtml(block, pageLink, origin) {
+    const content = block.content || {};
+
+    switch (block.type) {
+        case 'heading1':
+        case 'heading2':
+        case 'heading3':
+            return textHtml(content, block.type);
+
+        case 'todo': {
+            const checked = !!content.checked;
+            return `<div class="todo${checked ? ' checked' : ''}"><span class="box">${checked ? '&#10003;' : ''}</span>${textHtml(content)}</div>`;
+        }
+
+        case 'quote':
+            return `<blockquote class="quote">${textHtml(content)}</blockquote>`;
+
+        case 'code': {
+            const language = content.language || 'javascript';
+            const highlighted = await highlightCode(content.code || '', language);
+            return `<div class="code"><div class="lang">${escapeHtml(language)}</div>${highlighted}</div>`;
+        }
+
+        case 'image': {
+            const image = normalizeImageContent(content);
+            if (!image.url) return '';
+            const caption = image.caption
+                ? `<figcaption style="text-align: ${image.align}">${escapeHtml(image.caption)}</figcaption>`
+                : '';
+            const frameStyle = [
+                image.width ? `width: ${image.width}%` : '',
+                image.align === 'center' ? 'margin: 0 auto' : image.align === 'right' ? 'margin-left: auto' : '',
+            ].filter(Boolean).join('; ');
+            const size = image.naturalWidth && image.naturalHeight
+                ? ` width="${image.naturalWidth}" height="${image.naturalHeight}"`
+                : '';
+            return `<figure><div class="frame${image.width ? ' sized' : ''}" style="${frameStyle}"><img src="${escapeHtml(safeUrl(image.url, origin))}"${size} alt="${escapeHtml(image.alt)}"></div>${caption}</figure>`;
+        }
+
+        case 'link': {
+            if (!content.url) return textHtml(content);
+            const label = escapeHtml(content.text || content.url);
+            return `<a class="card link" href="${escapeHtml(safeUrl(content.url, origin))}" target="_blank" rel="noopener noreferrer"><span class="icon">&#128279;</span><span class="label">${label}</span></a>`;
+        }
+
+        case 'file': {
+            if (!content.url) return '';
+            const size = formatFileSize(content.size);
+            return `<a class="card file" href="${escapeHtml(safeUrl(content.url, origin))}" download><span class="icon">&#128206;</span><span class="label">${escapeHtml(content.name || 'File')}</span>${size ? `<span class="meta">${size}</span>` : ''}</a>`;
+        }
+
+        case 'table': {
+            const table = normalizeTableContent(content);
+            const cells = (row, tag) => row
+                .map((cell) => `<${tag}${tag === 'th' ? ' scope="col"' : ''}>${marksToHtml(cell.text, cell.marks)}</${tag}>`)
+                .join('');
+            const width = table.columnWidths.reduce((total, columnWidth) => total + columnWidth, 0);
+            return `<div class="table"><table style="width: ${width}px"><colgroup>${table.columnWidths.map((columnWidth) => `<col style="width: ${columnWidth}px">`).join('')}</colgroup>`
+                + `<thead><tr>${cells(table.header, 'th')}</tr></thead>`
+                + `<tbody>${table.rows.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table></div>`;
+        }
+
+        case 'page':
+            return `<a class="card page" href="${escapeHtml(pageLink(content.pageId))}"><span class="icon">&#128196;</span><span class="label">${escapeHtml(content.title || 'Untitled')}</span></a>`;
+
+        default:
+            return textHtml(content);
+    }
+}
+
+/**
+ * A complete HTML document for a page.
+ */
+export async function pageToHtml(page, blocks, pageLink, origin) {
+    const title = escapeHtml(page.title || 'Untitled');
+    const rendered = await Promise.all(blocks.map((block) => blockToHtml(block, pageLink, origin)));
+
+    const body = rendered
+        .map((html, i) => {
+            const color = blocks[i].backgroundColor;
+            // Tint at 40% opacity, like the public page
+            return html && HEX_COLOR_RE.test(color || '')
+                ? `<div class="tinted" style="background-color: ${color}66">${html}</div>`
+                : html;
+        })
+        .filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1 class="page-title">${title}</h1>
+<div class="blocks">
+${body.join('\n')}
+</div>
+<footer>Exported from Pagelet</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * HTML export of a single page. Page blocks link to their public pages.
+ *
+ * @param {object} page - Lean page (ownership already checked)
+ * @param {object} options
+ * @param {string} options.origin - App origin for page links
+ * @returns {Promise<{ filename: string, content: string }>}
+ */
+export async function exportPageHtml(page, { origin }) {
+    const blocks = await signOwnedAttachments(await getPageBlocks(page._id), page.userId, EXPORT_LINK_TTL_SECONDS);
+    const content = await pageToHtml(page, blocks, (pageId) => `${origin}/public/${pageId}`, origin);
+    return { filename: `${slugify(page.title)}.html`, content };
+}
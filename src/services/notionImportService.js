@@ -0,0 +1,424 @@
+import mongoose from 'mongoose';
+import { unzipSync, strFromU8 } from 'fflate';
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+import { uploadImage, imageTypeFromName } from '@/services/uploadService';
+import { createUploadBudget } from '@/services/assetService';
+import { generateNKeysBetween } from '@/utils/fractionalIndex';
+import { parseMarkdown, extractTitle, MAX_IMPORT_BLOCKS } from '@/utils/markdownParser';
+import { runPool } from '@/utils/runPool';
+
+/**
+ * Notion import.
+ *
+ * Reads the zip from Notion's "Export → Markdown & CSV" and rebuilds it
+ * as Pagelet pages. In that export every page is a `Title <id>.md` file
+ * and its sub-pages and attachments sit in a folder with the same name:
+ *
+ *   Project 1a2b….md
+ *   Project 1a2b…/Notes 3c4d….md
+ *   Project 1a2b…/diagram.png
+ *   Project 1a2b…/Tasks 5e6f….csv      (a database)
+ *   Project 1a2b…/Tasks 5e6f…/Fix login 7a8b….md   (one row)
+ *
+ * Folders become parentPageId links and every sub-page gets a `page`
+ * block in its parent (where Notion linked it, otherwise at the end).
+ * Markdown is converted with utils/markdownParser.js; images in the zip
+ * are re-uploaded through services/uploadService.js. A database becomes
+ * a page with one sub-page per row (row properties stay as text).
+ *
+ * Anything that could not be converted is listed per page in the report.
+ */
+
+// Largest zip accepted, and most data it may expand to
+export const MAX_NOTION_ZIP_BYTES = 50 * 1024 * 1024;
+const MAX_UNZIPPED_BYTES = 300 * 1024 * 1024;
+
+// Upper bounds for one import
+const MAX_PAGES = 1000;
+const MAX_IMAGES = 500;
+
+// Parallel image uploads
+const UPLOAD_CONCURRENCY = 4;
+
+// Notion appends a 32-character ID to file names: "Title 0123…cdef"
+const NOTION_ID_RE = /\s+[0-9a-f]{32}$/i;
+
+const RULE_RE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const TABLE_RE = /^\s*\|.*\|\s*$/;
+
+/**
+ * Unpacks an export zip into { path: bytes }. Notion splits large
+ * exports into zips inside the zip; those are unpacked too.
+ *
+ * @param {Uint8Array} data - Zip file contents
+ * @returns {{ files: Map<string, Uint8Array>|null, error: string|null }}
+ */
+export function readNotionZip(data) {
+    const files = new Map();
+    let total = 0;
+    let tooLarge = false;
+
+    const unpack = (bytes, nested) => {
+        const entries = unzipSync(bytes, {
+            filter: (file) => {
+                total += file.originalSize;
+                if (total > MAX_UNZIPPED_BYTES) tooLarge = true;
+                return !tooLarge && !file.name.startsWith('__MACOSX/') && !file.name.endsWith('/');
+            },
+        });
+
+        for (const [name, content] of Object.entries(entries)) {
+            if (!nested && name.toLowerCase().endsWith('.zip')) {
+                unpack(content, true);
+            } else {
+                files.set(name, content);
+            }
+        }
+    };
+
+    try {
+        unpack(data, false);
+    } catch {
+        return { files: null, error: 'The file is not a valid zip archive' };
+    }
+
+    if (tooLarge) {
+        return { files: null, error: 'The export is too large to import' };
+    }
+    if (![...files.keys()].some((name) => /\.(md|csv)$/i.test(name))) {
+        return { files: null, error: 'No Notion pages found. Export with "Markdown & CSV".' };
+    }
+    return { files, error: null };
+}
+
+function titleFromName(name) {
+    return name.replace(NOTION_ID_RE, '').trim().slice(0, 200) || 'Untitled';
+}
+
+const dirname = (path) => path.split('/').slice(0, -1).join('/');
+
+/**
+ * Resolves a relative link from a file in the zip to a zip path.
+ */
+function resolvePath(fromFile, href) {
+    let target = href.split(/[?#]/)[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch {
+        // Keep the raw link
+    }
+
+    const parts = dirname(fromFile).split('/').filter(Boolean);
+    for (const part of target.split('/')) {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    }
+    return parts.join('/');
+}
+
+const isExternal = (url) => /^[a-z][a-z0-9+.-]*:/i.test(url || '');
+
+/**
+ * Rewrites Notion-specific Markdown the parser doesn't know, noting
+ * what is lost.
+ */
+function preprocessMarkdown(markdown, issues) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const output = [];
+    let inCallout = false;
+    let inFence = false;
+    let tables = 0;
+    let rules = 0;
+    let equations = 0;
+
+    for (const line of lines) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence) {
+            output.push(line);
+            continue;
+        }
+
+        // Callouts: <aside> … </aside>, with an emoji icon
+        if (/^\s*<aside>/i.test(line)) {
+            inCallout = true;
+            issues.add('Callouts were imported as quotes');
+        }
+        if (inCallout) {
+            const text = line.replace(/<\/?aside>/gi, '').trim();
+            if (text) output.push(`> ${text}`);
+            if (/<\/aside>/i.test(line)) inCallout = false;
+            continue;
+        }
+
+        if (TABLE_RE.test(line)) tables++;
+        if (RULE_RE.test(line)) rules++;
+        if (/^\s*\$\$/.test(line)) equations++;
+        output.push(line);
+    }
+
+    if (tables > 0) issues.add('Tables were imported as plain text');
+    if (rules > 0) issues.add('Dividers were skipped');
+    if (equations > 0) issues.add('Equations were imported as plain text');
+    return output.join('\n');
+}
+
+/**
+ * Builds the page tree from the unpacked files.
+ *
+ * @returns {Array<{ key, path, title, parentKey, blocks, issues: Set<string> }>} Pages, parents first
+ */
+function buildPageTree(files) {
+    const nodes = new Map();
+
+    for (const path of files.keys()) {
+        const match = path.match(/^(.*)\.(md|csv)$/i);
+        if (!match) continue;
+
+        const isDatabase = match[2].toLowerCase() === 'csv';
+        // Notion writes "Tasks <id>.csv" and "Tasks <id>_all.csv" for one database
+        const key = isDatabase ? match[1].replace(/_all$/, '') : match[1];
+        if (nodes.has(key)) continue;
+
+        nodes.set(key, {
+            key,
+            path,
+            isDatabase,
+            title: titleFromName(key.split('/').pop()),
+            parentKey: null,
+            blocks: [],
+            issues: new Set(),
+        });
+    }
+
+    // Parent: the nearest enclosing folder that is also a page
+    for (const node of nodes.values()) {
+        for (let dir = dirname(node.key); dir; dir = dirname(dir)) {
+            if (nodes.has(dir)) {
+                node.parentKey = dir;
+                break;
+            }
+        }
+    }
+
+    for (const node of nodes.values()) {
+        if (node.isDatabase) {
+            node.issues.add('Database imported as a page with one sub-page per row; views and property types were not kept');
+            continue;
+        }
+
+        const markdown = preprocessMarkdown(strFromU8(files.get(node.path)), node.issues);
+        const { title, blocks } = extractTitle(parseMarkdown(markdown));
+        if (title) node.title = title.slice(0, 200);
+        node.blocks = convertBlocks(node, blocks, files, nodes);
+
+        if (node.blocks.length > MAX_IMPORT_BLOCKS) {
+            node.issues.add(`Only the first ${MAX_IMPORT_BLOCKS} blocks were imported`);
+            node.blocks = node.blocks.slice(0, MAX_IMPORT_BLOCKS);
+        }
+    }
+
+    // Parents before children
+    const ordered = [];
+    const visit = (node) => {
+        ordered.push(node);
+        [...nodes.values()]
+            .filter((child) => child.parentKey === node.key)
+            .sort((a, b) => a.title.localeCompare(b.title))
+            .forEach(visit);
+    };
+    [...nodes.values()]
+        .filter((node) => !node.parentKey)
+        .sort((a, b) => a.title.localeCompare(b.title))
+        .forEach(visit);
+
+    return ordered;
+}
+
+/**
+ * Maps parsed blocks onto the export: links to other exported pages
+ * become page blocks, local images are queued for upload, and other
+ * local files are reported.
+ */
+function convertBlocks(node, blocks, files, nodes) {
+    const converted = [];
+
+    for (const block of blocks) {
+        const url = block.content?.url;
+
+        if (block.type === 'link' && url && !isExternal(url)) {
+            const target = resolvePath(node.path, url);
+            const targetKey = target.replace(/(_all)?\.(md|csv)$/i, '');
+
+            if (/\.(md|csv)$/i.test(target) && nodes.has(targetKey)) {
+                converted.push({ type: 'page', targetKey });
+            } else if (files.has(target) && imageTypeFromName(target)) {
+                converted.push({ type: 'image', content: { url: '', caption: '' }, file: target });
+            } else {
+                const name = target.split('/').pop();
+                node.issues.add(files.has(target)
+                    ? `Attachment "${name}" was not imported`
+                    : `Link to "${name}" points outside the export`);
+                converted.push({ type: 'paragraph', content: { text: block.content.text || name } });
+            }
+            continue;
+        }
+
+        if (block.type === 'image' && url && !isExternal(url)) {
+            const target = resolvePath(node.path, url);
+            const name = target.split('/').pop();
+
+            if (!files.has(target)) {
+                node.issues.add(`Image "${name}" is missing from the export`);
+                continue;
+            }
+            if (!imageTypeFromName(target)) {
+                node.issues.add(`Image "${name}" has an unsupported format (JPG, PNG and WebP only)`);
+                continue;
+            }
+
+            // Notion writes the caption as alt text, or the file name when there is none
+            const { alt, caption } = block.content;
+            converted.push({
+                type: 'image',
+                content: { url: '', caption: caption || (alt === name ? '' : alt) },
+                file: target,
+            });
+            continue;
+        }
+
+        converted.push(block);
+    }
+
+    return converted;
+}
+
+/**
+ * Imports an unpacked Notion export as sub-pages of a page.
+ *
+ * @param {Map<string, Uint8Array>} files - From readNotionZip()
+ * @param {object} options
+ * @param {string} options.userId - Owner of the new pages
+ * @param {string} options.parentPageId - Page to import into (ownership already checked)
+ * @returns {Promise<{ error?: string, pageCount: number, blockCount: number, imageCount: number, createdBlocks: Array, report: Array }>}
+ */
+export async function importNotionExport(files, { userId, parentPageId }) {
+    const nodes = buildPageTree(files);
+    if (nodes.length === 0) {
+        return { error: 'No Notion pages found in the export' };
+    }
+    if (nodes.length > MAX_PAGES) {
+        return { error: `Exports with more than ${MAX_PAGES} pages cannot be imported` };
+    }
+
+    const pageIds = new Map(nodes.map((node) => [node.key, new mongoose.Types.ObjectId()]));
+    const titles = new Map(nodes.map((node) => [node.key, node.title]));
+
+    // Re-upload images; failures are reported and the block is dropped
+    const imageBlocks = nodes.flatMap((node) => node.blocks
+        .filter((block) => block.file)
+        .map((block) => ({ node, block })));
+    imageBlocks.slice(MAX_IMAGES).forEach(({ node, block }) => {
+        node.issues.add(`Image "${block.file.split('/').pop()}" was skipped (more than ${MAX_IMAGES} images)`);
+        block.failed = true;
+    });
+
+    // Uploads run side by side, so each one is counted against the
+    // limits before the next is checked
+    const budget = await createUploadBudget(userId);
+
+    let imageCount = 0;
+    await runPool(imageBlocks.slice(0, MAX_IMAGES), UPLOAD_CONCURRENCY, async ({ node, block }) => {
+        const bytes = files.get(block.file);
+        const refusal = budget.reserve(bytes.length);
+        if (refusal) {
+            node.issues.add(`Image "${block.file.split('/').pop()}" was skipped: ${refusal.error}`);
+            block.failed = true;
+            return;
+        }
+
+        try {
+            const { url, width, height, variants } = await uploadImage(Buffer.from(bytes), { userId, pageId: pageIds.get(node.key) });
+            Object.assign(block.content, { url, naturalWidth: width, naturalHeight: height, variants });
+            imageCount++;
+        } catch (error) {
+            budget.release(bytes.length);
+            console.error('Notion image upload error:', error);
+            node.issues.add(`Image "${block.file.split('/').pop()}" could not be uploaded`);
+            block.failed = true;
+        }
+    });
+
+    const pageDocs = [];
+    const blockDocs = [];
+
+    for (const node of nodes) {
+        const pageId = pageIds.get(node.key);
+        pageDocs.push({
+            _id: pageId,
+            userId,
+            title: node.title,
+            parentPageId: node.parentKey ? pageIds.get(node.parentKey) : parentPageId,
+        });
+
+        const blocks = node.blocks
+            .filter((block) => !block.failed)
+            .map((block) => (block.type === 'page'
+                ? { type: 'page', content: { pageId: pageIds.get(block.targetKey), title: titles.get(block.targetKey) } }
+                : { type: block.type, content: block.content }));
+
+        // Every sub-page needs a page block in its parent
+        const linked = new Set(blocks.filter((b) => b.type === 'page').map((b) => b.content.pageId.toString()));
+        nodes
+            .filter((child) => child.parentKey === node.key && !linked.has(pageIds.get(child.key).toString()))
+            .forEach((child) => blocks.push({
+                type: 'page',
+                content: { pageId: pageIds.get(child.key), title: child.title },
+            }));
+
+        const keys = generateNKeysBetween(null, null, blocks.length);
+        blocks.forEach((block, index) => blockDocs.push({ ...block, pageId, order: keys[index] }));
+    }
+
+    // Top-level pages are linked from the page they were imported into
+    const roots = nodes.filter((node) => !node.parentKey);
+    const firstOrder = await Block.getNextOrder(parentPageId);
+    const rootKeys = [firstOrder, ...generateNKeysBetween(firstOrder, null, roots.length - 1)];
+    const rootBlocks = roots.map((node, index) => ({
+        pageId: parentPageId,
+        type: 'page',
+        order: rootKeys[index],
+        content: { pageId: pageIds.get(node.key), title: node.title },
+    }));
+
+    const newPageIds = pageDocs.map((page) => page._id);
+    let createdBlocks;
+    try {
+        await Page.insertMany(pageDocs);
+        await Block.insertMany(blockDocs);
+        createdBlocks = (await Block.insertMany(rootBlocks)).map((doc) => doc.toObject());
+    } catch (error) {
+        // Don't leave a half-imported tree behind
+        await Block.deleteMany({ pageId: { $in: newPageIds } });
+        await Block.deleteMany({ pageId: parentPageId, 'content.pageId': { $in: newPageIds } });
+        await Page.deleteMany({ _id: { $in: newPageIds } });
+        throw error;
+    }
+
+    const report = nodes
+        .filter((node) => node.issues.size > 0)
+        .map((node) => ({
+            pageId: pageIds.get(node.key),
+            title: node.title,
+            path: node.path,
+            issues: [...node.issues],
+        }));
+
+    return {
+        pageCount: pageDocs.length,
+        blockCount: blockDocs.length,
+        imageCount,
+        createdBlocks,
+        report,
+    };
+}
@@ -0,0 +1,351 @@
+import mongoose from 'mongoose';
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+
+/**
+ * Page hierarchy helpers.
+ *
+ * Pages form a tree through `parentPageId`. A child page is also linked
+ * from its parent's content by a `page` block ({ pageId, title }), and
+ * the position of that block is the child's position in the tree.
+ * Moving a page therefore updates both: the page's parentPageId and the
+ * page blocks in the old and new parents.
+ */
+
+// Safety limit when walking up parent chains
+const MAX_DEPTH = 50;
+
+/**
+ * Filter for the page blocks in a parent that link to a child page.
+ * content.pageId is Mixed, so both ObjectId and string forms are matched.
+ */
+export function pageLinkFilter(parentPageId, pageId) {
+    return {
+        pageId: parentPageId,
+        type: 'page',
+        $or: [
+            { 'content.pageId': pageId },
+            { 'content.pageId': pageId.toString() },
+        ],
+    };
+}
+
+/**
+ * Counts the live child pages of each given page.
+ *
+ * @returns {Promise<Map<string, number>>} pageId -> child count
+ */
+export async function countChildPages(userId, pageIds) {
+    const children = await Page.find({ userId, parentPageId: { $in: pageIds } })
+        .select('parentPageId')
+        .lean();
+
+    const counts = new Map();
+    children.forEach((child) => {
+        const key = child.parentPageId.toString();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Sorts sibling pages in the order their page blocks appear in the parent.
+ * Pages without a page block go last, oldest first.
+ */
+async function sortByBlockOrder(parentIds, pages) {
+    const linkBlocks = await Block.find({ pageId: { $in: parentIds }, type: 'page' })
+        .select('content.pageId order')
+        .lean();
+    const orderByPage = new Map(
+        linkBlocks.map((b) => [String(b.content?.pageId), b.order])
+    );
+
+    return [...pages].sort((a, b) => {
+        const orderA = orderByPage.get(a._id.toString());
+        const orderB = orderByPage.get(b._id.toString());
+        if (orderA !== undefined && orderB !== undefined) {
+            return orderA < orderB ? -1 : orderA > orderB ? 1 : 0;
+        }
+        if (orderA !== undefined) return -1;
+        if (orderB !== undefined) return 1;
+        return new Date(a.createdAt) - new Date(b.createdAt);
+    });
+}
+
+/**
+ * Direct children of a page, in page-block order, with child counts
+ * (for lazily expanding the sidebar tree).
+ *
+ * @returns {Promise<Array<{ _id, title, parentPageId, childCount }>>}
+ */
+export async function getChildPages(userId, parentPageId) {
+    const children = await Page.find({ userId, parentPageId })
+        .select('_id title parentPageId createdAt')
+        .lean();
+
+    const sorted = await sortByBlockOrder([parentPageId], children);
+    const counts = await countChildPages(userId, sorted.map((p) => p._id));
+
+    return sorted.map((page) => ({
+        _id: page._id,
+        title: page.title,
+        parentPageId: page.parentPageId,
+        childCount: counts.get(page._id.toString()) || 0,
+    }));
+}
+
+/**
+ * The user's whole page hierarchy as a nested tree.
+ * Roots are sorted by last update (like the sidebar list), children
+ * by their position in the parent page.
+ *
+ * @returns {Promise<Array<{ _id, title, parentPageId, childCount, children: Array }>>}
+ */
+export async function getPageTree(userId) {
+    const pages = await Page.find({ userId })
+        .select('_id title parentPageId createdAt updatedAt')
+        .sort({ updatedAt: -1 })
+        .lean();
+
+    const byParent = new Map();
+    pages.forEach((page) => {
+        const key = page.parentPageId ? page.parentPageId.toString() : 'root';
+        if (!byParent.has(key)) byParent.set(key, []);
+        byParent.get(key).push(page);
+    });
+
+    const parentIds = pages.filter((p) => byParent.has(p._id.toString())).map((p) => p._id);
+    const sortedChildren = new Map();
+    if (parentIds.length > 0) {
+        const sortedPages = await sortByBlockOrder(parentIds, pages.filter((p) => p.parentPageId));
+        sortedPages.forEach((page) => {
+            const key = page.parentPageId.toString();
+            if (!sortedChildren.has(key)) sortedChildren.set(key, []);
+            sortedChildren.get(key).push(page);
+        });
+    }
+
+    const pageIds = new Set(pages.map((p) => p._id.toString()));
+    const build = (page, depth = 0) => {
+        const children = depth < MAX_DEPTH ? sortedChildren.get(page._id.toString()) || [] : [];
+        return {
+            _id: page._id,
+            title: page.title,
+            parentPageId: page.parentPageId,
+            childCount: children.length,
+            children: children.map((child) => build(child, depth + 1)),
+        };
+    };
+
+    // Pages whose parent is gone or trashed are shown at the top level
+    const roots = pages.filter(
+        (p) => !p.parentPageId || !pageIds.has(p.parentPageId.toString())
+    );
+    return roots.map((page) => build(page));
+}
+
+/**
+ * Whether `pageId` is `ancestorId` itself or one of its descendants.
+ * Used to reject moves that would put a page inside its own subtree.
+ */
+export async function isSameOrDescendant(pageId, ancestorId) {
+    let currentId = pageId;
+
+    for (let i = 0; i < MAX_DEPTH && currentId; i++) {
+        if (currentId.toString() === ancestorId.toString()) return true;
+
+        const page = await Page.findById(currentId).select('parentPageId').lean();
+        currentId = page?.parentPageId || null;
+    }
+
+    return false;
+}
+
+/**
+ * IDs of all live descendants of a page (not including the page itself).
+ */
+export async function getDescendantPageIds(userId, pageId) {
+    const pages = await Page.find({ userId, parentPageId: { $ne: null } })
+        .select('_id parentPageId')
+        .lean();
+
+    const byParent = new Map();
+    pages.forEach((page) => {
+        const key = page.parentPageId.toString();
+        if (!byParent.has(key)) byParent.set(key, []);
+        byParent.get(key).push(page._id);
+    });
+
+    const ids = [];
+    const seen = new Set([pageId.toString()]);
+    const queue = [pageId.toString()];
+    while (queue.length > 0) {
+        const children = byParent.get(queue.shift()) || [];
+        children.forEach((childId) => {
+            const key = childId.toString();
+            if (seen.has(key)) return;
+            seen.add(key);
+            ids.push(childId);
+            queue.push(key);
+        });
+    }
+    return ids;
+}
+
+/**
+ * Moves a page under a new parent (or to the top level).
+ * Removes its page block from the old parent and creates one in the new
+ * parent, after `afterBlockId` or at the end (not in a database, whose
+ * rows have none). Property values are dropped when the parent changes.
+ * Moving a page to the parent it already has without a position is a
+ * no-op.
+ *
+ * Callers validate ownership and cycles (isSameOrDescendant) first.
+ *
+ * @param {object} page - Lean page being moved
+ * @param {string|null} newParentId - New parent page, null for top level
+ * @param {object} [options]
+ * @param {string} [options.afterBlockId] - Place the page block after this block
+ * @returns {Promise<{ page: object, oldParentId: string|null, removedBlocks: Array, createdBlock: object|null }>}
+ *   removedBlocks are the page blocks deleted from the old parent (and any
+ *   stale links in the new parent)
+ */
+export async function movePage(page, newParentId, { afterBlockId = null } = {}) {
+    const oldParentId = page.parentPageId || null;
+
+    if (String(oldParentId) === String(newParentId) && !afterBlockId) {
+        return { page, oldParentId, removedBlocks: [], createdBlock: null };
+    }
+
+    let removedBlocks = [];
+    if (oldParentId) {
+        const filter = pageLinkFilter(oldParentId, page._id);
+        removedBlocks = await Block.find(filter).select('_id pageId').lean();
+        await Block.deleteMany(filter);
+    }
+
+    // Drop stale links to this page left in the new parent
+    if (newParentId && String(oldParentId) !== String(newParentId)) {
+        const staleFilter = pageLinkFilter(newParentId, page._id);
+        const stale = await Block.find(staleFilter).select('_id pageId').lean();
+        if (stale.length > 0) {
+            await Block.deleteMany(staleFilter);
+            removedBlocks = [...removedBlocks, ...stale];
+        }
+    }
+
+    // Rows of a database have no page block in it
+    const newParent = newParentId
+        ? await Page.findById(newParentId).select('isDatabase').lean()
+        : null;
+
+    let createdBlock = null;
+    if (newParent && !newParent.isDatabase) {
+        const order = afterBlockId
+            ? await Block.getOrderAfter(newParentId, afterBlockId)
+            : await Block.getNextOrder(newParentId);
+
+        const block = await Block.create({
+            pageId: newParentId,
+            type: 'page',
+            order,
+            content: { pageId: page._id, title: page.title },
+        });
+        createdBlock = block.toJSON();
+    }
+
+    // Property values only mean something in the database they were set in
+    const update = { $set: { parentPageId: newParentId || null } };
+    if (String(oldParentId) !== String(newParentId)) update.$unset = { propertyValues: '' };
+
+    const moved = await Page.findByIdAndUpdate(page._id, update, { new: true }).lean();
+
+    return { page: moved, oldParentId, removedBlocks, createdBlock };
+}
+
+/**
+ * Deep-copies a page with all of its blocks and live descendant pages.
+ * Page blocks inside the copied tree are rewritten to link to the new
+ * copies. The copy of the root page gets a "(copy)" title and, for a
+ * child page, a page block right after the original's in the parent
+ * (unless the parent is a database, whose rows have none).
+ *
+ * @param {object} page - Lean page to duplicate (ownership already checked)
+ * @returns {Promise<{ page: object, pageCount: number, createdBlock: object|null }>}
+ *   createdBlock is the new page block in the parent
+ */
+export async function duplicatePageTree(page) {
+    const sourceIds = [page._id, ...(await getDescendantPageIds(page.userId, page._id))];
+    const sourcePages = await Page.find({ _id: { $in: sourceIds } }).lean();
+
+    const idMap = new Map(
+        sourceIds.map((id) => [id.toString(), new mongoose.Types.ObjectId()])
+    );
+    const mapId = (id) => (id && idMap.get(id.toString())) || id;
+
+    const rootTitle = `${page.title || 'Untitled'} (copy)`.slice(0, 200);
+
+    await Page.insertMany(sourcePages.map((source) => ({
+        _id: mapId(source._id),
+        title: source._id.equals(page._id) ? rootTitle : source.title,
+        userId: source.userId,
+        parentPageId: source._id.equals(page._id) ? page.parentPageId : mapId(source.parentPageId),
+        // Database schema and row values reference property _ids, which
+        // stay the same in the copy
+        isDatabase: source.isDatabase,
+        propertySchema: source.propertySchema,
+        propertyValues: source.propertyValues,
+    })));
+
+    // Order keys are copied as they are, so convert legacy integer orders first
+    const legacyPageIds = await Block.distinct('pageId', {
+        pageId: { $in: sourceIds },
+        order: { $not: { $type: 'string' } },
+    }).setOptions({ includeTrashed: true });
+    for (const pageId of legacyPageIds) {
+        await Block.migrateOrderKeys(pageId);
+    }
+
+    const sourceBlocks = await Block.find({ pageId: { $in: sourceIds } }).lean();
+    if (sourceBlocks.length > 0) {
+        await Block.insertMany(sourceBlocks.map((block) => {
+            const content = structuredClone(block.content ?? {});
+            if (block.type === 'page' && content.pageId) {
+                content.pageId = mapId(content.pageId);
+            }
+            return {
+                pageId: mapId(block.pageId),
+                type: block.type,
+                order: block.order,
+                content,
+                backgroundColor: block.backgroundColor,
+            };
+        }));
+    }
+
+    // Rows of a database have no page block in it
+    const parent = page.parentPageId
+        ? await Page.findById(page.parentPageId).select('isDatabase').lean()
+        : null;
+
+    let createdBlock = null;
+    if (parent && !parent.isDatabase) {
+        const [original] = await Block.find(pageLinkFilter(page.parentPageId, page._id))
+            .select('_id')
+            .lean();
+        const order = original
+            ? await Block.getOrderAfter(page.parentPageId, original._id)
+            : await Block.getNextOrder(page.parentPageId);
+
+        const block = await Block.create({
+            pageId: page.parentPageId,
+            type: 'page',
+            order,
+            content: { pageId: mapId(page._id), title: rootTitle },
+        });
+        createdBlock = block.toJSON();
+    }
+
+    const copy = await Page.findById(mapId(page._id)).lean();
+    return { page: copy, pageCount: sourceIds.length, createdBlock };
+}
@@ -0,0 +1,720 @@
+import PDFDocument from 'pdfkit';
+import { codeToTokens } from 'shiki';
+import { readLocalFile } from '@/lib/storage';
+import { fetchPublicFile } from '@/lib/remoteFetch';
+import { toPng } from '@/lib/imageProcessing';
+import { getPageBlocks, slugify } from '@/services/exportService';
+import { getChildPages } from '@/services/pageService';
+import { getStyledSegments } from '@/utils/textStyles';
+import { readImageInfo } from '@/utils/imageInfo';
+import { formatFileSize } from '@/utils/fileSize';
+import { normalizeImageContent } from '@/utils/imageLayout';
+import { normalizeTableContent } from '@/utils/tableContent';
+import { runPool } from '@/utils/runPool';
+
+/**
+ * PDF export.
+ *
+ * Lays a page out on A4 with PDFKit (pure JavaScript, no browser). The
+ * page comes first with a table of contents of its sub-pages; each
+ * sub-page then starts on a new PDF page. Contents entries and page
+ * blocks are internal links to those sub-pages, and the contents list
+ * gets page numbers once the whole document has been laid out.
+ *
+ * PDFKit's built-in fonts (Helvetica, Times, Courier) are used, so
+ * characters outside Windows-1252 are printed as '?'. Images are
+ * fetched from their stored URLs, a few at a time and from public hosts
+ * only (see lib/remoteFetch.js); only PNG and JPEG can be embedded, and
+ * Cloudinary images are requested as PNG for that reason.
+ */
+
+// Safety limit for walking sub-pages
+const MAX_DEPTH = 50;
+
+// Images larger than this are left out
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_TIMEOUT_MS = 10000;
+const IMAGE_CONCURRENCY = 4;
+
+const MARGIN = 56;
+const CODE_THEME = 'github-dark';
+
+const COLORS = {
+    text: '#0f172a',
+    muted: '#64748b',
+    faint: '#9ca3af',
+    accent: '#4f46e5',
+    quoteBar: '#e4c1f9',
+    quoteText: '#334155',
+    codeBackground: '#0d1117',
+    codeHeader: '#161b22',
+    card: '#f4f4f5',
+    tableBorder: '#e5e7eb',
+};
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+// Standard PDF fonts by TextBlock font family
+const FONT_FAMILIES = {
+    modern: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique' },
+    serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic', boldItalic: 'Times-BoldItalic' },
+    mono: { regular: 'Courier', bold: 'Courier-Bold', italic: 'Courier-Oblique', boldItalic: 'Courier-BoldOblique' },
+};
+FONT_FAMILIES.cursive = FONT_FAMILIES.serif;
+FONT_FAMILIES.royal = FONT_FAMILIES.serif;
+
+const TEXT_STYLES = {
+    heading1: { size: 18, bold: true, gapBefore: 10 },
+    heading2: { size: 15, bold: true, gapBefore: 8 },
+    heading3: { size: 13, bold: true, gapBefore: 6 },
+    paragraph: { size: 11, bold: false, gapBefore: 0 },
+};
+
+// Characters Windows-1252 has beyond Latin-1
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+/**
+ * Text the standard fonts can encode; anything else becomes '?'.
+ */
+function toWinAnsi(text = '') {
+    return text
+        .normalize('NFC')
+        .replace(/\t/g, '    ')
+        .replace(/[^\n\x20-\x7e\xa0-\xff]/gu, (ch) => (WIN_ANSI_EXTRAS.includes(ch) ? ch : '?'));
+}
+
+function fontFor(family, bold, italic) {
+    const fonts = FONT_FAMILIES[family] || FONT_FAMILIES.modern;
+    if (bold && italic) return fonts.boldItalic;
+    if (bold) return fonts.bold;
+    if (italic) return fonts.italic;
+    return fonts.regular;
+}
+
+/**
+ * Content area of the current PDF page.
+ */
+function contentBox(doc) {
+    return {
+        left: doc.page.margins.left,
+        width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+        bottom: doc.page.height - doc.page.margins.bottom,
+    };
+}
+
+/**
+ * Starts a new PDF page unless `height` still fits on this one.
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > contentBox(doc).bottom) {
+        doc.addPage();
+    }
+}
+
+function pageIndex(doc) {
+    const range = doc.bufferedPageRange();
+    return range.start + range.count - 1;
+}
+
+/**
+ * Writes text with marks as one flowing paragraph.
+ *
+ * @param {object} options - { x, width, size, family, bold, italic, color, strike, link, goTo }
+ */
+function writeRichText(doc, text, marks, options) {
+    const { x, width, size, family, bold = false, italic = false, color = COLORS.text } = options;
+    const segments = getStyledSegments(text, marks);
+
+    if (segments.length === 0) {
+        doc.font(fontFor(family, bold, italic)).fontSize(size).text(' ', x, doc.y, { width });
+        return;
+    }
+
+    segments.forEach((segment, i) => {
+        doc.font(fontFor(family, bold || segment.styles.has('bold'), italic || segment.styles.has('italic')))
+            .fontSize(size)
+            .fillColor(color);
+
+        const textOptions = {
+            width,
+            lineGap: 3,
+            continued: i < segments.length - 1,
+            underline: segment.styles.has('underline') || !!options.link,
+            strike: !!options.strike,
+            link: options.link || null,
+            goTo: options.goTo || null,
+        };
+
+        if (i === 0) {
+            doc.text(toWinAnsi(segment.text), x, doc.y, textOptions);
+        } else {
+            doc.text(toWinAnsi(segment.text), textOptions);
+        }
+    });
+}
+
+/**
+ * Height a plain paragraph of the text would take.
+ */
+function measureText(doc, text, { width, size, family, bold = false }) {
+    doc.font(fontFor(family, bold, false)).fontSize(size);
+    return doc.heightOfString(toWinAnsi(text || ' '), { width, lineGap: 3 });
+}
+
+/**
+ * PDFKit embeds PNG and JPEG only.
+ */
+function isEmbeddable(buffer) {
+    const format = readImageInfo(buffer)?.format;
+    return format === 'png' || format === 'jpeg';
+}
+
+/**
+ * Fetches an image as a PNG or JPEG buffer, or null if it can't be embedded.
+ */
+async function fetchImage(url) {
+    // Files on local storage are read from disk
+    const local = await readLocalFile(url);
+    if (local) {
+        if (local.length > MAX_IMAGE_BYTES) return null;
+        if (isEmbeddable(local)) return local;
+        // Processed uploads are WebP, which PDFKit can't read
+        return toPng(local).catch(() => null);
+    }
+
+    if (!/^https?:\/\//i.test(url || '')) return null;
+
+    // Uploads are stored as WebP; let Cloudinary convert them
+    const source = url.includes('res.cloudinary.com/') && url.includes('/upload/')
+        ? url.replace('/upload/', '/upload/f_png/')
+        : url;
+
+    const buffer = await fetchPublicFile(source, {
+        maxBytes: MAX_IMAGE_BYTES,
+        timeoutMs: IMAGE_TIMEOUT_MS,
+    });
+    return buffer && isEmbeddable(buffer) ? buffer : null;
+}
+
+/**
+ * Fetches every image of the export up front, keyed by URL.
+ */
+async function fetchImages(pages) {
+    const urls = new Set();
+    pages.forEach(({ blocks }) => blocks.forEach((block) => {
+        if (block.type === 'image' && block.content?.url) urls.add(block.content.url);
+    }));
+
+    const images = new Map();
+    await runPool([...urls], IMAGE_CONCURRENCY, async (url) => {
+        images.set(url, await fetchImage(url));
+    });
+    return images;
+}
+
+/**
+ * Highlights code into lines of colored tokens, falling back to plain lines.
+ */
+async function tokenizeCode(code, language) {
+    try {
+        const { tokens } = await codeToTokens(code || ' ', { lang: language, theme: CODE_THEME });
+        return tokens.map((line) => line.map((token) => ({ text: token.content, color: token.color })));
+    } catch {
+        return (code || ' ').split('\n').map((line) => [{ text: line, color: '#e1e4e8' }]);
+    }
+}
+
+/**
+ * Splits a line of tokens into rows of at most `columns` characters.
+ */
+function wrapTokens(line, columns) {
+    const rows = [[]];
+    let used = 0;
+
+    line.forEach((token) => {
+        let rest = toWinAnsi(token.text);
+        while (rest.length > 0) {
+            if (used === columns) {
+                rows.push([]);
+                used = 0;
+            }
+            const piece = rest.slice(0, columns - used);
+            rows[rows.length - 1].push({ text: piece, color: token.color });
+            used += piece.length;
+            rest = rest.slice(piece.length);
+        }
+    });
+
+    return rows;
+}
+
+function renderCode(doc, block, lines) {
+    const { left, width } = contentBox(doc);
+    const size = 9;
+    const rowHeight = 13;
+    const padding = 10;
+
+    doc.font('Courier').fontSize(size);
+    const columns = Math.max(1, Math.floor((width - padding * 2) / doc.widthOfString('M')));
+    const rows = lines.flatMap((line) => wrapTokens(line, columns));
+
+    // Header with the language name
+    ensureSpace(doc, 20 + rowHeight * Math.min(rows.length, 3) + padding);
+    doc.rect(left, doc.y, width, 20).fill(COLORS.codeHeader);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.faint)
+        .text(block.content?.language || 'javascript', left + padding, doc.y + 6, { lineBreak: false });
+    doc.y += 14;
+
+    // Rows are drawn one by one so long code can continue on the next page
+    rows.forEach((row, i) => {
+        const last = i === rows.length - 1;
+        const height = rowHeight + (i === 0 ? padding / 2 : 0) + (last ? padding / 2 : 0);
+        ensureSpace(doc, height);
+
+        const top = doc.y;
+        doc.rect(left, top, width, height).fill(COLORS.codeBackground);
+
+        let x = left + padding;
+        const baseline = top + (i === 0 ? padding / 2 : 0) + 2;
+        doc.font('Courier').fontSize(size);
+        row.forEach((token) => {
+            doc.fillColor(token.color || '#e1e4e8').text(token.text, x, baseline, { lineBreak: false });
+            x += doc.widthOfString(token.text);
+        });
+
+        doc.y = top + height;
+    });
+
+    doc.x = left;
+}
+
+function renderImage(doc, block, images) {
+    const { left, width } = contentBox(doc);
+    const content = normalizeImageContent(block.content);
+    const buffer = images.get(content.url);
+
+    if (buffer) {
+        const image = doc.openImage(buffer);
+        // A set width scales the image (up or down) to that share of the column
+        const maxWidth = content.width ? width * content.width / 100 : Math.min(width, image.width);
+        const scale = Math.min(maxWidth / image.width, 360 / image.height);
+        const w = image.width * scale;
+        const h = image.height * scale;
+        const x = content.align === 'left' ? left
+            : content.align === 'right' ? left + width - w
+                : left + (width - w) / 2;
+
+        ensureSpace(doc, h + 6);
+        doc.image(image, x, doc.y, { width: w, height: h });
+        doc.y += h + 4;
+    } else {
+        doc.font('Helvetica-Oblique').fontSize(9).fillColor(COLORS.faint)
+            .text(`[Image: ${toWinAnsi(content.alt || content.url || '')}]`, left, doc.y, { width, align: content.align, link: content.url });
+    }
+
+    if (content.caption) {
+        doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+            .text(toWinAnsi(content.caption), left, doc.y, { width, align: content.align });
+    }
+}
+
+/**
+ * Draws a table, scaled down to the page width if needed. The header
+ * row is repeated on every PDF page the table continues on.
+ */
+function renderTable(doc, block) {
+    const { left, width, bottom } = contentBox(doc);
+    const table = normalizeTableContent(block.content);
+    const total = table.columnWidths.reduce((sum, columnWidth) => sum + columnWidth, 0);
+    const widths = table.columnWidths.map((columnWidth) => columnWidth * Math.min(1, width / total));
+    const padding = 5;
+    const size = 9.5;
+
+    const rowHeight = (cells, header) => padding * 2 + Math.max(...cells.map((cell, i) =>
+        measureText(doc, cell.text, { width: widths[i] - padding * 2, size, family: 'modern', bold: header })
+    ));
+
+    const drawRow = (cells, header) => {
+        const height = rowHeight(cells, header);
+        const top = doc.y;
+        let x = left;
+
+        cells.forEach((cell, i) => {
+            if (header) doc.rect(x, top, widths[i], height).fill(COLORS.card);
+            doc.rect(x, top, widths[i], height).lineWidth(0.5).stroke(COLORS.tableBorder);
+            doc.y = top + padding;
+            writeRichText(doc, cell.text, cell.marks, {
+                x: x + padding,
+                width: widths[i] - padding * 2,
+                size,
+                family: 'modern',
+                bold: header,
+            });
+            x += widths[i];
+        });
+
+        doc.x = left;
+        doc.y = top + height;
+    };
+
+    ensureSpace(doc, rowHeight(table.header, true) + (table.rows[0] ? rowHeight(table.rows[0], false) : 0));
+    drawRow(table.header, true);
+    table.rows.forEach((cells) => {
+        if (doc.y + rowHeight(cells, false) > bottom) {
+            doc.addPage();
+            drawRow(table.header, true);
+        }
+        drawRow(cells, false);
+    });
+}
+
+/**
+ * Draws one block at the current position.
+ *
+ * @param {object} ctx - { images, codeLines, pageTarget }
+ */
+function renderBlock(doc, block, ctx) {
+    const { left, width } = contentBox(doc);
+    const content = block.content || {};
+    const family = content.fontFamily || 'modern';
+    const text = content.text || '';
+
+    switch (block.type) {
+        case 'heading1':
+        case 'heading2':
+        case 'heading3': {
+            const style = TEXT_STYLES[block.type];
+            doc.y += style.gapBefore;
+            ensureSpace(doc, style.size * 2);
+            writeRichText(doc, text, content.marks, { x: left, width, size: style.size, family, bold: style.bold });
+            break;
+        }
+
+        case 'todo': {
+            ensureSpace(doc, 16);
+            const top = doc.y;
+            const checked = !!content.checked;
+
+            doc.lineWidth(1).roundedRect(left, top + 2, 9, 9, 2);
+            if (checked) {
+                doc.fillAndStroke(COLORS.accent, COLORS.accent);
+                doc.lineWidth(1.4).strokeColor('#ffffff')
+                    .moveTo(left + 2, top + 6.5).lineTo(left + 4, top + 8.5).lineTo(left + 7.5, top + 4).stroke();
+            } else {
+                doc.stroke(COLORS.faint);
+            }
+
+            doc.y = top;
+            writeRichText(doc, text, content.marks, {
+                x: left + 16,
+                width: width - 16,
+                size: 11,
+                family,
+                color: checked ? COLORS.faint : COLORS.text,
+                strike: checked,
+            });
+            break;
+        }
+
+        case 'quote': {
+            doc.y += 4;
+            ensureSpace(doc, 20);
+            const top = doc.y;
+            const startPage = doc.page;
+
+            writeRichText(doc, text, content.marks, {
+                x: left + 14,
+                width: width - 14,
+                size: 12,
+                family,
+                italic: true,
+                color: COLORS.quoteText,
+            });
+
+            // The bar is only drawn next to quotes that stayed on one page
+            if (doc.page === startPage) {
+                doc.rect(left, top, 3, doc.y - top).fill(COLORS.quoteBar);
+            }
+            doc.y += 4;
+            break;
+        }
+
+        case 'code':
+            doc.y += 4;
+            renderCode(doc, block, ctx.codeLines.get(block));
+            doc.y += 4;
+            break;
+
+        case 'image':
+            doc.y += 4;
+            renderImage(doc, block, ctx.images);
+            doc.y += 4;
+            break;
+
+        case 'table':
+            doc.y += 4;
+            renderTable(doc, block);
+            doc.y += 4;
+            break;
+
+        case 'link':
+            ensureSpace(doc, 16);
+            writeRichText(doc, text || content.url || '', text ? content.marks : [], {
+                x: left,
+                width,
+                size: 11,
+                family,
+                color: COLORS.accent,
+                link: content.url || null,
+            });
+            break;
+
+        case 'file': {
+            if (!content.url) break;
+            ensureSpace(doc, 24);
+            const top = doc.y;
+            const size = formatFileSize(content.size);
+            doc.roundedRect(left, top, width, 22, 6).fill(COLORS.card);
+            doc.font('Helvetica').fontSize(11).fillColor(COLORS.text)
+                .text(toWinAnsi(`${content.name || 'File'}${size ? `  (${size})` : ''}`), left + 10, top + 6, {
+                    width: width - 20,
+                    lineBreak: false,
+                    ellipsis: true,
+                });
+            doc.x = left;
+            doc.y = top + 26;
+            break;
+        }
+
+        case 'page': {
+            ensureSpace(doc, 24);
+            const top = doc.y;
+            const target = ctx.pageTarget(content.pageId);
+            doc.roundedRect(left, top, width, 22, 6).fill(COLORS.card);
+            doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text)
+                .text(`» ${toWinAnsi(content.title || 'Untitled')}`, left + 10, top + 6, {
+                    width: width - 20,
+                    lineBreak: false,
+                    ellipsis: true,
+                    ...target,
+                });
+            doc.x = left;
+            doc.y = top + 26;
+            break;
+        }
+
+        default:
+            ensureSpace(doc, 16);
+            writeRichText(doc, text, content.marks, { x: left, width, size: 11, family });
+    }
+}
+
+/**
+ * Draws a block with its background tint. Tints are drawn for blocks
+ * that fit on one page; they are measured as plain text first.
+ */
+function renderTintedBlock(doc, block, ctx) {
+    const color = block.backgroundColor;
+    const textual = !['code', 'image', 'page', 'file', 'table'].includes(block.type);
+
+    if (!textual || !HEX_COLOR_RE.test(color || '')) {
+        renderBlock(doc, block, ctx);
+        doc.y += 3;
+        return;
+    }
+
+    const { left, width, bottom } = contentBox(doc);
+    const style = TEXT_STYLES[block.type] || TEXT_STYLES.paragraph;
+    const height = measureText(doc, block.content?.text, {
+        width: width - 24 - (block.type === 'todo' || block.type === 'quote' ? 16 : 0),
+        size: block.type === 'quote' ? 12 : style.size,
+        family: block.content?.fontFamily,
+        bold: style.bold,
+    }) + 12;
+
+    if (height > bottom - doc.page.margins.top) {
+        renderBlock(doc, block, ctx);
+        doc.y += 3;
+        return;
+    }
+
+    ensureSpace(doc, height + 4);
+    doc.y += 2;
+    const top = doc.y;
+    doc.save().fillOpacity(0.4).roundedRect(left, top, width, height, 8).fill(color).restore();
+
+    // Render inside the tinted box
+    doc.page.margins.left += 12;
+    doc.page.margins.right += 12;
+    doc.y = top + 6;
+    renderBlock(doc, block, ctx);
+    doc.page.margins.left -= 12;
+    doc.page.margins.right -= 12;
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, top + height) + 5;
+}
+
+/**
+ * The page and its sub-pages in reading order, with their blocks.
+ */
+async function collectPages(page, depth, pages) {
+    pages.push({ page, depth, blocks: await getPageBlocks(page._id) });
+    if (depth >= MAX_DEPTH) return;
+
+    const children = await getChildPages(page.userId, page._id);
+    for (const child of children) {
+        await collectPages({ ...child, userId: page.userId }, depth + 1, pages);
+    }
+}
+
+function destinationFor(pageId) {
+    return `page-${pageId}`;
+}
+
+/**
+ * Table of contents of the sub-pages. Returns the entry positions so
+ * page numbers can be filled in after layout.
+ */
+function renderContents(doc, pages) {
+    const { left, width } = contentBox(doc);
+    const entries = [];
+
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.muted).text('Contents', left, doc.y, { width });
+    doc.y += 4;
+
+    pages.slice(1).forEach(({ page, depth }) => {
+        ensureSpace(doc, 16);
+        const indent = (depth - 1) * 14;
+        const top = doc.y;
+
+        doc.font(depth === 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10.5).fillColor(COLORS.accent)
+            .text(toWinAnsi(page.title || 'Untitled'), left + indent, top, {
+                width: width - indent - 40,
+                lineBreak: false,
+                ellipsis: true,
+                goTo: destinationFor(page._id),
+            });
+
+        entries.push({ pageId: String(page._id), pdfPage: pageIndex(doc), y: top });
+        doc.x = left;
+        doc.y = top + 16;
+    });
+
+    doc.moveTo(left, doc.y + 6).lineTo(left + width, doc.y + 6).lineWidth(0.5).stroke('#e5e7eb');
+    doc.y += 18;
+    return entries;
+}
+
+/**
+ * Writes page numbers into the footer of every PDF page and next to
+ * the contents entries.
+ */
+function renderPageNumbers(doc, contents, startPages) {
+    const range = doc.bufferedPageRange();
+
+    contents.forEach((entry) => {
+        const target = startPages.get(entry.pageId);
+        if (target === undefined) return;
+        doc.switchToPage(entry.pdfPage);
+        const { left, width } = contentBox(doc);
+        doc.font('Helvetica').fontSize(10.5).fillColor(COLORS.muted)
+            .text(String(target + 1), left, entry.y, { width, align: 'right', lineBreak: false });
+    });
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const { left, width } = contentBox(doc);
+        const y = doc.page.height - MARGIN / 2 - 4;
+
+        // Writing inside the bottom margin would otherwise add a page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.faint)
+            .text(`${i + 1} / ${range.count}`, left, y, { width, align: 'center', lineBreak: false });
+        doc.page.margins.bottom = bottomMargin;
+    }
+}
+
+/**
+ * Resolves when the document has been fully written.
+ */
+function collectOutput(doc) {
+    const chunks = [];
+    return new Promise((resolve, reject) => {
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+}
+
+/**
+ * PDF export of a page, followed by all of its sub-pages.
+ * Page blocks pointing outside the export link to the app.
+ *
+ * @param {object} page - Lean page (ownership already checked)
+ * @param {object} options
+ * @param {string} options.origin - App origin for links leaving the export
+ * @returns {Promise<{ filename: string, data: Buffer, pageCount: number }>}
+ */
+export async function exportPagePdf(page, { origin }) {
+    const pages = [];
+    await collectPages(page, 0, pages);
+
+    const codeLines = new Map();
+    for (const { blocks } of pages) {
+        for (const block of blocks) {
+            if (block.type === 'code') {
+                codeLines.set(block, await tokenizeCode(block.content?.code, block.content?.language || 'javascript'));
+            }
+        }
+    }
+    const images = await fetchImages(pages);
+
+    const exported = new Set(pages.map(({ page: p }) => String(p._id)));
+    const ctx = {
+        images,
+        codeLines,
+        pageTarget: (pageId) => (exported.has(String(pageId))
+            ? { goTo: destinationFor(pageId) }
+            : { link: `${origin}/page/${pageId}` }),
+    };
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: MARGIN,
+        bufferPages: true,
+        info: { Title: page.title || 'Untitled', Creator: 'Pagelet' },
+    });
+    const output = collectOutput(doc);
+
+    let contents = [];
+    const startPages = new Map();
+
+    pages.forEach(({ page: current, blocks }, i) => {
+        if (i > 0) doc.addPage();
+        const { left, width } = contentBox(doc);
+
+        doc.addNamedDestination(destinationFor(current._id));
+        startPages.set(String(current._id), pageIndex(doc));
+
+        doc.font('Helvetica-Bold').fontSize(24).fillColor('#111827')
+            .text(toWinAnsi(current.title || 'Untitled'), left, doc.y, { width });
+        doc.y += 12;
+
+        if (i === 0 && pages.length > 1) {
+            contents = renderContents(doc, pages);
+        }
+
+        blocks.forEach((block) => renderTintedBlock(doc, block, ctx));
+    });
+
+    renderPageNumbers(doc, contents, startPages);
+    doc.end();
+
+    return {
+        filename: `${slugify(page.title)}.pdf`,
+        data: await output,
+        pageCount: pages.length,
+    };
+}
@@ -0,0 +1,235 @@
+import mongoose from 'mongoose';
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+import { generateNKeysBetween } from '@/utils/fractionalIndex';
+import { copyAttachments } from '@/services/uploadService';
+
+/**
+ * Recursive import of public pages.
+ *
+ * Copies a public page together with its public descendants: the source
+ * page's blocks are appended to the target page, and every public
+ * sub-page (at any depth) is recreated as a sub-page of the target with
+ * a new ID. `page` blocks that link inside the copied tree are pointed
+ * at the copies; links to pages outside it (private or not descendants)
+ * are left out, as the public view would hide them anyway.
+ *
+ * Import runs in two steps so callers can preview it:
+ *
+ *   const { nodes } = await collectPublicTree(sourcePage);  // read only
+ *   const plan = planPublicImport(nodes, targetId, order);  // pure
+ *   summarizePlan(plan);                                    // dry run
+ *   await applyPublicImport(plan, { userId, onProgress });  // writes
+ */
+
+// Upper bounds for one import
+export const MAX_PUBLIC_IMPORT_PAGES = 500;
+export const MAX_PUBLIC_IMPORT_BLOCKS = 20000;
+
+// Documents per insertMany call
+const INSERT_BATCH = 1000;
+
+const idKey = (id) => id.toString();
+
+/**
+ * Loads a public page and its public descendants, breadth first.
+ * A private sub-page hides its whole subtree.
+ *
+ * @param {object} sourcePage - Lean public page
+ * @returns {Promise<{ error?: string, nodes: Array<{ page, parentId, depth, blocks }> }>}
+ */
+export async function collectPublicTree(sourcePage) {
+    const nodes = [];
+    const depths = new Map([[idKey(sourcePage._id), 0]]);
+    let level = [{ page: sourcePage, parentId: null, depth: 0 }];
+    let blockCount = 0;
+
+    while (level.length > 0) {
+        const levelIds = level.map((node) => node.page._id);
+
+        const blocks = await Block.find({ pageId: { $in: levelIds } })
+            .sort({ order: 1, _id: 1 })
+            .lean();
+        blockCount += blocks.length;
+        if (blockCount > MAX_PUBLIC_IMPORT_BLOCKS) {
+            return { error: `Pages with more than ${MAX_PUBLIC_IMPORT_BLOCKS} blocks in total cannot be imported` };
+        }
+
+        const blocksByPage = new Map(levelIds.map((id) => [idKey(id), []]));
+        blocks.forEach((block) => blocksByPage.get(idKey(block.pageId)).push(block));
+        level.forEach((node) => nodes.push({ ...node, blocks: blocksByPage.get(idKey(node.page._id)) }));
+
+        const children = await Page.find({ parentPageId: { $in: levelIds }, isPublic: true })
+            .select('_id title parentPageId')
+            .sort({ createdAt: 1, _id: 1 })
+            .lean();
+
+        level = children
+            .filter((child) => !depths.has(idKey(child._id)))
+            .map((child) => ({
+                page: child,
+                parentId: child.parentPageId,
+                depth: depths.get(idKey(child.parentPageId)) + 1,
+            }));
+        level.forEach((node) => depths.set(idKey(node.page._id), node.depth));
+
+        if (nodes.length + level.length > MAX_PUBLIC_IMPORT_PAGES + 1) {
+            return { error: `Pages with more than ${MAX_PUBLIC_IMPORT_PAGES} public sub-pages cannot be imported` };
+        }
+    }
+
+    return { nodes };
+}
+
+/**
+ * Builds the documents for an import without writing anything.
+ * The root node's blocks go to the target page after `firstOrder`;
+ * the other nodes become new pages.
+ *
+ * @param {Array} nodes - From collectPublicTree()
+ * @param {string} targetPageId - Page to import into
+ * @param {string} firstOrder - Order key for the first block appended to the target
+ * @returns {{ pages: Array, blocksByPage: Map<string, Array>, skippedLinks: number, summary: Array }}
+ */
+export function planPublicImport(nodes, targetPageId, firstOrder) {
+    const [root, ...descendants] = nodes;
+
+    const idMap = new Map([[idKey(root.page._id), new mongoose.Types.ObjectId(targetPageId)]]);
+    descendants.forEach((node) => idMap.set(idKey(node.page._id), new mongoose.Types.ObjectId()));
+    const titles = new Map(nodes.map((node) => [idKey(node.page._id), node.page.title || 'Untitled']));
+
+    const pages = descendants.map((node) => ({
+        _id: idMap.get(idKey(node.page._id)),
+        title: titles.get(idKey(node.page._id)),
+        parentPageId: idMap.get(idKey(node.parentId)),
+    }));
+
+    const blocksByPage = new Map();
+    const summary = [];
+    let skippedLinks = 0;
+
+    nodes.forEach((node, index) => {
+        const sourceId = idKey(node.page._id);
+        const pageId = idMap.get(sourceId);
+
+        const blocks = [];
+        const linked = new Set();
+        node.blocks.forEach((block) => {
+            if (block.type !== 'page') {
+                blocks.push({ type: block.type, content: block.content, backgroundColor: block.backgroundColor });
+                return;
+            }
+
+            const targetKey = block.content?.pageId ? idKey(block.content.pageId) : null;
+            if (!targetKey || !idMap.has(targetKey) || targetKey === idKey(root.page._id)) {
+                skippedLinks++;
+                return;
+            }
+            linked.add(targetKey);
+            blocks.push({
+                type: 'page',
+                content: { ...block.content, pageId: idMap.get(targetKey), title: titles.get(targetKey) },
+                backgroundColor: block.backgroundColor,
+            });
+        });
+
+        // Every copied sub-page needs a page block in its parent
+        descendants
+            .filter((child) => idKey(child.parentId) === sourceId && !linked.has(idKey(child.page._id)))
+            .forEach((child) => blocks.push({
+                type: 'page',
+                content: { pageId: idMap.get(idKey(child.page._id)), title: titles.get(idKey(child.page._id)) },
+            }));
+
+        // Blocks added to the target get their IDs up front so a failed
+        // import can remove exactly those
+        const keys = index === 0
+            ? [firstOrder, ...generateNKeysBetween(firstOrder, null, Math.max(blocks.length - 1, 0))]
+            : generateNKeysBetween(null, null, blocks.length);
+        blocksByPage.set(idKey(pageId), blocks.map((block, i) => ({
+            ...(index === 0 ? { _id: new mongoose.Types.ObjectId() } : {}),
+            ...block,
+            pageId,
+            order: keys[i],
+        })));
+
+        summary.push({
+            sourcePageId: node.page._id,
+            title: titles.get(sourceId),
+            depth: node.depth,
+            blockCount: blocks.length,
+        });
+    });
+
+    return { pages, blocksByPage, skippedLinks, summary };
+}
+
+/**
+ * Counts for a dry run.
+ *
+ * @returns {{ pageCount: number, blockCount: number, skippedLinks: number, pages: Array }}
+ */
+export function summarizePlan(plan) {
+    return {
+        pageCount: plan.pages.length,
+        blockCount: plan.summary.reduce((total, page) => total + page.blockCount, 0),
+        skippedLinks: plan.skippedLinks,
+        pages: plan.summary,
+    };
+}
+
+/**
+ * Writes a planned import. New pages are inserted first, then blocks
+ * page by page; `onProgress` is called after each page. On failure
+ * everything created so far is removed again.
+ *
+ * @param {object} plan - From planPublicImport()
+ * @param {object} options
+ * @param {string} options.userId - Owner of the new pages
+ * @param {string} options.sourceUserId - Owner of the public pages (their
+ *   attachments are copied for `userId`, see copyAttachments())
+ * @param {Function} [options.onProgress] - ({ pagesDone, pagesTotal, blocksDone }) => void
+ * @returns {Promise<{ pageCount: number, blockCount: number, skippedLinks: number, createdBlocks: Array }>}
+ */
+export async function applyPublicImport(plan, { userId, sourceUserId, onProgress }) {
+    const newPageIds = plan.pages.map((page) => page._id);
+    const [targetKey, ...pageKeys] = [...plan.blocksByPage.keys()];
+    const targetBlocks = plan.blocksByPage.get(targetKey);
+    const pagesTotal = pageKeys.length + 1;
+
+    let createdBlocks;
+    let blocksDone = 0;
+    try {
+        await Page.insertMany(plan.pages.map((page) => ({ ...page, userId })));
+
+        for (const [index, key] of pageKeys.entries()) {
+            const blocks = await copyAttachments(plan.blocksByPage.get(key), { userId, sourceUserId });
+            for (let i = 0; i < blocks.length; i += INSERT_BATCH) {
+                await Block.insertMany(blocks.slice(i, i + INSERT_BATCH));
+            }
+            blocksDone += blocks.length;
+            onProgress?.({ pagesDone: index + 1, pagesTotal, blocksDone });
+        }
+
+        // The target page last, so its new page blocks never point at missing pages
+        const blocks = await copyAttachments(targetBlocks, { userId, sourceUserId });
+        createdBlocks = blocks.length > 0
+            ? (await Block.insertMany(blocks)).map((doc) => doc.toObject())
+            : [];
+        blocksDone += targetBlocks.length;
+        onProgress?.({ pagesDone: pagesTotal, pagesTotal, blocksDone });
+    } catch (error) {
+        // Don't leave a half-imported tree behind
+        await Block.deleteMany({ pageId: { $in: newPageIds } });
+        await Block.deleteMany({ _id: { $in: targetBlocks.map((block) => block._id) } });
+        await Page.deleteMany({ _id: { $in: newPageIds } });
+        throw error;
+    }
+
+    return {
+        pageCount: plan.pages.length,
+        blockCount: blocksDone,
+        skippedLinks: plan.skippedLinks,
+        createdBlocks,
+    };
+}
@@ -0,0 +1,192 @@
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+
+/**
+ * Full-text search over a user's pages and blocks.
+ *
+ * Uses the MongoDB text indexes on Page (title) and Block (content.text,
+ * content.code, content.url). Both collections are queried separately,
+ * then merged by text score. Trashed pages and blocks never match
+ * (soft delete filter), and neither do blocks of trashed pages.
+ *
+ * Note: MongoDB text search matches whole (stemmed) words, not prefixes.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Characters of context shown before a match in a snippet
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+
+// Title matches rank a little above equally scored block matches
+const TITLE_BOOST = 1.5;
+
+// Content fields searched, in the order used for snippets
+const CONTENT_FIELDS = ['text', 'code', 'url'];
+
+/**
+ * Block types that can be searched ('page' blocks are found via the page title).
+ */
+export function getSearchableBlockTypes() {
+    return Block.schema.path('type').enumValues.filter((type) => type !== 'page');
+}
+
+/**
+ * Splits a query into lower-case terms for highlighting.
+ * Negated terms (-word) are dropped, quoted phrases are kept whole.
+ */
+export function parseSearchTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const negated = match[1] || match[3];
+        const term = (match[2] || match[4] || '').toLowerCase().trim();
+        if (!negated && term) terms.push(term);
+    }
+
+    return terms;
+}
+
+/**
+ * Cuts a snippet around the first matching term.
+ *
+ * @param {string} text - Full text
+ * @param {string[]} terms - Lower-case search terms
+ * @returns {{ snippet: string, highlights: Array<{ start: number, end: number }> }}
+ *   highlights are character ranges in the snippet
+ */
+export function buildSnippet(text, terms) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    const lower = clean.toLowerCase();
+
+    const firstMatch = terms
+        .map((term) => lower.indexOf(term))
+        .filter((index) => index !== -1)
+        .sort((a, b) => a - b)[0] ?? 0;
+
+    let start = Math.max(0, firstMatch - SNIPPET_BEFORE);
+    // Start on a word boundary when cutting into the text
+    if (start > 0) {
+        const space = clean.indexOf(' ', start);
+        if (space !== -1 && space < firstMatch) start = space + 1;
+    }
+    const end = Math.min(clean.length, start + SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < clean.length ? '…' : '';
+    const body = clean.slice(start, end);
+    const snippet = `${prefix}${body}${suffix}`;
+
+    // Collect every term occurrence inside the snippet, merging overlaps
+    const ranges = [];
+    const bodyLower = body.toLowerCase();
+    terms.forEach((term) => {
+        let index = bodyLower.indexOf(term);
+        while (index !== -1) {
+            ranges.push({ start: index + prefix.length, end: index + prefix.length + term.length });
+            index = bodyLower.indexOf(term, index + term.length);
+        }
+    });
+
+    ranges.sort((a, b) => a.start - b.start);
+    const highlights = [];
+    ranges.forEach((range) => {
+        const last = highlights[highlights.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            highlights.push({ ...range });
+        }
+    });
+
+    return { snippet, highlights };
+}
+
+/**
+ * Picks the content field to show for a block: the first one that
+ * contains a term, otherwise the first non-empty one.
+ */
+function blockSearchText(block, terms) {
+    const values = CONTENT_FIELDS
+        .map((field) => block.content?.[field])
+        .filter((value) => typeof value === 'string' && value.trim());
+
+    return values.find((value) => terms.some((term) => value.toLowerCase().includes(term)))
+        || values[0]
+        || '';
+}
+
+/**
+ * Searches the user's live pages and blocks.
+ *
+ * @param {string} userId - Owner
+ * @param {object} options
+ * @param {string} options.query - Search text (MongoDB $text syntax: words, "phrases", -negation)
+ * @param {string[]} [options.types] - Block types to include; 'page' = page titles
+ * @param {string} [options.pageId] - Only search this page
+ * @param {number} [options.limit] - Max results (default 20, max 50)
+ * @returns {Promise<Array>} Results sorted by score:
+ *   { kind: 'page'|'block', pageId, pageTitle, parentPageId, blockId?, blockType?, score, snippet, highlights }
+ */
+export async function searchWorkspace(userId, { query, types = null, pageId = null, limit = DEFAULT_LIMIT }) {
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const terms = parseSearchTerms(query);
+
+    const pages = await Page.find({ userId }).select('_id title parentPageId').lean();
+    const pageMap = new Map(pages.map((p) => [p._id.toString(), p]));
+
+    const includePages = !types || types.includes('page');
+    const blockTypes = types ? types.filter((type) => type !== 'page') : getSearchableBlockTypes();
+
+    const textFilter = { $text: { $search: query } };
+    const scoreProjection = { score: { $meta: 'textScore' } };
+    const scoreSort = { score: { $meta: 'textScore' } };
+
+    const [pageMatches, blockMatches] = await Promise.all([
+        includePages
+            ? Page.find(
+                { userId, ...textFilter, ...(pageId && { _id: pageId }) },
+                { ...scoreProjection, title: 1, parentPageId: 1 }
+            ).sort(scoreSort).limit(max).lean()
+            : [],
+        blockTypes.length > 0
+            ? Block.find(
+                {
+                    ...textFilter,
+                    pageId: pageId || { $in: pages.map((p) => p._id) },
+                    type: { $in: blockTypes },
+                },
+                scoreProjection
+            ).sort(scoreSort).limit(max).lean()
+            : [],
+    ]);
+
+    const results = [
+        ...pageMatches.map((page) => ({
+            kind: 'page',
+            pageId: page._id,
+            pageTitle: page.title || 'Untitled',
+            parentPageId: page.parentPageId || null,
+            score: page.score * TITLE_BOOST,
+            ...buildSnippet(page.title, terms),
+        })),
+        ...blockMatches.map((block) => {
+            const page = pageMap.get(block.pageId.toString());
+            return {
+                kind: 'block',
+                blockId: block._id,
+                blockType: block.type,
+                pageId: block.pageId,
+                pageTitle: page?.title || 'Untitled',
+                parentPageId: page?.parentPageId || null,
+                score: block.score,
+                ...buildSnippet(blockSearchText(block, terms), terms),
+            };
+        }),
+    ];
+
+    return results.sort((a, b) => b.score - a.score).slice(0, max);
+}
@@ -0,0 +1,314 @@
+import mongoose from 'mongoose';
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+import Template from '@/models/Template';
+import { generateNKeysBetween } from '@/utils/fractionalIndex';
+
+/**
+ * Page templates.
+ *
+ * A template is a tree of { title, blocks } nodes (see models/Template.js).
+ * Saving a page as a template snapshots the page, its blocks and its
+ * child pages (for a database, its schema and rows) into that tree;
+ * using a template creates fresh pages and blocks from it. Built-in
+ * templates are defined below and share the same shape, with string IDs
+ * instead of ObjectIds.
+ */
+
+// Limits for saving a page tree as a template
+const MAX_DEPTH = 10;
+const MAX_PAGES = 50;
+
+const text = (type, value) => ({ type, content: { text: value } });
+const todo = (value) => ({ type: 'todo', content: { text: value, checked: false } });
+
+const BUILT_IN_TEMPLATES = [
+    {
+        _id: 'meeting-notes',
+        name: 'Meeting notes',
+        description: 'Agenda, notes, decisions and action items for a meeting.',
+        root: {
+            title: 'Meeting notes',
+            blocks: [
+                text('paragraph', 'Date: \nAttendees: '),
+                text('heading2', 'Agenda'),
+                text('paragraph', '1. '),
+                text('heading2', 'Notes'),
+                text('paragraph', ''),
+                text('heading2', 'Decisions'),
+                text('quote', 'What did we agree on?'),
+                text('heading2', 'Action items'),
+                todo('Owner — task — due date'),
+                todo(''),
+            ],
+        },
+    },
+    {
+        _id: 'project-brief',
+        name: 'Project brief',
+        description: 'Goals, scope and milestones, with a page for research notes.',
+        root: {
+            title: 'Project brief',
+            blocks: [
+                text('heading1', 'Overview'),
+                text('paragraph', 'What are we building, and for whom?'),
+                text('heading2', 'Goals'),
+                text('paragraph', 'What does success look like?'),
+                text('heading2', 'Scope'),
+                text('paragraph', 'In scope:\nOut of scope:'),
+                text('heading2', 'Milestones'),
+                todo('Kickoff'),
+                todo('First draft'),
+                todo('Launch'),
+                text('heading2', 'Resources'),
+                {
+                    type: 'page',
+                    page: {
+                        title: 'Research notes',
+                        blocks: [
+                            text('heading2', 'Findings'),
+                            text('paragraph', ''),
+                            text('heading2', 'Open questions'),
+                            todo(''),
+                        ],
+                    },
+                },
+            ],
+        },
+    },
+    {
+        _id: 'weekly-journal',
+        name: 'Weekly journal',
+        description: 'Plan the week, then look back on what went well.',
+        root: {
+            title: 'Weekly journal',
+            blocks: [
+                text('quote', 'Focus for this week: '),
+                text('heading2', 'Priorities'),
+                todo(''),
+                todo(''),
+                todo(''),
+                text('heading2', 'Highlights'),
+                text('paragraph', ''),
+                text('heading2', 'What could have gone better?'),
+                text('paragraph', ''),
+                text('heading2', 'Next week'),
+                text('paragraph', ''),
+            ],
+        },
+    },
+];
+
+/**
+ * Number of pages and blocks in a template tree.
+ */
+function countNodes(node) {
+    const counts = { pages: 1, blocks: 0 };
+    const addChild = (child) => {
+        const childCounts = countNodes(child);
+        counts.pages += childCounts.pages;
+        counts.blocks += childCounts.blocks;
+    };
+    (node?.blocks || []).forEach((block) => {
+        counts.blocks += 1;
+        if (block.type === 'page' && block.page) addChild(block.page);
+    });
+    (node?.rows || []).forEach(addChild);
+    return counts;
+}
+
+/**
+ * List entry for a template (without its tree).
+ */
+function toSummary(template, builtIn) {
+    const { pages, blocks } = countNodes(template.root);
+    return {
+        _id: template._id,
+        name: template.name,
+        description: template.description || '',
+        builtIn,
+        pageCount: pages,
+        blockCount: blocks,
+        createdAt: template.createdAt || null,
+    };
+}
+
+/**
+ * Built-in templates followed by the user's own, newest first.
+ *
+ * @returns {Promise<Array<{ _id, name, description, builtIn, pageCount, blockCount }>>}
+ */
+export async function listTemplates(userId) {
+    const own = await Template.find({ userId }).sort({ createdAt: -1 }).lean();
+
+    return [
+        ...BUILT_IN_TEMPLATES.map((template) => toSummary(template, true)),
+        ...own.map((template) => toSummary(template, false)),
+    ];
+}
+
+/**
+ * Finds a built-in template by its string ID, or one of the user's
+ * templates by ObjectId.
+ *
+ * @returns {Promise<object|null>} Template with its `root` tree
+ */
+export async function getTemplate(templateId, userId) {
+    const builtIn = BUILT_IN_TEMPLATES.find((t) => t._id === templateId);
+    if (builtIn) return { ...builtIn, builtIn: true };
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) return null;
+
+    const template = await Template.findOne({ _id: templateId, userId }).lean();
+    return template ? { ...template, builtIn: false } : null;
+}
+
+/**
+ * Snapshots a page, its blocks and its child pages into a template node.
+ * Page blocks that don't link to a live child page are left out, as are
+ * pages beyond MAX_DEPTH / MAX_PAGES. A database keeps its schema, and
+ * its rows (which have no page blocks) go into `rows` with their values.
+ */
+async function snapshotPage(page, depth, counter) {
+    await Block.migrateOrderKeys(page._id);
+
+    const blocks = await Block.find({ pageId: page._id }).sort({ order: 1, _id: 1 }).lean();
+    const children = await Page.find({ userId: page.userId, parentPageId: page._id })
+        .select('_id title userId isDatabase propertySchema propertyValues')
+        .sort({ _id: 1 })
+        .lean();
+    const childMap = new Map(children.map((child) => [child._id.toString(), child]));
+
+    const nodes = [];
+    for (const block of blocks) {
+        if (block.type === 'page') {
+            // Every child of a database is a row, taken below
+            if (page.isDatabase) continue;
+
+            const child = childMap.get(String(block.content?.pageId));
+            if (!child || depth >= MAX_DEPTH || counter.pages >= MAX_PAGES) continue;
+
+            counter.pages += 1;
+            nodes.push({ type: 'page', page: await snapshotPage(child, depth + 1, counter) });
+            continue;
+        }
+
+        nodes.push({
+            type: block.type,
+            content: block.content ?? {},
+            backgroundColor: block.backgroundColor ?? null,
+        });
+    }
+
+    const node = { title: page.title, blocks: nodes };
+    if (!page.isDatabase) return node;
+
+    // Rows in creation order, which is their default order in the table
+    const rows = [];
+    for (const row of children) {
+        if (depth >= MAX_DEPTH || counter.pages >= MAX_PAGES) break;
+
+        counter.pages += 1;
+        rows.push({
+            ...(await snapshotPage(row, depth + 1, counter)),
+            propertyValues: row.propertyValues ?? {},
+        });
+    }
+
+    return { ...node, isDatabase: true, propertySchema: page.propertySchema ?? [], rows };
+}
+
+/**
+ * Saves a page (with its child pages) as a template of the page owner.
+ *
+ * @param {object} page - Lean page (ownership already checked)
+ * @param {object} [options]
+ * @param {string} [options.name] - Defaults to the page title
+ * @param {string} [options.description]
+ * @returns {Promise<object>} The new template document
+ */
+export async function createTemplateFromPage(page, { name, description = '' } = {}) {
+    const root = await snapshotPage(page, 0, { pages: 1 });
+
+    return Template.create({
+        userId: page.userId,
+        name: name || page.title || 'Untitled',
+        description,
+        root,
+        sourcePageId: page._id,
+    });
+}
+
+/**
+ * Creates a page (and its child pages) from a template node.
+ * Database schemas and row values keep their property _ids, so the new
+ * rows' values match the new database's schema.
+ */
+async function createPageFromNode(node, { userId, parentPageId, title, depth }) {
+    const page = await Page.create({
+        title: (title || node.title || 'Untitled').slice(0, 200),
+        userId,
+        parentPageId,
+        ...(node.isDatabase && { isDatabase: true, propertySchema: node.propertySchema ?? [] }),
+        ...(node.propertyValues && { propertyValues: structuredClone(node.propertyValues) }),
+    });
+
+    const blocks = (node.blocks || []).filter(
+        (block) => block.type !== 'page' || (block.page && depth < MAX_DEPTH)
+    );
+    const orders = generateNKeysBetween(null, null, blocks.length);
+
+    const docs = [];
+    for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+
+        if (block.type === 'page') {
+            const child = await createPageFromNode(block.page, {
+                userId,
+                parentPageId: page._id,
+                depth: depth + 1,
+            });
+            docs.push({
+                pageId: page._id,
+                type: 'page',
+                order: orders[i],
+                content: { pageId: child._id, title: child.title },
+            });
+            continue;
+        }
+
+        docs.push({
+            pageId: page._id,
+            type: block.type,
+            order: orders[i],
+            content: structuredClone(block.content ?? {}),
+            backgroundColor: block.backgroundColor ?? null,
+        });
+    }
+
+    if (docs.length > 0) {
+        await Block.insertMany(docs);
+    }
+
+    // One at a time, so the rows keep their order
+    const rows = node.isDatabase && depth < MAX_DEPTH ? node.rows || [] : [];
+    for (const row of rows) {
+        await createPageFromNode(row, { userId, parentPageId: page._id, depth: depth + 1 });
+    }
+
+    return page;
+}
+
+/**
+ * Creates a new page tree from a template.
+ *
+ * @param {object} template - From getTemplate()
+ * @param {object} options
+ * @param {string} options.userId - Owner of the new pages
+ * @param {string|null} [options.parentPageId] - Parent for the new page
+ * @param {string} [options.title] - Overrides the template's page title
+ * @returns {Promise<object>} The new root page document
+ */
+export async function instantiateTemplate(template, { userId, parentPageId = null, title = null }) {
+    return createPageFromNode(template.root, { userId, parentPageId, title, depth: 0 });
+}
@@ -0,0 +1,302 @@
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+import PageVersion from '@/models/PageVersion';
+import { pageLinkFilter } from '@/services/pageService';
+import { collectOrphanAssets } from '@/services/assetService';
+
+/**
+ * Trash (soft delete) for pages and blocks.
+ *
+ * - Deleting a page stamps it and every live descendant with one shared
+ *   `deletedAt`, together with the page block that links it from its
+ *   parent. That timestamp is what ties the subtree together: restore and
+ *   purge act on exactly the documents trashed in the same deletion.
+ * - Deleted blocks are stamped individually and restored in place.
+ * - Items older than TRASH_RETENTION_DAYS are purged for good
+ *   (checked lazily whenever the page list or the trash is loaded).
+ *   0 keeps trashed items until they are purged by hand.
+ * - Purging frees uploaded files that nothing references anymore
+ *   (see services/assetService.js).
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Trashed blocks listed in the trash view (newest first)
+const MAX_LISTED_BLOCKS = 100;
+
+export function getTrashRetentionDays() {
+    const days = Number(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Recursively collects a page and its descendant page IDs.
+ *
+ * @param {string} pageId - Root of the subtree
+ * @param {string} userId - Owner
+ * @param {Date|null} deletedAt - Only follow children with this trash
+ *   timestamp (null = live children)
+ */
+async function collectSubtree(pageId, userId, deletedAt = null) {
+    const allIds = [pageId];
+
+    const children = await Page.find({
+        parentPageId: pageId,
+        userId,
+        deletedAt,
+    }).select('_id').lean();
+
+    for (const child of children) {
+        const childDescendants = await collectSubtree(child._id, userId, deletedAt);
+        allIds.push(...childDescendants);
+    }
+
+    return allIds;
+}
+
+/**
+ * Moves a page and its live descendants to the trash.
+ * The page block linking it from the parent page is trashed with it.
+ *
+ * @param {object} page - Live page document (ownership already checked)
+ * @returns {Promise<{ pageIds: Array, removedBlocks: Array }>}
+ *   removedBlocks are the parent's page blocks that were trashed
+ */
+export async function trashPageTree(page) {
+    const deletedAt = new Date();
+    const pageIds = await collectSubtree(page._id, page.userId);
+
+    await Page.updateMany(
+        { _id: { $in: pageIds }, deletedAt: null },
+        { $set: { deletedAt } }
+    );
+
+    let removedBlocks = [];
+    if (page.parentPageId) {
+        const filter = pageLinkFilter(page.parentPageId, page._id);
+        removedBlocks = await Block.find(filter).select('_id').lean();
+        await Block.updateMany(filter, { $set: { deletedAt } });
+    }
+
+    return { pageIds, removedBlocks };
+}
+
+/**
+ * Restores a trashed page together with everything trashed with it.
+ * If the parent page is gone or itself in the trash, the page comes back
+ * as a top-level page; otherwise its page block in the parent is
+ * restored (or re-created at the end of the parent).
+ *
+ * @param {string} pageId - Trashed page
+ * @param {string} userId - Owner
+ * @returns {Promise<{ page: object, pageIds: Array, restoredBlocks: Array }|null>}
+ *   null if the page is not in the user's trash; restoredBlocks are the
+ *   page blocks that reappeared in the parent
+ */
+export async function restorePageTree(pageId, userId) {
+    const page = await Page.findOne({ _id: pageId, userId, deletedAt: { $ne: null } }).lean();
+    if (!page) return null;
+
+    const { deletedAt } = page;
+    const pageIds = await collectSubtree(page._id, userId, deletedAt);
+
+    const parent = page.parentPageId
+        ? await Page.findOne({ _id: page.parentPageId, userId }).select('_id').lean()
+        : null;
+
+    await Page.updateMany(
+        { _id: { $in: pageIds }, deletedAt },
+        { $set: { deletedAt: null } }
+    );
+
+    let restoredBlocks = [];
+    if (parent) {
+        const filter = { ...pageLinkFilter(parent._id, page._id), deletedAt };
+        const trashedLinks = await Block.find(filter).select('_id').lean();
+
+        if (trashedLinks.length > 0) {
+            await Block.updateMany(filter, { $set: { deletedAt: null } });
+            restoredBlocks = await Block.find({ _id: { $in: trashedLinks.map((b) => b._id) } }).lean();
+        } else {
+            const block = await Block.create({
+                pageId: parent._id,
+                type: 'page',
+                content: { pageId: page._id, title: page.title },
+                order: await Block.getNextOrder(parent._id),
+            });
+            restoredBlocks = [block.toJSON()];
+        }
+    } else if (page.parentPageId) {
+        await Page.updateOne({ _id: page._id }, { $set: { parentPageId: null } });
+    }
+
+    const restored = await Page.findById(page._id).lean();
+    return { page: restored, pageIds, restoredBlocks };
+}
+
+/**
+ * Permanently deletes pages with their blocks and version history.
+ */
+async function destroyPages(pageIds) {
+    await Block.deleteMany({ pageId: { $in: pageIds } }).setOptions({ includeTrashed: true });
+    await PageVersion.deleteMany({ pageId: { $in: pageIds } });
+    await Page.deleteMany({ _id: { $in: pageIds } }).setOptions({ includeTrashed: true });
+}
+
+/**
+ * Permanently deletes a trashed page and everything trashed with it.
+ *
+ * @returns {Promise<number|null>} Number of pages purged, null if not in trash
+ */
+export async function purgePageTree(pageId, userId) {
+    const page = await Page.findOne({ _id: pageId, userId, deletedAt: { $ne: null } }).lean();
+    if (!page) return null;
+
+    const pageIds = await collectSubtree(page._id, userId, page.deletedAt);
+    await destroyPages(pageIds);
+
+    if (page.parentPageId) {
+        await Block.deleteMany({
+            ...pageLinkFilter(page.parentPageId, page._id),
+            deletedAt: page.deletedAt,
+        });
+    }
+
+    await collectOrphanAssets(userId);
+    return pageIds.length;
+}
+
+/**
+ * Finds a trashed block whose page is live and owned by the user.
+ */
+async function findTrashedBlock(blockId, userId) {
+    const block = await Block.findOne({ _id: blockId, deletedAt: { $ne: null } }).lean();
+    if (!block) return null;
+
+    const page = await Page.exists({ _id: block.pageId, userId });
+    return page ? block : null;
+}
+
+/**
+ * Restores a single trashed block in place (it kept its order key).
+ *
+ * @returns {Promise<object|null>} The restored block, null if not in trash
+ */
+export async function restoreBlock(blockId, userId) {
+    const block = await findTrashedBlock(blockId, userId);
+    if (!block) return null;
+
+    return Block.findOneAndUpdate(
+        { _id: blockId, deletedAt: block.deletedAt },
+        { $set: { deletedAt: null }, $inc: { revision: 1 } },
+        { new: true }
+    ).lean();
+}
+
+/**
+ * Permanently deletes a single trashed block.
+ *
+ * @returns {Promise<boolean>} Whether the block was in the trash
+ */
+export async function purgeBlock(blockId, userId) {
+    const block = await findTrashedBlock(blockId, userId);
+    if (!block) return false;
+
+    await Block.deleteOne({ _id: blockId, deletedAt: block.deletedAt });
+    if (['image', 'file'].includes(block.type)) await collectOrphanAssets(userId);
+    return true;
+}
+
+/**
+ * Lists the user's trash.
+ * Pages are listed once per deletion (the root of each trashed subtree);
+ * blocks are listed when their page is live. Page blocks are not listed
+ * on their own, they come back with their page.
+ *
+ * @returns {Promise<{ pages: Array, blocks: Array, retentionDays: number }>}
+ */
+export async function listTrash(userId) {
+    const trashedPages = await Page.find({ userId, deletedAt: { $ne: null } })
+        .select('_id title parentPageId deletedAt')
+        .sort({ deletedAt: -1 })
+        .lean();
+
+    const trashedMap = new Map(trashedPages.map((p) => [p._id.toString(), p]));
+    const pages = [];
+
+    trashedPages.forEach((page) => {
+        const parent = page.parentPageId && trashedMap.get(page.parentPageId.toString());
+        if (parent && parent.deletedAt.getTime() === page.deletedAt.getTime()) return;
+
+        const descendantCount = trashedPages.filter(
+            (p) => p !== page && p.deletedAt.getTime() === page.deletedAt.getTime()
+        ).length;
+        pages.push({ ...page, descendantCount });
+    });
+
+    const livePages = await Page.find({ userId }).select('_id title').lean();
+    const livePageMap = new Map(livePages.map((p) => [p._id.toString(), p]));
+
+    const trashedBlocks = await Block.find({
+        pageId: { $in: livePages.map((p) => p._id) },
+        type: { $ne: 'page' },
+        deletedAt: { $ne: null },
+    })
+        .sort({ deletedAt: -1 })
+        .limit(MAX_LISTED_BLOCKS)
+        .lean();
+
+    const blocks = trashedBlocks.map((block) => ({
+        ...block,
+        pageTitle: livePageMap.get(block.pageId.toString())?.title || 'Untitled',
+    }));
+
+    return { pages, blocks, retentionDays: getTrashRetentionDays() };
+}
+
+/**
+ * Permanently deletes everything in the user's trash, or only items
+ * trashed before `cutoff`.
+ *
+ * @param {string} userId - Owner
+ * @param {Date} [cutoff] - Purge items trashed at or before this date
+ * @returns {Promise<{ pages: number, blocks: number }>} Purged counts
+ */
+export async function purgeTrash(userId, cutoff = null) {
+    const deletedAt = cutoff ? { $ne: null, $lte: cutoff } : { $ne: null };
+
+    const expiredPages = await Page.find({ userId, deletedAt }).select('_id').lean();
+    const expiredPageIds = expiredPages.map((p) => p._id);
+    if (expiredPageIds.length > 0) {
+        await destroyPages(expiredPageIds);
+    }
+
+    const ownedPages = await Page.find({ userId }).setOptions({ includeTrashed: true }).select('_id').lean();
+    const { deletedCount } = await Block.deleteMany({
+        pageId: { $in: ownedPages.map((p) => p._id) },
+        deletedAt,
+    });
+
+    if (expiredPageIds.length > 0 || deletedCount > 0) {
+        await collectOrphanAssets(userId);
+    }
+
+    return { pages: expiredPageIds.length, blocks: deletedCount };
+}
+
+/**
+ * Purges trash older than the retention period.
+ * Never throws: a failed cleanup must not break the request that ran it.
+ */
+export async function purgeExpiredTrash(userId) {
+    const days = getTrashRetentionDays();
+    if (days === 0) return null;
+
+    try {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        return await purgeTrash(userId, cutoff);
+    } catch (error) {
+        console.error('Trash auto-purge error:', error);
+        return null;
+    }
+}
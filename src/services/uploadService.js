@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import Asset from '@/models/Asset';
+import { getStorage } from '@/lib/storage';
+import { recordAsset, checkUploadAllowed } from '@/services/assetService';
+import { readImageInfo } from '@/utils/imageInfo';
+import { sniffFileType, FILE_TYPES } from '@/utils/fileType';
+
+/**
+ * Image and attachment uploads.
+ *
+ * Every uploaded image goes through here, whether it comes from the
+ * image block (POST /api/upload) or an importer: it is checked to be a
+ * real JPG, PNG or WebP and stored in the app's folder with the
+ * configured storage driver (see lib/storage), which converts it to
+ * WebP: Cloudinary on its side, the local driver with sharp (see
+ * lib/imageProcessing.js), also stripping metadata and storing smaller
+ * copies for srcset. Each stored file is
+ * recorded as an Asset of the uploader (see services/assetService.js);
+ * callers check the upload limits first.
+ *
+ * Attachments (file blocks) are identified by their contents, must be
+ * one of the UPLOAD_FILE_TYPES and are stored privately: blocks link
+ * to /api/assets/:id/download, which only serves the owner (or signed
+ * links). Blocks copied from another user's pages get their own copy
+ * of the file (copyAttachments()).
+ */
+
+const UPLOAD_FOLDER = 'notion-clone';
+const DOWNLOAD_URL_RE = /^\/api\/assets\/([a-f\d]{24})\/download$/i;
+const ATTACHMENT_FOLDER = 'attachments';
+
+// Attachment types accepted when UPLOAD_FILE_TYPES is not set
+const DEFAULT_FILE_TYPES = [
+    'pdf', 'zip',
+    'docx', 'xlsx', 'pptx', 'doc', 'xls', 'ppt', 'odt', 'ods', 'odp',
+    'mp3', 'wav', 'ogg', 'flac', 'm4a',
+];
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+
+// Image types by file extension, for files that come without a MIME type
+const IMAGE_EXTENSIONS = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+};
+
+/**
+ * MIME type of an image file name, or null if it isn't an accepted image.
+ */
+export function imageTypeFromName(filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    return IMAGE_EXTENSIONS[extension] || null;
+}
+
+/**
+ * Whether bytes are an image that can be uploaded.
+ */
+export function isSupportedImage(buffer) {
+    return readImageInfo(buffer) !== null;
+}
+
+/**
+ * Uploads image bytes.
+ *
+ * @param {Buffer} buffer - Image file contents
+ * @param {object} owner - { userId, pageId? } the asset is recorded for
+ * @returns {Promise<{ url: string, publicId: string, format: string, width: number, height: number, size: number, variants: number[] }>}
+ */
+export async function uploadImage(buffer, { userId, pageId = null }) {
+    const info = readImageInfo(buffer);
+    if (!info) {
+        throw new Error('Not a JPG, PNG or WebP image');
+    }
+
+    const storage = getStorage();
+    const stored = await storage.put(buffer, {
+        folder: UPLOAD_FOLDER,
+        contentType: info.contentType,
+        extension: info.format === 'jpeg' ? 'jpg' : info.format,
+    });
+    const asset = await recordAsset(
+        { ...stored, width: stored.width ?? info.width, height: stored.height ?? info.height },
+        { userId, pageId, driver: storage.name }
+    );
+
+    return {
+        url: stored.url,
+        publicId: stored.key,
+        format: stored.format,
+        width: asset.width,
+        height: asset.height,
+        size: asset.size,
+        variants: asset.variants,
+    };
+}
+
+/**
+ * Attachment types (extensions) accepted for file blocks.
+ * UPLOAD_FILE_TYPES is a comma-separated list of extensions from
+ * utils/fileType.js, e.g. "pdf,zip,mp3".
+ */
+export function getAllowedFileTypes() {
+    const configured = (process.env.UPLOAD_FILE_TYPES || '')
+        .split(',')
+        .map((type) => type.trim().toLowerCase().replace(/^\./, ''))
+        .filter((type) => FILE_TYPES[type]);
+    return configured.length > 0 ? configured : DEFAULT_FILE_TYPES;
+}
+
+/**
+ * Checks an attachment's contents.
+ *
+ * @returns {{ error: string|null, type: object|null }} The detected type,
+ *   or why the file is refused
+ */
+export function checkAttachment(buffer, filename) {
+    const type = sniffFileType(buffer, filename);
+    const allowed = getAllowedFileTypes();
+    if (!type || !allowed.includes(type.extension)) {
+        return { error: `Unsupported file type. Allowed: ${allowed.join(', ')}`, type: null };
+    }
+    return { error: null, type };
+}
+
+/**
+ * Cleans a file name for storage and the download header.
+ */
+function cleanFileName(filename, extension) {
+    const name = String(filename || '')
+        .split(/[\\/]/).pop()
+        .replace(/[\u0000-\u001f\u007f"]/g, '')
+        .trim()
+        .slice(0, 200);
+    return name || `file.${extension}`;
+}
+
+/**
+ * Uploads an attachment (checked with checkAttachment() first).
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {object} file - { name, type } original name and detected type
+ * @param {object} owner - { userId, pageId? } the asset is recorded for
+ * @returns {Promise<{ url: string, assetId: string, name: string, size: number, mimeType: string, extension: string }>}
+ */
+export async function uploadFile(buffer, { name, type }, { userId, pageId = null }) {
+    const storage = getStorage();
+    const stored = await storage.put(buffer, {
+        folder: ATTACHMENT_FOLDER,
+        contentType: type.mimeType,
+        extension: type.extension,
+        private: true,
+    });
+
+    const assetId = new mongoose.Types.ObjectId();
+    const asset = await recordAsset(
+        { ...stored, contentType: type.mimeType },
+        {
+            _id: assetId,
+            userId,
+            pageId,
+            driver: storage.name,
+            kind: 'file',
+            name: cleanFileName(name, type.extension),
+            url: `/api/assets/${assetId}/download`,
+        }
+    );
+
+    return {
+        url: asset.url,
+        assetId: asset._id,
+        name: asset.name,
+        size: buffer.length,
+        mimeType: type.mimeType,
+        extension: type.extension,
+    };
+}
+
+/**
+ * Contents of a stored attachment, or null if it can't be read.
+ */
+async function readAttachment(asset) {
+    const storage = getStorage(asset.driver);
+    if (storage.read) return storage.read(asset.publicId);
+
+    const res = await fetch(storage.signedUrl(asset.publicId, { expiresIn: 60 }));
+    return res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+}
+
+/**
+ * Copies an attachment of the user who owns the source page into
+ * `userId`'s storage, so a file block copied from that page keeps a file
+ * its new owner may download. Only files of the source page's owner are
+ * copied: block content is written by users, so a URL alone proves
+ * nothing. Counts against the new owner's upload limits.
+ *
+ * @param {string} url - content.url of the file block
+ * @param {object} options - { userId, pageId?, sourceUserId } owner of the
+ *   copy, and owner of the page the block is copied from
+ * @returns {Promise<object|null>} New file fields for the block (as
+ *   uploadFile()), null to keep the block as it is (not an attachment,
+ *   or already the user's)
+ * @throws if the file is missing, not the source owner's, or over the limits
+ */
+export async function copyAttachment(url, { userId, pageId = null, sourceUserId }) {
+    const match = DOWNLOAD_URL_RE.exec(url || '');
+    if (!match) return null;
+
+    const asset = await Asset.findOne({ _id: match[1], kind: 'file' }).lean();
+    if (!asset || asset.userId.toString() !== sourceUserId.toString()) {
+        throw new Error('Attachment not found');
+    }
+    if (asset.userId.toString() === userId.toString()) return null;
+
+    const refusal = await checkUploadAllowed(userId, asset.size);
+    if (refusal) throw new Error(refusal.error);
+
+    const buffer = await readAttachment(asset);
+    if (!buffer) throw new Error('Attachment not found');
+
+    const { error, type } = checkAttachment(buffer, asset.name);
+    if (error) throw new Error(error);
+
+    return uploadFile(buffer, { name: asset.name, type }, { userId, pageId });
+}
+
+/**
+ * Gives the file blocks in a list of blocks about to be inserted for
+ * `userId` their own copy of each attachment (see copyAttachment()).
+ * Blocks whose file can't be copied keep their name but lose the link.
+ *
+ * @param {Array} blocks - Block documents to insert ({ pageId, type, content })
+ * @param {object} owners - { userId, sourceUserId }
+ * @returns {Promise<Array>} The blocks, with file content rewritten
+ */
+export async function copyAttachments(blocks, { userId, sourceUserId }) {
+    const copied = [];
+    // One at a time: each copy holds a whole file in memory
+    for (const block of blocks) {
+        if (block.type !== 'file' || !block.content?.url) {
+            copied.push(block);
+            continue;
+        }
+        try {
+            const file = await copyAttachment(block.content.url, { userId, pageId: block.pageId, sourceUserId });
+            copied.push(file
+                ? {
+                    ...block,
+                    content: {
+                        ...block.content,
+                        url: file.url,
+                        name: file.name,
+                        size: file.size,
+                        mimeType: file.mimeType,
+                        extension: file.extension,
+                    },
+                }
+                : block);
+        } catch (error) {
+            console.error('Attachment copy error:', error);
+            copied.push({ ...block, content: { ...block.content, url: null } });
+        }
+    }
+    return copied;
+}
@@ -0,0 +1,390 @@
+import mongoose from 'mongoose';
+import Block from '@/models/Block';
+import Page from '@/models/Page';
+import PageVersion from '@/models/PageVersion';
+import { assignOrderKeys } from '@/utils/fractionalIndex';
+
+/**
+ * Page version history.
+ *
+ * Snapshots are taken after page writes. Before a write, the current
+ * state is saved as a 'checkpoint' version unless the latest version
+ * already holds it (same page revision). So the state before the first
+ * write to a page without history, or after writes that record no
+ * version, can always be restored.
+ *
+ * To keep history useful without storing every keystroke save:
+ * - Throttle: a write of the same reason within PAGE_VERSION_INTERVAL_MINUTES
+ *   of the latest version updates that version instead of adding one.
+ *   A run of such writes keeps only its end state; the state before the
+ *   run is the version (or checkpoint) taken before its first write.
+ *   A write that removes or replaces blocks (deleted, converted to
+ *   another type, or overwritten by a full sync) always starts a new
+ *   version, so the state before it is kept too.
+ * - Retention: only the newest PAGE_VERSION_LIMIT versions per page are kept.
+ */
+
+const DEFAULT_INTERVAL_MINUTES = 10;
+const DEFAULT_VERSION_LIMIT = 50;
+
+function getIntervalMs() {
+    const minutes = Number(process.env.PAGE_VERSION_INTERVAL_MINUTES);
+    return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+}
+
+function getVersionLimit() {
+    const limit = parseInt(process.env.PAGE_VERSION_LIMIT, 10);
+    return limit > 0 ? limit : DEFAULT_VERSION_LIMIT;
+}
+
+/**
+ * Current title and blocks of a page in snapshot form.
+ */
+async function captureState(pageId) {
+    const page = await Page.findById(pageId).select('title userId revision').lean();
+    if (!page) return null;
+
+    const blocks = await Block.find({ pageId }).sort({ order: 1, _id: 1 }).lean();
+
+    return {
+        page,
+        snapshot: {
+            title: page.title,
+            revision: page.revision ?? 0,
+            blocks: blocks.map((block) => ({
+                blockId: block._id,
+                type: block.type,
+                content: block.content,
+                order: String(block.order),
+                backgroundColor: block.backgroundColor ?? null,
+            })),
+        },
+    };
+}
+
+/**
+ * Whether going from a version's blocks to a snapshot's removes or
+ * replaces any block. Edits inside blocks and new blocks don't count.
+ */
+function removesBlocks(version, snapshot) {
+    const types = new Map(snapshot.blocks.map((block) => [String(block.blockId), block.type]));
+    return version.blocks.some((block) => types.get(String(block.blockId)) !== block.type);
+}
+
+/**
+ * Deletes versions beyond the retention limit.
+ */
+async function pruneVersions(pageId) {
+    const stale = await PageVersion.find({ pageId })
+        .sort({ createdAt: -1 })
+        .skip(getVersionLimit())
+        .select('_id')
+        .lean();
+
+    if (stale.length > 0) {
+        await PageVersion.deleteMany({ _id: { $in: stale.map((v) => v._id) } });
+    }
+}
+
+/**
+ * Records the current state of a page as a version.
+ * Never throws — a failed snapshot must not fail the write that caused it.
+ *
+ * @param {string} pageId - Page that was written
+ * @param {string} reason - 'edit' | 'api' | 'import' | 'restore'
+ * @param {object} options - { force: boolean } skips throttling
+ * @returns {Promise<object|null>} The created/updated version (without blocks)
+ */
+export async function recordPageVersion(pageId, reason = 'edit', { force = false } = {}) {
+    try {
+        const state = await captureState(pageId);
+        if (!state) return null;
+
+        const { page, snapshot } = state;
+
+        if (!force) {
+            const latest = await PageVersion.findOne({ pageId })
+                .sort({ createdAt: -1 })
+                .select('reason createdAt blocks.blockId blocks.type')
+                .lean();
+
+            const withinWindow = latest &&
+                Date.now() - new Date(latest.createdAt).getTime() < getIntervalMs();
+
+            if (withinWindow && latest.reason === reason && !removesBlocks(latest, snapshot)) {
+                return await PageVersion.findByIdAndUpdate(
+                    latest._id,
+                    { $set: snapshot },
+                    { new: true, projection: { blocks: 0 } }
+                ).lean();
+            }
+        }
+
+        const version = await PageVersion.create({
+            ...snapshot,
+            pageId,
+            userId: page.userId,
+            reason,
+        });
+
+        await pruneVersions(pageId);
+
+        const { blocks, ...meta } = version.toJSON();
+        return { ...meta, blockCount: blocks.length };
+    } catch (error) {
+        console.error('Record page version error:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves the current state of a page before a write, unless the latest
+ * version already holds it. Checkpoints are never updated by the
+ * throttle. Never throws, like recordPageVersion().
+ *
+ * @param {string} pageId - Page about to be written
+ * @param {string} userId - Owner; other users' pages are left alone
+ * @returns {Promise<object|null>} The checkpoint version, or null if none was needed
+ */
+export async function recordVersionBeforeWrite(pageId, userId) {
+    try {
+        const page = await Page.findOne({ _id: pageId, userId }).select('revision').lean();
+        if (!page) return null;
+
+        const latest = await PageVersion.findOne({ pageId })
+            .sort({ createdAt: -1 })
+            .select('revision')
+            .lean();
+        if (latest && latest.revision === (page.revision ?? 0)) return null;
+
+        return await recordPageVersion(pageId, 'checkpoint', { force: true });
+    } catch (error) {
+        console.error('Record checkpoint version error:', error);
+        return null;
+    }
+}
+
+/**
+ * Lists the versions of a page, newest first (without block data).
+ */
+export async function listPageVersions(pageId) {
+    return PageVersion.aggregate([
+        { $match: { pageId: new mongoose.Types.ObjectId(String(pageId)) } },
+        { $sort: { createdAt: -1 } },
+        {
+            $project: {
+                title: 1,
+                reason: 1,
+                revision: 1,
+                createdAt: 1,
+                updatedAt: 1,
+                blockCount: { $size: '$blocks' },
+            },
+        },
+    ]);
+}
+
+/**
+ * Loads one side of a diff: a stored version, or 'current' for the live page.
+ *
+ * @returns {Promise<object|null>} { _id, title, blocks, createdAt }
+ */
+export async function loadVersionState(pageId, versionId) {
+    if (versionId === 'current') {
+        const state = await captureState(pageId);
+        if (!state) return null;
+        return { _id: 'current', ...state.snapshot, updatedAt: new Date() };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(versionId)) return null;
+    return PageVersion.findOne({ _id: versionId, pageId }).lean();
+}
+
+/**
+ * Compares two page states block by block.
+ * Blocks are matched by their original id.
+ *
+ * Each entry of `changes` (in the order of `to`, removed blocks placed
+ * where they used to be) has a status:
+ * - added:     only in `to`
+ * - removed:   only in `from`
+ * - changed:   type, content or background differ
+ * - moved:     same block, different position relative to its neighbours
+ * - unchanged
+ *
+ * @param {object} from - Older state ({ title, blocks })
+ * @param {object} to - Newer state
+ * @returns {{ title: object, changes: Array, summary: object }}
+ */
+export function diffVersions(from, to) {
+    const key = (block) => String(block.blockId);
+    const fromMap = new Map(from.blocks.map((b) => [key(b), b]));
+    const toMap = new Map(to.blocks.map((b) => [key(b), b]));
+
+    // Shared blocks count as moved unless they are part of the longest
+    // run that kept its relative order (one move = one moved block)
+    const sharedFrom = from.blocks.filter((b) => toMap.has(key(b))).map(key);
+    const fromIndex = new Map(sharedFrom.map((id, i) => [id, i]));
+    const sharedTo = to.blocks.filter((b) => fromMap.has(key(b))).map(key);
+    const inPlace = longestIncreasingRun(sharedTo.map((id) => fromIndex.get(id)))
+        .reduce((set, position) => set.add(sharedTo[position]), new Set());
+
+    const changes = [];
+    const summary = { added: 0, removed: 0, changed: 0, moved: 0, unchanged: 0 };
+
+    const push = (status, before, after) => {
+        summary[status]++;
+        changes.push({
+            blockId: key(before || after),
+            status,
+            before: before ? pickBlockFields(before) : null,
+            after: after ? pickBlockFields(after) : null,
+        });
+    };
+
+    // Removed blocks are emitted before the first surviving block that followed them
+    const removedBefore = new Map();
+    let pendingRemoved = [];
+    from.blocks.forEach((block) => {
+        if (toMap.has(key(block))) {
+            if (pendingRemoved.length) removedBefore.set(key(block), pendingRemoved);
+            pendingRemoved = [];
+        } else {
+            pendingRemoved.push(block);
+        }
+    });
+
+    to.blocks.forEach((block) => {
+        const id = key(block);
+        const previous = fromMap.get(id);
+
+        if (!previous) {
+            push('added', null, block);
+            return;
+        }
+
+        (removedBefore.get(id) || []).forEach((removed) => push('removed', removed, null));
+
+        const moved = !inPlace.has(id);
+
+        if (
+            previous.type !== block.type ||
+            (previous.backgroundColor ?? null) !== (block.backgroundColor ?? null) ||
+            JSON.stringify(previous.content) !== JSON.stringify(block.content)
+        ) {
+            push('changed', previous, block);
+        } else if (moved) {
+            push('moved', previous, block);
+        } else {
+            push('unchanged', previous, block);
+        }
+    });
+
+    pendingRemoved.forEach((removed) => push('removed', removed, null));
+
+    return {
+        title: {
+            before: from.title,
+            after: to.title,
+            changed: (from.title || '') !== (to.title || ''),
+        },
+        changes,
+        summary,
+    };
+}
+
+/**
+ * Positions of the longest strictly increasing subsequence of numbers.
+ */
+function longestIncreasingRun(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+
+    values.forEach((value, i) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (values[tails[mid]] < value) low = mid + 1;
+            else high = mid;
+        }
+        if (low > 0) previous[i] = tails[low - 1];
+        tails[low] = i;
+    });
+
+    const positions = [];
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+        positions.push(i);
+    }
+    return positions;
+}
+
+function pickBlockFields(block) {
+    return {
+        type: block.type,
+        content: block.content,
+        backgroundColor: block.backgroundColor ?? null,
+    };
+}
+
+/**
+ * Restores the blocks of a page to a stored version.
+ * Blocks keep their original ids (blocks in the trash are brought back);
+ * blocks created after the version are moved to the trash. Callers save
+ * the current state first (recordVersionBeforeWrite) so the restore
+ * itself can be undone from history.
+ *
+ * @param {string} pageId - Page to restore
+ * @param {object} version - Lean PageVersion
+ * @returns {Promise<{ before: Array, after: Array }>} Lean blocks before and after
+ */
+export async function restorePageVersion(pageId, version) {
+    const before = await Block.find({ pageId }).lean();
+
+    // Version blocks that still exist, live or trashed, are updated in place
+    const restoredIds = version.blocks.map((b) => b.blockId);
+    const stored = await Block.find({ pageId, _id: { $in: restoredIds } })
+        .setOptions({ includeTrashed: true })
+        .select('_id')
+        .lean();
+    const storedIds = new Set(stored.map((b) => b._id.toString()));
+
+    // Versions store keys in page order; re-derive them in case the list
+    // contains legacy or duplicate keys
+    const orderKeys = assignOrderKeys(version.blocks.map((b) => b.order));
+
+    const operations = version.blocks.map((block, index) => {
+        const fields = {
+            pageId,
+            type: block.type,
+            content: block.content,
+            order: orderKeys[index],
+            backgroundColor: block.backgroundColor ?? null,
+            deletedAt: null,
+        };
+
+        if (storedIds.has(block.blockId.toString())) {
+            return {
+                updateOne: {
+                    filter: { _id: block.blockId },
+                    update: { $set: fields, $inc: { revision: 1 } },
+                },
+            };
+        }
+
+        return { insertOne: { document: { _id: block.blockId, ...fields } } };
+    });
+
+    // bulkWrite skips the trash filter, so match live blocks explicitly
+    operations.push({
+        updateMany: {
+            filter: { pageId, _id: { $nin: restoredIds }, deletedAt: null },
+            update: { $set: { deletedAt: new Date() } },
+        },
+    });
+
+    await Block.bulkWrite(operations);
+
+    const after = await Block.find({ pageId }).sort({ order: 1, _id: 1 }).lean();
+    return { before, after };
+}
@@ -0,0 +1,153 @@
+/**
+ * Database Properties
+ * ===================
+ *
+ * A database page's child pages are its rows. The database page holds
+ * the property schema, each row page its values (see models/Page.js):
+ *
+ *   propertySchema: [{ _id, name, type, options?: [{ _id, name, color }] }]
+ *   propertyValues: { "<propertyId>": value }
+ *
+ * Values by property type:
+ *
+ *   text, url     string
+ *   number        number
+ *   select        option _id
+ *   multi_select  [option _id, ...]
+ *   date          Date (a day, stored as UTC midnight)
+ *   checkbox      boolean
+ *
+ * An empty value is not stored at all. Shared by the API (validation,
+ * queries) and the table view.
+ */
+
+export const PROPERTY_TYPES = ['text', 'number', 'select', 'multi_select', 'date', 'checkbox', 'url'];
+
+export const OPTION_COLORS = ['gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+export const MAX_DATABASE_PROPERTIES = 50;
+export const MAX_PROPERTY_OPTIONS = 100;
+export const MAX_TEXT_VALUE_LENGTH = 2000;
+
+const TEXT_OPERATORS = ['equals', 'does_not_equal', 'contains', 'does_not_contain', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+const DATE_OPERATORS = ['equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty'];
+
+/**
+ * Filter operators accepted per property type.
+ */
+export const FILTER_OPERATORS = {
+    text: TEXT_OPERATORS,
+    url: TEXT_OPERATORS,
+    number: ['equals', 'does_not_equal', 'greater_than', 'greater_than_or_equal_to', 'less_than', 'less_than_or_equal_to', 'is_empty', 'is_not_empty'],
+    select: ['equals', 'does_not_equal', 'is_empty', 'is_not_empty'],
+    multi_select: ['contains', 'does_not_contain', 'is_empty', 'is_not_empty'],
+    date: DATE_OPERATORS,
+    checkbox: ['equals', 'does_not_equal'],
+};
+
+// Operators that take no value
+export const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+/**
+ * Page fields every row has, usable in filters and sorts like a
+ * property (by this `_id` instead of a property _id).
+ */
+export const BUILT_IN_PROPERTIES = [
+    { _id: 'title', name: 'Title', type: 'text' },
+    { _id: 'createdAt', name: 'Created', type: 'date' },
+    { _id: 'updatedAt', name: 'Last edited', type: 'date' },
+];
+
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The day of a date as `YYYY-MM-DD` (UTC), or null.
+ */
+export function toDateKey(value) {
+    if (value == null || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * A day (`YYYY-MM-DD` or any date) as a Date at UTC midnight, or null.
+ */
+export function parseDateValue(value) {
+    if (typeof value === 'string' && DATE_KEY_RE.test(value)) {
+        const date = new Date(`${value}T00:00:00.000Z`);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    const key = toDateKey(value);
+    return key ? new Date(`${key}T00:00:00.000Z`) : null;
+}
+
+function isHttpUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+const optionIds = (property) => new Set((property.options || []).map((option) => String(option._id)));
+
+/**
+ * Checks a value against its property.
+ *
+ * @param {object} property - Schema entry ({ type, name, options })
+ * @param {*} value - Value to store; null, '' and [] clear it
+ * @returns {{ value: * } | { error: string }} value null = not stored
+ */
+export function normalizePropertyValue(property, value) {
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return { value: null };
+    }
+
+    const invalid = (reason) => ({ error: `${property.name}: ${reason}` });
+
+    switch (property.type) {
+        case 'text': {
+            if (typeof value !== 'string') return invalid('expected text');
+            if (value.length > MAX_TEXT_VALUE_LENGTH) {
+                return invalid(`cannot exceed ${MAX_TEXT_VALUE_LENGTH} characters`);
+            }
+            return { value };
+        }
+        case 'url': {
+            const url = typeof value === 'string' ? value.trim() : '';
+            if (!url) return { value: null };
+            if (url.length > MAX_TEXT_VALUE_LENGTH || !isHttpUrl(url)) {
+                return invalid('expected an http(s) URL');
+            }
+            return { value: url };
+        }
+        case 'number': {
+            const number = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return invalid('expected a number');
+            return { value: number };
+        }
+        case 'select': {
+            if (!optionIds(property).has(String(value))) return invalid('unknown option');
+            return { value: String(value) };
+        }
+        case 'multi_select': {
+            if (!Array.isArray(value)) return invalid('expected a list of options');
+            const known = optionIds(property);
+            const ids = [...new Set(value.map(String))];
+            if (ids.some((id) => !known.has(id))) return invalid('unknown option');
+            return { value: ids };
+        }
+        case 'date': {
+            const date = parseDateValue(value);
+            return date ? { value: date } : invalid('expected a date (YYYY-MM-DD)');
+        }
+        case 'checkbox': {
+            if (typeof value !== 'boolean') return invalid('expected true or false');
+            // Unchecked is the empty value
+            return { value: value || null };
+        }
+        default:
+            return invalid('unknown property type');
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Download Utilities
+ * ==================
+ *
+ * Saves a blob (an export or backup fetched from the API) as a file
+ * through a temporary download link.
+ */
+
+export function saveFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,13 @@
+/**
+ * File Size Formatting
+ * ====================
+ *
+ * Human-readable byte counts, as shown on file blocks and in exports.
+ */
+
+export function formatFileSize(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,102 @@
+/**
+ * File Type Detection
+ * ===================
+ *
+ * Works out what an uploaded attachment really is from its first bytes
+ * (its "magic number"), instead of trusting the browser's MIME type or
+ * the file name. The name is only used to tell apart formats that share
+ * a container (the legacy Office formats).
+ */
+
+import { readImageInfo } from '@/utils/imageInfo';
+
+/**
+ * Types the file block knows, by canonical extension.
+ * `category` picks the icon shown for the file.
+ */
+export const FILE_TYPES = {
+    pdf: { mimeType: 'application/pdf', category: 'pdf' },
+    zip: { mimeType: 'application/zip', category: 'archive' },
+    docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', category: 'document' },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', category: 'spreadsheet' },
+    pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', category: 'presentation' },
+    doc: { mimeType: 'application/msword', category: 'document' },
+    xls: { mimeType: 'application/vnd.ms-excel', category: 'spreadsheet' },
+    ppt: { mimeType: 'application/vnd.ms-powerpoint', category: 'presentation' },
+    odt: { mimeType: 'application/vnd.oasis.opendocument.text', category: 'document' },
+    ods: { mimeType: 'application/vnd.oasis.opendocument.spreadsheet', category: 'spreadsheet' },
+    odp: { mimeType: 'application/vnd.oasis.opendocument.presentation', category: 'presentation' },
+    mp3: { mimeType: 'audio/mpeg', category: 'audio' },
+    wav: { mimeType: 'audio/wav', category: 'audio' },
+    ogg: { mimeType: 'audio/ogg', category: 'audio' },
+    flac: { mimeType: 'audio/flac', category: 'audio' },
+    m4a: { mimeType: 'audio/mp4', category: 'audio' },
+    png: { mimeType: 'image/png', category: 'image' },
+    jpg: { mimeType: 'image/jpeg', category: 'image' },
+    webp: { mimeType: 'image/webp', category: 'image' },
+};
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const startsWith = (buffer, text, offset = 0) =>
+    buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+
+const extensionOf = (filename = '') =>
+    filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+
+/**
+ * Zip-based formats: OpenDocument names its type in an uncompressed
+ * `mimetype` entry at the very start; Office Open XML is recognised by
+ * its part names.
+ */
+function sniffZip(buffer) {
+    if (startsWith(buffer, 'mimetype', 30)) {
+        const mimeType = buffer.toString('latin1', 38, 38 + 60);
+        if (mimeType.startsWith(FILE_TYPES.odt.mimeType)) return 'odt';
+        if (mimeType.startsWith(FILE_TYPES.ods.mimeType)) return 'ods';
+        if (mimeType.startsWith(FILE_TYPES.odp.mimeType)) return 'odp';
+    }
+    if (buffer.includes('[Content_Types].xml')) {
+        if (buffer.includes('word/')) return 'docx';
+        if (buffer.includes('xl/')) return 'xlsx';
+        if (buffer.includes('ppt/')) return 'pptx';
+    }
+    return 'zip';
+}
+
+function sniffExtension(buffer, filename) {
+    if (startsWith(buffer, '%PDF-')) return 'pdf';
+    if (startsWith(buffer, 'PK\x03\x04') || startsWith(buffer, 'PK\x05\x06')) return sniffZip(buffer);
+
+    // Compound File (Office 97-2003): the name decides which one
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(OLE_SIGNATURE)) {
+        const extension = extensionOf(filename);
+        return ['doc', 'xls', 'ppt'].includes(extension) ? extension : null;
+    }
+
+    if (startsWith(buffer, 'ID3')) return 'mp3';
+    // MPEG audio frame without a tag: sync bits, then a layer other than "reserved"
+    if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) return 'mp3';
+    if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WAVE', 8)) return 'wav';
+    if (startsWith(buffer, 'OggS')) return 'ogg';
+    if (startsWith(buffer, 'fLaC')) return 'flac';
+    if (startsWith(buffer, 'ftyp', 4) && (startsWith(buffer, 'M4A ', 8) || startsWith(buffer, 'M4B ', 8))) return 'm4a';
+
+    const image = readImageInfo(buffer);
+    if (image) return image.format === 'jpeg' ? 'jpg' : image.format;
+
+    return null;
+}
+
+/**
+ * Detects a file's type from its contents.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} [filename] - Original name, for the legacy Office formats
+ * @returns {{ extension: string, mimeType: string, category: string }|null}
+ *   null if the file is none of FILE_TYPES
+ */
+export function sniffFileType(buffer, filename = '') {
+    const extension = sniffExtension(buffer, filename);
+    return extension ? { extension, ...FILE_TYPES[extension] } : null;
+}
@@ -0,0 +1,299 @@
+/**
+ * Fractional Index Utilities
+ * ==========================
+ *
+ * Order keys for blocks. A key is a base62 string that sorts correctly
+ * with plain string comparison (JS `<` and MongoDB's default sort), and
+ * there is always room for another key between two neighbours:
+ *
+ *   generateKeyBetween('a0', 'a1') -> 'a0V'
+ *
+ * So inserting or moving one block only writes that block's key,
+ * instead of re-numbering every block below it.
+ *
+ * Key format: an "integer part" whose length is encoded by its first
+ * character (a0, a1 ... az, b00 ...), optionally followed by a fraction.
+ * Based on the fractional-indexing algorithm by rocicorp (CC0).
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const ZERO = DIGITS[0];
+const SMALLEST_INTEGER = 'A' + ZERO.repeat(26);
+
+/**
+ * Midpoint of two fractions (b = null means "no upper bound").
+ */
+function midpoint(a, b) {
+    if (b !== null && a >= b) {
+        throw new Error(`${a} >= ${b}`);
+    }
+    if (a.slice(-1) === ZERO || (b && b.slice(-1) === ZERO)) {
+        throw new Error('Trailing zero in fraction');
+    }
+
+    if (b) {
+        // Skip the common prefix
+        let n = 0;
+        while ((a[n] || ZERO) === b[n]) n++;
+        if (n > 0) {
+            return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+        }
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round(0.5 * (digitA + digitB))];
+    }
+
+    // Digits are consecutive
+    if (b && b.length > 1) {
+        return b.slice(0, 1);
+    }
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function getIntegerLength(head) {
+    if (head >= 'a' && head <= 'z') {
+        return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+    }
+    if (head >= 'A' && head <= 'Z') {
+        return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+    }
+    throw new Error(`Invalid order key head: ${head}`);
+}
+
+function getIntegerPart(key) {
+    const length = getIntegerLength(key[0]);
+    if (length > key.length) {
+        throw new Error(`Invalid order key: ${key}`);
+    }
+    return key.slice(0, length);
+}
+
+function validateOrderKey(key) {
+    if (key === SMALLEST_INTEGER) {
+        throw new Error(`Invalid order key: ${key}`);
+    }
+    // midpoint() does arithmetic on digit positions, so every character must be base62
+    if (![...key].every((ch) => DIGITS.includes(ch))) {
+        throw new Error(`Invalid order key: ${key}`);
+    }
+    const integer = getIntegerPart(key);
+    const fraction = key.slice(integer.length);
+    if (fraction.slice(-1) === ZERO) {
+        throw new Error(`Invalid order key: ${key}`);
+    }
+}
+
+function incrementInteger(x) {
+    const [head, ...digits] = x.split('');
+    let carry = true;
+
+    for (let i = digits.length - 1; carry && i >= 0; i--) {
+        const d = DIGITS.indexOf(digits[i]) + 1;
+        if (d === DIGITS.length) {
+            digits[i] = ZERO;
+        } else {
+            digits[i] = DIGITS[d];
+            carry = false;
+        }
+    }
+
+    if (!carry) return head + digits.join('');
+    if (head === 'Z') return 'a' + ZERO;
+    if (head === 'z') return null;
+
+    const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+    if (nextHead > 'a') digits.push(ZERO);
+    else digits.pop();
+    return nextHead + digits.join('');
+}
+
+function decrementInteger(x) {
+    const [head, ...digits] = x.split('');
+    let borrow = true;
+
+    for (let i = digits.length - 1; borrow && i >= 0; i--) {
+        const d = DIGITS.indexOf(digits[i]) - 1;
+        if (d === -1) {
+            digits[i] = DIGITS.slice(-1);
+        } else {
+            digits[i] = DIGITS[d];
+            borrow = false;
+        }
+    }
+
+    if (!borrow) return head + digits.join('');
+    if (head === 'a') return 'Z' + DIGITS.slice(-1);
+    if (head === 'A') return null;
+
+    const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+    if (nextHead < 'Z') digits.push(DIGITS.slice(-1));
+    else digits.pop();
+    return nextHead + digits.join('');
+}
+
+/**
+ * Whether a value is a well-formed order key.
+ */
+export function isValidOrderKey(key) {
+    if (typeof key !== 'string' || key.length === 0) return false;
+    try {
+        validateOrderKey(key);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Generate a key that sorts strictly between a and b.
+ * Pass null for "start of list" (a) or "end of list" (b).
+ *
+ * @param {string|null} a - Key of the previous item
+ * @param {string|null} b - Key of the next item
+ * @returns {string} New order key
+ */
+export function generateKeyBetween(a, b) {
+    if (a !== null) validateOrderKey(a);
+    if (b !== null) validateOrderKey(b);
+    if (a !== null && b !== null && a >= b) {
+        throw new Error(`${a} >= ${b}`);
+    }
+
+    if (a === null) {
+        if (b === null) return 'a' + ZERO;
+
+        const intB = getIntegerPart(b);
+        const fracB = b.slice(intB.length);
+        if (intB === SMALLEST_INTEGER) {
+            return intB + midpoint('', fracB);
+        }
+        if (intB < b) return intB;
+
+        const decremented = decrementInteger(intB);
+        if (decremented === null) throw new Error('Cannot decrement order key any more');
+        return decremented;
+    }
+
+    if (b === null) {
+        const intA = getIntegerPart(a);
+        const fracA = a.slice(intA.length);
+        const incremented = incrementInteger(intA);
+        return incremented === null ? intA + midpoint(fracA, null) : incremented;
+    }
+
+    const intA = getIntegerPart(a);
+    const fracA = a.slice(intA.length);
+    const intB = getIntegerPart(b);
+    const fracB = b.slice(intB.length);
+
+    if (intA === intB) {
+        return intA + midpoint(fracA, fracB);
+    }
+
+    const incremented = incrementInteger(intA);
+    if (incremented === null) throw new Error('Cannot increment order key any more');
+    if (incremented < b) return incremented;
+    return intA + midpoint(fracA, null);
+}
+
+/**
+ * Generate n ascending keys between a and b (evenly spread when both are set).
+ *
+ * @returns {string[]}
+ */
+export function generateNKeysBetween(a, b, n) {
+    if (n === 0) return [];
+    if (n === 1) return [generateKeyBetween(a, b)];
+
+    if (b === null) {
+        let key = generateKeyBetween(a, b);
+        const result = [key];
+        for (let i = 0; i < n - 1; i++) {
+            key = generateKeyBetween(key, b);
+            result.push(key);
+        }
+        return result;
+    }
+
+    if (a === null) {
+        let key = generateKeyBetween(a, b);
+        const result = [key];
+        for (let i = 0; i < n - 1; i++) {
+            key = generateKeyBetween(a, key);
+            result.push(key);
+        }
+        return result.reverse();
+    }
+
+    const mid = Math.floor(n / 2);
+    const key = generateKeyBetween(a, b);
+    return [
+        ...generateNKeysBetween(a, key, mid),
+        key,
+        ...generateNKeysBetween(key, b, n - mid - 1),
+    ];
+}
+
+/**
+ * Assigns order keys to a list in its desired order, reusing as many
+ * existing keys as possible.
+ *
+ * The longest run of existing keys that is already ascending is kept;
+ * only the remaining items (new, moved, legacy numeric or duplicate keys)
+ * get fresh keys between their kept neighbours.
+ *
+ * @param {Array<string|null>} keys - Current key per item (null for new items)
+ * @returns {string[]} Key per item; compare with the input to find changes
+ */
+export function assignOrderKeys(keys) {
+    // Longest strictly increasing subsequence of valid keys (patience sorting)
+    const tails = [];
+    const previous = new Array(keys.length).fill(-1);
+
+    keys.forEach((key, i) => {
+        if (!isValidOrderKey(key)) return;
+
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (keys[tails[mid]] < key) low = mid + 1;
+            else high = mid;
+        }
+
+        if (low > 0) previous[i] = tails[low - 1];
+        tails[low] = i;
+    });
+
+    const keep = new Set();
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+        keep.add(i);
+    }
+
+    // Fill each gap between kept keys
+    const result = [...keys];
+    let i = 0;
+    while (i < keys.length) {
+        if (keep.has(i)) {
+            i++;
+            continue;
+        }
+
+        let j = i;
+        while (j < keys.length && !keep.has(j)) j++;
+
+        const before = i > 0 ? result[i - 1] : null;
+        const after = j < keys.length ? keys[j] : null;
+        generateNKeysBetween(before, after, j - i).forEach((key, n) => {
+            result[i + n] = key;
+        });
+
+        i = j;
+    }
+
+    return result;
+}
@@ -0,0 +1,93 @@
+/**
+ * Image Info
+ * ==========
+ *
+ * Reads the format and pixel size of a PNG, JPEG or WebP image from its
+ * header bytes, without decoding it. Used to check uploads and to
+ * report dimensions when the storage backend doesn't.
+ */
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+};
+
+function pngSize(buffer) {
+    // Width and height are the first fields of the IHDR chunk
+    if (buffer.length < 24) return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+
+        // Fill bytes and markers without a length
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+
+        // Start-of-frame segments (not DHT, JPG or DAC, which share the range)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function webpSize(buffer) {
+    if (buffer.length < 30) return null;
+    const chunk = buffer.toString('ascii', 12, 16);
+
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Format and size of an image.
+ *
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{ format: string, contentType: string, width: number|null, height: number|null }|null}
+ *   null if the bytes are not a PNG, JPEG or WebP image
+ */
+export function readImageInfo(buffer) {
+    let format = null;
+    let size = null;
+
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        format = 'png';
+        size = pngSize(buffer);
+    } else if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        format = 'jpeg';
+        size = jpegSize(buffer);
+    } else if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        format = 'webp';
+        size = webpSize(buffer);
+    }
+
+    if (!format) return null;
+    return {
+        format,
+        contentType: CONTENT_TYPES[format],
+        width: size?.width ?? null,
+        height: size?.height ?? null,
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Image Block Layout
+ * ==================
+ *
+ * Image block content:
+ *
+ *   { url, alt, caption, width, align, naturalWidth, naturalHeight, variants }
+ *
+ * `width` is the displayed width in percent of the text column
+ * (MIN_IMAGE_WIDTH-100); null shows the image at its own size, never
+ * wider than the column. `naturalWidth`/`naturalHeight` are the stored
+ * file's pixel size and decide which srcset variants exist.
+ *
+ * Cloudinary resizes on the fly, so any width can be asked for. Local
+ * uploads come with the copies made at upload (`variants`, their
+ * widths; see lib/imageProcessing.js) stored next to the image as
+ * `<name>-w<width>.webp`.
+ *
+ * Shared by the editor, the public page and the exports.
+ */
+
+export const IMAGE_ALIGNMENTS = ['left', 'center', 'right'];
+
+export const MIN_IMAGE_WIDTH = 10;
+
+// Width of the page's text column in px (max-w-3xl minus padding)
+export const COLUMN_WIDTH = 720;
+
+// Variant widths offered in srcset, in px
+export const IMAGE_VARIANT_WIDTHS = [320, 640, 960, 1280, 1920, 2560];
+
+const CLOUDINARY_UPLOAD_RE = /^(https:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/)(.+)$/;
+
+const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+/**
+ * Clamps a width to MIN_IMAGE_WIDTH-100 (whole percent), or null.
+ */
+export function clampImageWidth(width) {
+    const value = positive(Number(width));
+    return value ? Math.round(Math.min(100, Math.max(MIN_IMAGE_WIDTH, value))) : null;
+}
+
+/**
+ * Image content with every field present. Blocks uploaded before
+ * resizing existed kept the file's pixel size in `width`/`height`;
+ * those are read as the natural size.
+ */
+export function normalizeImageContent(content = {}) {
+    const legacy = content.naturalWidth === undefined && content.height !== undefined;
+
+    return {
+        url: content.url || null,
+        alt: content.alt || '',
+        caption: content.caption || '',
+        width: legacy ? null : clampImageWidth(content.width),
+        align: IMAGE_ALIGNMENTS.includes(content.align) ? content.align : 'center',
+        naturalWidth: positive(legacy ? content.width : content.naturalWidth),
+        naturalHeight: positive(legacy ? content.height : content.naturalHeight),
+        variants: Array.isArray(content.variants) ? content.variants.filter(positive) : [],
+    };
+}
+
+/**
+ * Name of a stored copy of an image at another width.
+ */
+export function storedVariantName(name, width) {
+    return name.replace(/\.webp$/, `-w${width}.webp`);
+}
+
+function isCloudinaryUrl(url) {
+    return CLOUDINARY_UPLOAD_RE.test(url || '');
+}
+
+/**
+ * URL of a smaller rendition of an image: resized by Cloudinary, or a
+ * copy stored at upload.
+ */
+export function imageVariantUrl(url, width) {
+    const match = CLOUDINARY_UPLOAD_RE.exec(url || '');
+    return match ? `${match[1]}c_limit,w_${width}/${match[2]}` : storedVariantName(url, width);
+}
+
+/**
+ * srcset for an image, or undefined when there are no variants.
+ *
+ * @param {string} url - Stored image URL
+ * @param {number|null} naturalWidth - Width of the stored file in px
+ * @param {number[]} [variants] - Widths of the copies stored at upload
+ */
+export function buildSrcSet(url, naturalWidth, variants = []) {
+    if (!url || !naturalWidth) return undefined;
+
+    const widths = isCloudinaryUrl(url)
+        ? IMAGE_VARIANT_WIDTHS.filter((width) => width < naturalWidth)
+        : variants.filter((width) => width < naturalWidth && url.endsWith('.webp'));
+    if (widths.length === 0) return undefined;
+
+    return [
+        ...widths.map((width) => `${imageVariantUrl(url, width)} ${width}w`),
+        `${url} ${naturalWidth}w`,
+    ].join(', ');
+}
+
+/**
+ * `sizes` for an image shown at `width` percent of the column.
+ */
+export function buildSizes(width, naturalWidth) {
+    const share = (width || 100) / 100;
+    const largest = Math.round(COLUMN_WIDTH * share);
+    const shown = width || !naturalWidth ? largest : Math.min(largest, naturalWidth);
+    return `(max-width: ${COLUMN_WIDTH}px) ${Math.round(share * 100)}vw, ${shown}px`;
+}
@@ -0,0 +1,332 @@
+/**
+ * Markdown Parser
+ * ===============
+ *
+ * Converts Markdown text into Pagelet block data (type + content).
+ * The inverse of the Markdown export in services/exportService.js.
+ *
+ * Block mapping:
+ * - `#`, `##`, `###` (and deeper)    → heading1 / heading2 / heading3
+ * - `- [ ]` / `- [x]`                 → todo
+ * - ``` / ~~~ fences                  → code (info string → language)
+ * - `>` lines                         → quote
+ * - a line that is only `![alt](url)` → image (an `*italic*` line right
+ *                                       below it is the caption)
+ * - a line that is only `[text](url)` → link
+ * - anything else                     → paragraph (lines of a paragraph are
+ *                                       joined with '\n'; `-`, `*` and `+`
+ *                                       list markers become '•', numbered
+ *                                       ones are kept)
+ *
+ * Inline `**bold**`, `_italic_` and `<u>underline</u>` become `marks`
+ * ranges (see textStyles.js). Other inline syntax is flattened to text:
+ * `code` keeps its content, [text](url) becomes "text (url)".
+ */
+
+import { applyMark } from '@/utils/textStyles';
+
+// Languages offered by the code block; other fences fall back to plain text
+const CODE_LANGUAGES = ['javascript', 'json', 'html', 'css', 'typescript', 'python', 'plaintext'];
+
+const LANGUAGE_ALIASES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    py: 'python',
+    htm: 'html',
+    text: 'plaintext',
+    txt: 'plaintext',
+};
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const TODO_RE = /^\s*[-*+]\s+\[([ xX])\]\s?(.*)$/;
+const QUOTE_RE = /^ {0,3}>\s?(.*)$/;
+const IMAGE_LINE_RE = /^\s*!\[([^\]]*)\]\(\s*<?([^\s>)]+)>?(?:\s+["'(][^)]*)?\)\s*$/;
+const CAPTION_LINE_RE = /^\s*([*_])(?!\1)(.*\S)\1\s*$/;
+const LINK_LINE_RE = /^\s*\[([^\]]+)\]\(\s*<?([^\s>)]+)>?(?:\s+["'(][^)]*)?\)\s*$/;
+const RULE_RE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const BULLET_RE = /^(\s*)[-*+]\s+(.*)$/;
+
+// Upper bound on blocks from one import
+export const MAX_IMPORT_BLOCKS = 2000;
+
+function normalizeLanguage(info) {
+    const lang = (info || '').toLowerCase();
+    const mapped = LANGUAGE_ALIASES[lang] || lang;
+    return CODE_LANGUAGES.includes(mapped) ? mapped : 'plaintext';
+}
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+const isSpace = (ch) => !ch || /\s/.test(ch);
+
+/**
+ * Splits inline Markdown into text and delimiter tokens.
+ */
+function tokenizeInline(source) {
+    const tokens = [];
+    const pushText = (value) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.kind === 'text') last.value += value;
+        else tokens.push({ kind: 'text', value });
+    };
+
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        const rest = source.slice(i);
+
+        // Backslash escapes
+        if (ch === '\\' && i + 1 < source.length && /[!-/:-@[-`{-~]/.test(source[i + 1])) {
+            pushText(source[i + 1]);
+            i += 2;
+            continue;
+        }
+
+        // Inline code: content is taken literally
+        if (ch === '`') {
+            const run = rest.match(/^`+/)[0];
+            const close = source.indexOf(run, i + run.length);
+            if (close !== -1) {
+                pushText(source.slice(i + run.length, close).trim());
+                i = close + run.length;
+                continue;
+            }
+            pushText(run);
+            i += run.length;
+            continue;
+        }
+
+        // Underline (HTML)
+        const underline = rest.match(/^<(\/?)u>/i);
+        if (underline) {
+            tokens.push({ kind: 'delim', char: 'u', length: 1, raw: underline[0], canOpen: !underline[1], canClose: !!underline[1] });
+            i += underline[0].length;
+            continue;
+        }
+
+        // Inline images and links are flattened to text
+        const link = rest.match(/^(!?)\[([^\]]*)\]\(\s*<?([^\s>)]+)>?(?:\s+["'(][^)]*)?\)/);
+        if (link) {
+            const [raw, bang, label, url] = link;
+            pushText(bang ? label || url : `${label} (${url})`);
+            i += raw.length;
+            continue;
+        }
+
+        // Emphasis delimiter runs
+        if (ch === '*' || ch === '_') {
+            const run = rest.match(ch === '*' ? /^\*+/ : /^_+/)[0];
+            const before = source[i - 1];
+            const after = source[i + run.length];
+
+            let canOpen = !isSpace(after);
+            let canClose = !isSpace(before);
+            // Underscores inside words are literal (snake_case)
+            if (ch === '_' && isWordChar(before) && isWordChar(after)) {
+                canOpen = false;
+                canClose = false;
+            }
+
+            if (run.length <= 3 && (canOpen || canClose)) {
+                tokens.push({ kind: 'delim', char: ch, length: run.length, raw: run, canOpen, canClose });
+            } else {
+                pushText(run);
+            }
+            i += run.length;
+            continue;
+        }
+
+        pushText(ch);
+        i += 1;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses inline Markdown into plain text plus marks.
+ *
+ * @param {string} source - Inline Markdown
+ * @returns {{ text: string, marks: Array }}
+ */
+export function parseInline(source = '') {
+    const tokens = tokenizeInline(source);
+
+    // Pair closers with the nearest matching opener; openers left in
+    // between can no longer close and are treated as text
+    const openers = [];
+    tokens.forEach((token, index) => {
+        if (token.kind !== 'delim') return;
+
+        if (token.canClose) {
+            const match = openers.findLastIndex(
+                (o) => tokens[o].char === token.char && tokens[o].length === token.length
+            );
+            if (match !== -1) {
+                token.pair = openers[match];
+                tokens[openers[match]].pair = index;
+                openers.splice(match);
+                return;
+            }
+        }
+        if (token.canOpen) openers.push(index);
+    });
+
+    let text = '';
+    let marks = [];
+    const starts = new Map();
+
+    tokens.forEach((token, index) => {
+        if (token.kind === 'text') {
+            text += token.value;
+        } else if (token.pair === undefined) {
+            text += token.raw;
+        } else if (token.pair > index) {
+            starts.set(index, text.length);
+        } else {
+            const start = starts.get(token.pair);
+            const end = text.length;
+            const types = token.char === 'u'
+                ? ['underline']
+                : token.length === 1 ? ['italic'] : token.length === 2 ? ['bold'] : ['bold', 'italic'];
+            types.forEach((type) => {
+                marks = applyMark(marks, type, start, end);
+            });
+        }
+    });
+
+    return { text, marks };
+}
+
+/**
+ * Text content for a text-like block, with marks only when there are any.
+ */
+function textContent(source, extra = {}) {
+    const { text, marks } = parseInline(source);
+    return marks.length > 0 ? { text, marks, ...extra } : { text, ...extra };
+}
+
+/**
+ * Parses a Markdown document into blocks.
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {Array<{ type: string, content: object }>}
+ */
+export function parseMarkdown(markdown = '') {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        // Trailing double spaces / backslashes are hard breaks; lines stay separate
+        const source = paragraph.map((line) => line.replace(/(\s{2,}|\\)$/, '').trim()).join('\n');
+        blocks.push({ type: 'paragraph', content: textContent(source) });
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code
+        const fence = line.match(FENCE_RE);
+        if (fence) {
+            flushParagraph();
+            const marker = fence[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+                code.push(lines[i]);
+                i++;
+            }
+            blocks.push({
+                type: 'code',
+                content: { code: code.join('\n'), language: normalizeLanguage(fence[2]) },
+            });
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+
+        const heading = line.match(HEADING_RE);
+        if (heading) {
+            flushParagraph();
+            const level = Math.min(heading[1].length, 3);
+            blocks.push({ type: `heading${level}`, content: textContent(heading[2]) });
+            continue;
+        }
+
+        const todo = line.match(TODO_RE);
+        if (todo) {
+            flushParagraph();
+            blocks.push({ type: 'todo', content: textContent(todo[2], { checked: todo[1] !== ' ' }) });
+            continue;
+        }
+
+        if (QUOTE_RE.test(line)) {
+            flushParagraph();
+            const quote = [];
+            while (i < lines.length && QUOTE_RE.test(lines[i])) {
+                quote.push(lines[i].match(QUOTE_RE)[1]);
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'quote', content: textContent(quote.join('\n').trim()) });
+            continue;
+        }
+
+        const image = line.match(IMAGE_LINE_RE);
+        if (image) {
+            flushParagraph();
+            // The export writes the caption as an italic line below
+            const caption = lines[i + 1]?.match(CAPTION_LINE_RE);
+            if (caption) i++;
+            blocks.push({
+                type: 'image',
+                content: {
+                    url: image[2],
+                    alt: parseInline(image[1]).text,
+                    caption: caption ? parseInline(caption[2]).text : '',
+                },
+            });
+            continue;
+        }
+
+        const link = line.match(LINK_LINE_RE);
+        if (link) {
+            flushParagraph();
+            blocks.push({ type: 'link', content: { url: link[2], text: parseInline(link[1]).text } });
+            continue;
+        }
+
+        if (RULE_RE.test(line)) {
+            flushParagraph();
+            continue;
+        }
+
+        // Bullet lists have no block type of their own; keep them readable
+        const bullet = line.match(BULLET_RE);
+        paragraph.push(bullet ? `${bullet[1]}• ${bullet[2]}` : line);
+    }
+
+    flushParagraph();
+    return blocks;
+}
+
+/**
+ * Splits a leading `# Title` off the parsed blocks.
+ *
+ * @returns {{ title: string|null, blocks: Array }}
+ */
+export function extractTitle(blocks) {
+    if (blocks[0]?.type === 'heading1') {
+        return { title: blocks[0].content.text, blocks: blocks.slice(1) };
+    }
+    return { title: null, blocks };
+}
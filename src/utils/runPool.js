@@ -0,0 +1,26 @@
+/**
+ * Concurrency Pool
+ * ================
+ *
+ * Runs an async task for each item with a limited number in flight, for
+ * batches of uploads or fetches that shouldn't all start at once.
+ */
+
+/**
+ * Runs `task` for every item, at most `limit` at a time.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum tasks in flight
+ * @param {Function} task - async (item) => void
+ * @returns {Promise<void>} Resolves once every task has finished
+ */
+export async function runPool(items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await task(item);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
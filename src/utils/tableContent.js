@@ -0,0 +1,166 @@
+/**
+ * Table Block Content
+ * ===================
+ *
+ * Table block content:
+ *
+ *   {
+ *     header: [cell, ...],            // one cell per column
+ *     rows: [[cell, ...], ...],       // body rows, same length as header
+ *     columnWidths: [px, ...]         // one per column
+ *   }
+ *
+ * Cells are `{ text, marks }`, marks as in utils/textStyles.js. Every
+ * edit returns new content (nothing is mutated), so the helpers can be
+ * handed straight to a block's onChange.
+ */
+
+export const MIN_COLUMN_WIDTH = 80;
+export const MAX_COLUMN_WIDTH = 800;
+export const DEFAULT_COLUMN_WIDTH = 160;
+
+// Keeps tables (and the documents holding them) a sane size
+export const MAX_TABLE_COLUMNS = 20;
+export const MAX_TABLE_ROWS = 500;
+
+const emptyCell = () => ({ text: '', marks: [] });
+
+function normalizeCell(cell) {
+    return {
+        text: typeof cell?.text === 'string' ? cell.text : '',
+        marks: Array.isArray(cell?.marks) ? cell.marks : [],
+    };
+}
+
+/**
+ * Clamps a column width to MIN_COLUMN_WIDTH-MAX_COLUMN_WIDTH.
+ */
+export function clampColumnWidth(width) {
+    const value = Number(width);
+    if (!Number.isFinite(value)) return DEFAULT_COLUMN_WIDTH;
+    return Math.round(Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, value)));
+}
+
+/**
+ * A new, empty table.
+ */
+export function createTableContent(columns = 3, rows = 2) {
+    return {
+        header: Array.from({ length: columns }, emptyCell),
+        rows: Array.from({ length: rows }, () => Array.from({ length: columns }, emptyCell)),
+        columnWidths: Array(columns).fill(DEFAULT_COLUMN_WIDTH),
+    };
+}
+
+/**
+ * Table content with every row as wide as the header. Blocks converted
+ * from another type (content without `header`) become a new table.
+ */
+export function normalizeTableContent(content) {
+    if (!Array.isArray(content?.header) || content.header.length === 0) {
+        return createTableContent();
+    }
+
+    const header = content.header.slice(0, MAX_TABLE_COLUMNS).map(normalizeCell);
+    const columns = header.length;
+    const rows = (Array.isArray(content.rows) ? content.rows : [])
+        .slice(0, MAX_TABLE_ROWS)
+        .map((row) => Array.from({ length: columns }, (_, i) => normalizeCell(Array.isArray(row) ? row[i] : null)));
+    const columnWidths = Array.from({ length: columns }, (_, i) => clampColumnWidth(content.columnWidths?.[i]));
+
+    return { header, rows, columnWidths };
+}
+
+/**
+ * Row index -1 is the header.
+ */
+export function getCell(table, row, column) {
+    return row === -1 ? table.header[column] : table.rows[row]?.[column];
+}
+
+export function updateCell(table, row, column, cell) {
+    if (row === -1) {
+        return { ...table, header: table.header.map((current, i) => (i === column ? cell : current)) };
+    }
+    return {
+        ...table,
+        rows: table.rows.map((current, r) =>
+            r === row ? current.map((value, i) => (i === column ? cell : value)) : current
+        ),
+    };
+}
+
+/**
+ * Inserts an empty body row before `index` (rows.length appends).
+ */
+export function insertRow(table, index) {
+    if (table.rows.length >= MAX_TABLE_ROWS) return table;
+    const rows = [...table.rows];
+    rows.splice(index, 0, table.header.map(emptyCell));
+    return { ...table, rows };
+}
+
+export function removeRow(table, index) {
+    return { ...table, rows: table.rows.filter((_, i) => i !== index) };
+}
+
+/**
+ * Moves a body row by `offset` places; out-of-range moves do nothing.
+ */
+export function moveRow(table, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= table.rows.length) return table;
+    const rows = [...table.rows];
+    const [row] = rows.splice(index, 1);
+    rows.splice(target, 0, row);
+    return { ...table, rows };
+}
+
+/**
+ * Inserts an empty column before `index` (header.length appends).
+ */
+export function insertColumn(table, index) {
+    if (table.header.length >= MAX_TABLE_COLUMNS) return table;
+    const insert = (list, value) => [...list.slice(0, index), value, ...list.slice(index)];
+    return {
+        header: insert(table.header, emptyCell()),
+        rows: table.rows.map((row) => insert(row, emptyCell())),
+        columnWidths: insert(table.columnWidths, DEFAULT_COLUMN_WIDTH),
+    };
+}
+
+/**
+ * Removes a column; the last one stays.
+ */
+export function removeColumn(table, index) {
+    if (table.header.length <= 1) return table;
+    const remove = (list) => list.filter((_, i) => i !== index);
+    return {
+        header: remove(table.header),
+        rows: table.rows.map(remove),
+        columnWidths: remove(table.columnWidths),
+    };
+}
+
+export function moveColumn(table, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= table.header.length) return table;
+    const move = (list) => {
+        const next = [...list];
+        const [value] = next.splice(index, 1);
+        next.splice(target, 0, value);
+        return next;
+    };
+    return {
+        header: move(table.header),
+        rows: table.rows.map(move),
+        columnWidths: move(table.columnWidths),
+    };
+}
+
+export function setColumnWidth(table, index, width) {
+    return {
+        ...table,
+        columnWidths: table.columnWidths.map((current, i) => (i === index ? clampColumnWidth(width) : current)),
+    };
+}
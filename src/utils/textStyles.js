@@ -180,3 +180,45 @@ export function adjustMarksForChange(marks = [], oldText = '', newText = '') {
 
     return resultingMarks;
 }
+
+/**
+ * Split text into runs with the same set of active marks.
+ * Used to render marks (RichText) and to convert them for exports.
+ *
+ * @param {string} text - Block text
+ * @param {Array} marks - { type, start, end } ranges (may overlap)
+ * @returns {Array<{ text: string, styles: Set<string> }>}
+ */
+export function getStyledSegments(text = '', marks = []) {
+    if (!marks || marks.length === 0) {
+        return text ? [{ text, styles: new Set() }] : [];
+    }
+
+    // Every start/end of a mark is a potential style change
+    const points = new Set([0, text.length]);
+    marks.forEach(m => {
+        points.add(Math.max(0, Math.min(text.length, m.start)));
+        points.add(Math.max(0, Math.min(text.length, m.end)));
+    });
+
+    const sortedPoints = Array.from(points).sort((a, b) => a - b);
+    const segments = [];
+
+    for (let i = 0; i < sortedPoints.length - 1; i++) {
+        const start = sortedPoints[i];
+        const end = sortedPoints[i + 1];
+
+        if (start === end) continue;
+
+        const styles = new Set();
+        marks.forEach(m => {
+            if (m.start <= start && m.end >= end) {
+                styles.add(m.type);
+            }
+        });
+
+        segments.push({ text: text.substring(start, end), styles });
+    }
+
+    return segments;
+}